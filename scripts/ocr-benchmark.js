@@ -0,0 +1,380 @@
+#!/usr/bin/env node
+
+/**
+ * OCR Accuracy Benchmark
+ *
+ * Reads a directory of golden screenshots with every OCR engine and preprocessing preset,
+ * and scores each run against the ground truth:
+ *   - CER / WER of the recognized text
+ *   - IoU of element boxes, and box precision / recall
+ *   - Element-type precision / recall of the semantic heuristics
+ *   - OCR latency (mean, median, p95)
+ *
+ * Dataset: every image (name.png, .jpg or .jpeg) needs a name.json next to it:
+ *   {
+ *     "text": "Full text of the screenshot",
+ *     "elements": [{ "type": "button", "text": "Save", "bbox": [x1, y1, x2, y2] }],
+ *     "languages": ["eng"],   (optional)
+ *     "app": "Finder"         (optional, selects per-app OCR configuration)
+ *   }
+ * Boxes are in image pixels. "text" defaults to the element texts, one per line.
+ *
+ * Usage:
+ *   node scripts/ocr-benchmark.js <dataset-dir> [options]
+ *     --engines tesseract,apple_vision   Engines to run (default: every available engine)
+ *     --presets none,standard            Preprocessing presets (default: every preset)
+ *     --granularity line                 Element granularity (default: SEMANTIC_GRANULARITY or line)
+ *     --no-refine                        Skip the low-confidence second pass
+ *     --baseline <file>                  Baseline to compare with (default: test-results/ocr-benchmark/baseline.json)
+ *     --save-baseline                    Save this run as the baseline
+ *     --fail-on-regression               Exit with code 1 when a metric got worse than the baseline
+ *
+ * Reports are written to test-results/ocr-benchmark/report-<timestamp>.json and .html.
+ */
+
+import dotenv from 'dotenv';
+import fs from 'fs';
+import path from 'path';
+import sharp from 'sharp';
+import { fileURLToPath } from 'url';
+import { getOCRService } from '../src/services/ocrService.js';
+import { getSemanticAnalyzer } from '../src/utils/semanticAnalyzer.js';
+import { characterErrorRate, wordErrorRate, evaluateElements } from '../src/utils/ocrMetrics.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+dotenv.config({ path: path.join(__dirname, '..', '.env') });
+
+const OUTPUT_DIR = path.join(__dirname, '..', 'test-results', 'ocr-benchmark');
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg'];
+const TOLERANCE = 0.01; // Metric changes smaller than this are noise, not regressions
+
+// Metrics compared with the baseline; higherIsBetter decides which direction is a regression
+const METRICS = [
+  { key: 'cer', label: 'CER', higherIsBetter: false },
+  { key: 'wer', label: 'WER', higherIsBetter: false },
+  { key: 'meanIoU', label: 'Box IoU', higherIsBetter: true },
+  { key: 'boxRecall', label: 'Box recall', higherIsBetter: true },
+  { key: 'typePrecision', label: 'Type precision', higherIsBetter: true },
+  { key: 'typeRecall', label: 'Type recall', higherIsBetter: true },
+  { key: 'latencyMedian', label: 'Latency (median ms)', higherIsBetter: false, latency: true }
+];
+
+function parseArgs(argv) {
+  const args = {
+    dataset: process.env.OCR_BENCHMARK_DATASET || null,
+    engines: null,
+    presets: null,
+    granularity: null,
+    refine: true,
+    baseline: path.join(OUTPUT_DIR, 'baseline.json'),
+    saveBaseline: false,
+    failOnRegression: false
+  };
+  const list = value => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case '--engines': args.engines = list(argv[++i]); break;
+      case '--presets': args.presets = list(argv[++i]); break;
+      case '--granularity': args.granularity = argv[++i]; break;
+      case '--no-refine': args.refine = false; break;
+      case '--baseline': args.baseline = path.resolve(argv[++i]); break;
+      case '--save-baseline': args.saveBaseline = true; break;
+      case '--fail-on-regression': args.failOnRegression = true; break;
+      default:
+        if (arg.startsWith('--')) {
+          throw new Error(`Unknown option: ${arg}`);
+        }
+        args.dataset = arg;
+    }
+  }
+  return args;
+}
+
+/**
+ * Images with their ground truth
+ */
+function loadDataset(dir) {
+  const samples = [];
+  for (const file of fs.readdirSync(dir).sort()) {
+    const extension = path.extname(file).toLowerCase();
+    if (!IMAGE_EXTENSIONS.includes(extension)) continue;
+
+    const truthPath = path.join(dir, `${path.basename(file, path.extname(file))}.json`);
+    if (!fs.existsSync(truthPath)) {
+      console.warn(`⚠️  Skipping ${file}: no ground truth (${path.basename(truthPath)})`);
+      continue;
+    }
+    const truth = JSON.parse(fs.readFileSync(truthPath, 'utf8'));
+    const elements = truth.elements || [];
+    samples.push({
+      name: file,
+      imagePath: path.join(dir, file),
+      text: truth.text ?? elements.map(element => element.text).filter(Boolean).join('\n'),
+      elements,
+      languages: truth.languages || null,
+      app: truth.app || null
+    });
+  }
+  return samples;
+}
+
+/**
+ * Read one image with one engine and preset, and score it
+ */
+async function runSample(sample, engine, preset, options) {
+  const ocrService = getOCRService();
+  const analyzer = getSemanticAnalyzer();
+
+  ocrService.clearCache(); // Every run is timed from scratch
+  const start = Date.now();
+  const result = await ocrService.analyze(sample.imagePath, {
+    engines: [engine],
+    preprocess: preset,
+    languages: sample.languages,
+    app: sample.app,
+    refine: options.refine
+  });
+  const latency = Date.now() - start;
+
+  const { width, height } = await sharp(sample.imagePath).metadata();
+  const elements = analyzer.elementsFromOCR(result, { width, height }, { granularity: options.granularity, app: sample.app });
+  const hypothesis = result.blocks
+    ? result.blocks.map(block => block.text).join('\n')
+    : result.words.map(word => word.text).join(' ');
+  const scores = evaluateElements(
+    sample.elements,
+    elements.map(element => ({ type: element.type, bbox: element.physicalBbox }))
+  );
+
+  return {
+    image: sample.name,
+    cer: characterErrorRate(sample.text, hypothesis),
+    wer: wordErrorRate(sample.text, hypothesis),
+    ...scores,
+    latency,
+    words: result.words.length,
+    elements: elements.length
+  };
+}
+
+/**
+ * Averages over the images of one run (failed images only count as errors)
+ */
+function summarize(samples) {
+  const scored = samples.filter(sample => !sample.error);
+  const mean = key => scored.length > 0 ? scored.reduce((sum, sample) => sum + sample[key], 0) / scored.length : null;
+  const latencies = scored.map(sample => sample.latency).sort((a, b) => a - b);
+  const percentile = p => latencies.length > 0 ? latencies[Math.min(latencies.length - 1, Math.floor(p * latencies.length))] : null;
+
+  // Element types are pooled over all images before computing precision and recall
+  const types = {};
+  for (const sample of scored) {
+    for (const [type, stats] of Object.entries(sample.types)) {
+      types[type] = types[type] || { truePositives: 0, falsePositives: 0, falseNegatives: 0 };
+      types[type].truePositives += stats.truePositives;
+      types[type].falsePositives += stats.falsePositives;
+      types[type].falseNegatives += stats.falseNegatives;
+    }
+  }
+  for (const stats of Object.values(types)) {
+    stats.precision = stats.truePositives + stats.falsePositives > 0
+      ? stats.truePositives / (stats.truePositives + stats.falsePositives) : 1;
+    stats.recall = stats.truePositives + stats.falseNegatives > 0
+      ? stats.truePositives / (stats.truePositives + stats.falseNegatives) : 1;
+  }
+
+  return {
+    images: samples.length,
+    errors: samples.length - scored.length,
+    cer: mean('cer'),
+    wer: mean('wer'),
+    meanIoU: mean('meanIoU'),
+    boxPrecision: mean('boxPrecision'),
+    boxRecall: mean('boxRecall'),
+    typePrecision: mean('typePrecision'),
+    typeRecall: mean('typeRecall'),
+    latencyMean: mean('latency'),
+    latencyMedian: percentile(0.5),
+    latencyP95: percentile(0.95),
+    types
+  };
+}
+
+/**
+ * Metric changes against the baseline's run with the same engine and preset
+ */
+function compare(runs, baseline) {
+  if (!baseline) return null;
+  const previous = new Map(baseline.runs.map(run => [run.key, run.summary]));
+  const regressions = [];
+  const deltas = {};
+
+  for (const run of runs) {
+    const before = previous.get(run.key);
+    if (!before) continue;
+    deltas[run.key] = {};
+    for (const metric of METRICS) {
+      if (run.summary[metric.key] === null || before[metric.key] === null || before[metric.key] === undefined) continue;
+      const delta = run.summary[metric.key] - before[metric.key];
+      deltas[run.key][metric.key] = delta;
+      // Latency is reported but too noisy to fail a run on
+      const worse = metric.higherIsBetter ? delta < -TOLERANCE : delta > TOLERANCE;
+      if (worse && !metric.latency) {
+        regressions.push({ run: run.key, metric: metric.key, before: before[metric.key], after: run.summary[metric.key] });
+      }
+    }
+  }
+  return { baselineCreatedAt: baseline.createdAt, deltas, regressions };
+}
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[char]);
+}
+
+function formatMetric(value, latency = false) {
+  if (value === null || value === undefined) return '–';
+  return latency ? `${Math.round(value)}` : value.toFixed(3);
+}
+
+function renderHtml(report) {
+  const deltaCell = (key, metric) => {
+    const delta = report.comparison?.deltas[key]?.[metric.key];
+    if (delta === undefined) return '';
+    const better = metric.higherIsBetter ? delta > 0 : delta < 0;
+    const color = Math.abs(delta) < (metric.latency ? 1 : TOLERANCE) ? '#666' : better ? '#1a7f37' : '#cf222e';
+    return ` <small style="color:${color}">(${delta > 0 ? '+' : ''}${formatMetric(delta, metric.latency)})</small>`;
+  };
+
+  const summaryRows = report.runs.map(run => `
+      <tr>
+        <td>${escapeHtml(run.engine)}</td>
+        <td>${escapeHtml(run.preset)}</td>
+        ${METRICS.map(metric => `<td>${formatMetric(run.summary[metric.key], metric.latency)}${deltaCell(run.key, metric)}</td>`).join('')}
+        <td>${run.summary.errors}</td>
+      </tr>`).join('');
+
+  const detailSections = report.runs.map(run => `
+    <h3>${escapeHtml(run.engine)} / ${escapeHtml(run.preset)}</h3>
+    <table>
+      <tr><th>Image</th><th>CER</th><th>WER</th><th>Box IoU</th><th>Box recall</th><th>Type precision</th><th>Type recall</th><th>Latency (ms)</th></tr>
+      ${run.samples.map(sample => sample.error
+        ? `<tr><td>${escapeHtml(sample.image)}</td><td colspan="7" style="color:#cf222e">${escapeHtml(sample.error)}</td></tr>`
+        : `<tr><td>${escapeHtml(sample.image)}</td>${['cer', 'wer', 'meanIoU', 'boxRecall', 'typePrecision', 'typeRecall']
+          .map(key => `<td>${formatMetric(sample[key])}</td>`).join('')}<td>${sample.latency}</td></tr>`).join('')}
+    </table>`).join('');
+
+  const regressions = report.comparison?.regressions || [];
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>OCR benchmark ${escapeHtml(report.createdAt)}</title>
+  <style>
+    body { font-family: -apple-system, sans-serif; margin: 2em; }
+    table { border-collapse: collapse; margin-bottom: 1.5em; }
+    th, td { border: 1px solid #ddd; padding: 4px 8px; text-align: right; }
+    th:first-child, td:first-child, td:nth-child(2) { text-align: left; }
+  </style>
+</head>
+<body>
+  <h1>OCR benchmark</h1>
+  <p>${report.dataset.images} image(s) from <code>${escapeHtml(report.dataset.path)}</code>, granularity ${escapeHtml(report.options.granularity)},
+    refinement ${report.options.refine ? 'on' : 'off'}, ${escapeHtml(report.createdAt)}</p>
+  ${report.comparison
+    ? `<p>Compared with the baseline from ${escapeHtml(report.comparison.baselineCreatedAt)}:
+      ${regressions.length > 0 ? `<strong style="color:#cf222e">${regressions.length} regression(s)</strong>` : 'no regressions'}</p>`
+    : '<p>No baseline to compare with.</p>'}
+  <table>
+    <tr><th>Engine</th><th>Preset</th>${METRICS.map(metric => `<th>${metric.label}</th>`).join('')}<th>Errors</th></tr>
+    ${summaryRows}
+  </table>
+  <h2>Per image</h2>
+  ${detailSections}
+</body>
+</html>
+`;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.dataset) {
+    console.error('Usage: node scripts/ocr-benchmark.js <dataset-dir> [--engines a,b] [--presets a,b] [--no-refine] [--save-baseline]');
+    process.exit(1);
+  }
+
+  const samples = loadDataset(path.resolve(args.dataset));
+  if (samples.length === 0) {
+    console.error(`❌ No images with ground truth in ${args.dataset}`);
+    process.exit(1);
+  }
+
+  const ocrService = getOCRService();
+  const engines = args.engines ||
+    (await ocrService.listEngines()).filter(engine => engine.available).map(engine => engine.name);
+  const presets = args.presets ||
+    (await ocrService.preprocessor.listPresets()).map(preset => preset.name);
+  const granularity = args.granularity || getSemanticAnalyzer().granularity;
+
+  console.log(`📏 OCR benchmark: ${samples.length} image(s) × ${engines.length} engine(s) × ${presets.length} preset(s)`);
+
+  const runs = [];
+  for (const engine of engines) {
+    for (const preset of presets) {
+      const key = `${engine}/${preset}`;
+      const results = [];
+      for (const sample of samples) {
+        try {
+          results.push(await runSample(sample, engine, preset, { refine: args.refine, granularity }));
+        } catch (error) {
+          console.warn(`⚠️  ${key} failed on ${sample.name}:`, error.message);
+          results.push({ image: sample.name, error: error.message });
+        }
+      }
+      const summary = summarize(results);
+      runs.push({ key, engine, preset, summary, samples: results });
+      console.log(`  ${key}: CER ${formatMetric(summary.cer)}, WER ${formatMetric(summary.wer)}, ` +
+        `IoU ${formatMetric(summary.meanIoU)}, median ${formatMetric(summary.latencyMedian, true)}ms` +
+        (summary.errors > 0 ? `, ${summary.errors} error(s)` : ''));
+    }
+  }
+
+  const baseline = fs.existsSync(args.baseline) ? JSON.parse(fs.readFileSync(args.baseline, 'utf8')) : null;
+  const report = {
+    createdAt: new Date().toISOString(),
+    dataset: { path: path.resolve(args.dataset), images: samples.length },
+    options: { engines, presets, granularity, refine: args.refine },
+    runs,
+    comparison: compare(runs, baseline)
+  };
+
+  fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+  const stamp = report.createdAt.replace(/[:.]/g, '-');
+  const jsonPath = path.join(OUTPUT_DIR, `report-${stamp}.json`);
+  const htmlPath = path.join(OUTPUT_DIR, `report-${stamp}.html`);
+  fs.writeFileSync(jsonPath, JSON.stringify(report, null, 2));
+  fs.writeFileSync(htmlPath, renderHtml(report));
+  console.log(`📄 Report: ${jsonPath}`);
+  console.log(`📄 Report: ${htmlPath}`);
+
+  if (args.saveBaseline) {
+    fs.mkdirSync(path.dirname(args.baseline), { recursive: true });
+    fs.writeFileSync(args.baseline, JSON.stringify({ createdAt: report.createdAt, options: report.options, runs }, null, 2));
+    console.log(`💾 Baseline saved: ${args.baseline}`);
+  }
+
+  const regressions = report.comparison?.regressions || [];
+  for (const regression of regressions) {
+    console.warn(`📉 ${regression.run} ${regression.metric}: ${formatMetric(regression.before)} → ${formatMetric(regression.after)}`);
+  }
+
+  process.exit(args.failOnRegression && regressions.length > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error('❌ OCR benchmark failed:', error);
+  process.exit(1);
+});
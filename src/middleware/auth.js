@@ -1,10 +1,14 @@
 import logger from '../utils/logger.js';
 
-const authMiddleware = (req, res, next) => {
+/**
+ * Check the API key of a request
+ * @param {string|null} queryKey - Key from the query string, for clients that can't set headers
+ */
+const authenticate = (req, res, next, queryKey = null) => {
   console.log('🔐 [AUTH] Middleware hit:', req.method, req.path);
   logger.info('🔐 [AUTH] Middleware hit:', { path: req.path, method: req.method });
   try {
-    const apiKey = req.headers['x-api-key'] || req.headers['authorization']?.replace('Bearer ', '');
+    const apiKey = req.headers['x-api-key'] || req.headers['authorization']?.replace('Bearer ', '') || queryKey;
     console.log('🔐 [AUTH] API key present:', !!apiKey);
     logger.info('🔐 [AUTH] API key present:', !!apiKey);
     
@@ -39,4 +43,13 @@ const authMiddleware = (req, res, next) => {
   }
 };
 
+const authMiddleware = (req, res, next) => authenticate(req, res, next);
+
+/**
+ * Also accepts the key as ?apiKey=... (browser EventSource can't set headers). Mount it
+ * on streams only, since URLs end up in logs and browser history.
+ */
+export const queryKeyAuthMiddleware = (req, res, next) =>
+  authenticate(req, res, next, typeof req.query.apiKey === 'string' ? req.query.apiKey : null);
+
 export default authMiddleware;
@@ -1,6 +1,6 @@
 import express from 'express';
 import logger from '../utils/logger.js';
-import screenshot from 'screenshot-desktop';
+import { getCaptureService, resolveRequestCapture } from '../services/captureService.js';
 import fetch from 'node-fetch';
 import sharp from 'sharp';
 
@@ -21,7 +21,9 @@ const router = express.Router();
  * {
  *   "query": "List all the email titles on my screen",
  *   "speedMode": "fast" | "balanced" | "accurate" (optional, default: "fast"),
- *   "stream": true | false (optional, default: false)
+ *   "stream": true | false (optional, default: false),
+ *   "capture": "live" | { "provider": "file", "path": "..." } (optional, default: CAPTURE_PROVIDER;
+ *              paths only under IMAGE_ROOT)
  * }
  */
 router.post('/', async (req, res) => {
@@ -31,7 +33,7 @@ router.post('/', async (req, res) => {
   try {
     // Support both MCP envelope format and direct payload
     const payload = req.body.payload || req.body;
-    const { query, speedMode = 'fast', stream = false, provider = 'openai' } = payload;
+    const { query, speedMode = 'fast', stream = false, provider = 'openai', capture: captureSpec = null } = payload;
     
     console.log('🚨 [ANALYZE-VISION] Payload extracted:', { query, speedMode, stream });
     logger.info('🚨 [ANALYZE-VISION] Payload extracted:', { query, speedMode, stream });
@@ -43,11 +45,24 @@ router.post('/', async (req, res) => {
       });
     }
     
+    let capture = null;
+    if (captureSpec) {
+      try {
+        capture = resolveRequestCapture(captureSpec);
+      } catch (captureError) {
+        return res.status(400).json({
+          success: false,
+          error: captureError.message
+        });
+      }
+    }
+
     logger.info('Backend vision analysis', { query, speedMode, stream });
     
     // 1. Capture screenshot
     logger.info('📸 Capturing screenshot...');
-    const screenshotBuffer = await screenshot({ format: 'png' });
+    const { buffer: screenshotBuffer, cleanup } = await getCaptureService().capture({ provider: capture });
+    await cleanup(); // Only the buffer is sent
     
     // 2. Compress and resize image for faster upload/processing
     // Resize to 1280x720 (or proportional) - optimal for UI analysis
@@ -1,12 +1,16 @@
 import express from 'express';
 import logger from '../utils/logger.js';
 import { getOverlayManager } from '../services/overlay-manager.js';
-import { detectScreenContext } from '../utils/window-detector.js';
+import { detectScreenContext, getDisplays, resolveDisplay, findWindowStack } from '../utils/window-detector.js';
 import { analyzeContext, getSelectedText } from '../utils/window-analyzer.js';
 import { NutJsAnalyzer } from '../utils/nutJsAnalyzer.js';
 import { OCRAnalyzer } from '../utils/ocrAnalyzer.js';
 import { HybridAnalyzer } from '../utils/hybridAnalyzer.js';
 import { getSemanticAnalyzer } from '../utils/semanticAnalyzer.js';
+import { getOCRService } from '../services/ocrService.js';
+import { resolveRequestCapture, resolveRequestPath } from '../services/captureService.js';
+import { normalizeLanguages } from '../utils/languages.js';
+import { GRANULARITIES } from '../utils/textLayout.js';
 import screenshot from 'screenshot-desktop';
 import fetch from 'node-fetch';
 
@@ -44,9 +48,123 @@ const router = express.Router();
  *   "query": "How many files on my desktop?",
  *   "showOverlay": true,
  *   "includeScreenshot": false,
- *   "method": "auto" | "semantic" | "ocr" | "nutjs"
+ *   "method": "auto" | "semantic" | "ocr" | "nutjs",
+ *   "capture": "live" | { "provider": "file" | "directory", "path": "..." } (optional),
+ *   "image": { "base64": "...", "mimeType": "image/png" } | { "path": "/tmp/frame.png" } (optional),
+ *   "windowInfo": { "appName": "...", "title": "...", "url": "...", "x": 0, "y": 0, "width": 1440, "height": 900 } (optional),
+ *   "bounds": { "x": 0, "y": 0, "width": 1440, "height": 900 } (optional),
+ *   "display": "primary" | <display id> | <display name> | <index> (optional),
+ *   "ocrEngines": ["apple_vision", "tesseract"] (optional, semantic method),
+ *   "languages": ["deu", "eng"] | "deu+eng" | "auto" (optional, semantic/ocr/auto methods),
+ *   "preprocess": "standard" | "dark" | "small_text" | "binarize" | "none" | <custom preset> (optional, semantic method),
+ *   "granularity": "word" | "line" | "paragraph" | "block" (optional, semantic method),
+ *   "refine": true (optional, semantic method; false skips the low-confidence second pass),
+ *   "stream": false (optional, reply with Server-Sent Events)
  * }
  * 
+ * Caller-supplied images:
+ * When "image" is set, the image is analyzed instead of the live desktop. Window
+ * detection and selected-text capture are skipped; "windowInfo" labels the result
+ * (app, title, url) and "bounds" is the screen rectangle the image covers, so OCR
+ * boxes are reported in screen coordinates. Supported by the semantic, ocr and
+ * auto methods (auto always uses OCR for images).
+ * Paths ("image.path" and file/directory "capture" specs) are only read under
+ * IMAGE_ROOT, and relative paths are taken from there. Without IMAGE_ROOT, only
+ * base64 images are accepted.
+ * 
+ * Multiple monitors:
+ * "display" restricts window detection and capture to one display. Without it the
+ * display of the frontmost window is captured. Element positions are always in the
+ * global virtual-desktop space (display origin + offset), so they can be passed to
+ * the click and overlay endpoints as-is. For supplied images, "display" stands in
+ * for "bounds" (the image shows that whole display).
+ * 
+ * Window cropping (semantic method):
+ * The capture is cropped to the target window, and parts covered by windows
+ * stacked above it are masked out, so elements from other windows are not
+ * indexed under the target. Window geometry comes from detection, from
+ * windowInfo's x/y/width/height, or from a window lookup by app and title.
+ * Without geometry the whole capture is analyzed.
+ * 
+ * OCR engines (semantic method):
+ * "ocrEngines" is the engine fallback chain for this request. Without it the app's
+ * chain from OCR_ENGINES_CONFIG is used, then the default chain.
+ * 
+ * Languages:
+ * "languages" lists the Tesseract language codes to read. Without it the app's
+ * languages from OCR_ENGINES_CONFIG are used, then the script detected in the
+ * image (when osd.traineddata is in TESSDATA_DIR), then OCR_LANGUAGES. "auto"
+ * skips the app's languages and always detects the script. Engines that cannot
+ * read the languages are skipped; the UI element heuristics use the vocabulary
+ * of the languages read.
+ * 
+ * OCR preprocessing (semantic method):
+ * "preprocess" picks the preset that cleans the image up before OCR (dark-mode
+ * inversion, upscaling of small text, contrast normalization, binarization).
+ * Without it the app's preset from OCR_ENGINES_CONFIG is used, then OCR_PREPROCESS
+ * ("standard" by default). The result's "ocr.preprocessing" records the preset and
+ * the stages it applied.
+ * 
+ * Element granularity (semantic method):
+ * OCR text is grouped into blocks, paragraphs and lines (Tesseract's own structure,
+ * or clustered from word positions for other engines). "granularity" picks the unit
+ * each element is made from. "line" (default: SEMANTIC_GRANULARITY) keeps phrases
+ * like "Save changes" together but splits a line at gaps wider than the text height,
+ * so neighbouring toolbar buttons stay separate elements.
+ * 
+ * Low-confidence refinement (semantic method):
+ * Lines read with a confidence below OCR_REFINE_THRESHOLD are cropped, upscaled
+ * and read again as single lines; the better reading is kept. Each element carries
+ * "ocrConfidence" and "ocrConfidenceBefore" (null when the first reading was kept),
+ * and "ocr.refinement" lists every line that was re-read. "refine": false skips
+ * the pass (default: OCR_REFINE).
+ * 
+ * Tables (semantic method):
+ * Elements whose text lines up in rows and columns (spreadsheets, dashboards,
+ * email lists) are returned as "structuredData.tables": columns (named after the
+ * header row when one is found), rows of cells with boxes and element ids, and
+ * "csv" / "json" renderings. Ruling lines in the capture set column boundaries
+ * and join wrapped cells. Table cells get their row as parentId, and every table
+ * and row is indexed so /element.search can find it.
+ * 
+ * Code and terminals (semantic method):
+ * Text in a monospace font (editors, IDEs, terminals) is rebuilt from the OCR
+ * word positions with its indentation, columns and blank lines, and returned as
+ * "structuredData.codeBlocks" with a language, the lines and their boxes. Terminal
+ * text is split into "commands" (prompt, command, output). "llmContext.code" holds
+ * the same text as Markdown fenced blocks with the screen area each was read from.
+ * 
+ * Visual controls (semantic method):
+ * Buttons, text fields, checkboxes, radio buttons, icons, separators and boxed
+ * containers are found in the pixels (edges and their outlines, no model), so
+ * controls without text are elements too. The OCR text inside a button or field
+ * becomes its text; a checkbox takes the label beside it, which becomes its child.
+ * These elements carry "attributes": { shape: rectangle | rounded | pill | line | blob, filled }.
+ * With a UI-detection model installed (UI_DETECTOR_MODEL), its detections come first
+ * ("source": "model", "attributes": { label: model class }) and the pixel detector
+ * only adds what the model missed.
+ * Text-less icons and icon buttons are named from the icon library (settings, trash,
+ * share, close, ...): "iconType" holds the name, "attributes.icon" the label and match
+ * score, and llmContext.structured.icons lists them.
+ * Controls carry "state": { checked, selected, disabled, focused } estimated from
+ * the pixels around them (tick or fill, highlighted among siblings, greyed out,
+ * accent focus ring); each is true, false or null where it doesn't apply.
+ * 
+ * Layout (semantic method):
+ * The capture is segmented into regions (menu_bar, toolbar, sidebar, list,
+ * content_pane, dialog, footer, section) at whitespace gaps and image edges.
+ * "structuredData.layout" lists them parents first, with their box, parentId and
+ * elementIds. Elements get their region as parentId (table cells keep their row) and
+ * a "hierarchyPath" such as ["sidebar", "list", "menu-item"]. Regions are indexed as
+ * subtrees, so /element.search finds them and GET /element.subtree/:id returns them.
+ * 
+ * Streaming:
+ * With "stream": true the reply is a Server-Sent Events stream. While the semantic
+ * method reads a large frame in tiles, each finished tile is sent as an "ocr.partial"
+ * event ({ words (screen coordinates), progress: { done, total }, engine }). The
+ * stream ends with a "result" event carrying the usual response body, or an "error"
+ * event. Request validation errors are still plain JSON responses.
+ * 
  * Methods:
  * - "auto" (default): HybridAnalyzer intelligently selects best method
  * - "semantic": OWLv2 + OCR + DuckDB (best for UI understanding, slower)
@@ -54,17 +172,23 @@ const router = express.Router();
  * - "nutjs": Native text capture (fastest, accessibility-based)
  * 
  * Note: This endpoint performs on-demand analysis. For continuous streaming,
- * use the ScreenWatcher service (Phase 2) which auto-indexes to DuckDB.
+ * use the ScreenWatcher service (POST /watcher/start) which auto-indexes to DuckDB.
  */
 router.post('/', async (req, res) => {
   console.log('🚨 [ANALYZE] Route hit! Request received');
   logger.info('🚨 [ANALYZE] Route hit! Request received');
+  let stream = null; // Set once the reply has switched to Server-Sent Events
   try {
     // Support both MCP envelope format and direct payload
     const payload = req.body.payload || req.body;
-    console.log('🚨 [ANALYZE] Payload extracted:', JSON.stringify(payload, null, 2));
-    logger.info('🚨 [ANALYZE] Payload extracted:', JSON.stringify(payload, null, 2));
-    const { query, showOverlay = false, includeScreenshot = false, method = 'auto', windowInfo } = payload;
+    // Don't dump supplied image data into the logs
+    const loggedPayload = payload.image?.base64
+      ? { ...payload, image: { ...payload.image, base64: `<${payload.image.base64.length} chars>` } }
+      : payload;
+    console.log('🚨 [ANALYZE] Payload extracted:', JSON.stringify(loggedPayload, null, 2));
+    logger.info('🚨 [ANALYZE] Payload extracted:', JSON.stringify(loggedPayload, null, 2));
+    const { query, showOverlay = false, includeScreenshot = false, method = 'auto', windowInfo, image, display: displaySelector = null } = payload;
+    let { bounds = null } = payload;
     
     if (!query) {
       return res.status(400).json({
@@ -73,31 +197,165 @@ router.post('/', async (req, res) => {
       });
     }
     
-    logger.info('Screen analysis', { query, showOverlay, includeScreenshot, method });
+    const ocrEngines = payload.ocrEngines || null;
+    let languages = payload.languages || null;
+    const preprocess = payload.preprocess ?? null;
+    const granularity = payload.granularity || undefined;
+    const refine = payload.refine ?? null;
+    if (refine !== null && typeof refine !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'refine must be true or false'
+      });
+    }
+    if (granularity && !GRANULARITIES.includes(granularity)) {
+      return res.status(400).json({
+        success: false,
+        error: `granularity must be one of: ${GRANULARITIES.join(', ')}`
+      });
+    }
+    if (ocrEngines || languages || preprocess !== null) {
+      try {
+        if (ocrEngines && (!Array.isArray(ocrEngines) || !ocrEngines.every(name => typeof name === 'string'))) {
+          throw new Error('ocrEngines must be an array of engine names');
+        }
+        if (languages !== 'auto') {
+          languages = normalizeLanguages(languages);
+        }
+        if (ocrEngines) {
+          await getOCRService().resolveChain({ engines: ocrEngines, languages: Array.isArray(languages) ? languages : null });
+        }
+        if (preprocess !== null) {
+          if (typeof preprocess !== 'string' && preprocess !== false) {
+            throw new Error('preprocess must be a preset name or false');
+          }
+          await getOCRService().preprocessor.resolvePreset({ preset: preprocess });
+        }
+      } catch (engineError) {
+        return res.status(400).json({
+          success: false,
+          error: engineError.message
+        });
+      }
+    }
+    
+    let capture = null;
+    if (payload.capture) {
+      try {
+        capture = resolveRequestCapture(payload.capture);
+      } catch (captureError) {
+        return res.status(400).json({
+          success: false,
+          error: captureError.message
+        });
+      }
+    }
+    if (image) {
+      if (method === 'nutjs') {
+        return res.status(400).json({
+          success: false,
+          error: 'The nutjs method reads the live screen and cannot analyze a supplied image'
+        });
+      }
+
+      try {
+        capture = resolveImageCapture(image);
+      } catch (imageError) {
+        return res.status(400).json({
+          success: false,
+          error: imageError.message
+        });
+      }
+    }
+
+    logger.info('Screen analysis', { query, showOverlay, includeScreenshot, method, suppliedImage: !!image, display: displaySelector });
     logger.info('📦 [ANALYZE] Received windowInfo:', JSON.stringify(windowInfo, null, 2));
 
     // 1. Detect screen context (fullscreen or all windows)
     // If windowInfo is provided in payload, use it directly (for on-demand captures)
     let context;
     let targetWindow;
+    let display = null;
+    let occluders = []; // Windows stacked above the target (semantic cropping)
     
-    if (windowInfo && windowInfo.appName) {
+    if (image) {
+      // The image shows a whole display: use its global rectangle as the image bounds
+      if (displaySelector !== null) {
+        display = resolveDisplay(displaySelector, await getDisplays());
+        if (!display) {
+          return res.status(400).json({
+            success: false,
+            error: `Unknown display: ${displaySelector}`
+          });
+        }
+        bounds = bounds || display.bounds;
+      }
+
+      // Supplied image: the live desktop is irrelevant, label the result from windowInfo
+      targetWindow = {
+        appName: windowInfo?.appName || 'Unknown',
+        title: windowInfo?.title || '',
+        url: windowInfo?.url || null,
+        ...windowGeometry(windowInfo)
+      };
+      context = {
+        windows: [targetWindow],
+        primary: targetWindow,
+        strategy: 'provided_image'
+      };
+    } else if (windowInfo && windowInfo.appName) {
       // Use provided window info directly
       logger.info('✅ [ANALYZE] Using provided windowInfo from payload', windowInfo);
       targetWindow = {
         appName: windowInfo.appName,
         title: windowInfo.title || '',
-        url: windowInfo.url || null
+        url: windowInfo.url || null,
+        ...windowGeometry(windowInfo)
       };
+
+      if (method === 'semantic') {
+        // Look the window up for its geometry and the windows covering it
+        const stack = await findWindowStack(targetWindow);
+        if (stack) {
+          targetWindow = { ...windowGeometry(stack.window), ...targetWindow };
+          occluders = stack.above;
+        }
+      }
+
       context = {
         windows: [targetWindow],
         primary: targetWindow,
         strategy: 'provided'
       };
+
+      if (displaySelector !== null) {
+        display = resolveDisplay(displaySelector, await getDisplays());
+        if (!display) {
+          return res.status(400).json({
+            success: false,
+            error: `Unknown display: ${displaySelector}`
+          });
+        }
+      }
     } else {
       // Detect screen context automatically
-      context = await detectScreenContext();
+      context = await detectScreenContext({ display: displaySelector });
       logger.info('Detected context', context);
+      display = context.display || null;
+
+      if (context.strategy === 'unknown_display') {
+        return res.status(400).json({
+          success: false,
+          error: context.error,
+          displays: context.displays.map(summarizeDisplay)
+        });
+      }
+
+      if ((!context.windows || context.windows.length === 0) && display && displaySelector !== null) {
+        // Nothing open on the requested display - analyze the bare display
+        const desktop = { appName: 'Desktop', title: display.name || String(display.id), displayId: display.id };
+        context = { ...context, windows: [desktop], primary: desktop, strategy: 'empty_display' };
+      }
       
       if (!context.windows || context.windows.length === 0) {
         return res.status(404).json({
@@ -110,15 +368,18 @@ router.post('/', async (req, res) => {
       // CRITICAL: For semantic analysis, always use the primary/frontmost window
       // context.windows may contain background windows that aren't actually visible
       targetWindow = context.primary || context.windows[0];
+      const targetIndex = context.windows.indexOf(targetWindow);
+      occluders = targetIndex > 0 ? context.windows.slice(0, targetIndex) : [];
     }
     
     logger.info('Target window for analysis', { 
       app: targetWindow.appName, 
-      title: targetWindow.title 
+      title: targetWindow.title,
+      display: display?.id
     });
 
-    // 2. Get selected text from frontmost app (if any)
-    const selectedText = await getSelectedText();
+    // 2. Get selected text from frontmost app (if any) - not meaningful for supplied images
+    const selectedText = image ? null : await getSelectedText();
     if (selectedText) {
       logger.info('Found selected text', { length: selectedText.length });
     }
@@ -126,6 +387,7 @@ router.post('/', async (req, res) => {
     // 3. Run analysis with selected method (auto/nutjs/ocr/semantic)
     logger.info(`🚀 Running ${method} analysis...`);
     const startTime = Date.now();
+    stream = payload.stream === true ? openAnalysisStream(res) : null;
     
     let analysisResult;
     let selectedMethod = method;
@@ -135,22 +397,42 @@ router.post('/', async (req, res) => {
       analysisResult = await semanticAnalyzer.captureAndAnalyze({
         debounce: true,
         windowInfo: targetWindow,
+        capture,
+        bounds,
+        display,
+        occluders,
+        ocrEngines,
+        languages,
+        preprocess,
+        granularity,
+        refine,
+        onPartial: stream ? partial => stream.send('ocr.partial', partial) : null,
         skipEmbedding: req.body.skipEmbedding || false // Skip embedding for simple queries
       });
       selectedMethod = 'semantic';
     } else if (method === 'auto') {
       // Use HybridAnalyzer for intelligent selection
+      // Supplied images can only be read with OCR (no NutJS fallback either)
       analysisResult = await hybridAnalyzer.analyze({
-        method: 'auto',
-        fallback: true,
-        windowInfo: targetWindow
+        method: image ? 'ocr' : 'auto',
+        fallback: !image,
+        debounce: !image, // Debouncing guards live captures only
+        windowInfo: targetWindow,
+        capture,
+        bounds,
+        display,
+        languages
       });
       selectedMethod = analysisResult?.selectedMethod || 'nutjs';
     } else if (method === 'ocr') {
       // Force OCR
       analysisResult = await ocrAnalyzer.captureAndAnalyze({
-        debounce: true,
-        windowInfo: context.windows[0] || {}
+        debounce: !image, // Debouncing guards live captures only
+        windowInfo: context.windows[0] || {},
+        capture,
+        bounds,
+        display,
+        languages
       });
       selectedMethod = 'ocr';
     } else {
@@ -164,21 +446,31 @@ router.post('/', async (req, res) => {
     }
 
     if (!analysisResult) {
-      return res.status(500).json({
+      const failure = {
         success: false,
         error: `Failed to capture screen with ${method} method`
-      });
+      };
+      return stream ? stream.end('error', failure) : res.status(500).json(failure);
     }
 
     const elapsed = Date.now() - startTime;
 
     // 4. Convert to elements format
     const elements = analysisResult.elements.map(el => ({
+      id: el.id ?? null,
       role: el.type,
       label: el.text,
       value: el.text,
       confidence: analysisResult.confidence || 0.9,
       source: selectedMethod,
+      ocrConfidence: el.ocrConfidence ?? null,
+      ocrConfidenceBefore: el.ocrConfidenceBefore ?? null,
+      rulesFired: el.rulesFired || [], // Classification rules, highest priority first (GET /classification/screens/:screenId)
+      parentId: el.parentId ?? null, // Layout region or table row
+      hierarchyPath: el.hierarchyPath || [],
+      iconType: el.iconType ?? null, // Icon library name (settings, trash, share, ...)
+      state: el.state ?? null, // { checked, selected, disabled, focused } (null: not estimated)
+      attributes: el.attributes ?? null, // Detected controls: { shape, filled } (pixels) or { label } (model class)
       position: el.position,
       dimensions: el.dimensions,
       style: el.style
@@ -195,8 +487,11 @@ router.post('/', async (req, res) => {
       screenId: analysisResult.screenId || null, // Include screen ID for semantic search filtering
       windowsAnalyzed: context.windows.map(w => ({
         app: w.appName,
-        title: w.title
+        title: w.title,
+        displayId: w.displayId ?? null
       })),
+      // Display the element coordinates were captured on (global virtual-desktop space)
+      display: summarizeDisplay(analysisResult.display || display),
       selectedText: selectedText || null,
       
       // LLM-friendly context (simple text, no embeddings needed)
@@ -214,6 +509,9 @@ router.post('/', async (req, res) => {
       structuredData: {
         elements,
         structures: analysisResult.structures,
+        tables: analysisResult.tables || [],
+        codeBlocks: analysisResult.codeBlocks || [],
+        layout: analysisResult.layout || [],
         zones: analysisResult.zones,
         reconstruction: analysisResult.reconstruction,
         confidence: analysisResult.confidence
@@ -229,6 +527,8 @@ router.post('/', async (req, res) => {
       reconstruction: analysisResult.reconstruction,
       confidence: analysisResult.confidence,
       
+      // OCR engine, languages, preprocessing and refinement (semantic method)
+      ocr: analysisResult.ocr || null,
       fromCache: analysisResult.fromCache || false,
       model: 'local-inference',
       provider: selectedMethod,
@@ -245,17 +545,101 @@ router.post('/', async (req, res) => {
       fallbackUsed: analysisResult.fallbackUsed
     });
     
+    if (stream) {
+      return stream.end('result', response);
+    }
     res.json(response);
 
   } catch (error) {
     logger.error('Screen analysis failed', { error: error.message, stack: error.stack });
-    res.status(500).json({
+    const failure = {
       success: false,
       error: error.message
-    });
+    };
+    if (stream) {
+      return stream.end('error', failure);
+    }
+    res.status(500).json(failure);
   }
 });
 
+/**
+ * Switch the response to a Server-Sent Events stream
+ * @param {Object} res - Express response
+ * @returns {Object} { send(event, data), end(event, data) }
+ */
+function openAnalysisStream(res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // Don't let proxies buffer the stream
+  });
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  return {
+    send,
+    end: (event, data) => {
+      send(event, data);
+      res.end();
+    }
+  };
+}
+
+/**
+ * Screen rectangle of a window, if the caller or backend supplied one
+ * @param {Object} windowInfo - Window object
+ * @returns {Object} {x, y, width, height} or {} when unknown
+ */
+function windowGeometry(windowInfo) {
+  const { x, y, width, height } = windowInfo || {};
+  return [x, y, width, height].every(Number.isFinite) && width > 0 && height > 0
+    ? { x, y, width, height }
+    : {};
+}
+
+/**
+ * Public view of a display (drops backend-specific capture ids)
+ * @param {Object} display - Display from getDisplays() or a capture
+ * @returns {Object|null} {id, name, bounds, scaleFactor, primary}
+ */
+function summarizeDisplay(display) {
+  if (!display) return null;
+  const { id, name, bounds, scaleFactor = 1, primary } = display;
+  return { id, name, bounds, scaleFactor, ...(primary !== undefined && { primary }) };
+}
+
+/**
+ * Build a capture provider spec for a caller-supplied image
+ * @param {Object} image - { base64, mimeType } or { path } (under IMAGE_ROOT)
+ * @returns {Object} Capture provider spec
+ * @throws {Error} For invalid images and paths outside IMAGE_ROOT
+ */
+function resolveImageCapture(image) {
+  if (image.path) {
+    return { provider: 'file', path: resolveRequestPath(image.path) };
+  }
+
+  if (!image.base64) {
+    throw new Error('image requires either base64 or path');
+  }
+
+  // Accept data URLs as well as bare base64 strings
+  const dataUrl = /^data:([^;]+);base64,(.*)$/s.exec(image.base64);
+  const mimeType = dataUrl ? dataUrl[1] : (image.mimeType || 'image/png');
+  if (!mimeType.startsWith('image/')) {
+    throw new Error(`Unsupported image mimeType: ${mimeType}`);
+  }
+
+  const buffer = Buffer.from(dataUrl ? dataUrl[2] : image.base64, 'base64');
+  if (buffer.length === 0) {
+    throw new Error('image.base64 is empty or not valid base64');
+  }
+
+  return { provider: 'buffer', buffer, label: `request:${mimeType}` };
+}
+
 // REMOVED: /screen/analyze-fast endpoint
 // Use main /screen/analyze with method='nutjs' instead
 
@@ -0,0 +1,174 @@
+/**
+ * Classification Route
+ * Rule packs that classify OCR elements, and the rules that fired on each element
+ * (see services/classificationRules.js for the pack format)
+ */
+
+import express from 'express';
+import logger from '../utils/logger.js';
+import { getClassificationRuleEngine } from '../services/classificationRules.js';
+import { getPersistentSemanticIndex } from '../services/persistentSemanticIndex.js';
+import { getSemanticAnalyzer } from '../utils/semanticAnalyzer.js';
+
+const router = express.Router();
+
+/**
+ * GET /classification/packs
+ * Loaded rule packs with their rules, in load order
+ */
+router.get('/packs', (req, res) => {
+  respond(res, () => getClassificationRuleEngine().listPacks(), 'packs');
+});
+
+/**
+ * POST /classification/reload
+ * Read the rule packs from disk again (built-in packs and CLASSIFICATION_RULE_PACKS)
+ *
+ * Response: { "success": true, "packs": [{ "name": "default", "rules": 20 }, ...] }
+ */
+router.post('/reload', (req, res) => {
+  respond(res, () => getClassificationRuleEngine().reload().map(pack => ({ name: pack.name, rules: pack.rules.length })), 'packs');
+});
+
+/**
+ * GET /classification/screens/:screenId
+ * Elements of an analyzed screen with the rules that fired on each one
+ *
+ * Query: elementId (optional) - only this element
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "elements": [{
+ *     "id": "...", "type": "button", "text": "Save", "clickable": true, "bbox": [x1, y1, x2, y2],
+ *     "rulesFired": [{ "rule": "default/button-action-word", "type": "button", "clickable": null,
+ *       "priority": 100, "confidence": 0.8, "applied": ["type"] }, ...]
+ *   }]
+ * }
+ * "applied" names what the rule decided (type, clickable); rules are listed highest priority first.
+ */
+router.get('/screens/:screenId', (req, res) => {
+  respond(res, async () => {
+    const nodes = await screenNodes(req.params.screenId);
+    const elementId = req.query.elementId;
+    const selected = elementId ? nodes.filter(node => node.id === elementId) : nodes;
+    if (elementId && selected.length === 0) {
+      throw withStatus(new Error(`Element not found on screen ${req.params.screenId}: ${elementId}`), 404);
+    }
+    return selected.map(node => explain(node, node.rulesFired ?? node.metadata?.rulesFired ?? []));
+  }, 'elements');
+});
+
+/**
+ * POST /classification/explain
+ * Classify elements without capturing (try out rules and packs)
+ *
+ * Body:
+ * {
+ *   "elements": [{ "text": "Compose", "bbox": [x1, y1, x2, y2], "normalizedBbox": [0.01, 0.1, 0.08, 0.13] }],
+ *   "app": "Google Chrome", "title": "Inbox - Gmail", "url": null,   // select app packs (optional)
+ *   "languages": ["eng"]                                            // UI vocabulary (optional)
+ * }
+ * bbox is in points relative to the captured area; normalizedBbox in fractions of it.
+ *
+ * Response: { "success": true, "elements": [{ "text", "type", "clickable", "confidence", "rulesFired": [...] }] }
+ */
+router.post('/explain', (req, res) => {
+  const payload = req.body?.payload || req.body || {};
+  respond(res, () => {
+    if (!Array.isArray(payload.elements) || payload.elements.some(el => !el || typeof el.text !== 'string')) {
+      throw withStatus(new Error('elements must be an array of { text, bbox, normalizedBbox }'), 400);
+    }
+    if (payload.languages !== undefined && !(Array.isArray(payload.languages) && payload.languages.every(l => typeof l === 'string'))) {
+      throw withStatus(new Error('languages must be an array of language codes'), 400);
+    }
+
+    const engine = getClassificationRuleEngine();
+    const context = { app: payload.app || null, title: payload.title || null, url: payload.url || null, languages: payload.languages };
+    return payload.elements.map(el => {
+      const classification = engine.classify(el, context);
+      return {
+        ...explain({ ...el, ...classification }, classification.rulesFired),
+        confidence: classification.confidence
+      };
+    });
+  }, 'elements');
+});
+
+/**
+ * Nodes of a screen: the analyzer's recent screens first (not indexed yet when
+ * embeddings were skipped), then the persistent index
+ */
+async function screenNodes(screenId) {
+  const cached = getSemanticAnalyzer().ocrCache?.get(screenId);
+  if (cached) {
+    return cached.screenState.nodes;
+  }
+  const screen = await getPersistentSemanticIndex().getScreenState(screenId);
+  if (!screen) {
+    throw withStatus(new Error(`Screen not found: ${screenId}`), 404);
+  }
+  return [...screen.nodes.values()];
+}
+
+/**
+ * An element with its fired rules expanded
+ */
+function explain(element, rulesFired) {
+  const engine = getClassificationRuleEngine();
+  let typeDecided = false;
+  let clickableDecided = false;
+  const rules = rulesFired.map(ref => {
+    const rule = engine.getRule(ref);
+    const applied = [];
+    if (rule?.type !== undefined && !typeDecided) {
+      typeDecided = true;
+      applied.push('type');
+    }
+    if (rule?.clickable !== undefined && !clickableDecided) {
+      clickableDecided = true;
+      applied.push('clickable');
+    }
+    return {
+      rule: ref,
+      type: rule?.type ?? null,
+      clickable: rule?.clickable ?? null,
+      priority: rule?.priority ?? 0,
+      confidence: rule?.confidence ?? 0.5,
+      applied,
+      missing: rule ? undefined : true // Pack or rule no longer loaded
+    };
+  });
+
+  return {
+    id: element.id ?? null,
+    type: element.type,
+    text: element.text,
+    clickable: element.clickable ?? element.metadata?.clickable ?? false,
+    bbox: element.bbox || null,
+    rulesFired: rules
+  };
+}
+
+/**
+ * Send a result, mapping validation and lookup errors to 400 / 404
+ */
+async function respond(res, action, key) {
+  try {
+    const value = await action();
+    res.json({ success: true, [key]: value });
+  } catch (error) {
+    if (error.status === 400 || error.status === 404) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    logger.error('Classification request failed', { error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+}
+
+function withStatus(error, status) {
+  error.status = status;
+  return error;
+}
+
+export default router;
@@ -8,20 +8,29 @@ const router = express.Router();
  * POST /screen/context
  * Get current active window context
  * 
+ * Body (optional):
+ * {
+ *   "display": "primary" | <display id> | <display name> | <index>
+ * }
+ * 
  * Response:
  * {
  *   "windows": [
  *     {
  *       "appName": "Google Chrome",
  *       "title": "Gmail - Inbox",
- *       "bounds": { "x": 0, "y": 0, "width": 1920, "height": 1080 }
+ *       "bounds": { "x": 0, "y": 0, "width": 1920, "height": 1080 },
+ *       "displayId": 1
  *     }
- *   ]
+ *   ],
+ *   "display": { "id": 1, "bounds": {...}, "scaleFactor": 2, "primary": true },
+ *   "displays": [...]
  * }
  */
 router.post('/', async (req, res) => {
   try {
-    const context = await detectScreenContext();
+    const payload = req.body?.payload || req.body || {};
+    const context = await detectScreenContext({ display: payload.display ?? null });
     
     res.json({
       success: true,
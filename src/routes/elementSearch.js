@@ -37,8 +37,16 @@ const router = express.Router();
  *   minScore: number,       // Minimum similarity score (default: 0.5)
  *   filters: {              // Optional filters
  *     types: string[],      // Filter by element types
- *     clickableOnly: boolean
+ *     iconTypes: string[],  // Only icons named these (icon library names, e.g. ['settings', 'trash'])
+ *     state: {              // Only controls in these states (estimated from pixels; unknown never matches)
+ *       checked: boolean, selected: boolean, disabled: boolean, focused: boolean
+ *     },
+ *     clickableOnly: boolean,
+ *     bboxRegion: { minX, maxX, minY, maxY },       // Element center, screen points
+ *     normalizedRegion: { minX, maxX, minY, maxY }  // Element center, 0-1 of the captured area
  *   },
+ *   includeSubtrees: boolean, // Also search layout regions, tables and table rows (default: true)
+ *   subtreeTypes: string[],   // Only these subtree types (e.g. ['sidebar', 'dialog'], ['table_row'])
  *   screenContext: object   // Optional screen context for better search
  * }
  * 
@@ -52,12 +60,31 @@ const router = express.Router();
  *       text: string,
  *       bbox: [x1, y1, x2, y2],
  *       description: string,
+ *       iconType: string|null,  // Icon library name of a text-less icon
+ *       state: { checked, selected, disabled, focused },  // Each true, false or null (unknown)
+ *       score: number
+ *     }
+ *   ],
+ *   subtrees: [             // Layout regions ("the sidebar"), tables and rows ("the row with invoice 1042")
+ *     {
+ *       id: string,
+ *       type: string,         // menu_bar, toolbar, sidebar, list, content_pane, dialog, footer,
+ *                             // section, table or table_row
+ *       title: string,
+ *       text: string,         // Region text, row cells joined by " | ", or the table as CSV
+ *       data: object,         // Region: { path, depth, elementIds, childIds }; row: { column: value };
+ *                             // table: { columns, rows }
+ *       parentId: string,     // Enclosing region, or the table of a row
+ *       rootNodeId: string,   // First cell element
+ *       bbox: [x1, y1, x2, y2],
  *       score: number
  *     }
  *   ],
  *   query: string,
  *   count: number
  * }
+ * Words with digits and quoted phrases in the query must appear in a subtree's text
+ * to get its full score, so row lookups by number work despite fuzzy embeddings.
  */
 router.post('/element.search', async (req, res, next) => {
   try {
@@ -68,7 +95,9 @@ router.post('/element.search', async (req, res, next) => {
       query,
       k = 3,
       minScore = 0.1, // LOWERED: Allow generic queries to match
-      filters = {}
+      filters = {},
+      includeSubtrees = true,
+      subtreeTypes
     } = payload;
 
     if (!query) {
@@ -78,6 +107,17 @@ router.post('/element.search', async (req, res, next) => {
       });
     }
 
+    const stateNames = ['checked', 'selected', 'disabled', 'focused'];
+    if (filters.state !== undefined && (
+      typeof filters.state !== 'object' || filters.state === null ||
+      Object.entries(filters.state).some(([name, value]) => !stateNames.includes(name) || typeof value !== 'boolean')
+    )) {
+      return res.status(400).json({
+        success: false,
+        error: `filters.state must map ${stateNames.join(', ')} to true or false`
+      });
+    }
+
     logger.info('Element search request', {
       query,
       k,
@@ -103,6 +143,16 @@ router.post('/element.search', async (req, res, next) => {
       k: k + 5, // Request extra results to find text elements
       minScore: Math.min(minScore, 0.2) // Lower threshold to catch text elements
     });
+
+    // Regions, tables and rows (filters.types filters element types, subtreeTypes subtree types)
+    const subtreeResults = includeSubtrees
+      ? await semanticIndex.searchSubtrees({
+        query,
+        filters: { types: subtreeTypes, app: filters.app, screenId: filters.screenId, timeRange: filters.timeRange, recentOnly: filters.recentOnly },
+        k,
+        minScore
+      })
+      : [];
     const searchTime = Date.now() - searchStart;
 
     // CRITICAL FIX: Filter out results from different apps if app filter was provided
@@ -171,11 +221,27 @@ router.post('/element.search', async (req, res, next) => {
         text: r.node.text,
         bbox: r.node.bbox,
         description: r.node.description,
+        iconType: r.node.metadata?.iconType ?? null,
+        state: r.node.metadata?.state ?? null,
         score: r.score,
         app: r.node.metadata?.app,
         windowTitle: r.node.metadata?.windowTitle,
         timestamp: r.node.timestamp ? Number(r.node.timestamp) : null // Convert BigInt to Number
       })),
+      subtrees: subtreeResults.map(r => ({
+        id: r.subtree.id,
+        type: r.subtree.type,
+        title: r.subtree.title,
+        text: r.subtree.text,
+        data: r.subtree.data,
+        parentId: r.subtree.parentId,
+        rootNodeId: r.subtree.rootNodeId,
+        bbox: r.subtree.bbox,
+        score: r.score,
+        app: r.subtree.app,
+        windowTitle: r.subtree.windowTitle,
+        timestamp: r.subtree.timestamp ? Number(r.subtree.timestamp) : null
+      })),
       query,
       count: finalResults.length,
       filters: filters,
@@ -195,4 +261,71 @@ router.post('/element.search', async (req, res, next) => {
   }
 });
 
+/**
+ * GET /element.subtree/:id
+ * A subtree from /element.search (layout region, table or table row) with the subtrees
+ * directly under it and its elements
+ *
+ * Response:
+ * {
+ *   success: true,
+ *   subtree: { id, type, title, description, text, data, parentId, rootNodeId, bbox, screenStateId },
+ *   children: [subtree, ...],  // Regions inside a region, rows of a table (top to bottom)
+ *   elements: [{ id, type, text, bbox, clickable, hierarchyPath }]  // Reading order
+ * }
+ */
+router.get('/element.subtree/:id', async (req, res, next) => {
+  try {
+    const semanticIndex = getPersistentSemanticIndex();
+    await semanticIndex.initialize();
+
+    const subtree = await semanticIndex.getSubtree(req.params.id);
+    if (!subtree) {
+      return res.status(404).json({
+        success: false,
+        error: `Subtree not found: ${req.params.id}`
+      });
+    }
+
+    const [children, screen] = await Promise.all([
+      semanticIndex.getChildSubtrees(subtree.id),
+      semanticIndex.getScreenState(subtree.screenStateId)
+    ]);
+
+    // Regions list their elements; tables and rows hold the elements inside their box
+    const nodes = screen ? [...screen.nodes.values()] : [];
+    const ids = subtree.data?.elementIds ? new Set(subtree.data.elementIds) : null;
+    const [x1, y1, x2, y2] = subtree.bbox;
+    const elements = nodes
+      .filter(node => {
+        if (ids) return ids.has(node.id);
+        const x = (node.bbox[0] + node.bbox[2]) / 2;
+        const y = (node.bbox[1] + node.bbox[3]) / 2;
+        return x >= x1 && x <= x2 && y >= y1 && y <= y2;
+      })
+      .sort((a, b) => (a.bbox[1] - b.bbox[1]) || (a.bbox[0] - b.bbox[0]));
+
+    const timestamp = value => (value ? Number(value) : null); // BigInt from DuckDB
+    res.json({
+      success: true,
+      subtree: { ...subtree, timestamp: timestamp(subtree.timestamp) },
+      children: children.map(child => ({ ...child, timestamp: timestamp(child.timestamp) })),
+      elements: elements.map(node => ({
+        id: node.id,
+        type: node.type,
+        text: node.text,
+        bbox: node.bbox,
+        clickable: node.metadata?.clickable ?? false,
+        hierarchyPath: node.hierarchyPath || []
+      }))
+    });
+  } catch (error) {
+    logger.error('Subtree lookup failed', {
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+});
+
 export default router;
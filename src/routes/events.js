@@ -0,0 +1,89 @@
+import express from 'express';
+import logger from '../utils/logger.js';
+import { getScreenEventBus, parseEventFilter, SCREEN_EVENT_TYPES } from '../services/screenEventBus.js';
+
+const router = express.Router();
+
+const HEARTBEAT_MS = 15000;
+
+/**
+ * GET /events
+ * Server-Sent Events stream of screen events
+ *
+ * Query (optional):
+ *   types=focus.changed,text.appeared   only these event types
+ *   apps=Code,Terminal                  only events for these apps
+ *   apiKey=...                          API key, for EventSource clients that can't set headers
+ *
+ * Each message is:
+ *   id: 42
+ *   event: text.appeared
+ *   data: { "id": 42, "type": "text.appeared", "timestamp": ..., "screenId": "...", "app": "...", "title": "...", ... }
+ *
+ * Reconnecting clients send Last-Event-ID (EventSource does this automatically) and
+ * receive the buffered events they missed. Events are produced while something captures
+ * the screen: the ScreenWatcher (POST /watcher/start) or /screen/analyze calls.
+ */
+router.get('/', (req, res) => {
+  let filter;
+  try {
+    filter = parseEventFilter(req.query);
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+
+  const bus = getScreenEventBus();
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // Don't let proxies buffer the stream
+  });
+  res.write(`retry: 3000\n\n`);
+
+  const send = event => {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+
+  // Catch up after a reconnect
+  const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.since);
+  if (Number.isFinite(lastEventId)) {
+    bus.getRecent({ ...filter, since: lastEventId, limit: Infinity }).forEach(send);
+  }
+
+  const unsubscribe = bus.subscribe(filter, send);
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+  logger.info('📡 Event stream client connected', { ...filter, subscribers: bus.getStats().subscribers });
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    logger.info('📡 Event stream client disconnected');
+  });
+});
+
+/**
+ * GET /events/recent
+ * Buffered events as JSON, for clients that can't hold a stream open
+ *
+ * Query: types, apps (as above), since=<event id>, limit=100 (1-500)
+ */
+router.get('/recent', (req, res) => {
+  try {
+    const filter = parseEventFilter(req.query);
+    const since = parseInt(req.query.since) || 0;
+    const limit = Math.min(Math.max(1, parseInt(req.query.limit) || 100), 500);
+    const events = getScreenEventBus().getRecent({ ...filter, since, limit });
+
+    res.json({
+      success: true,
+      events,
+      lastEventId: getScreenEventBus().getStats().lastEventId,
+      types: SCREEN_EVENT_TYPES
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+export default router;
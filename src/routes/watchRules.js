@@ -0,0 +1,85 @@
+import express from 'express';
+import logger from '../utils/logger.js';
+import { getWatchRuleEngine } from '../services/watchRules.js';
+
+const router = express.Router();
+
+/**
+ * GET /watch-rules
+ * All watch rules
+ */
+router.get('/', (req, res) => {
+  respond(res, () => getWatchRuleEngine().list(), 'rules');
+});
+
+/**
+ * POST /watch-rules
+ * Create a rule; it is evaluated against every new screen state
+ *
+ * Body:
+ * {
+ *   "name": "Build finished",
+ *   "matchType": "regex",           // regex (default) | semantic
+ *   "pattern": "BUILD (SUCCESS|FAILED)",
+ *   "flags": "i",                   // regex flags (optional)
+ *   "app": "Terminal",              // only this app (optional)
+ *   "region": { "minX": 0, "maxX": 1, "minY": 0.5, "maxY": 1 },  // part of the capture (optional)
+ *   "minScore": 0.6,                // semantic rules only
+ *   "action": "event",              // event | webhook | both
+ *   "webhookUrl": "http://localhost:9000/hook",  // localhost only
+ *   "cooldownMs": 0,                // minimum time between firings
+ *   "enabled": true
+ * }
+ *
+ * Response: { "success": true, "rule": { "id": "...", ... } }
+ */
+router.post('/', (req, res) => {
+  const payload = req.body?.payload || req.body || {};
+  respond(res, () => getWatchRuleEngine().create(payload), 'rule', 201);
+});
+
+/**
+ * GET /watch-rules/:id
+ */
+router.get('/:id', (req, res) => {
+  respond(res, () => getWatchRuleEngine().get(req.params.id), 'rule');
+});
+
+/**
+ * PUT|PATCH /watch-rules/:id
+ * Change a rule (fields as in POST; omitted fields keep their value)
+ */
+const update = (req, res) => {
+  const payload = req.body?.payload || req.body || {};
+  respond(res, () => getWatchRuleEngine().update(req.params.id, payload), 'rule');
+};
+router.put('/:id', update);
+router.patch('/:id', update);
+
+/**
+ * DELETE /watch-rules/:id
+ */
+router.delete('/:id', (req, res) => {
+  respond(res, async () => {
+    await getWatchRuleEngine().remove(req.params.id);
+    return req.params.id;
+  }, 'deleted');
+});
+
+/**
+ * Send a rule call's result, mapping validation and lookup errors to 400 / 404
+ */
+async function respond(res, action, key, status = 200) {
+  try {
+    const value = await action();
+    res.status(status).json({ success: true, [key]: value });
+  } catch (error) {
+    if (error.status === 400 || error.status === 404) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    logger.error('Watch rule request failed', { error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+}
+
+export default router;
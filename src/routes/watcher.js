@@ -0,0 +1,92 @@
+import express from 'express';
+import logger from '../utils/logger.js';
+import { getScreenWatcher } from '../services/screenWatcher.js';
+import { resolveRequestCapture } from '../services/captureService.js';
+
+const router = express.Router();
+
+/**
+ * POST /watcher/start
+ * Start the background capture loop that keeps /element.search fresh
+ *
+ * Body (optional, same fields as /watcher/config):
+ * {
+ *   "interval": 2000,
+ *   "include": ["Code", { "app": "Google Chrome", "title": "Gmail" }]
+ * }
+ *
+ * Response: { "success": true, "status": { "running": true, ... } }
+ */
+router.post('/start', (req, res) => {
+  respond(res, () => getScreenWatcher().start(requestConfig(req)));
+});
+
+/**
+ * POST /watcher/stop
+ * Stop the capture loop (waits for an in-flight capture)
+ */
+router.post('/stop', async (req, res) => {
+  respond(res, () => getScreenWatcher().stop());
+});
+
+/**
+ * GET /watcher/status
+ * Running state, current (backed-off) interval and capture counters
+ */
+router.get('/status', (req, res) => {
+  respond(res, () => getScreenWatcher().getStatus());
+});
+
+/**
+ * GET /watcher/config
+ * Current watcher configuration
+ */
+router.get('/config', (req, res) => {
+  respond(res, () => getScreenWatcher().getConfig(), 'config');
+});
+
+/**
+ * POST /watcher/config
+ * Change the configuration; takes effect from the next capture
+ *
+ * Body (all optional):
+ * {
+ *   "interval": 2000,          // ms between captures while the screen changes
+ *   "maxInterval": 15000,      // ms between captures when idle (back-off ceiling)
+ *   "idleAfter": 3,            // unchanged captures before backing off
+ *   "include": ["Code"],       // only these apps (names, or { app, title: regex })
+ *   "exclude": ["1Password"],  // never these apps (wins over include)
+ *   "display": "primary",      // only windows on this display
+ *   "capture": "live",         // capture provider spec (file/directory paths under IMAGE_ROOT)
+ *   "skipEmbedding": false     // OCR only, embed on demand
+ * }
+ */
+router.post('/config', (req, res) => {
+  respond(res, () => getScreenWatcher().updateConfig(requestConfig(req)), 'config');
+});
+
+/**
+ * Watcher config from a request body; a capture spec may only read under IMAGE_ROOT
+ */
+function requestConfig(req) {
+  const payload = req.body?.payload || req.body || {};
+  return payload.capture ? { ...payload, capture: resolveRequestCapture(payload.capture) } : payload;
+}
+
+/**
+ * Send a watcher call's result, mapping validation errors to 400
+ */
+async function respond(res, action, key = 'status') {
+  try {
+    const value = await action();
+    res.json({ success: true, [key]: value });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    logger.error('Screen watcher request failed', { error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+}
+
+export default router;
@@ -7,7 +7,7 @@ import { fileURLToPath } from 'url';
 import logger from './utils/logger.js';
 
 // Import middleware
-import authMiddleware from './middleware/auth.js';
+import authMiddleware, { queryKeyAuthMiddleware } from './middleware/auth.js';
 import errorHandler from './middleware/errorHandler.js';
 
 // Import routes (only used routes)
@@ -17,9 +17,15 @@ import analyzeVisionRoute from './routes/analyze-vision.js';
 import elementSearchRoute from './routes/elementSearch.js';
 import contextRoute from './routes/context.js';
 import generateEmbeddingsRoute from './routes/generateEmbeddings.js';
+import watcherRoute from './routes/watcher.js';
+import eventsRoute from './routes/events.js';
+import watchRulesRoute from './routes/watchRules.js';
+import classificationRoute from './routes/classification.js';
 
 // Import services
 import { initializeOverlayManager } from './services/overlay-manager.js';
+import { getScreenWatcher } from './services/screenWatcher.js';
+import { getUIDetector } from './services/uiDetector.js';
 
 // Load environment variables
 const __filename = fileURLToPath(import.meta.url);
@@ -36,12 +42,16 @@ app.use(cors({
   origin: (process.env.ALLOWED_ORIGINS || 'http://localhost:5173,http://localhost:3000').split(','),
   credentials: true
 }));
+// Caller-supplied screenshots (base64) need a larger body on /screen/analyze only;
+// mounted first so the global parser leaves those bodies alone
+app.use(['/screen/analyze', '/screen.analyze'], express.json({ limit: process.env.MAX_REQUEST_SIZE || '25mb' }));
 app.use(express.json({ limit: '1mb' }));
 
 // Global request logger (before any routes)
 app.use((req, res, next) => {
-  console.log('📥 [REQUEST] GLOBAL LOGGER HIT:', req.method, req.path, req.url);
-  logger.info('📥 [REQUEST]', { method: req.method, path: req.path, url: req.url });
+  const url = req.url.replace(/([?&]apiKey=)[^&]*/, '$1***'); // /events takes the API key in the query
+  console.log('📥 [REQUEST] GLOBAL LOGGER HIT:', req.method, req.path, url);
+  logger.info('📥 [REQUEST]', { method: req.method, path: req.path, url });
   next();
 });
 
@@ -59,7 +69,8 @@ app.get('/service.health', async (req, res) => {
       features: {
         semanticAnalysis: true,
         ocrSupported: true,
-        vectorSearch: true
+        vectorSearch: true,
+        uiDetector: getUIDetector().status() // Local ONNX model: { enabled, model, loaded, classes, error }
       }
     });
   } catch (error) {
@@ -94,7 +105,11 @@ app.get('/service.capabilities', (req, res) => {
           parameters: {
             query: { type: 'string', required: true, description: 'Natural language query (e.g., "How many files on my desktop?")' },
             showOverlay: { type: 'boolean', default: false },
-            includeScreenshot: { type: 'boolean', default: false }
+            includeScreenshot: { type: 'boolean', default: false },
+            image: { type: 'object', optional: true, description: 'Analyze a supplied image instead of the live screen: { base64, mimeType } or { path }' },
+            windowInfo: { type: 'object', optional: true, description: 'App/title/url of the supplied image' },
+            bounds: { type: 'object', optional: true, description: 'Screen rectangle {x, y, width, height} the supplied image covers' },
+            display: { type: 'string|number', optional: true, description: 'Display to analyze: "primary", display id, name or index (default: display of the frontmost window)' }
           }
         },
         {
@@ -162,8 +177,53 @@ app.get('/service.capabilities', (req, res) => {
         {
           name: 'screen.context',
           description: 'Get current active window context',
+          parameters: {
+            display: { type: 'string|number', optional: true, description: 'Only consider windows on this display' }
+          }
+        },
+        {
+          name: 'watcher.start',
+          description: 'Start background capture + indexing so element.search has fresh data (POST /watcher/start)',
+          parameters: {
+            interval: { type: 'number', default: 2000, description: 'ms between captures while the screen changes' },
+            maxInterval: { type: 'number', default: 15000, description: 'Idle back-off ceiling in ms' },
+            include: { type: 'array', optional: true, description: 'Only watch these apps' },
+            exclude: { type: 'array', optional: true, description: 'Never capture these apps' }
+          }
+        },
+        {
+          name: 'watcher.stop',
+          description: 'Stop background capture (POST /watcher/stop)',
           parameters: {}
         },
+        {
+          name: 'events.stream',
+          description: 'Server-Sent Events stream (GET /events): focus.changed, window.opened, window.closed, screen.changed, text.appeared, index.completed, rule.fired',
+          parameters: {
+            types: { type: 'string', optional: true, description: 'Comma-separated event types' },
+            apps: { type: 'string', optional: true, description: 'Comma-separated app names' }
+          }
+        },
+        {
+          name: 'watchRules.create',
+          description: 'Fire rule.fired (event stream and/or local webhook) when matching text appears (POST /watch-rules)',
+          parameters: {
+            pattern: { type: 'string', required: true, description: 'Regex, or a natural-language query for semantic rules' },
+            matchType: { type: 'string', default: 'regex', description: 'regex | semantic' },
+            app: { type: 'string', optional: true, description: 'Only evaluate screens of this app' },
+            region: { type: 'object', optional: true, description: '{ minX, maxX, minY, maxY } fractions of the captured area' },
+            action: { type: 'string', default: 'event', description: 'event | webhook | both' },
+            webhookUrl: { type: 'string', optional: true, description: 'Local URL to POST to' }
+          }
+        },
+        {
+          name: 'classification.rules',
+          description: 'Rules that fired on each element of an analyzed screen (GET /classification/screens/:screenId)',
+          parameters: {
+            screenId: { type: 'string', required: true },
+            elementId: { type: 'string', optional: true, description: 'Only this element' }
+          }
+        },
         {
           name: 'element.search',
           description: 'Search for UI elements using semantic search',
@@ -171,7 +231,15 @@ app.get('/service.capabilities', (req, res) => {
             query: { type: 'string', required: true, description: 'Search query (e.g., "save button", "email from Alice")' },
             k: { type: 'number', default: 3, description: 'Number of results to return' },
             minScore: { type: 'number', default: 0.5, description: 'Minimum similarity score' },
-            filters: { type: 'object', description: 'Optional filters (types, clickableOnly)' }
+            filters: { type: 'object', description: 'Optional filters (types, clickableOnly)' },
+            subtreeTypes: { type: 'array', optional: true, description: 'Subtree types to search (sidebar, dialog, table_row, ...)' }
+          }
+        },
+        {
+          name: 'element.subtree',
+          description: 'A layout region, table or table row from element.search with its child subtrees and elements (GET /element.subtree/:id)',
+          parameters: {
+            id: { type: 'string', required: true }
           }
         }
       ],
@@ -190,6 +258,12 @@ console.log('🔒 [SERVER] Registering auth middleware for /screen/ and /screen.
 app.use('/screen/', authMiddleware);
 app.use('/screen.', authMiddleware);
 app.use('/element.', authMiddleware);
+app.use('/watcher', authMiddleware);
+// EventSource can't send headers: the stream itself (GET /events) also takes ?apiKey=
+app.use('/events', (req, res, next) =>
+  (req.path === '/' ? queryKeyAuthMiddleware : authMiddleware)(req, res, next));
+app.use('/watch-rules', authMiddleware);
+app.use('/classification', authMiddleware);
 
 // Routes - Only the 3 used routes + health
 app.use('/screen/analyze', analyzeRoute);
@@ -198,6 +272,10 @@ app.use('/screen/context', contextRoute);
 app.use('/', elementSearchRoute); // Handles /element.search
 app.use('/', generateEmbeddingsRoute); // Handles /screen.generateEmbeddings
 app.use('/health', healthRoute);
+app.use('/watcher', watcherRoute); // Background indexing for /element.search
+app.use('/events', eventsRoute); // Server-Sent Events stream of screen events
+app.use('/watch-rules', watchRulesRoute); // Text-appearance triggers
+app.use('/classification', classificationRoute); // Element classification rule packs
 
 // Dot notation (for MCP protocol)
 app.use('/screen.analyze', analyzeRoute);
@@ -217,6 +295,11 @@ async function initialize() {
     // Initialize overlay manager
     await initializeOverlayManager();
     logger.info('✅ Overlay manager initialized');
+
+    // Optionally start background indexing right away
+    if (process.env.SCREEN_WATCHER_AUTOSTART === 'true') {
+      getScreenWatcher().start();
+    }
     
     logger.info('✅ Screen Intelligence Service ready');
   } catch (error) {
@@ -240,6 +323,8 @@ const server = app.listen(PORT, HOST, async () => {
 // Graceful shutdown
 function gracefulShutdown(signal) {
   logger.info(`${signal} received, shutting down gracefully...`);
+
+  getScreenWatcher().stop('shutdown').catch(() => {});
   
   server.close(() => {
     logger.info('Server closed');
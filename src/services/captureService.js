@@ -0,0 +1,527 @@
+/**
+ * Capture Service
+ * Pluggable screenshot sources for the OCR → classification → DuckDB pipeline
+ * - live: the real desktop (screenshot-desktop, nut.js for regions), any display
+ * - file: a single recorded PNG/JPEG on disk
+ * - directory: a sorted sequence of recorded images, one per capture
+ * - buffer: an in-memory image (e.g. supplied by a caller)
+ *
+ * Non-live providers make it possible to run the full pipeline on headless
+ * Linux boxes and in tests without a display.
+ */
+
+import screenshot from 'screenshot-desktop';
+import sharp from 'sharp';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import logger from '../utils/logger.js';
+
+const IMAGE_EXTENSIONS = /\.(png|jpe?g|webp|bmp|tiff?)$/i;
+
+/**
+ * Base class for capture providers
+ * Subclasses implement _grab() and return an encoded image buffer
+ */
+class CaptureProvider {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.options = options;
+    this.tempDir = options.tempDir || path.join(os.tmpdir(), 'thinkdrop-capture');
+  }
+
+  /**
+   * Whether this provider reads the real screen (callers may need to wait for overlays to hide)
+   */
+  get isLive() {
+    return false;
+  }
+
+  /**
+   * Capture an image
+   * @param {Object} options - Capture options
+   * @param {Object} options.region - Optional screen region {x, y, width, height}
+   * @param {Object} options.display - Optional display (from getDisplays()) to capture
+   * @param {Object} options.bounds - Screen rectangle the image covers, when known (defaults to region, then display bounds)
+   * @returns {Promise<Object>} Capture {path, buffer, width, height, region, bounds, display, provider, source, timestamp,
+   *   cleanup()}; cleanup() removes the temp file once the caller is done with the image
+   */
+  async capture(options = {}) {
+    const { region = null, bounds = null, display = null } = options;
+    const grabbed = await this._grab(options);
+    let buffer = grabbed.buffer;
+
+    // Providers that can't grab a region natively get cropped here
+    if (region && !grabbed.regionApplied) {
+      buffer = await cropImage(buffer, region);
+    }
+
+    return this._finalize(buffer, {
+      region,
+      bounds: bounds || region || display?.bounds || null,
+      display,
+      source: grabbed.source
+    });
+  }
+
+  /**
+   * Grab the raw image for this provider
+   * @protected
+   * @returns {Promise<{buffer: Buffer, source: string, regionApplied?: boolean}>}
+   */
+  async _grab() {
+    throw new Error(`Capture provider "${this.name}" does not implement _grab()`);
+  }
+
+  /**
+   * Write the image to a temp file (OCR engines read from disk) and read its dimensions
+   * @protected
+   */
+  async _finalize(buffer, { region, bounds = null, display = null, source }) {
+    if (!fs.existsSync(this.tempDir)) {
+      fs.mkdirSync(this.tempDir, { recursive: true });
+    }
+
+    const timestamp = Date.now();
+    const metadata = await sharp(buffer).metadata();
+    const format = metadata.format === 'jpeg' ? 'jpg' : (metadata.format || 'png');
+    const capturePath = path.join(this.tempDir, `capture-${this.name}-${timestamp}.${format}`);
+    fs.writeFileSync(capturePath, buffer);
+
+    return {
+      path: capturePath,
+      buffer,
+      width: metadata.width,
+      height: metadata.height,
+      region,
+      bounds,
+      // Global virtual-desktop origin and scale of the captured display
+      display: display ? {
+        id: display.id,
+        name: display.name,
+        bounds: display.bounds,
+        scaleFactor: display.scaleFactor || 1
+      } : null,
+      provider: this.name,
+      source,
+      timestamp,
+      cleanup: () => fs.promises.unlink(capturePath).catch(() => {})
+    };
+  }
+}
+
+/**
+ * Live desktop capture
+ * Full screen via screenshot-desktop (primary display unless a display is given),
+ * regions via nut.js grabRegion
+ */
+class LiveCaptureProvider extends CaptureProvider {
+  constructor(options = {}) {
+    super('live', options);
+  }
+
+  get isLive() {
+    return true;
+  }
+
+  async _grab({ region = null, display = null } = {}) {
+    if (region) {
+      const { x, y, width, height } = region;
+      logger.info(`📸 [CAPTURE] Grabbing live region ${width}x${height} at (${x}, ${y})`);
+      // Loaded lazily: nut.js needs a display server (libXtst on Linux), which
+      // headless boxes replaying recorded images don't have
+      const { screen, Region } = await import('@nut-tree-fork/nut-js');
+      const grabbed = await screen.grabRegion(new Region(x, y, width, height));
+      const buffer = await sharp(Buffer.from(grabbed.data), {
+        raw: {
+          width: grabbed.width,
+          height: grabbed.height,
+          channels: 4 // RGBA
+        }
+      }).png().toBuffer();
+
+      return { buffer, source: 'screen', regionApplied: true };
+    }
+
+    if (display && display.captureId !== undefined) {
+      logger.info(`📸 [CAPTURE] Grabbing live display ${display.name || display.id}`);
+      const buffer = await screenshot({ format: 'png', screen: display.captureId });
+      return { buffer, source: `screen:${display.id}` };
+    }
+
+    logger.info('📸 [CAPTURE] Grabbing live screen');
+    const buffer = await screenshot({ format: 'png' });
+    return { buffer, source: 'screen' };
+  }
+}
+
+/**
+ * Single image file on disk
+ */
+class FileCaptureProvider extends CaptureProvider {
+  constructor(options = {}) {
+    super('file', options);
+    if (!options.path) {
+      throw new Error('File capture provider requires a path');
+    }
+    this.filePath = path.resolve(options.path);
+  }
+
+  async _grab() {
+    if (!fs.existsSync(this.filePath)) {
+      throw new Error(`Capture file not found: ${this.filePath}`);
+    }
+    return { buffer: fs.readFileSync(this.filePath), source: this.filePath };
+  }
+}
+
+/**
+ * Directory of recorded frames, replayed in filename order
+ * Each capture() returns the next frame; wraps around when `loop` is true
+ */
+class DirectoryCaptureProvider extends CaptureProvider {
+  constructor(options = {}) {
+    super('directory', options);
+    if (!options.path) {
+      throw new Error('Directory capture provider requires a path');
+    }
+    this.dirPath = path.resolve(options.path);
+    this.loop = options.loop !== false;
+    this.index = 0;
+  }
+
+  /**
+   * List frames in replay order
+   */
+  listFrames() {
+    if (!fs.existsSync(this.dirPath)) {
+      throw new Error(`Capture directory not found: ${this.dirPath}`);
+    }
+    return fs.readdirSync(this.dirPath)
+      .filter(file => IMAGE_EXTENSIONS.test(file))
+      .sort()
+      .map(file => path.join(this.dirPath, file));
+  }
+
+  /**
+   * Restart the sequence from the first frame
+   */
+  reset() {
+    this.index = 0;
+  }
+
+  async _grab() {
+    const frames = this.listFrames();
+    if (frames.length === 0) {
+      throw new Error(`No images found in capture directory: ${this.dirPath}`);
+    }
+
+    if (this.index >= frames.length) {
+      if (!this.loop) {
+        throw new Error(`Capture sequence exhausted after ${frames.length} frames`);
+      }
+      this.index = 0;
+    }
+
+    const framePath = frames[this.index++];
+    logger.info(`🎞️  [CAPTURE] Replaying frame ${this.index}/${frames.length}: ${path.basename(framePath)}`);
+    return { buffer: fs.readFileSync(framePath), source: framePath };
+  }
+}
+
+/**
+ * In-memory image buffer
+ */
+class BufferCaptureProvider extends CaptureProvider {
+  constructor(options = {}) {
+    super('buffer', options);
+    this.buffer = options.buffer || null;
+    this.label = options.label || 'buffer';
+  }
+
+  /**
+   * Replace the image returned by subsequent captures
+   * @param {Buffer} buffer - Encoded image (PNG/JPEG)
+   */
+  setBuffer(buffer) {
+    this.buffer = buffer;
+  }
+
+  async _grab() {
+    if (!this.buffer || this.buffer.length === 0) {
+      throw new Error('Buffer capture provider has no image');
+    }
+    return { buffer: this.buffer, source: this.label };
+  }
+}
+
+/**
+ * Crop an encoded image to a region, clamped to the image bounds
+ * @param {Buffer} buffer - Encoded image
+ * @param {Object} region - {x, y, width, height} in image pixels
+ * @returns {Promise<Buffer>} Encoded PNG of the cropped area
+ */
+export async function cropImage(buffer, region) {
+  const { width: imageWidth, height: imageHeight } = await sharp(buffer).metadata();
+  const left = Math.max(0, Math.round(region.x || 0));
+  const top = Math.max(0, Math.round(region.y || 0));
+  const width = Math.min(imageWidth - left, Math.round(region.width));
+  const height = Math.min(imageHeight - top, Math.round(region.height));
+
+  if (width <= 0 || height <= 0) {
+    throw new Error(`Crop region ${JSON.stringify(region)} is outside the ${imageWidth}x${imageHeight} image`);
+  }
+
+  return sharp(buffer).extract({ left, top, width, height }).png().toBuffer();
+}
+
+// Provider factories by name (extend with registerCaptureProvider)
+const providerFactories = new Map([
+  ['live', options => new LiveCaptureProvider(options)],
+  ['file', options => new FileCaptureProvider(options)],
+  ['directory', options => new DirectoryCaptureProvider(options)],
+  ['buffer', options => new BufferCaptureProvider(options)]
+]);
+
+/**
+ * Register a custom capture provider
+ * @param {string} name - Provider name used in specs ({ provider: name })
+ * @param {Function} factory - (options) => CaptureProvider
+ */
+export function registerCaptureProvider(name, factory) {
+  providerFactories.set(name, factory);
+  logger.info(`🔌 [CAPTURE] Registered capture provider: ${name}`);
+}
+
+/**
+ * Create a provider from a spec
+ * @param {string|Object} spec - Provider name, or { provider, ...options }
+ * @returns {CaptureProvider}
+ */
+export function createCaptureProvider(spec) {
+  const { provider: name, ...options } = typeof spec === 'string' ? { provider: spec } : spec;
+  const factory = providerFactories.get(name);
+  if (!factory) {
+    throw new Error(`Unknown capture provider: ${name} (available: ${[...providerFactories.keys()].join(', ')})`);
+  }
+  return factory(options);
+}
+
+/**
+ * Resolve an image path that came with a request. Requests may only read images under
+ * IMAGE_ROOT (relative paths are taken from there); symlinks are followed before the
+ * check, so a link inside the root can't point outside it.
+ * @param {string} requestedPath - Path from the request
+ * @returns {string} Absolute path inside IMAGE_ROOT
+ * @throws {Error} With status 400 when IMAGE_ROOT is not set or the path is outside it
+ */
+export function resolveRequestPath(requestedPath) {
+  const invalid = message => Object.assign(new Error(message), { status: 400 });
+  if (!process.env.IMAGE_ROOT) {
+    throw invalid('Image paths are disabled (set IMAGE_ROOT to a directory requests may read from); send image.base64 instead');
+  }
+  if (typeof requestedPath !== 'string' || !requestedPath) {
+    throw invalid('Image path must be a non-empty string');
+  }
+
+  // Missing files are resolved through their nearest existing directory, so a link can't
+  // smuggle out a path whose existence the not-found error would reveal
+  const realPath = target => {
+    try {
+      return fs.realpathSync(target);
+    } catch {
+      const parent = path.dirname(target);
+      return parent === target ? target : path.join(realPath(parent), path.basename(target));
+    }
+  };
+  const root = realPath(path.resolve(process.env.IMAGE_ROOT));
+  const resolved = realPath(path.resolve(root, requestedPath));
+  const relative = path.relative(root, resolved);
+  if (relative.startsWith('..') || path.isAbsolute(relative)) {
+    throw invalid('Image path must be inside IMAGE_ROOT');
+  }
+  return resolved;
+}
+
+/**
+ * Check a capture provider spec that came with a request. File and directory providers
+ * may only read under IMAGE_ROOT; in-memory buffers come as image.base64 instead.
+ * @param {string|Object} spec - Provider name or { provider, path, ... }
+ * @returns {string|Object} Spec with the path resolved
+ * @throws {Error} With status 400 for disallowed specs
+ */
+export function resolveRequestCapture(spec) {
+  const { provider: name, ...options } = typeof spec === 'string' ? { provider: spec } : (spec || {});
+  if (!providerFactories.has(name) || name === 'buffer') {
+    const allowed = [...providerFactories.keys()].filter(provider => provider !== 'buffer');
+    throw Object.assign(new Error(`Unknown capture provider: ${name} (available: ${allowed.join(', ')})`), { status: 400 });
+  }
+  if (name !== 'file' && name !== 'directory') {
+    return spec;
+  }
+  return { provider: name, ...options, path: resolveRequestPath(options.path) };
+}
+
+class CaptureService {
+  constructor() {
+    // CAPTURE_PROVIDER=live (default) | file | directory
+    // CAPTURE_SOURCE=path to the file or directory for non-live providers
+    this.defaultSpec = {
+      provider: process.env.CAPTURE_PROVIDER || 'live',
+      path: process.env.CAPTURE_SOURCE || undefined,
+      loop: process.env.CAPTURE_LOOP !== 'false'
+    };
+    this.defaultProvider = null;
+    // Directory providers are stateful (frame cursor), so keep one per directory
+    this.sequenceProviders = new Map();
+
+    logger.info('📷 Capture Service initialized', { defaultProvider: this.defaultSpec.provider });
+  }
+
+  /**
+   * Resolve a per-request provider spec (or the configured default)
+   * @param {string|Object|CaptureProvider} spec - Provider name, spec object or provider instance
+   * @returns {CaptureProvider}
+   */
+  resolveProvider(spec = null) {
+    if (spec instanceof CaptureProvider || typeof spec?.capture === 'function') {
+      return spec;
+    }
+
+    if (!spec) {
+      if (!this.defaultProvider) {
+        this.defaultProvider = this._createCached(this.defaultSpec);
+      }
+      return this.defaultProvider;
+    }
+
+    return this._createCached(typeof spec === 'string' ? { provider: spec } : spec);
+  }
+
+  /**
+   * Capture with the given provider (or the default)
+   * @param {Object} options - Capture options
+   * @param {string|Object|CaptureProvider} options.provider - Provider spec
+   * @param {Object} options.region - Optional region {x, y, width, height}
+   * @param {Object} options.display - Optional display to capture (live) or that the image shows
+   * @returns {Promise<Object>} Capture result
+   */
+  async capture(options = {}) {
+    const { provider: spec = null, ...captureOptions } = options;
+    const provider = this.resolveProvider(spec);
+    return provider.capture(captureOptions);
+  }
+
+  /**
+   * Crop a capture to a screen rectangle, optionally painting out covered areas
+   * The capture must know the screen rectangle it covers (capture.bounds).
+   * @param {Object} capture - Capture result with bounds
+   * @param {Object} rect - Screen rectangle {x, y, width, height} to keep
+   * @param {Object} options
+   * @param {Array} options.mask - Screen rectangles inside `rect` to fill (e.g. parts of other windows)
+   * @param {string} options.maskColor - Fill color for masked areas (default white)
+   * @returns {Promise<Object>} New capture whose bounds are `rect`, with crop = {rect, masked};
+   *   its cleanup() removes the crop and the original capture's file
+   */
+  async cropCapture(capture, rect, options = {}) {
+    const { mask = [], maskColor = '#ffffff' } = options;
+    if (!capture.bounds) {
+      throw new Error('Cannot crop a capture without screen bounds');
+    }
+
+    // Screen points → image pixels (captures may be 2x on HiDPI displays)
+    const scaleX = capture.width / capture.bounds.width;
+    const scaleY = capture.height / capture.bounds.height;
+    const toPixels = b => ({
+      x: Math.round((b.x - capture.bounds.x) * scaleX),
+      y: Math.round((b.y - capture.bounds.y) * scaleY),
+      width: Math.round(b.width * scaleX),
+      height: Math.round(b.height * scaleY)
+    });
+
+    const cropPixels = toPixels(rect);
+    let buffer = await cropImage(capture.buffer, cropPixels);
+
+    if (mask.length > 0) {
+      const { width, height } = await sharp(buffer).metadata();
+      const overlays = mask
+        .map(toPixels)
+        .map(b => ({
+          left: Math.max(0, b.x - cropPixels.x),
+          top: Math.max(0, b.y - cropPixels.y),
+          width: b.width,
+          height: b.height
+        }))
+        .map(b => ({ ...b, width: Math.min(b.width, width - b.left), height: Math.min(b.height, height - b.top) }))
+        .filter(b => b.width > 0 && b.height > 0)
+        .map(b => ({
+          input: { create: { width: b.width, height: b.height, channels: 3, background: maskColor } },
+          left: b.left,
+          top: b.top
+        }));
+
+      if (overlays.length > 0) {
+        buffer = await sharp(buffer).composite(overlays).png().toBuffer();
+      }
+    }
+
+    const { width, height } = await sharp(buffer).metadata();
+    const cropPath = capture.path
+      ? capture.path.replace(/(\.[a-z]+)?$/i, '-crop.png')
+      : path.join(os.tmpdir(), 'thinkdrop-capture', `capture-crop-${Date.now()}.png`);
+    fs.writeFileSync(cropPath, buffer);
+
+    return {
+      ...capture,
+      path: cropPath,
+      buffer,
+      width,
+      height,
+      bounds: { ...rect },
+      crop: { rect: { ...rect }, masked: mask.length },
+      cleanup: async () => {
+        await capture.cleanup?.();
+        await fs.promises.unlink(cropPath).catch(() => {});
+      }
+    };
+  }
+
+  /**
+   * @private
+   */
+  _createCached(spec) {
+    if (spec.provider !== 'directory') {
+      return createCaptureProvider(spec);
+    }
+
+    const key = path.resolve(spec.path || '');
+    if (!this.sequenceProviders.has(key)) {
+      this.sequenceProviders.set(key, createCaptureProvider(spec));
+    }
+    return this.sequenceProviders.get(key);
+  }
+}
+
+// Singleton instance
+let instance = null;
+
+/**
+ * Get capture service singleton
+ * @returns {CaptureService} Capture service instance
+ */
+export function getCaptureService() {
+  if (!instance) {
+    instance = new CaptureService();
+  }
+  return instance;
+}
+
+export {
+  CaptureProvider,
+  LiveCaptureProvider,
+  FileCaptureProvider,
+  DirectoryCaptureProvider,
+  BufferCaptureProvider
+};
+
+export default CaptureService;
@@ -0,0 +1,359 @@
+/**
+ * Classification Rules
+ * Element types and clickability for OCR text, from declarative JSON rule packs
+ *
+ *   {
+ *     "name": "gmail",
+ *     "appliesTo": { "apps": ["^Mail$"], "titles": ["Gmail"], "urls": ["mail\\.google\\.com"] },
+ *     "rules": [
+ *       { "id": "gmail-compose", "type": "button", "clickable": true, "priority": 200, "confidence": 0.9,
+ *         "text": { "pattern": "^Compose$" } }
+ *     ]
+ *   }
+ *
+ * A pack without appliesTo applies everywhere; otherwise when any of its app, window
+ * title or URL patterns matches (case-insensitive regexes). A rule fires when all of its
+ * conditions hold:
+ *   - text: { vocabulary, pattern, flags, minLength, maxLength, maxWords }; vocabulary names
+ *     lists of the OCR languages' UI words (uiVocabulary.js: buttons, inputs, dropdowns,
+ *     labels, menuBar, navigation, clickable), one name or several
+ *   - geometry: { minWidth, maxWidth, minHeight, maxHeight, minAspect, maxAspect, minTop, maxTop }
+ *     in points relative to the captured area (aspect = width / height)
+ *   - region: { minX, maxX, minY, maxY } fractions of the captured area the element's center lies in
+ *   - app, title, url: regexes for the window the element was read from
+ *
+ * Among the fired rules, the one with the highest priority that sets a type decides the
+ * type (default 'text'), and the highest one that sets clickable decides clickability
+ * (default false). App packs win priority ties with the generic packs.
+ *
+ * The built-in packs live in ./rulePacks; CLASSIFICATION_RULE_PACKS adds files or directories
+ * (comma-separated). A pack with the same name as an earlier one replaces it.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import logger from '../utils/logger.js';
+import { getUIVocabulary } from '../utils/uiVocabulary.js';
+
+const BUILTIN_PACKS = path.join(path.dirname(fileURLToPath(import.meta.url)), 'rulePacks');
+const VOCABULARIES = ['buttons', 'inputs', 'dropdowns', 'labels', 'menuBar', 'navigation', 'clickable'];
+const TEXT_KEYS = ['vocabulary', 'pattern', 'flags', 'minLength', 'maxLength', 'maxWords'];
+const GEOMETRY_KEYS = ['minWidth', 'maxWidth', 'minHeight', 'maxHeight', 'minAspect', 'maxAspect', 'minTop', 'maxTop'];
+const REGION_KEYS = ['minX', 'maxX', 'minY', 'maxY'];
+const DEFAULT_CONFIDENCE = 0.3; // Elements no type rule fired on
+
+class ClassificationRuleEngine {
+  /**
+   * @param {Object} options
+   * @param {Array<string>} options.sources - Pack files and directories (default: the built-in packs,
+   *   then CLASSIFICATION_RULE_PACKS)
+   */
+  constructor(options = {}) {
+    this.sources = options.sources || [
+      BUILTIN_PACKS,
+      ...(process.env.CLASSIFICATION_RULE_PACKS || '').split(',').map(p => p.trim()).filter(Boolean).map(p => path.resolve(p))
+    ];
+    this.packs = null; // Loaded on first use
+  }
+
+  /**
+   * Read every pack again (invalid packs are logged and skipped)
+   * @returns {Array} Compiled packs
+   */
+  reload() {
+    const byName = new Map();
+    for (const file of this.sources.flatMap(listPackFiles)) {
+      try {
+        const pack = compilePack(JSON.parse(fs.readFileSync(file, 'utf8')), file);
+        byName.delete(pack.name); // Keep load order, with the replacement last
+        byName.set(pack.name, pack);
+      } catch (error) {
+        logger.error('❌ Invalid classification rule pack', { path: file, error: error.message });
+      }
+    }
+    this.packs = [...byName.values()];
+    logger.info('🏷️  Classification rule packs loaded', {
+      packs: this.packs.map(pack => pack.name),
+      rules: this.packs.reduce((sum, pack) => sum + pack.rules.length, 0)
+    });
+    return this.packs;
+  }
+
+  /**
+   * @returns {Array} Loaded packs as written ({ name, description, appliesTo, rules, path })
+   */
+  listPacks() {
+    return this._packs().map(pack => ({ ...pack.spec, path: pack.path }));
+  }
+
+  /**
+   * Look up a fired rule
+   * @param {string} ref - 'pack/rule-id' as listed in an element's rulesFired
+   * @returns {Object|null} Rule as written, with its pack name
+   */
+  getRule(ref) {
+    const [packName, ...rest] = String(ref).split('/');
+    const rule = this._packs().find(pack => pack.name === packName)?.rules.find(r => r.id === rest.join('/'));
+    return rule ? { ...rule.spec, pack: packName } : null;
+  }
+
+  /**
+   * Classify one element
+   * @param {Object} element - { text, bbox (points relative to the captured area), normalizedBbox }
+   * @param {Object} context - { app, title, url, languages (OCR languages, select the vocabulary) }
+   * @returns {Object} { type, clickable, confidence (of the rule that set the type),
+   *   rulesFired: ['pack/rule-id', ...] highest priority first }
+   */
+  classify(element, context = {}) {
+    const vocabulary = getUIVocabulary(context.languages);
+    const fired = [];
+    for (const pack of this._packsFor(context)) {
+      for (const rule of pack.rules) {
+        if (ruleMatches(rule, element, context, vocabulary)) {
+          fired.push({ pack, rule });
+        }
+      }
+    }
+    fired.sort((a, b) => (b.rule.priority - a.rule.priority) || (b.pack.specific - a.pack.specific));
+
+    const typeRule = fired.find(({ rule }) => rule.type !== undefined)?.rule;
+    const clickableRule = fired.find(({ rule }) => rule.clickable !== undefined)?.rule;
+    return {
+      type: typeRule ? typeRule.type : 'text',
+      clickable: clickableRule ? clickableRule.clickable : false,
+      confidence: typeRule ? typeRule.confidence : DEFAULT_CONFIDENCE,
+      rulesFired: fired.map(({ pack, rule }) => `${pack.name}/${rule.id}`)
+    };
+  }
+
+  /**
+   * @private
+   */
+  _packs() {
+    return this.packs || this.reload();
+  }
+
+  /**
+   * Packs that apply to a window
+   * @private
+   */
+  _packsFor(context) {
+    return this._packs().filter(pack => {
+      if (!pack.appliesTo) return true;
+      const { apps, titles, urls } = pack.appliesTo;
+      return apps.some(pattern => pattern.test(context.app || '')) ||
+        titles.some(pattern => pattern.test(context.title || '')) ||
+        urls.some(pattern => pattern.test(context.url || ''));
+    });
+  }
+}
+
+/**
+ * Validate a pack and compile its patterns
+ * @param {Object} spec - Pack as written
+ * @param {string} file - Where it was read from
+ * @returns {Object} { name, path, spec, specific, appliesTo: { apps, titles, urls } | null, rules }
+ * @throws {Error} With status 400 when the pack is invalid
+ */
+export function compilePack(spec, file = null) {
+  const invalid = message => withStatus(new Error(message), 400);
+  if (!spec || typeof spec.name !== 'string' || !/^[\w.-]+$/.test(spec.name)) {
+    throw invalid('Rule pack needs a name (letters, digits, _ . -)');
+  }
+  if (!Array.isArray(spec.rules)) {
+    throw invalid(`Rule pack ${spec.name}: rules must be an array`);
+  }
+
+  let appliesTo = null;
+  if (spec.appliesTo) {
+    const patterns = key => (spec.appliesTo[key] || []).map(pattern => compilePattern(pattern, 'i', `${spec.name} appliesTo.${key}`, invalid));
+    appliesTo = { apps: patterns('apps'), titles: patterns('titles'), urls: patterns('urls') };
+  }
+
+  const ids = new Set();
+  const rules = spec.rules.map(rule => {
+    const where = `Rule ${spec.name}/${rule?.id}`;
+    if (!rule || typeof rule.id !== 'string' || rule.id === '') {
+      throw invalid(`Rule pack ${spec.name}: every rule needs an id`);
+    }
+    if (ids.has(rule.id)) throw invalid(`${where}: duplicate id`);
+    ids.add(rule.id);
+    if (rule.type === undefined && rule.clickable === undefined) {
+      throw invalid(`${where}: set a type, clickable or both`);
+    }
+    if (rule.type !== undefined && typeof rule.type !== 'string') throw invalid(`${where}: type must be a string`);
+    if (rule.clickable !== undefined && typeof rule.clickable !== 'boolean') throw invalid(`${where}: clickable must be a boolean`);
+    const priority = rule.priority ?? 0;
+    const confidence = rule.confidence ?? 0.5;
+    if (!Number.isFinite(priority)) throw invalid(`${where}: priority must be a number`);
+    if (!(Number.isFinite(confidence) && confidence >= 0 && confidence <= 1)) throw invalid(`${where}: confidence must be between 0 and 1`);
+
+    return {
+      id: rule.id,
+      spec: rule,
+      type: rule.type,
+      clickable: rule.clickable,
+      priority,
+      confidence,
+      text: rule.text ? compileText(rule.text, where, invalid) : null,
+      geometry: rule.geometry ? numbers(rule.geometry, GEOMETRY_KEYS, `${where} geometry`, invalid) : null,
+      region: rule.region ? numbers(rule.region, REGION_KEYS, `${where} region`, invalid) : null,
+      app: rule.app ? compilePattern(rule.app, 'i', `${where} app`, invalid) : null,
+      title: rule.title ? compilePattern(rule.title, 'i', `${where} title`, invalid) : null,
+      url: rule.url ? compilePattern(rule.url, 'i', `${where} url`, invalid) : null
+    };
+  });
+
+  return { name: spec.name, path: file, spec, specific: appliesTo ? 1 : 0, appliesTo, rules };
+}
+
+/**
+ * Whether every condition of a rule holds for an element
+ */
+function ruleMatches(rule, element, context, vocabulary) {
+  if (rule.app && !rule.app.test(context.app || '')) return false;
+  if (rule.title && !rule.title.test(context.title || '')) return false;
+  if (rule.url && !rule.url.test(context.url || '')) return false;
+
+  if (rule.text) {
+    const text = (element.text || '').trim();
+    const { vocabularies, pattern, minLength, maxLength, maxWords } = rule.text;
+    if (minLength !== undefined && text.length < minLength) return false;
+    if (maxLength !== undefined && text.length > maxLength) return false;
+    if (maxWords !== undefined && text.split(/\s+/).filter(Boolean).length > maxWords) return false;
+    if (pattern && !pattern.test(text)) return false;
+    if (vocabularies && !vocabularies.some(name => inVocabulary(vocabulary, name, text))) return false;
+  }
+
+  if (rule.geometry) {
+    if (!element.bbox || element.bbox.length !== 4) return false;
+    const [x1, y1, x2, y2] = element.bbox;
+    const width = x2 - x1;
+    const height = y2 - y1;
+    const values = { Width: width, Height: height, Aspect: height > 0 ? width / height : 1, Top: y1 };
+    if (!withinBounds(rule.geometry, values)) return false;
+  }
+
+  if (rule.region) {
+    const bbox = element.normalizedBbox;
+    if (!bbox || bbox.length !== 4) return false;
+    if (!withinBounds(rule.region, { X: (bbox[0] + bbox[2]) / 2, Y: (bbox[1] + bbox[3]) / 2 })) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Check { minFoo, maxFoo } bounds (inclusive) against { Foo: value }
+ */
+function withinBounds(bounds, values) {
+  return Object.entries(values).every(([name, value]) =>
+    (bounds[`min${name}`] === undefined || value >= bounds[`min${name}`]) &&
+    (bounds[`max${name}`] === undefined || value <= bounds[`max${name}`]));
+}
+
+function inVocabulary(vocabulary, name, text) {
+  switch (name) {
+    case 'buttons': return vocabulary.isButton(text);
+    case 'inputs': return vocabulary.isInput(text);
+    case 'dropdowns': return vocabulary.isDropdown(text);
+    case 'labels': return vocabulary.isLabel(text);
+    case 'menuBar': return vocabulary.menuBar.has(text);
+    case 'navigation': return vocabulary.navigation.has(text);
+    case 'clickable': {
+      const lower = text.toLowerCase();
+      return vocabulary.clickable.some(keyword => lower.includes(keyword));
+    }
+    default: return false;
+  }
+}
+
+function compileText(text, where, invalid) {
+  const unknown = Object.keys(text).filter(key => !TEXT_KEYS.includes(key));
+  if (unknown.length > 0) throw invalid(`${where}: unknown text condition ${unknown.join(', ')}`);
+
+  let vocabularies = null;
+  if (text.vocabulary !== undefined) {
+    vocabularies = Array.isArray(text.vocabulary) ? text.vocabulary : [text.vocabulary];
+    const unknownLists = vocabularies.filter(name => !VOCABULARIES.includes(name));
+    if (unknownLists.length > 0) {
+      throw invalid(`${where}: vocabulary must be one of ${VOCABULARIES.join(', ')}`);
+    }
+  }
+  const { minLength, maxLength, maxWords } = numbers(text, ['minLength', 'maxLength', 'maxWords'], where, invalid, false);
+  return {
+    vocabularies,
+    pattern: text.pattern !== undefined ? compilePattern(text.pattern, text.flags || '', `${where} text.pattern`, invalid) : null,
+    minLength,
+    maxLength,
+    maxWords
+  };
+}
+
+/**
+ * Pick numeric bounds from a condition object
+ * @param {boolean} strict - Reject keys that aren't bounds
+ */
+function numbers(spec, keys, where, invalid, strict = true) {
+  if (strict) {
+    const unknown = Object.keys(spec).filter(key => !keys.includes(key));
+    if (unknown.length > 0) throw invalid(`${where}: unknown condition ${unknown.join(', ')} (use ${keys.join(', ')})`);
+  }
+  const picked = {};
+  for (const key of keys) {
+    if (spec[key] === undefined) continue;
+    if (!Number.isFinite(spec[key])) throw invalid(`${where}: ${key} must be a number`);
+    picked[key] = spec[key];
+  }
+  return picked;
+}
+
+function compilePattern(pattern, flags, where, invalid) {
+  try {
+    return new RegExp(pattern, flags.replace('g', ''));
+  } catch (error) {
+    throw invalid(`${where}: invalid regex: ${error.message}`);
+  }
+}
+
+/**
+ * JSON files of a pack source: the file itself, or a directory's *.json files in name order
+ */
+function listPackFiles(source) {
+  try {
+    if (fs.statSync(source).isDirectory()) {
+      return fs.readdirSync(source)
+        .filter(name => name.endsWith('.json'))
+        .sort()
+        .map(name => path.join(source, name));
+    }
+    return [source];
+  } catch (error) {
+    logger.error('❌ Classification rule pack source not readable', { path: source, error: error.message });
+    return [];
+  }
+}
+
+function withStatus(error, status) {
+  error.status = status;
+  return error;
+}
+
+// Singleton instance
+let instance = null;
+
+/**
+ * Get classification rule engine singleton
+ * @returns {ClassificationRuleEngine} Rule engine instance
+ */
+export function getClassificationRuleEngine() {
+  if (!instance) {
+    instance = new ClassificationRuleEngine();
+  }
+  return instance;
+}
+
+export { ClassificationRuleEngine };
+
+export default ClassificationRuleEngine;
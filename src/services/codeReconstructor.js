@@ -0,0 +1,471 @@
+/**
+ * Code Reconstructor
+ * Rebuilds code and terminal text from OCR words with its columns, indentation and
+ * line breaks (IDEs, editors, terminals)
+ *
+ * OCR drops leading whitespace and collapses runs of spaces. In a monospace font every
+ * character has the same width, so every word starts on a grid of character columns:
+ *   - text lines of the same character width stacked on top of each other form a
+ *     candidate region
+ *   - the character width is fitted from the word widths, then against the word
+ *     positions; a region is monospace when its words are as wide as their text and
+ *     start on the grid (proportional text fails both)
+ *   - a word's column gives the spaces in front of it, the line pitch gives blank lines,
+ *     and a gutter of increasing line numbers is split off
+ *
+ * Regions get a language from a file name in the window title, else from keyword
+ * patterns. Terminal regions (terminal apps, or lines starting with a shell prompt) are
+ * split into commands: prompt, command and the output printed after it.
+ *
+ * Works in image pixels (OCR words); options.toScreen maps boxes to screen points.
+ * Needs word boxes, so it runs on the OCR words whatever the element granularity.
+ */
+
+import logger from '../utils/logger.js';
+
+const MIN_LINES = 3; // Text lines in a code region (terminal apps: 2)
+const MIN_GRID_WORDS = 4; // Indented or inner words the grid is checked against
+const GRID_TOLERANCE = 0.25; // Distance from a column, in characters, that still counts as on the grid
+const MIN_GRID_FIT = 0.8; // Share of words that must start on the grid
+const MIN_WIDTH_FIT = 0.8; // Share of words that must be as wide as their text
+const PITCH_TOLERANCE = 0.2; // Relative character width difference between lines of one region
+const SEGMENT_GAP = 4; // Horizontal gap, in line heights, that splits a text line (sidebar | editor)
+const MAX_LINE_GAP = 4; // Vertical gap, in line heights, before a region ends
+const MAX_DEDENT = 16; // Characters a line may start left of the region (viewport starts mid-block)
+const MAX_BLANK_LINES = 2;
+
+const TERMINAL_APPS = /terminal|iterm|konsole|alacritty|kitty|wezterm|warp|hyper|tilix|terminator|xterm|urxvt|ghostty|powershell|cmd\.exe|command prompt/i;
+
+// Prompt → [prompt, command]
+const PROMPTS = [
+  /^((?:\([\w.-]+\)\s+)?[\w.-]+@[\w.-]+(?:[:\s]\s?\S*)?\s?[$#%>])\s*(.*)$/, // user@host:~/src$ (venv prefix)
+  /^(PS [A-Za-z]:\\[^>]*>)\s*(.*)$/, // PowerShell
+  /^([A-Za-z]:\\[^>]*>)\s*(.*)$/, // cmd.exe
+  /^((?:\([\w.-]+\)\s+)?(?:[~/][\w./~-]*\s)?[$%❯➜λ])(?:\s+(.*))?$/, // $, ~/src %, ❯
+  /^(>>>|In \[\d+\]:)\s+(.*)$/ // Python / IPython REPL
+];
+
+const EXTENSIONS = {
+  js: 'javascript', mjs: 'javascript', cjs: 'javascript', jsx: 'javascript',
+  ts: 'typescript', tsx: 'typescript', py: 'python', rb: 'ruby', go: 'go', rs: 'rust',
+  java: 'java', kt: 'kotlin', swift: 'swift', cs: 'csharp', c: 'c', h: 'c',
+  cpp: 'cpp', cc: 'cpp', hpp: 'cpp', php: 'php', sh: 'shell', bash: 'shell', zsh: 'shell',
+  ps1: 'powershell', sql: 'sql', json: 'json', yml: 'yaml', yaml: 'yaml', toml: 'toml',
+  html: 'html', htm: 'html', vue: 'vue', css: 'css', scss: 'scss', md: 'markdown', xml: 'xml'
+};
+
+// Each pattern scores once per line that matches it
+const LANGUAGE_PATTERNS = {
+  python: [/^\s*(def|class)\s+\w+.*:\s*$/, /^\s*(import\s+\w+|from\s+[\w.]+\s+import\b)/, /\bself\./, /^\s*(elif|except|with|for|while|if)\b.*:\s*$/, /\bNone\b|\bTrue\b|\bFalse\b/],
+  javascript: [/\b(const|let|var)\s+[\w{[]/, /=>/, /\bfunction\b/, /\bconsole\.\w+\(/, /\brequire\(|^\s*import\s.+\sfrom\s+['"]|^\s*export\s/, /\bawait\s/],
+  typescript: [/:\s*(string|number|boolean|void|any|unknown)\b/, /^\s*(export\s+)?(interface|type)\s+\w+/, /\b(private|public|readonly)\s+\w+:/],
+  java: [/\bpublic\s+(static\s+)?(final\s+)?(class|void|int|String)\b/, /System\.out\.print/, /@Override/],
+  csharp: [/^\s*using\s+System/, /^\s*namespace\s+[\w.]+/, /\bpublic\s+(async\s+)?Task\b/, /\bvar\s+\w+\s*=\s*new\b/],
+  go: [/^\s*package\s+\w+\s*$/, /\bfunc\s+(\(\w+\s+\*?\w+\)\s*)?\w+\(/, /:=/, /\bfmt\.\w+\(/, /\berr\s*!=\s*nil\b/],
+  rust: [/\bfn\s+\w+\s*[(<]/, /\blet\s+mut\b/, /^\s*(pub\s+)?(impl|struct|enum|mod|use)\b/, /\w+!\(/, /->\s*(Self|Result|Option|&?\w+)/],
+  c: [/^\s*#include\s*[<"]/, /\bint\s+main\s*\(/, /\bprintf\(/, /->\w+/],
+  cpp: [/\bstd::/, /^\s*#include\s*<(iostream|vector|string|memory)>/, /\btemplate\s*</],
+  ruby: [/^\s*def\s+\w+[^:]*$/, /^\s*end\s*$/, /\bputs\b/, /\bdo\s*\|\w+\|/],
+  php: [/<\?php/, /\$\w+\s*=/, /\bfunction\s+\w+\s*\(\$/, /->\w+\(/],
+  shell: [/^#!\/.*\b(ba|z)?sh\b/, /^\s*(export|echo|cd|sudo|npm|git|ls|cat|grep|curl)\s/, /\$\{?\w+\}?/, /^\s*(fi|done|esac)\s*$|;\s*then\s*$/],
+  sql: [/^\s*(SELECT|INSERT\s+INTO|UPDATE|DELETE\s+FROM|CREATE\s+TABLE|ALTER\s+TABLE)\b/i, /^\s*(FROM|WHERE|JOIN|GROUP\s+BY|ORDER\s+BY)\b/i],
+  json: [/^\s*"[^"]+"\s*:\s*/, /^\s*[{}[\]],?\s*$/],
+  yaml: [/^\s*[\w-]+:\s+\S/, /^\s*[\w-]+:\s*$/, /^\s*-\s+[\w"']/],
+  html: [/<\/?(html|head|body|div|span|p|a|ul|li|script|section|button)\b/i],
+  css: [/^\s*[.#]?[\w-][\w\s.#:>-]*\{\s*$/, /^\s*[\w-]+\s*:\s*[^;]+;\s*$/]
+};
+
+class CodeReconstructor {
+  /**
+   * @param {Object} options
+   * @param {boolean} options.enabled - Reconstruct code regions (default: true unless CODE_RECONSTRUCTION=false)
+   */
+  constructor(options = {}) {
+    this.enabled = options.enabled ?? process.env.CODE_RECONSTRUCTION !== 'false';
+  }
+
+  /**
+   * Find monospace regions among OCR words and rebuild their text
+   * @param {Array} words - OCR words [{ text, bbox }] in image pixels
+   * @param {Object} options
+   * @param {Function} options.toScreen - Maps an image-pixel box to screen points (default: unchanged)
+   * @param {string} options.app - App name (terminal apps are split into commands)
+   * @param {string} options.windowTitle - Window title (a file name in it sets the language)
+   * @returns {Array} [{ id, kind: 'code' | 'terminal', language, bbox, physicalBbox, charWidth, lineHeight,
+   *   lineNumbers, text, lines: [{ text, indent, number, bbox, physicalBbox }], commands, markdown }]
+   *   (commands only for terminals: [{ prompt, command, output, bbox, physicalBbox }])
+   */
+  reconstruct(words, options = {}) {
+    const positioned = (words || []).filter(word => word.text && word.text.trim() &&
+      word.bbox && word.bbox[2] > word.bbox[0] && word.bbox[3] > word.bbox[1]);
+    if (positioned.length < MIN_GRID_WORDS) return [];
+
+    const terminalApp = TERMINAL_APPS.test(options.app || '');
+    const context = {
+      terminalApp,
+      minLines: terminalApp ? 2 : MIN_LINES,
+      titleLanguage: languageFromTitle(options.windowTitle),
+      toScreen: options.toScreen || (bbox => bbox)
+    };
+
+    const segments = groupLines(positioned).flatMap(splitAtGaps);
+    const stamp = Date.now();
+    const regions = groupRegions(segments)
+      .map(candidate => buildRegion(candidate, context))
+      .filter(Boolean);
+    regions.forEach((region, index) => {
+      region.id = `code-${stamp}-${index}`;
+    });
+
+    if (regions.length > 0) {
+      logger.info(`💻 Reconstructed ${regions.length} code region(s): ${regions.map(r => `${r.kind === 'terminal' ? 'terminal' : r.language} (${r.lines.length} lines)`).join(', ')}`);
+    }
+    return regions;
+  }
+}
+
+/**
+ * Guess the language of a piece of code from keyword patterns
+ * @param {string} text - Code with its line breaks
+ * @returns {string} Language name, or 'text' when nothing stands out
+ */
+export function detectLanguage(text) {
+  const lines = (text || '').split('\n').filter(line => line.trim());
+  const scores = Object.fromEntries(Object.entries(LANGUAGE_PATTERNS).map(([language, patterns]) => [
+    language,
+    lines.reduce((sum, line) => sum + patterns.filter(pattern => pattern.test(line)).length, 0)
+  ]));
+
+  // TypeScript is JavaScript with types; C++ is C with namespaces and templates
+  if (scores.typescript > 0) scores.typescript += scores.javascript;
+  if (scores.cpp > 0) scores.cpp += scores.c;
+  if (!/^\s*[{[]/.test(lines[0] || '')) scores.json = 0; // Closing braces alone don't make JSON
+
+  const [language, score] = Object.entries(scores).sort((a, b) => b[1] - a[1])[0];
+  return score >= Math.min(2, lines.length) ? language : 'text';
+}
+
+/**
+ * Language of the file named in a window title ("server.js — my-app")
+ * @returns {string|null}
+ */
+export function languageFromTitle(title) {
+  for (const match of (title || '').matchAll(/[\w-]+\.([A-Za-z0-9]{1,5})\b/g)) {
+    const language = EXTENSIONS[match[1].toLowerCase()];
+    if (language) return language;
+  }
+  return null;
+}
+
+/**
+ * Group words into text lines by vertical overlap
+ * @returns {Array} [{ words (left to right), bbox, height }] top to bottom
+ */
+function groupLines(words) {
+  const lines = [];
+  for (const word of [...words].sort((a, b) => centerY(a.bbox) - centerY(b.bbox))) {
+    const line = lines.find(candidate => verticalOverlap(candidate.bbox, word.bbox) >= 0.5);
+    if (line) {
+      line.words.push(word);
+      line.bbox = union(line.bbox, word.bbox);
+    } else {
+      lines.push({ words: [word], bbox: [...word.bbox] });
+    }
+  }
+  return lines
+    .sort((a, b) => a.bbox[1] - b.bbox[1])
+    .map(line => ({
+      ...line,
+      words: line.words.sort((a, b) => a.bbox[0] - b.bbox[0]),
+      height: median(line.words.map(word => word.bbox[3] - word.bbox[1]))
+    }));
+}
+
+/**
+ * Split a text line where words are far apart (panes side by side)
+ * @returns {Array} [{ words, bbox, height, pitch (null with only single characters: "}"),
+ *   characters (the pitch was fitted over) }]
+ */
+function splitAtGaps(line) {
+  const runs = [];
+  for (const word of line.words) {
+    const run = runs[runs.length - 1];
+    if (run && word.bbox[0] - run[run.length - 1].bbox[2] <= SEGMENT_GAP * line.height) {
+      run.push(word);
+    } else {
+      runs.push([word]);
+    }
+  }
+  return runs.map(runWords => ({
+    words: runWords,
+    bbox: runWords.map(word => word.bbox).reduce(union),
+    height: line.height,
+    pitch: fitPitch(runWords),
+    characters: runWords.map(word => length(word.text)).filter(characters => characters >= 2).reduce((sum, c) => sum + c, 0)
+  }));
+}
+
+/**
+ * Stack segments of the same character width and height into candidate regions
+ * A segment joins the region whose left edge is nearest, as long as it starts within the
+ * region's width and close below it. Segments without a pitch (lone braces) only join.
+ * @returns {Array} [{ segments, bbox, pitch, height, characters }]
+ */
+function groupRegions(segments) {
+  const regions = [];
+  for (const segment of [...segments].sort((a, b) => (a.bbox[1] - b.bbox[1]) || (a.bbox[0] - b.bbox[0]))) {
+    const region = regions
+      .filter(candidate => (!segment.pitch || Math.abs(segment.pitch - candidate.pitch) <= PITCH_TOLERANCE * candidate.pitch) &&
+        segment.height / candidate.height > 0.7 && segment.height / candidate.height < 1.4 &&
+        segment.bbox[1] - candidate.bbox[3] <= MAX_LINE_GAP * candidate.height &&
+        segment.bbox[0] >= candidate.bbox[0] - MAX_DEDENT * candidate.pitch &&
+        segment.bbox[0] <= candidate.bbox[2] + 2 * candidate.pitch &&
+        segment.bbox[2] > candidate.bbox[0])
+      .sort((a, b) => Math.abs(segment.bbox[0] - a.bbox[0]) - Math.abs(segment.bbox[0] - b.bbox[0]))[0];
+    if (region) {
+      if (segment.pitch) {
+        const characters = region.characters + segment.characters;
+        region.pitch = (region.pitch * region.characters + segment.pitch * segment.characters) / characters;
+        region.characters = characters;
+      }
+      region.segments.push(segment);
+      region.bbox = union(region.bbox, segment.bbox);
+    } else if (segment.pitch) {
+      regions.push({
+        segments: [segment],
+        bbox: [...segment.bbox],
+        pitch: segment.pitch,
+        height: segment.height,
+        characters: segment.characters
+      });
+    }
+  }
+  return regions;
+}
+
+/**
+ * Check that a candidate is monospace and rebuild its text
+ * @returns {Object|null} Region, or null when the candidate is too small or not monospace
+ */
+function buildRegion(candidate, context) {
+  const rows = groupLines(candidate.segments.flatMap(segment => segment.words));
+  if (rows.length < context.minLines) return null;
+
+  const numbers = splitLineNumbers(rows);
+  const words = rows.flatMap(row => row.words);
+  if (words.length === 0) return null;
+
+  const grid = fitGrid(words, fitPitch(words) || candidate.pitch);
+  const column = word => (word.bbox[0] - grid.origin) / grid.pitch;
+  const inner = words.filter(word => Math.round(column(word)) > 0);
+  if (inner.length < MIN_GRID_WORDS && !context.terminalApp) return null;
+  const onGrid = inner.filter(word => Math.abs(column(word) - Math.round(column(word))) <= GRID_TOLERANCE).length;
+  const sized = words.filter(word => length(word.text) >= 2);
+  const fitting = sized.filter(word => {
+    const characters = length(word.text);
+    return Math.abs((word.bbox[2] - word.bbox[0]) / grid.pitch - characters) <= 0.6 + 0.05 * characters;
+  }).length;
+  if ((inner.length > 0 && onGrid / inner.length < MIN_GRID_FIT) ||
+      (sized.length > 0 && fitting / sized.length < MIN_WIDTH_FIT)) {
+    return null;
+  }
+
+  // Lines: spaces in front of each word from its column, blank lines from the line pitch
+  const centers = rows.map(row => centerY(row.bbox));
+  const gaps = centers.slice(1).map((center, i) => center - centers[i]);
+  const lineHeight = median(gaps.filter(gap => gap >= 0.8 * candidate.height)) || 1.2 * candidate.height;
+  const textLines = [];
+  const lines = rows.map((row, i) => {
+    if (i > 0) {
+      const blanks = Math.round(gaps[i - 1] / lineHeight) - 1;
+      for (let b = 0; b < Math.min(MAX_BLANK_LINES, blanks); b++) textLines.push('');
+    }
+    let text = '';
+    for (const word of row.words) {
+      const start = Math.max(Math.round(column(word)), text ? length(text) + 1 : 0);
+      text += ' '.repeat(Math.max(0, start - length(text))) + word.text;
+    }
+    textLines.push(text);
+    const physicalBbox = row.words.length > 0 ? row.words.map(word => word.bbox).reduce(union) : row.bbox;
+    return {
+      text,
+      indent: text.length - text.trimStart().length,
+      number: numbers ? numbers[i] : null,
+      bbox: context.toScreen(physicalBbox),
+      physicalBbox
+    };
+  });
+
+  const text = textLines.join('\n');
+  const prompted = lines.map(line => matchPrompt(line.text));
+  const kind = context.terminalApp || prompted.some(Boolean) ? 'terminal' : 'code';
+  const language = kind === 'terminal' ? 'shell' : context.titleLanguage || detectLanguage(text);
+  const physicalBbox = rows.map(row => row.bbox).reduce(union); // Gutter included
+  const fence = text.includes('```') ? '````' : '```';
+
+  return {
+    id: null,
+    kind,
+    language,
+    bbox: context.toScreen(physicalBbox),
+    physicalBbox,
+    charWidth: Math.round(grid.pitch * 100) / 100,
+    lineHeight: Math.round(lineHeight),
+    lineNumbers: Boolean(numbers),
+    text,
+    lines,
+    commands: kind === 'terminal' ? splitCommands(lines, prompted, context.toScreen) : null,
+    markdown: `${fence}${kind === 'terminal' ? 'console' : language === 'text' ? '' : language}\n${text}\n${fence}`
+  };
+}
+
+/**
+ * Remove an editor's line-number gutter: a leading number on most rows, increasing downwards
+ * @param {Array} rows - Text lines (the number words are removed in place)
+ * @returns {Array|null} Line number of each row (null where the row had none), or null without a gutter
+ */
+function splitLineNumbers(rows) {
+  const leading = rows.map(row => /^\d+$/.test(row.words[0].text) ? parseInt(row.words[0].text, 10) : null);
+  const found = leading.filter(number => number !== null);
+  if (found.length < 0.6 * rows.length || found.some((number, i) => i > 0 && number <= found[i - 1])) {
+    return null;
+  }
+  rows.forEach((row, i) => {
+    if (leading[i] !== null) row.words = row.words.slice(1);
+  });
+  return leading;
+}
+
+/**
+ * Terminal commands: each prompt line starts one, the lines until the next prompt are its output
+ * (output above the first prompt becomes a command without prompt)
+ */
+function splitCommands(lines, prompted, toScreen) {
+  const commands = [];
+  lines.forEach((line, i) => {
+    const prompt = prompted[i];
+    if (prompt || commands.length === 0) {
+      commands.push({
+        prompt: prompt ? prompt.prompt : null,
+        command: prompt ? prompt.command : null,
+        output: prompt ? [] : [line.text],
+        physicalBbox: line.physicalBbox
+      });
+    } else {
+      const command = commands[commands.length - 1];
+      command.output.push(line.text);
+      command.physicalBbox = union(command.physicalBbox, line.physicalBbox);
+    }
+  });
+  return commands.map(command => ({
+    prompt: command.prompt,
+    command: command.command,
+    output: command.output.join('\n'),
+    bbox: toScreen(command.physicalBbox),
+    physicalBbox: command.physicalBbox
+  }));
+}
+
+function matchPrompt(text) {
+  for (const pattern of PROMPTS) {
+    const match = text.trimStart().match(pattern);
+    if (match) return { prompt: match[1], command: (match[2] || '').trim() };
+  }
+  return null;
+}
+
+/**
+ * Character width from word widths: slope of width over character count (OCR boxes are
+ * tight around the glyphs, so a word is a little narrower than its characters' advance)
+ * @returns {number|null} Pixels per character, or null without words of two or more characters
+ */
+function fitPitch(words) {
+  const sized = words
+    .map(word => ({ characters: length(word.text), width: word.bbox[2] - word.bbox[0] }))
+    .filter(word => word.characters >= 2);
+  if (sized.length === 0) return null;
+
+  const meanCharacters = sized.reduce((sum, word) => sum + word.characters, 0) / sized.length;
+  const meanWidth = sized.reduce((sum, word) => sum + word.width, 0) / sized.length;
+  let covariance = 0;
+  let variance = 0;
+  for (const word of sized) {
+    covariance += (word.characters - meanCharacters) * (word.width - meanWidth);
+    variance += (word.characters - meanCharacters) ** 2;
+  }
+  const ratio = meanWidth / meanCharacters;
+  const slope = variance > 0 ? covariance / variance : ratio;
+  // Words of one length (or noisy short lines) give no usable slope
+  return slope > 0.8 * ratio && slope < 1.5 * ratio ? slope : ratio;
+}
+
+/**
+ * Fit the column grid to the word positions: x = origin + column × pitch
+ * Starts from the width-based pitch and refines it by regression on the rounded columns
+ * (small width errors add up over long lines otherwise).
+ * @returns {Object} { origin, pitch }
+ */
+function fitGrid(words, pitch) {
+  let origin = Math.min(...words.map(word => word.bbox[0]));
+  let fitted = pitch;
+  for (let iteration = 0; iteration < 3; iteration++) {
+    const columns = words.map(word => Math.round((word.bbox[0] - origin) / fitted));
+    const meanColumn = columns.reduce((sum, c) => sum + c, 0) / columns.length;
+    const meanX = words.reduce((sum, word) => sum + word.bbox[0], 0) / words.length;
+    let covariance = 0;
+    let variance = 0;
+    words.forEach((word, i) => {
+      covariance += (columns[i] - meanColumn) * (word.bbox[0] - meanX);
+      variance += (columns[i] - meanColumn) ** 2;
+    });
+    if (variance === 0) break;
+    const refined = covariance / variance;
+    if (Math.abs(refined - pitch) > 0.15 * pitch) break;
+    fitted = refined;
+    origin = meanX - fitted * meanColumn;
+  }
+  return { origin, pitch: fitted };
+}
+
+function length(text) {
+  return [...text].length;
+}
+
+function centerY(bbox) {
+  return (bbox[1] + bbox[3]) / 2;
+}
+
+/**
+ * Vertical overlap of two boxes as a share of the shorter one
+ */
+function verticalOverlap(a, b) {
+  const overlap = Math.min(a[3], b[3]) - Math.max(a[1], b[1]);
+  return overlap / Math.max(1, Math.min(a[3] - a[1], b[3] - b[1]));
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted.length > 0 ? sorted[Math.floor(sorted.length / 2)] : 0;
+}
+
+function union(a, b) {
+  return [Math.min(a[0], b[0]), Math.min(a[1], b[1]), Math.max(a[2], b[2]), Math.max(a[3], b[3])];
+}
+
+// Singleton instance
+let instance = null;
+
+/**
+ * Get code reconstructor singleton
+ * @returns {CodeReconstructor} Code reconstructor instance
+ */
+export function getCodeReconstructor() {
+  if (!instance) {
+    instance = new CodeReconstructor();
+  }
+  return instance;
+}
+
+export { CodeReconstructor };
+
+export default CodeReconstructor;
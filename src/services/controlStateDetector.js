@@ -0,0 +1,325 @@
+/**
+ * Control State Detector
+ * Estimates from the pixels around each element whether it is checked, selected,
+ * disabled or focused
+ *
+ *   - checked (checkboxes, radio buttons, switches): the middle of the box differs from
+ *     the band just inside its outline (a tick or dot), or the box is filled with an accent
+ *     color; a switch (a small rounded box without text) is on when it is mostly accent colored
+ *   - selected (tabs, menu and list items, sibling buttons and links): among elements of
+ *     one type in one layout region, the few whose background (around the box, or the fill
+ *     just inside it) differs from the others' or that have an accent bar under them
+ *   - disabled (buttons, toggles, links, tabs, icons): their ink contrast is well below
+ *     that of the other controls of the type on screen (greyed out)
+ *   - focused (fields and controls): an accent-colored ring hugs the box; at most one
+ *     element is focused
+ *
+ * Accent colors are saturated, not-too-dark pixels (blue, green, orange rings and fills).
+ * A state is null where it does not apply to the element or cannot be told.
+ *
+ * Boxes are image pixels (physicalBbox); sizes in points (options.devicePixelRatio).
+ */
+
+import sharp from 'sharp';
+import logger from '../utils/logger.js';
+
+const TOGGLES = new Set(['checkbox', 'radio']);
+const SELECTABLE = new Set(['tab', 'menu_item', 'menu-item', 'list_item', 'button', 'link', 'text']);
+// Types whose own fill marks the selection (a filled button is a primary button, not a selected one)
+const FILL_SELECTS = new Set(['tab', 'menu_item', 'menu-item', 'list_item']);
+const DISABLEABLE = new Set(['button', 'checkbox', 'radio', 'link', 'dropdown', 'tab', 'menu_item', 'menu-item', 'icon']);
+const FOCUSABLE = new Set(['input', 'button', 'checkbox', 'radio', 'dropdown', 'link', 'tab']);
+
+const INK_DIFFERENCE = 40; // Grey-level difference that counts as a mark inside a toggle
+const CHECK_FILL = 0.15; // Share of a toggle's middle that must be marked
+const ACCENT_FILL = 0.5; // Share of a toggle (0.3 of a switch) that makes it an accent fill
+const BACKGROUND_DIFFERENCE = 24; // Color distance between a selected item's background and its siblings'
+const DISABLED_RATIO = 0.5; // Contrast below this share of the type's typical contrast is greyed out
+const FOCUS_RING = 0.5; // Share of the ring band that must be accent colored
+const SWITCH_ASPECT = [1.5, 2.6];
+const SWITCH_MAX_HEIGHT = 32; // Points
+
+class ControlStateDetector {
+  /**
+   * @param {Object} options
+   * @param {boolean} options.enabled - Estimate states (default: true unless CONTROL_STATES=false)
+   */
+  constructor(options = {}) {
+    this.enabled = options.enabled ?? process.env.CONTROL_STATES !== 'false';
+  }
+
+  /**
+   * Estimate the states of elements
+   * @param {Buffer|string} image - Captured image (buffer or path)
+   * @param {Array} elements - Elements with type, text, physicalBbox, parentId and attributes
+   * @param {Object} options
+   * @param {number} options.devicePixelRatio - Image pixels per point (default: 1)
+   * @returns {Promise<Array>} One entry per element: { checked, selected, disabled, focused },
+   *   each true, false or null
+   */
+  async detect(image, elements, options = {}) {
+    const { data, info } = await sharp(image).removeAlpha().toColourspace('srgb').raw().toBuffer({ resolveWithObject: true });
+    const rgb = { data, width: info.width, height: info.height, channels: info.channels };
+    const perPoint = options.devicePixelRatio || 1;
+
+    const states = elements.map(() => ({ checked: null, selected: null, disabled: null, focused: null }));
+    const measurable = elements.map(el => Boolean(el.physicalBbox) && boxSize(el.physicalBbox).width >= 4 && boxSize(el.physicalBbox).height >= 4);
+
+    elements.forEach((el, index) => {
+      if (!measurable[index]) return;
+      if (isSwitch(el, perPoint)) {
+        states[index].checked = accentShare(rgb, el.physicalBbox) >= 0.3;
+      } else if (TOGGLES.has(el.type)) {
+        states[index].checked = isChecked(rgb, el.physicalBbox);
+      }
+    });
+
+    this._markSelected(rgb, elements, measurable, states);
+    this._markDisabled(rgb, elements, measurable, states);
+    this._markFocused(rgb, elements, measurable, states);
+
+    const counts = ['checked', 'selected', 'disabled', 'focused']
+      .map(state => [state, states.filter(s => s[state] === true).length])
+      .filter(([, count]) => count > 0);
+    if (counts.length > 0) {
+      logger.info(`🎛️  Control states: ${counts.map(([state, count]) => `${count} ${state}`).join(', ')}`);
+    }
+    return states;
+  }
+
+  /**
+   * Selected: siblings (one type, one parent) whose background stands out from the rest
+   * @private
+   */
+  _markSelected(rgb, elements, measurable, states) {
+    const groups = new Map();
+    elements.forEach((el, index) => {
+      if (!measurable[index] || !SELECTABLE.has(el.type) || !el.parentId) return;
+      const key = `${el.parentId}|${el.type}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(index);
+    });
+
+    for (const members of groups.values()) {
+      if (members.length < 2) continue;
+      // Tight text boxes sit on their highlight (outside band); boxes from the detector or
+      // model cover it (inner band, for tabs and items)
+      const looks = members.map(index => {
+        const box = elements[index].physicalBbox;
+        return {
+          background: medianColor(rgb, ring(box, 2, 3)),
+          fill: medianColor(rgb, ring(box, -3, -1)),
+          indicator: accentShare(rgb, [box[0], box[3] + 1, box[2], box[3] + 4]) >= 0.4
+        };
+      });
+      const typical = key => [0, 1, 2].map(channel => median(looks.map(look => look[key][channel])));
+      const typicalBackground = typical('background');
+      const typicalFill = typical('fill');
+      const byFill = FILL_SELECTS.has(elements[members[0]].type);
+      const standsOut = looks.map(look =>
+        colorDistance(look.background, typicalBackground) >= BACKGROUND_DIFFERENCE ||
+        (byFill && colorDistance(look.fill, typicalFill) >= BACKGROUND_DIFFERENCE) ||
+        look.indicator);
+
+      // A few stand out: a selection. None or many (striped rows): can't tell.
+      const count = standsOut.filter(Boolean).length;
+      if (count === 0 || count > Math.max(1, Math.floor(members.length / 3))) continue;
+      members.forEach((index, i) => { states[index].selected = standsOut[i]; });
+    }
+  }
+
+  /**
+   * Disabled: much fainter than the other controls of the type
+   * @private
+   */
+  _markDisabled(rgb, elements, measurable, states) {
+    const byType = new Map();
+    elements.forEach((el, index) => {
+      if (!measurable[index] || !DISABLEABLE.has(el.type)) return;
+      if (!byType.has(el.type)) byType.set(el.type, []);
+      byType.get(el.type).push({ index, contrast: inkContrast(rgb, el.physicalBbox) });
+    });
+
+    for (const members of byType.values()) {
+      // Alone, only a barely visible control counts as greyed out
+      const typical = members.length >= 2 ? median(members.map(member => member.contrast)) : 100;
+      for (const { index, contrast } of members) {
+        states[index].disabled = contrast < DISABLED_RATIO * typical && contrast < 110;
+      }
+    }
+  }
+
+  /**
+   * Focused: the element with the strongest accent ring, if any has one
+   * @private
+   */
+  _markFocused(rgb, elements, measurable, states) {
+    let focused = null;
+    elements.forEach((el, index) => {
+      if (!measurable[index] || !FOCUSABLE.has(el.type)) return;
+      const box = el.physicalBbox;
+      // The ring may be inside the box's edge or outside it (the detector found the ring or the field)
+      const share = Math.max(accentShare(rgb, ring(box, -3, 0)), accentShare(rgb, ring(box, 0, 3)));
+      const filled = accentShare(rgb, inset(box, 0.3)) >= ACCENT_FILL; // An accent button, not a ring
+      states[index].focused = false;
+      if (share >= FOCUS_RING && !filled && (!focused || share > focused.share)) {
+        focused = { index, share };
+      }
+    });
+    if (focused) states[focused.index].focused = true;
+  }
+}
+
+/**
+ * A small rounded box about twice as wide as high without text inside (a label beside it is
+ * its child), or a model detection of a switch
+ */
+function isSwitch(el, perPoint) {
+  if (el.type !== 'button' && el.type !== 'checkbox') return false;
+  const rounded = el.attributes?.shape === 'pill' || el.attributes?.shape === 'rounded';
+  const unlabeled = !el.text || (el.children || []).length > 0;
+  if (!/switch|toggle/i.test(el.attributes?.label || '') && !(rounded && unlabeled)) return false;
+  const { width, height } = boxSize(el.physicalBbox);
+  const aspect = width / height;
+  return aspect >= SWITCH_ASPECT[0] && aspect <= SWITCH_ASPECT[1] && height / perPoint <= SWITCH_MAX_HEIGHT;
+}
+
+/**
+ * A tick or dot in the middle of a toggle, or an accent fill
+ */
+function isChecked(rgb, box) {
+  const { width, height } = boxSize(box);
+  const edge = Math.max(2, Math.round(0.15 * Math.min(width, height)));
+  const inner = [box[0] + edge, box[1] + edge, box[2] - edge, box[3] - edge];
+  if (inner[2] - inner[0] < 3 || inner[3] - inner[1] < 3) return null;
+
+  // The band just inside the outline shows the toggle's empty fill
+  const fill = medianColor(rgb, ring(inner, 0, -1));
+  const middle = inset(box, 0.3);
+  let marked = 0;
+  let total = 0;
+  forEachPixel(rgb, middle, (r, g, b) => {
+    total++;
+    if (Math.abs(luminance(r, g, b) - luminance(...fill)) >= INK_DIFFERENCE || colorDistance([r, g, b], fill) >= 2 * INK_DIFFERENCE) {
+      marked++;
+    }
+  });
+  if (total === 0) return null;
+  return marked / total >= CHECK_FILL || accentShare(rgb, inner) >= ACCENT_FILL;
+}
+
+/**
+ * Difference between an element's ink (the pixels furthest from its background) and the
+ * background, in grey levels
+ */
+function inkContrast(rgb, box) {
+  const values = [];
+  forEachPixel(rgb, box, (r, g, b) => values.push(luminance(r, g, b)));
+  if (values.length === 0) return 0;
+  const background = median(values);
+  const distances = values.map(value => Math.abs(value - background)).sort((a, b) => b - a);
+  return distances[Math.floor(distances.length * 0.05)]; // Strongest 5%, ignoring stray pixels
+}
+
+/**
+ * Share of accent-colored pixels in a box or ring (list of boxes)
+ */
+function accentShare(rgb, area) {
+  let accent = 0;
+  let total = 0;
+  forEachPixel(rgb, area, (r, g, b) => {
+    total++;
+    if (isAccent(r, g, b)) accent++;
+  });
+  return total > 0 ? accent / total : 0;
+}
+
+function isAccent(r, g, b) {
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  return max >= 90 && (max - min) / max >= 0.35;
+}
+
+function medianColor(rgb, area) {
+  const channels = [[], [], []];
+  forEachPixel(rgb, area, (r, g, b) => {
+    channels[0].push(r);
+    channels[1].push(g);
+    channels[2].push(b);
+  });
+  return channels.map(values => (values.length > 0 ? median(values) : 0));
+}
+
+/**
+ * Call fn(r, g, b) for the pixels of a box [x1, y1, x2, y2] (or a list of boxes) inside the image
+ */
+function forEachPixel({ data, width, height, channels }, area, fn) {
+  const boxes = Array.isArray(area[0]) ? area : [area];
+  for (const box of boxes) {
+    const x1 = Math.max(0, Math.round(box[0]));
+    const y1 = Math.max(0, Math.round(box[1]));
+    const x2 = Math.min(width, Math.round(box[2]));
+    const y2 = Math.min(height, Math.round(box[3]));
+    for (let y = y1; y < y2; y++) {
+      for (let x = x1; x < x2; x++) {
+        const i = (y * width + x) * channels;
+        fn(data[i], data[i + 1], data[i + 2]);
+      }
+    }
+  }
+}
+
+/**
+ * The band from `from` to `to` pixels outside a box's edge (negative: inside), as four boxes
+ */
+function ring(box, from, to) {
+  const [x1, y1, x2, y2] = box;
+  const outer = Math.max(from, to);
+  const inner = Math.min(from, to);
+  return [
+    [x1 - outer, y1 - outer, x2 + outer, y1 - inner], // Top
+    [x1 - outer, y2 + inner, x2 + outer, y2 + outer], // Bottom
+    [x1 - outer, y1 - inner, x1 - inner, y2 + inner], // Left
+    [x2 + inner, y1 - inner, x2 + outer, y2 + inner] // Right
+  ];
+}
+
+function inset(box, ratio) {
+  const { width, height } = boxSize(box);
+  return [box[0] + ratio * width, box[1] + ratio * height, box[2] - ratio * width, box[3] - ratio * height];
+}
+
+function boxSize(box) {
+  return { width: box[2] - box[0], height: box[3] - box[1] };
+}
+
+function luminance(r, g, b) {
+  return 0.299 * r + 0.587 * g + 0.114 * b;
+}
+
+function colorDistance(a, b) {
+  return Math.sqrt((a[0] - b[0]) ** 2 + (a[1] - b[1]) ** 2 + (a[2] - b[2]) ** 2);
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+// Singleton instance
+let instance = null;
+
+/**
+ * Get control state detector singleton
+ * @returns {ControlStateDetector} Control state detector instance
+ */
+export function getControlStateDetector() {
+  if (!instance) {
+    instance = new ControlStateDetector();
+  }
+  return instance;
+}
+
+export { ControlStateDetector };
+
+export default ControlStateDetector;
@@ -72,10 +72,14 @@ class DuckDBVectorStore {
         bbox_y1 INTEGER,
         bbox_x2 INTEGER,
         bbox_y2 INTEGER,
-        normalized_bbox_x1 INTEGER,
-        normalized_bbox_y1 INTEGER,
-        normalized_bbox_x2 INTEGER,
-        normalized_bbox_y2 INTEGER,
+        normalized_bbox_x1 REAL,
+        normalized_bbox_y1 REAL,
+        normalized_bbox_x2 REAL,
+        normalized_bbox_y2 REAL,
+        physical_bbox_x1 INTEGER,
+        physical_bbox_y1 INTEGER,
+        physical_bbox_x2 INTEGER,
+        physical_bbox_y2 INTEGER,
         parent_id TEXT,
         screen_state_id TEXT NOT NULL,
         app TEXT,
@@ -90,35 +94,17 @@ class DuckDBVectorStore {
         icon_type TEXT,
         image_caption TEXT,
         z_index INTEGER,
+        rules_fired TEXT,
+        hierarchy_path TEXT,
+        checked BOOLEAN,
+        selected BOOLEAN,
+        disabled BOOLEAN,
+        focused BOOLEAN,
         timestamp BIGINT NOT NULL,
         embedding FLOAT[${this.embeddingDimension}]
       );
     `);
 
-    // Create indexes for fast filtering
-    await this._execute(`
-      CREATE INDEX IF NOT EXISTS idx_nodes_type ON ui_nodes(type);
-    `);
-    await this._execute(`
-      CREATE INDEX IF NOT EXISTS idx_nodes_app ON ui_nodes(app);
-    `);
-    await this._execute(`
-      CREATE INDEX IF NOT EXISTS idx_nodes_screen_state ON ui_nodes(screen_state_id);
-    `);
-    await this._execute(`
-      CREATE INDEX IF NOT EXISTS idx_nodes_timestamp ON ui_nodes(timestamp);
-    `);
-    await this._execute(`
-      CREATE INDEX IF NOT EXISTS idx_nodes_clickable ON ui_nodes(clickable);
-    `);
-
-    // Create HNSW index for vector search
-    await this._execute(`
-      CREATE INDEX IF NOT EXISTS idx_nodes_embedding 
-      ON ui_nodes USING HNSW(embedding)
-      WITH (metric = 'cosine');
-    `);
-
     // UI Subtrees table
     await this._execute(`
       CREATE TABLE IF NOT EXISTS ui_subtrees (
@@ -126,7 +112,10 @@ class DuckDBVectorStore {
         type TEXT NOT NULL,
         title TEXT,
         description TEXT NOT NULL,
+        text TEXT,
+        data TEXT,
         root_node_id TEXT,
+        parent_id TEXT,
         screen_state_id TEXT NOT NULL,
         bbox_x1 INTEGER,
         bbox_y1 INTEGER,
@@ -137,15 +126,6 @@ class DuckDBVectorStore {
       );
     `);
 
-    await this._execute(`
-      CREATE INDEX IF NOT EXISTS idx_subtrees_screen_state ON ui_subtrees(screen_state_id);
-    `);
-    await this._execute(`
-      CREATE INDEX IF NOT EXISTS idx_subtrees_embedding 
-      ON ui_subtrees USING HNSW(embedding)
-      WITH (metric = 'cosine');
-    `);
-
     // UI Screen States table
     await this._execute(`
       CREATE TABLE IF NOT EXISTS ui_screen_states (
@@ -156,12 +136,81 @@ class DuckDBVectorStore {
         window_title TEXT,
         screen_width INTEGER,
         screen_height INTEGER,
+        capture_width INTEGER,
+        capture_height INTEGER,
+        device_pixel_ratio REAL,
+        display_id TEXT,
+        crop_x REAL,
+        crop_y REAL,
+        crop_width REAL,
+        crop_height REAL,
         screenshot_path TEXT,
         timestamp BIGINT NOT NULL,
         embedding FLOAT[${this.embeddingDimension}]
       );
     `);
 
+    // Watch rules (text-appearance triggers evaluated against new screen states)
+    await this._execute(`
+      CREATE TABLE IF NOT EXISTS watch_rules (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        match_type TEXT NOT NULL,
+        pattern TEXT NOT NULL,
+        flags TEXT,
+        app TEXT,
+        region_min_x REAL,
+        region_max_x REAL,
+        region_min_y REAL,
+        region_max_y REAL,
+        min_score REAL,
+        action TEXT NOT NULL,
+        webhook_url TEXT,
+        cooldown_ms BIGINT,
+        enabled BOOLEAN NOT NULL,
+        created_at BIGINT NOT NULL,
+        updated_at BIGINT NOT NULL,
+        last_fired_at BIGINT,
+        fire_count INTEGER DEFAULT 0
+      );
+    `);
+
+    // Bring databases created by older versions up to date before indexing
+    await this._migrateSchema();
+
+    // Create indexes for fast filtering
+    await this._execute(`
+      CREATE INDEX IF NOT EXISTS idx_nodes_type ON ui_nodes(type);
+    `);
+    await this._execute(`
+      CREATE INDEX IF NOT EXISTS idx_nodes_app ON ui_nodes(app);
+    `);
+    await this._execute(`
+      CREATE INDEX IF NOT EXISTS idx_nodes_screen_state ON ui_nodes(screen_state_id);
+    `);
+    await this._execute(`
+      CREATE INDEX IF NOT EXISTS idx_nodes_timestamp ON ui_nodes(timestamp);
+    `);
+    await this._execute(`
+      CREATE INDEX IF NOT EXISTS idx_nodes_clickable ON ui_nodes(clickable);
+    `);
+
+    // Create HNSW index for vector search
+    await this._execute(`
+      CREATE INDEX IF NOT EXISTS idx_nodes_embedding 
+      ON ui_nodes USING HNSW(embedding)
+      WITH (metric = 'cosine');
+    `);
+
+    await this._execute(`
+      CREATE INDEX IF NOT EXISTS idx_subtrees_screen_state ON ui_subtrees(screen_state_id);
+    `);
+    await this._execute(`
+      CREATE INDEX IF NOT EXISTS idx_subtrees_embedding 
+      ON ui_subtrees USING HNSW(embedding)
+      WITH (metric = 'cosine');
+    `);
+
     await this._execute(`
       CREATE INDEX IF NOT EXISTS idx_screen_states_app ON ui_screen_states(app);
     `);
@@ -177,6 +226,95 @@ class DuckDBVectorStore {
     console.log('✅ Database schema created');
   }
 
+  /**
+   * Migrate tables created by older versions of the schema
+   * Adds missing columns and fixes column types. DuckDB refuses to ALTER a table
+   * that has indexes, so a table's indexes are dropped first; _createSchema()
+   * recreates them right after.
+   * @private
+   */
+  async _migrateSchema() {
+    const migrations = {
+      ui_nodes: {
+        // Stored as INTEGER before HiDPI support, which truncated 0-1 values to 0
+        normalized_bbox_x1: 'REAL',
+        normalized_bbox_y1: 'REAL',
+        normalized_bbox_x2: 'REAL',
+        normalized_bbox_y2: 'REAL',
+        physical_bbox_x1: 'INTEGER',
+        physical_bbox_y1: 'INTEGER',
+        physical_bbox_x2: 'INTEGER',
+        physical_bbox_y2: 'INTEGER',
+        // Classification rules that fired on the element (JSON array of 'pack/rule-id')
+        rules_fired: 'TEXT',
+        // Layout regions down to the element (JSON array, e.g. ["sidebar", "list", "menu-item"])
+        hierarchy_path: 'TEXT',
+        // Control states estimated from pixels (NULL: doesn't apply or couldn't tell)
+        checked: 'BOOLEAN',
+        selected: 'BOOLEAN',
+        disabled: 'BOOLEAN',
+        focused: 'BOOLEAN'
+      },
+      ui_screen_states: {
+        capture_width: 'INTEGER',
+        capture_height: 'INTEGER',
+        device_pixel_ratio: 'REAL',
+        display_id: 'TEXT',
+        crop_x: 'REAL',
+        crop_y: 'REAL',
+        crop_width: 'REAL',
+        crop_height: 'REAL'
+      },
+      ui_subtrees: {
+        // Layout region and table subtrees (plain text, JSON data, link to the parent subtree)
+        text: 'TEXT',
+        data: 'TEXT',
+        parent_id: 'TEXT'
+      }
+    };
+
+    for (const [table, columns] of Object.entries(migrations)) {
+      const existing = await this._query(
+        `SELECT column_name, data_type FROM information_schema.columns WHERE table_name = ?`,
+        [table]
+      );
+      const types = new Map(existing.map(row => [row.column_name, row.data_type]));
+
+      const pending = Object.entries(columns).filter(([column, type]) =>
+        !types.has(column) || !this._sameColumnType(types.get(column), type)
+      );
+      if (pending.length === 0) continue;
+
+      console.log(`🔧 Migrating ${table}: ${pending.map(([column, type]) => `${column} ${type}`).join(', ')}`);
+
+      const indexes = await this._query(
+        `SELECT index_name FROM duckdb_indexes() WHERE table_name = ?`,
+        [table]
+      );
+      for (const { index_name: indexName } of indexes) {
+        await this._execute(`DROP INDEX IF EXISTS ${indexName};`);
+      }
+
+      for (const [column, type] of pending) {
+        if (types.has(column)) {
+          await this._execute(`ALTER TABLE ${table} ALTER COLUMN ${column} TYPE ${type};`);
+        } else {
+          await this._execute(`ALTER TABLE ${table} ADD COLUMN ${column} ${type};`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Compare an information_schema data type with a declared column type
+   * @private
+   */
+  _sameColumnType(actual, declared) {
+    const aliases = { REAL: 'FLOAT', TEXT: 'VARCHAR' };
+    const normalize = type => aliases[type.toUpperCase()] || type.toUpperCase();
+    return normalize(actual) === normalize(declared);
+  }
+
   /**
    * Insert a UI node
    */
@@ -192,19 +330,28 @@ class DuckDBVectorStore {
           id, type, text, description,
           bbox_x1, bbox_y1, bbox_x2, bbox_y2,
           normalized_bbox_x1, normalized_bbox_y1, normalized_bbox_x2, normalized_bbox_y2,
+          physical_bbox_x1, physical_bbox_y1, physical_bbox_x2, physical_bbox_y2,
           parent_id, screen_state_id,
           app, url, window_title,
           visible, clickable, interactive,
           screen_region, ocr_confidence, detection_confidence,
-          icon_type, image_caption, z_index,
+          icon_type, image_caption, z_index, rules_fired, hierarchy_path,
+          checked, selected, disabled, focused,
           timestamp, embedding
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ${embeddingLiteral});
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ${embeddingLiteral});
       `;
 
       // Handle missing fields with defaults
-      const bbox = node.bbox || [0, 0, 0, 0];
-      const normalizedBbox = node.normalizedBbox || bbox;
+      // Screen-state nodes carry attributes at the top level; nodes read back
+      // from the store keep them under metadata
       const metadata = node.metadata || {};
+      const field = name => (node[name] !== undefined && node[name] !== null ? node[name] : metadata[name]);
+      const bbox = node.bbox || [0, 0, 0, 0];
+      const normalizedBbox = node.normalizedBbox || [null, null, null, null];
+      const physicalBbox = node.physicalBbox || [null, null, null, null];
+      const visible = field('visible');
+      const interactive = field('interactive');
+      const state = field('state') || {};
 
       const params = [
         node.id,
@@ -213,20 +360,27 @@ class DuckDBVectorStore {
         node.description,
         bbox[0], bbox[1], bbox[2], bbox[3],
         normalizedBbox[0], normalizedBbox[1], normalizedBbox[2], normalizedBbox[3],
+        physicalBbox[0], physicalBbox[1], physicalBbox[2], physicalBbox[3],
         node.parentId || null,
         metadata.screenStateId || 'unknown',
         metadata.app || null,
         metadata.url || null,
         metadata.windowTitle || null,
-        metadata.visible !== undefined ? metadata.visible : true,
+        visible !== undefined ? visible : true,
         node.clickable !== undefined ? node.clickable : (metadata.clickable || false),
-        metadata.interactive !== undefined ? metadata.interactive : false,
-        metadata.screenRegion || null,
-        metadata.ocrConfidence || null,
-        node.confidence || metadata.detectionConfidence || null,
-        metadata.iconType || null,
-        metadata.imageCaption || null,
-        metadata.zIndex || null,
+        interactive !== undefined ? interactive : false,
+        field('screenRegion') || null,
+        field('ocrConfidence') || null,
+        field('detectionConfidence') || node.confidence || null,
+        field('iconType') || null,
+        field('imageCaption') || null,
+        field('zIndex') ?? null,
+        field('rulesFired') ? JSON.stringify(field('rulesFired')) : null,
+        node.hierarchyPath?.length ? JSON.stringify(node.hierarchyPath) : null,
+        state.checked ?? null,
+        state.selected ?? null,
+        state.disabled ?? null,
+        state.focused ?? null,
         node.timestamp || Date.now()
         // Note: embedding is embedded in SQL, not as parameter
       ];
@@ -257,6 +411,8 @@ class DuckDBVectorStore {
 
   /**
    * Insert a subtree
+   * @param {Object} subtree - { id, type, title, description, text, data (JSON-serializable), rootNodeId,
+   *   parentId, screenStateId, bbox, timestamp, embedding }
    */
   async insertSubtree(subtree) {
     // Convert embedding array to DuckDB array literal syntax
@@ -266,10 +422,10 @@ class DuckDBVectorStore {
 
     const sql = `
       INSERT OR REPLACE INTO ui_subtrees (
-        id, type, title, description, root_node_id, screen_state_id,
+        id, type, title, description, text, data, root_node_id, parent_id, screen_state_id,
         bbox_x1, bbox_y1, bbox_x2, bbox_y2,
         timestamp, embedding
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ${embeddingLiteral});
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ${embeddingLiteral});
     `;
 
     const params = [
@@ -277,7 +433,10 @@ class DuckDBVectorStore {
       subtree.type,
       subtree.title,
       subtree.description,
+      subtree.text ?? null,
+      subtree.data !== undefined && subtree.data !== null ? JSON.stringify(subtree.data) : null,
       subtree.rootNodeId,
+      subtree.parentId ?? null,
       subtree.screenStateId || 'unknown',
       subtree.bbox[0], subtree.bbox[1], subtree.bbox[2], subtree.bbox[3],
       subtree.timestamp
@@ -302,9 +461,12 @@ class DuckDBVectorStore {
       const sql = `
         INSERT OR REPLACE INTO ui_screen_states (
           id, description, app, url, window_title,
-          screen_width, screen_height, screenshot_path,
+          screen_width, screen_height,
+          capture_width, capture_height, device_pixel_ratio, display_id,
+          crop_x, crop_y, crop_width, crop_height,
+          screenshot_path,
           timestamp, embedding
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ${embeddingLiteral});
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ${embeddingLiteral});
       `;
 
       const params = [
@@ -315,6 +477,14 @@ class DuckDBVectorStore {
         screenState.windowTitle,
         screenState.screenDimensions.width,
         screenState.screenDimensions.height,
+        screenState.captureDimensions?.width ?? null,
+        screenState.captureDimensions?.height ?? null,
+        screenState.devicePixelRatio ?? null,
+        screenState.displayId !== undefined && screenState.displayId !== null ? String(screenState.displayId) : null,
+        screenState.cropRect?.x ?? null,
+        screenState.cropRect?.y ?? null,
+        screenState.cropRect?.width ?? null,
+        screenState.cropRect?.height ?? null,
         screenState.screenshotPath,
         screenState.timestamp
         // Note: embedding is embedded in SQL, not as parameter
@@ -376,11 +546,13 @@ class DuckDBVectorStore {
         id, type, text, description,
         bbox_x1, bbox_y1, bbox_x2, bbox_y2,
         normalized_bbox_x1, normalized_bbox_y1, normalized_bbox_x2, normalized_bbox_y2,
+        physical_bbox_x1, physical_bbox_y1, physical_bbox_x2, physical_bbox_y2,
         parent_id, screen_state_id,
         app, url, window_title,
         visible, clickable, interactive,
         screen_region, ocr_confidence, detection_confidence,
-        icon_type, image_caption, z_index,
+        icon_type, image_caption, z_index, rules_fired, hierarchy_path,
+        checked, selected, disabled, focused,
         timestamp,
         array_cosine_similarity(embedding, ${embeddingLiteral}::FLOAT[${this.embeddingDimension}]) AS similarity_score,
         -- AGGRESSIVE recency boost: heavily favor screens from last 60 seconds
@@ -401,6 +573,20 @@ class DuckDBVectorStore {
       params.push(...filters.types);
     }
 
+    if (filters.iconTypes && filters.iconTypes.length > 0) {
+      sql += ` AND icon_type IN (${filters.iconTypes.map(() => '?').join(',')})`;
+      params.push(...filters.iconTypes);
+    }
+
+    // Control states, e.g. { checked: true } or { disabled: false } (unknown states never match)
+    if (filters.state) {
+      for (const name of ['checked', 'selected', 'disabled', 'focused']) {
+        if (typeof filters.state[name] !== 'boolean') continue;
+        sql += ` AND ${name} = ?`;
+        params.push(filters.state[name]);
+      }
+    }
+
     // Filter by app if specified
     if (filters.app) {
       console.log(`\n🔍 [DUCKDB] Filtering by app: "${filters.app}"`);
@@ -464,6 +650,28 @@ class DuckDBVectorStore {
       }
     }
 
+    // Same as bboxRegion but in 0-1 fractions of the captured area, so it
+    // means the same thing on every display size and pixel density
+    if (filters.normalizedRegion) {
+      const { minX, maxX, minY, maxY } = filters.normalizedRegion;
+      if (minX !== undefined) {
+        sql += ` AND (normalized_bbox_x1 + normalized_bbox_x2) / 2 >= ?`;
+        params.push(minX);
+      }
+      if (maxX !== undefined) {
+        sql += ` AND (normalized_bbox_x1 + normalized_bbox_x2) / 2 <= ?`;
+        params.push(maxX);
+      }
+      if (minY !== undefined) {
+        sql += ` AND (normalized_bbox_y1 + normalized_bbox_y2) / 2 >= ?`;
+        params.push(minY);
+      }
+      if (maxY !== undefined) {
+        sql += ` AND (normalized_bbox_y1 + normalized_bbox_y2) / 2 <= ?`;
+        params.push(maxY);
+      }
+    }
+
     if (filters.timeRange) {
       if (filters.timeRange.start) {
         sql += ` AND timestamp >= ?`;
@@ -512,6 +720,89 @@ class DuckDBVectorStore {
     return rows.map(row => this._rowToNode(row));
   }
 
+  /**
+   * Vector search for subtrees (layout regions, tables, table rows), with a boost for subtrees whose text
+   * contains the query's identifiers
+   * @param {Array<number>} queryEmbedding - Query embedding
+   * @param {Object} filters - { types, app, screenId, timeRange, recentOnly, terms }
+   *   terms: identifiers from the query (invoice numbers, quoted phrases); every term found
+   *   in a subtree's text adds up to 0.5 to its score
+   * @param {number} k - Number of results
+   * @param {number} minScore - Minimum similarity (subtrees containing a term are kept regardless)
+   * @returns {Promise<Array>} Subtrees with score
+   */
+  async searchSubtrees(queryEmbedding, filters = {}, k = 5, minScore = 0.0) {
+    const embeddingLiteral = Array.isArray(queryEmbedding)
+      ? `[${queryEmbedding.join(',')}]`
+      : 'NULL';
+    const similarity = `COALESCE(array_cosine_similarity(t.embedding, ${embeddingLiteral}::FLOAT[${this.embeddingDimension}]), 0)`;
+
+    // Terms are matched literally: LIKE wildcards in them ("100%", "snake_case") are escaped
+    const terms = (filters.terms || []).map(term => `%${term.toLowerCase().replace(/[\\%_]/g, '\\$&')}%`);
+    const termHits = terms.length > 0
+      ? `CAST((${terms.map(() => `CASE WHEN LOWER(t.text) LIKE ? ESCAPE '\\' THEN 1 ELSE 0 END`).join(' + ')}) AS DOUBLE) / ${terms.length}`
+      : '0.0';
+
+    let sql = `
+      SELECT * FROM (
+        SELECT
+          t.id, t.type, t.title, t.description, t.text, t.data,
+          t.root_node_id, t.parent_id, t.screen_state_id,
+          t.bbox_x1, t.bbox_y1, t.bbox_x2, t.bbox_y2,
+          t.timestamp,
+          s.app, s.window_title, s.url,
+          ${similarity} AS similarity_score,
+          ${termHits} AS term_score
+        FROM ui_subtrees t
+        LEFT JOIN ui_screen_states s ON s.id = t.screen_state_id
+        WHERE 1=1
+    `;
+    const params = [...terms];
+
+    if (filters.types && filters.types.length > 0) {
+      sql += ` AND t.type IN (${filters.types.map(() => '?').join(',')})`;
+      params.push(...filters.types);
+    }
+    if (filters.app) {
+      sql += ` AND s.app = ?`;
+      params.push(filters.app);
+    }
+    if (filters.screenId) {
+      sql += ` AND t.screen_state_id = ?`;
+      params.push(filters.screenId);
+    }
+    if (filters.timeRange?.start) {
+      sql += ` AND t.timestamp >= ?`;
+      params.push(filters.timeRange.start);
+    }
+    if (filters.timeRange?.end) {
+      sql += ` AND t.timestamp <= ?`;
+      params.push(filters.timeRange.end);
+    }
+    if (filters.recentOnly) {
+      sql += ` AND t.timestamp >= ?`;
+      params.push(Date.now() - 30000);
+    }
+
+    // Same recency weighting as node search
+    sql += `
+      ) WHERE similarity_score >= ? OR term_score > 0
+      ORDER BY (similarity_score + 0.5 * term_score) *
+        (0.1 + 0.9 * exp(-1.0 * (EXTRACT(EPOCH FROM CURRENT_TIMESTAMP) - timestamp / 1000.0) / 30.0)) DESC
+      LIMIT ?
+    `;
+    params.push(minScore, k);
+
+    const rows = await this._query(sql, params);
+    return rows.map(row => ({
+      ...this._rowToSubtree(row),
+      app: row.app,
+      windowTitle: row.window_title,
+      url: row.url,
+      score: row.similarity_score + 0.5 * row.term_score
+    }));
+  }
+
   /**
    * Search screen states
    */
@@ -524,7 +815,10 @@ class DuckDBVectorStore {
     let sql = `
       SELECT 
         id, description, app, url, window_title,
-        screen_width, screen_height, screenshot_path,
+        screen_width, screen_height,
+        capture_width, capture_height, device_pixel_ratio, display_id,
+        crop_x, crop_y, crop_width, crop_height,
+        screenshot_path,
         timestamp,
         array_cosine_similarity(embedding, ${embeddingLiteral}::FLOAT[${this.embeddingDimension}]) AS score
       FROM ui_screen_states
@@ -559,6 +853,24 @@ class DuckDBVectorStore {
     return rows.length > 0 ? this._rowToNode(rows[0]) : null;
   }
 
+  /**
+   * Get subtree by ID
+   */
+  async getSubtree(id) {
+    const sql = `SELECT * FROM ui_subtrees WHERE id = ?`;
+    const rows = await this._query(sql, [id]);
+    return rows.length > 0 ? this._rowToSubtree(rows[0]) : null;
+  }
+
+  /**
+   * Subtrees directly under a subtree (regions inside a region, rows of a table), top to bottom
+   */
+  async getChildSubtrees(parentId) {
+    const sql = `SELECT * FROM ui_subtrees WHERE parent_id = ? ORDER BY bbox_y1, bbox_x1`;
+    const rows = await this._query(sql, [parentId]);
+    return rows.map(row => this._rowToSubtree(row));
+  }
+
   /**
    * Get screen state by ID
    */
@@ -577,48 +889,6 @@ class DuckDBVectorStore {
     return rows.map(row => this._rowToNode(row));
   }
 
-  /**
-   * Delete old screen states (cleanup)
-   */
-  async deleteOldScreenStates(beforeTimestamp) {
-    await this._execute('BEGIN TRANSACTION;');
-    try {
-      // Get screen state IDs to delete
-      const screenStates = await this._query(
-        `SELECT id FROM ui_screen_states WHERE timestamp < ?`,
-        [beforeTimestamp]
-      );
-
-      const screenStateIds = screenStates.map(row => row.id);
-
-      if (screenStateIds.length > 0) {
-        // Delete nodes
-        await this._execute(
-          `DELETE FROM ui_nodes WHERE screen_state_id IN (${screenStateIds.map(() => '?').join(',')})`,
-          screenStateIds
-        );
-
-        // Delete subtrees
-        await this._execute(
-          `DELETE FROM ui_subtrees WHERE screen_state_id IN (${screenStateIds.map(() => '?').join(',')})`,
-          screenStateIds
-        );
-
-        // Delete screen states
-        await this._execute(
-          `DELETE FROM ui_screen_states WHERE timestamp < ?`,
-          [beforeTimestamp]
-        );
-      }
-
-      await this._execute('COMMIT;');
-      // console.log(`🧹 Deleted ${screenStateIds.length} old screen states`);
-    } catch (error) {
-      await this._execute('ROLLBACK;');
-      throw error;
-    }
-  }
-
   /**
    * Delete old screen states and associated nodes
    * @param {string} beforeTimestamp - ISO timestamp, delete states before this time
@@ -664,6 +934,80 @@ class DuckDBVectorStore {
     }
   }
 
+  /**
+   * Insert or replace a watch rule
+   * @param {Object} rule - Rule from watchRules.js (camelCase fields)
+   */
+  async upsertWatchRule(rule) {
+    const sql = `
+      INSERT OR REPLACE INTO watch_rules (
+        id, name, match_type, pattern, flags, app,
+        region_min_x, region_max_x, region_min_y, region_max_y,
+        min_score, action, webhook_url, cooldown_ms, enabled,
+        created_at, updated_at, last_fired_at, fire_count
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?);
+    `;
+
+    await this._execute(sql, [
+      rule.id,
+      rule.name,
+      rule.matchType,
+      rule.pattern,
+      rule.flags ?? null,
+      rule.app ?? null,
+      rule.region?.minX ?? null,
+      rule.region?.maxX ?? null,
+      rule.region?.minY ?? null,
+      rule.region?.maxY ?? null,
+      rule.minScore ?? null,
+      rule.action,
+      rule.webhookUrl ?? null,
+      rule.cooldownMs ?? 0,
+      rule.enabled,
+      rule.createdAt,
+      rule.updatedAt,
+      rule.lastFiredAt ?? null,
+      rule.fireCount ?? 0
+    ]);
+  }
+
+  /**
+   * Get all watch rules, oldest first
+   */
+  async listWatchRules() {
+    const rows = await this._query(`SELECT * FROM watch_rules ORDER BY created_at`);
+    return rows.map(row => this._rowToWatchRule(row));
+  }
+
+  /**
+   * Get watch rule by ID
+   */
+  async getWatchRule(id) {
+    const rows = await this._query(`SELECT * FROM watch_rules WHERE id = ?`, [id]);
+    return rows.length > 0 ? this._rowToWatchRule(rows[0]) : null;
+  }
+
+  /**
+   * Delete a watch rule
+   * @returns {Promise<boolean>} Whether the rule existed
+   */
+  async deleteWatchRule(id) {
+    const existing = await this.getWatchRule(id);
+    if (!existing) return false;
+    await this._execute(`DELETE FROM watch_rules WHERE id = ?`, [id]);
+    return true;
+  }
+
+  /**
+   * Record that a watch rule fired
+   */
+  async recordWatchRuleFired(id, timestamp) {
+    await this._execute(
+      `UPDATE watch_rules SET last_fired_at = ?, fire_count = fire_count + 1 WHERE id = ?`,
+      [timestamp, id]
+    );
+  }
+
   /**
    * Get database statistics including size
    */
@@ -778,7 +1122,15 @@ class DuckDBVectorStore {
         row.normalized_bbox_x2,
         row.normalized_bbox_y2
       ],
+      // Pixels in the captured image (bbox is in logical screen points)
+      physicalBbox: row.physical_bbox_x1 === null || row.physical_bbox_x1 === undefined ? null : [
+        row.physical_bbox_x1,
+        row.physical_bbox_y1,
+        row.physical_bbox_x2,
+        row.physical_bbox_y2
+      ],
       parentId: row.parent_id,
+      hierarchyPath: row.hierarchy_path ? JSON.parse(row.hierarchy_path) : [],
       metadata: {
         screenStateId: row.screen_state_id,
         app: row.app,
@@ -792,13 +1144,76 @@ class DuckDBVectorStore {
         detectionConfidence: row.detection_confidence,
         iconType: row.icon_type,
         imageCaption: row.image_caption,
-        zIndex: row.z_index
+        zIndex: row.z_index,
+        rulesFired: row.rules_fired ? JSON.parse(row.rules_fired) : [],
+        state: {
+          checked: row.checked ?? null,
+          selected: row.selected ?? null,
+          disabled: row.disabled ?? null,
+          focused: row.focused ?? null
+        }
       },
       timestamp: row.timestamp,
       score: row.score // From vector search
     };
   }
 
+  /**
+   * Convert database row to a subtree
+   * @private
+   */
+  _rowToSubtree(row) {
+    let data = null;
+    try {
+      data = row.data ? JSON.parse(row.data) : null;
+    } catch (error) {
+      data = null; // Written by a newer version or damaged: keep the subtree without it
+    }
+    return {
+      id: row.id,
+      type: row.type,
+      title: row.title,
+      description: row.description,
+      text: row.text ?? null,
+      data,
+      rootNodeId: row.root_node_id,
+      parentId: row.parent_id ?? null,
+      screenStateId: row.screen_state_id,
+      bbox: [row.bbox_x1, row.bbox_y1, row.bbox_x2, row.bbox_y2],
+      timestamp: row.timestamp
+    };
+  }
+
+  /**
+   * Convert database row to a watch rule
+   * @private
+   */
+  _rowToWatchRule(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      matchType: row.match_type,
+      pattern: row.pattern,
+      flags: row.flags,
+      app: row.app,
+      region: row.region_min_x !== null && row.region_min_x !== undefined ? {
+        minX: row.region_min_x,
+        maxX: row.region_max_x,
+        minY: row.region_min_y,
+        maxY: row.region_max_y
+      } : null,
+      minScore: row.min_score,
+      action: row.action,
+      webhookUrl: row.webhook_url,
+      cooldownMs: Number(row.cooldown_ms ?? 0),
+      enabled: row.enabled,
+      createdAt: Number(row.created_at),
+      updatedAt: Number(row.updated_at),
+      lastFiredAt: row.last_fired_at !== null && row.last_fired_at !== undefined ? Number(row.last_fired_at) : null,
+      fireCount: row.fire_count ?? 0
+    };
+  }
+
   /**
    * Convert database row to UIScreenState
    * @private
@@ -814,6 +1229,19 @@ class DuckDBVectorStore {
         width: row.screen_width,
         height: row.screen_height
       },
+      captureDimensions: row.capture_width ? {
+        width: row.capture_width,
+        height: row.capture_height
+      } : null,
+      devicePixelRatio: row.device_pixel_ratio ?? null,
+      displayId: row.display_id ?? null,
+      // Screen rect the analysis was cropped to (null = whole capture)
+      cropRect: row.crop_width ? {
+        x: row.crop_x,
+        y: row.crop_y,
+        width: row.crop_width,
+        height: row.crop_height
+      } : null,
       screenshotPath: row.screenshot_path,
       timestamp: row.timestamp,
       score: row.score // From vector search
@@ -0,0 +1,389 @@
+/**
+ * Frame Change Detector
+ * Perceptual hashing of successive captures of the same window, so unchanged frames
+ * skip OCR and indexing and partially changed frames only re-OCR what changed
+ *
+ * Each frame is split into a grid of tiles. Every tile is box-averaged down to
+ * (size + 1) x size greyscale cells, which give two fingerprints:
+ *   - a difference hash (dHash): one bit per cell, set when it is brighter than its
+ *     right-hand neighbour - catches layout changes, ignores brightness shifts
+ *   - the cell means themselves - a changed glyph moves the mean of its few cells
+ *     even when the brighter/darker ordering (and so the dHash) stays the same
+ * Both survive compression noise and antialiasing. A tile is dirty when its hash
+ * moves more than maxDistance bits or any cell mean moves more than meanTolerance.
+ * Comparing tiles against the previous frame of the same window gives:
+ *   - unchanged: every tile within maxDistance bits → reuse the previous screenId
+ *   - partial:   some tiles dirty → re-OCR the dirty regions, keep cached words elsewhere
+ *   - changed:   too much changed (or the frame size changed) → full OCR
+ *   - new:       no previous frame for this window
+ */
+
+import sharp from 'sharp';
+import logger from '../utils/logger.js';
+
+class FrameChangeDetector {
+  /**
+   * @param {Object} options
+   * @param {number} options.tileSize - Tile edge in image pixels (default 128)
+   * @param {number} options.hashSize - Cells per tile edge (default 16 → 256-bit hashes, ~8px cells)
+   * @param {number} options.maxDistance - Hash bits a tile may change and still count as unchanged (default 3)
+   * @param {number} options.meanTolerance - Grey levels a cell mean may move and still count as unchanged (default 6)
+   * @param {number} options.maxPartialRatio - Dirty-area share above which the whole frame is re-OCR'd (default 0.5)
+   * @param {number} options.maxEntries - Windows remembered at once (default 50)
+   * @param {number} options.maxAge - Ms after which a remembered frame is ignored (default 10 minutes)
+   */
+  constructor(options = {}) {
+    this.tileSize = options.tileSize || parseInt(process.env.FRAME_TILE_SIZE) || 128;
+    this.hashSize = options.hashSize || 16;
+    this.maxDistance = options.maxDistance ?? 3;
+    this.meanTolerance = options.meanTolerance ?? 6;
+    this.maxPartialRatio = options.maxPartialRatio ?? 0.5;
+    this.maxEntries = options.maxEntries || 50;
+    this.maxAge = options.maxAge || 10 * 60 * 1000;
+    this.enabled = options.enabled ?? process.env.FRAME_CHANGE_DETECTION !== 'false';
+
+    // frame key → { signature, screenId, words, result, timestamp }
+    this.frames = new Map();
+    this.stats = { new: 0, unchanged: 0, partial: 0, changed: 0 };
+
+    logger.info('🧮 Frame Change Detector initialized', {
+      enabled: this.enabled,
+      tileSize: this.tileSize,
+      maxDistance: this.maxDistance
+    });
+  }
+
+  /**
+   * Key that identifies "the same window" across captures
+   * @param {Object} windowInfo - Target window (appName, title)
+   * @param {Object} capture - Capture (display, crop)
+   * @returns {string} Frame key
+   */
+  keyFor(windowInfo = {}, capture = {}) {
+    const rect = capture.crop?.rect || capture.bounds;
+    return [
+      windowInfo.appName || 'Unknown',
+      windowInfo.title || '',
+      capture.display?.id ?? '',
+      rect ? `${rect.x},${rect.y},${rect.width}x${rect.height}` : ''
+    ].join('|');
+  }
+
+  /**
+   * Hash an image tile by tile
+   * @param {Buffer} buffer - Encoded image
+   * @returns {Promise<Object>} { width, height, tiles: [{x, y, width, height, hash, means}] } (image pixels)
+   */
+  async computeSignature(buffer) {
+    const { data, info } = await sharp(buffer)
+      .greyscale()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    const { width, height, channels } = info;
+    const tiles = [];
+    for (let y = 0; y < height; y += this.tileSize) {
+      for (let x = 0; x < width; x += this.tileSize) {
+        const tile = {
+          x,
+          y,
+          width: Math.min(this.tileSize, width - x),
+          height: Math.min(this.tileSize, height - y)
+        };
+        tiles.push({ ...tile, ...fingerprintTile(data, width, channels, tile, this.hashSize) });
+      }
+    }
+
+    return { width, height, tiles };
+  }
+
+  /**
+   * Compare a frame against the last remembered frame of the same window
+   * @param {string} key - Frame key from keyFor()
+   * @param {Object} signature - Signature from computeSignature()
+   * @returns {Object} { status, dirtyRegions, dirtyRatio, previous }
+   *   dirtyRegions are merged image-pixel rectangles {x, y, width, height}
+   */
+  compare(key, signature) {
+    const previous = this.frames.get(key);
+    const result = status => {
+      this.stats[status]++;
+      return { status, dirtyRegions: [], dirtyRatio: status === 'unchanged' ? 0 : 1, previous: previous || null };
+    };
+
+    if (!previous || Date.now() - previous.timestamp > this.maxAge) {
+      return result('new');
+    }
+
+    const old = previous.signature;
+    if (old.width !== signature.width || old.height !== signature.height || old.tiles.length !== signature.tiles.length) {
+      return result('changed');
+    }
+
+    const dirty = signature.tiles.filter((tile, i) =>
+      hammingDistance(tile.hash, old.tiles[i].hash) > this.maxDistance ||
+      maxMeanDelta(tile.means, old.tiles[i].means) > this.meanTolerance
+    );
+    if (dirty.length === 0) {
+      return result('unchanged');
+    }
+
+    const dirtyArea = dirty.reduce((sum, tile) => sum + tile.width * tile.height, 0);
+    const dirtyRatio = dirtyArea / (signature.width * signature.height);
+    if (dirtyRatio > this.maxPartialRatio) {
+      return { ...result('changed'), dirtyRatio };
+    }
+
+    this.stats.partial++;
+    return {
+      status: 'partial',
+      dirtyRegions: mergeTiles(dirty, this.tileSize),
+      dirtyRatio,
+      previous
+    };
+  }
+
+  /**
+   * Remember the analyzed frame for a window
+   * @param {string} key - Frame key
+   * @param {Object} entry - { signature, screenId, words (image-pixel OCR words), result }
+   */
+  remember(key, entry) {
+    // Re-insert so the Map stays in least-recently-used order
+    this.frames.delete(key);
+    this.frames.set(key, { ...entry, timestamp: Date.now() });
+
+    while (this.frames.size > this.maxEntries) {
+      this.frames.delete(this.frames.keys().next().value);
+    }
+  }
+
+  /**
+   * Forget one window (e.g. after its screen state was deleted)
+   * @param {string} key - Frame key
+   */
+  forget(key) {
+    this.frames.delete(key);
+  }
+
+  /**
+   * Forget every remembered frame
+   */
+  clear() {
+    this.frames.clear();
+    logger.info('🧹 Frame change cache cleared');
+  }
+
+  /**
+   * Get detector statistics
+   * @returns {Object} Remembered windows and outcome counts
+   */
+  getStats() {
+    return {
+      enabled: this.enabled,
+      windows: this.frames.size,
+      ...this.stats
+    };
+  }
+}
+
+/**
+ * Merge OCR words from a partial re-OCR into the cached words
+ * Cached words touching a dirty region are dropped; fresh words replace them.
+ * @param {Array} cachedWords - Words from the previous frame {text, bbox: [x1, y1, x2, y2], confidence} (image pixels)
+ * @param {Array} regionWords - [{ region, words }] with word bboxes already in full-image pixels
+ * @returns {Array} Merged words, top-to-bottom then left-to-right
+ */
+export function mergeRegionWords(cachedWords, regionWords) {
+  const regions = regionWords.map(entry => entry.region);
+  const kept = cachedWords.filter(word => !regions.some(region => bboxTouches(word.bbox, region)));
+  const fresh = regionWords.flatMap(entry => entry.words);
+
+  return [...kept, ...fresh].sort((a, b) => (a.bbox[1] - b.bbox[1]) || (a.bbox[0] - b.bbox[0]));
+}
+
+/**
+ * Grow dirty regions so they cover every cached word they cut through
+ * (re-OCR'ing half a word would lose it), plus a small margin
+ * @param {Array} regions - Dirty regions {x, y, width, height} (image pixels)
+ * @param {Array} cachedWords - Words from the previous frame
+ * @param {Object} imageSize - {width, height} to clamp to
+ * @param {number} padding - Extra pixels on each side (default 8)
+ * @returns {Array} Expanded regions
+ */
+export function expandRegions(regions, cachedWords, imageSize, padding = 8) {
+  return regions.map(region => {
+    let rect = padRect(region, padding, imageSize);
+
+    // Padding can reach further words; grow until no word is cut (bounded for safety)
+    for (let pass = 0; pass < 5; pass++) {
+      const cut = cachedWords.filter(word => bboxTouches(word.bbox, rect) && !bboxInside(word.bbox, rect));
+      if (cut.length === 0) break;
+
+      let [x1, y1, x2, y2] = [rect.x, rect.y, rect.x + rect.width, rect.y + rect.height];
+      for (const word of cut) {
+        x1 = Math.min(x1, word.bbox[0]);
+        y1 = Math.min(y1, word.bbox[1]);
+        x2 = Math.max(x2, word.bbox[2]);
+        y2 = Math.max(y2, word.bbox[3]);
+      }
+      rect = padRect({ x: x1, y: y1, width: x2 - x1, height: y2 - y1 }, padding, imageSize);
+    }
+
+    return rect;
+  });
+}
+
+/**
+ * Cell means and difference hash of one tile of a raw greyscale image
+ * @returns {Object} { hash: hex string (hashSize * hashSize bits), means: Uint8Array of cell means }
+ */
+function fingerprintTile(data, imageWidth, channels, tile, hashSize) {
+  const cols = hashSize + 1;
+  const rows = hashSize;
+  const cells = new Float64Array(cols * rows);
+
+  // Box-average the tile into cols x rows cells
+  for (let row = 0; row < rows; row++) {
+    const ys = tile.y + Math.floor((row * tile.height) / rows);
+    const ye = Math.max(ys + 1, tile.y + Math.floor(((row + 1) * tile.height) / rows));
+    for (let col = 0; col < cols; col++) {
+      const xs = tile.x + Math.floor((col * tile.width) / cols);
+      const xe = Math.max(xs + 1, tile.x + Math.floor(((col + 1) * tile.width) / cols));
+      let sum = 0;
+      for (let y = ys; y < ye; y++) {
+        let offset = (y * imageWidth + xs) * channels;
+        for (let x = xs; x < xe; x++, offset += channels) {
+          sum += data[offset];
+        }
+      }
+      cells[row * cols + col] = sum / ((ye - ys) * (xe - xs));
+    }
+  }
+
+  let hex = '';
+  let nibble = 0;
+  let bits = 0;
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < hashSize; col++) {
+      nibble = (nibble << 1) | (cells[row * cols + col] > cells[row * cols + col + 1] ? 1 : 0);
+      if (++bits === 4) {
+        hex += nibble.toString(16);
+        nibble = 0;
+        bits = 0;
+      }
+    }
+  }
+  if (bits > 0) {
+    hex += (nibble << (4 - bits)).toString(16);
+  }
+  return { hash: hex, means: Uint8Array.from(cells, Math.round) };
+}
+
+/**
+ * Largest difference between corresponding cell means
+ */
+function maxMeanDelta(a, b) {
+  let max = 0;
+  for (let i = 0; i < a.length; i++) {
+    max = Math.max(max, Math.abs(a[i] - b[i]));
+  }
+  return max;
+}
+
+/**
+ * Number of differing bits between two hex hashes
+ */
+function hammingDistance(a, b) {
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    let diff = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+    while (diff) {
+      distance += diff & 1;
+      diff >>= 1;
+    }
+  }
+  return distance;
+}
+
+/**
+ * Merge adjacent dirty tiles into rectangles (connected components → bounding boxes)
+ */
+function mergeTiles(tiles, tileSize) {
+  const cellKey = tile => `${tile.x / tileSize},${tile.y / tileSize}`;
+  const remaining = new Map(tiles.map(tile => [cellKey(tile), tile]));
+  const regions = [];
+
+  for (const start of tiles) {
+    if (!remaining.has(cellKey(start))) continue;
+    remaining.delete(cellKey(start));
+
+    const queue = [start];
+    let [x1, y1, x2, y2] = [Infinity, Infinity, -Infinity, -Infinity];
+    while (queue.length > 0) {
+      const tile = queue.pop();
+      x1 = Math.min(x1, tile.x);
+      y1 = Math.min(y1, tile.y);
+      x2 = Math.max(x2, tile.x + tile.width);
+      y2 = Math.max(y2, tile.y + tile.height);
+
+      const col = tile.x / tileSize;
+      const row = tile.y / tileSize;
+      for (const [dc, dr] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+        const key = `${col + dc},${row + dr}`;
+        if (remaining.has(key)) {
+          queue.push(remaining.get(key));
+          remaining.delete(key);
+        }
+      }
+    }
+    regions.push({ x: x1, y: y1, width: x2 - x1, height: y2 - y1 });
+  }
+
+  return regions;
+}
+
+/**
+ * Grow a rect on every side, clamped to the image
+ */
+function padRect(rect, padding, imageSize) {
+  const x1 = Math.max(0, Math.floor(rect.x - padding));
+  const y1 = Math.max(0, Math.floor(rect.y - padding));
+  const x2 = Math.min(imageSize.width, Math.ceil(rect.x + rect.width + padding));
+  const y2 = Math.min(imageSize.height, Math.ceil(rect.y + rect.height + padding));
+  return { x: x1, y: y1, width: x2 - x1, height: y2 - y1 };
+}
+
+/**
+ * Whether a bbox [x1, y1, x2, y2] lies entirely inside a rect
+ */
+function bboxInside(bbox, rect) {
+  return bbox[0] >= rect.x && bbox[2] <= rect.x + rect.width &&
+    bbox[1] >= rect.y && bbox[3] <= rect.y + rect.height;
+}
+
+/**
+ * Whether a bbox [x1, y1, x2, y2] overlaps a rect {x, y, width, height}
+ */
+function bboxTouches(bbox, rect) {
+  return bbox[0] < rect.x + rect.width && bbox[2] > rect.x &&
+    bbox[1] < rect.y + rect.height && bbox[3] > rect.y;
+}
+
+// Singleton instance
+let instance = null;
+
+/**
+ * Get frame change detector singleton
+ * @returns {FrameChangeDetector} Frame change detector instance
+ */
+export function getFrameChangeDetector() {
+  if (!instance) {
+    instance = new FrameChangeDetector();
+  }
+  return instance;
+}
+
+export { FrameChangeDetector };
+
+export default FrameChangeDetector;
@@ -0,0 +1,388 @@
+/**
+ * Icon Matcher
+ * Names text-less icons (gear, trash, share, close, ...) by template matching against a
+ * library of reference icons
+ *
+ * A library is a directory of SVG or PNG icons with an icons.json manifest:
+ *
+ *   {
+ *     "icons": [
+ *       { "name": "settings", "label": "settings gear", "keywords": ["gear", "cog"], "files": ["settings.svg"] }
+ *     ]
+ *   }
+ *
+ * name is the element's iconType, label and keywords go into its description (what
+ * search matches), and files are drawings of the icon (several for variants). Entries
+ * with "reject": true are drawings of things that are not icons (an empty radio button is
+ * a circle, close to "info"); a candidate that matches them best stays unnamed. A directory
+ * without a manifest contributes each image as an icon named after the file. The built-in
+ * library lives in ./iconLibrary; ICON_LIBRARY adds directories (comma-separated), and an
+ * icon with the same name as an earlier one replaces it.
+ *
+ * Each drawing is rendered at several sizes (ICON_SIZES), dark on light and light on dark.
+ * An icon in the capture and a rendering are compared the same way: the ink (pixels that
+ * differ from the background at the border) is cut out, centered in a square and sampled
+ * onto a GRID x GRID grid, and the two grids are compared by normalized cross-correlation.
+ * Each drawing is compared at the rendered size closest to the icon's, in both themes;
+ * the best score names the icon when it reaches the threshold.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import sharp from 'sharp';
+import { fileURLToPath } from 'url';
+import logger from '../utils/logger.js';
+
+const BUILTIN_LIBRARY = path.join(path.dirname(fileURLToPath(import.meta.url)), 'iconLibrary');
+const IMAGE_EXTENSIONS = new Set(['.svg', '.png']);
+const ICON_SIZES = [14, 16, 20, 24, 32, 40, 48]; // Rendered sizes in pixels
+const THEMES = { light: { background: 255, ink: 40 }, dark: { background: 32, ink: 230 } };
+const GRID = 24;
+const INK_CONTRAST = 48; // Grey-level difference from the background that counts as ink
+const ICON_POINTS = [8, 64]; // Side of the boxes worth matching, in points
+const FRAME_INSET = 3; // Pixels cut from a button's edge so its border is not taken as the icon
+const GROW = 0.35; // Share of its side an icon box is widened by (detected boxes can miss a stroke)
+
+class IconMatcher {
+  /**
+   * @param {Object} options
+   * @param {boolean} options.enabled - Match icons (default: true unless ICON_MATCHING=false)
+   * @param {Array<string>} options.sources - Library directories (default: the built-in library,
+   *   then ICON_LIBRARY)
+   * @param {number} options.threshold - Minimum correlation (default: ICON_MATCH_THRESHOLD or 0.7)
+   */
+  constructor(options = {}) {
+    this.enabled = options.enabled ?? process.env.ICON_MATCHING !== 'false';
+    this.sources = options.sources || [
+      BUILTIN_LIBRARY,
+      ...(process.env.ICON_LIBRARY || '').split(',').map(p => p.trim()).filter(Boolean).map(p => path.resolve(p))
+    ];
+    this.threshold = options.threshold ?? (Number(process.env.ICON_MATCH_THRESHOLD) || 0.7);
+    this.library = null; // Rendered on first use
+    this.loading = null;
+  }
+
+  /**
+   * Icons in the library
+   * @returns {Promise<Array>} [{ name, label, keywords, files, reject }]
+   */
+  async listIcons() {
+    const library = await this._library();
+    return library.icons.map(({ name, label, keywords, files, reject }) => ({ name, label, keywords, files, reject }));
+  }
+
+  /**
+   * Read and render the libraries again
+   * @returns {Promise<Array>} Icons, as listIcons()
+   */
+  async reload() {
+    this.library = null;
+    return this.listIcons();
+  }
+
+  /**
+   * Name the icons in a capture
+   * @param {Buffer|string} image - Captured image (buffer or path)
+   * @param {Array} candidates - [{ box: [x1, y1, x2, y2] in image pixels, framed: true for a
+   *   button or other box whose border surrounds the icon }]
+   * @param {Object} options
+   * @param {number} options.devicePixelRatio - Image pixels per point (default: 1)
+   * @returns {Promise<Array>} One entry per candidate: { name, label, keywords, score, theme }
+   *   or null when no library icon matches
+   */
+  async match(image, candidates, options = {}) {
+    const perPoint = options.devicePixelRatio || 1;
+    const sized = candidates.map(candidate => {
+      const side = Math.max(candidate.box[2] - candidate.box[0], candidate.box[3] - candidate.box[1]) / perPoint;
+      return side >= ICON_POINTS[0] && side <= ICON_POINTS[1] ? candidate : null;
+    });
+    if (!sized.some(Boolean)) return candidates.map(() => null);
+
+    const library = await this._library();
+    const { data, info } = await sharp(image).removeAlpha().greyscale().raw().toBuffer({ resolveWithObject: true });
+    const grey = { data, width: info.width, height: info.height };
+
+    return sized.map(candidate => {
+      if (!candidate) return null;
+      const box = candidate.framed ? inset(candidate.box, FRAME_INSET) : grow(candidate.box, GROW);
+      const signature = inkSignature(grey, box);
+      if (!signature) return null;
+
+      let best = null;
+      for (const icon of library.icons) {
+        for (const drawing of icon.drawings) {
+          for (const [theme, renderings] of Object.entries(drawing)) {
+            const rendering = nearestSize(renderings, signature.inkSide);
+            const score = correlate(signature.vector, rendering.vector);
+            if (!best || score > best.score) {
+              best = { icon, score, theme };
+            }
+          }
+        }
+      }
+      if (!best || best.score < this.threshold || best.icon.reject) return null;
+
+      return {
+        name: best.icon.name,
+        label: best.icon.label,
+        keywords: best.icon.keywords,
+        score: Math.round(best.score * 100) / 100,
+        theme: best.theme
+      };
+    });
+  }
+
+  /**
+   * Rendered library, loaded once (concurrent callers share the load)
+   * @private
+   */
+  async _library() {
+    if (this.library) return this.library;
+    if (!this.loading) {
+      this.loading = this._load().finally(() => { this.loading = null; });
+    }
+    return this.loading;
+  }
+
+  /**
+   * @private
+   */
+  async _load() {
+    const start = Date.now();
+    const byName = new Map();
+    for (const source of this.sources) {
+      for (const entry of readLibrary(source)) {
+        try {
+          const drawings = [];
+          for (const file of entry.files) {
+            drawings.push(await renderDrawing(file));
+          }
+          byName.delete(entry.name); // Keep load order, with the replacement last
+          byName.set(entry.name, { ...entry, files: entry.files.map(file => path.basename(file)), drawings });
+        } catch (error) {
+          logger.error('❌ Invalid icon in library', { icon: entry.name, source, error: error.message });
+        }
+      }
+    }
+    this.library = { icons: [...byName.values()] };
+    logger.info(`🖼️  Icon library loaded: ${this.library.icons.length} icons in ${Date.now() - start}ms`);
+    return this.library;
+  }
+}
+
+/**
+ * Icons of a library directory: from its icons.json, or one per image file
+ */
+function readLibrary(directory) {
+  if (!fs.existsSync(directory)) {
+    logger.warn(`⚠️  Icon library not found: ${directory}`);
+    return [];
+  }
+  const manifestPath = path.join(directory, 'icons.json');
+  if (fs.existsSync(manifestPath)) {
+    try {
+      const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+      if (!Array.isArray(manifest.icons)) {
+        throw new Error('icons must be an array');
+      }
+      return manifest.icons.map(icon => {
+        if (!icon.name || !Array.isArray(icon.files) || icon.files.length === 0) {
+          throw new Error(`icon ${JSON.stringify(icon.name)} needs a name and files`);
+        }
+        return {
+          name: icon.name,
+          label: icon.label || icon.name.replace(/[-_]/g, ' '),
+          keywords: icon.keywords || [],
+          files: icon.files.map(file => path.join(directory, file)),
+          reject: icon.reject === true
+        };
+      });
+    } catch (error) {
+      logger.error('❌ Invalid icon library manifest', { path: manifestPath, error: error.message });
+      return [];
+    }
+  }
+  return fs.readdirSync(directory)
+    .filter(file => IMAGE_EXTENSIONS.has(path.extname(file).toLowerCase()))
+    .sort()
+    .map(file => {
+      const name = path.basename(file, path.extname(file));
+      return { name, label: name.replace(/[-_]/g, ' '), keywords: [], files: [path.join(directory, file)], reject: false };
+    });
+}
+
+/**
+ * A drawing at every size in both themes: { light: [{ size, inkSide, vector }], dark: [...] }
+ */
+async function renderDrawing(file) {
+  const rendered = { light: [], dark: [] };
+  const { hasAlpha } = await sharp(file).metadata();
+  const isVector = path.extname(file).toLowerCase() === '.svg';
+
+  for (const size of ICON_SIZES) {
+    const pad = 2;
+    let pipeline = sharp(file, isVector ? { density: 72 * size / 12 } : {}) // Rendered large, then scaled down
+      .resize(size, size, { fit: 'contain', background: { r: 0, g: 0, b: 0, alpha: 0 } });
+
+    // Ink coverage: the alpha channel, or darkness for opaque images
+    const { data, info } = hasAlpha || isVector
+      ? await pipeline.ensureAlpha().extractChannel(3).raw().toBuffer({ resolveWithObject: true })
+      : await pipeline.greyscale().negate().raw().toBuffer({ resolveWithObject: true });
+
+    const width = info.width + 2 * pad;
+    const height = info.height + 2 * pad;
+    for (const [theme, { background, ink }] of Object.entries(THEMES)) {
+      const pixels = new Uint8Array(width * height).fill(background);
+      for (let y = 0; y < info.height; y++) {
+        for (let x = 0; x < info.width; x++) {
+          const coverage = data[y * info.width + x] / 255;
+          pixels[(y + pad) * width + x + pad] = Math.round(background + coverage * (ink - background));
+        }
+      }
+      const signature = inkSignature({ data: pixels, width, height }, [0, 0, width, height]);
+      if (signature) rendered[theme].push({ size, ...signature });
+    }
+  }
+  if (rendered.light.length === 0) {
+    throw new Error(`${path.basename(file)} has no visible ink`);
+  }
+  return rendered;
+}
+
+/**
+ * The ink inside a box, centered in a square and sampled onto a GRID x GRID grid,
+ * as a zero-mean unit vector ({ vector, inkSide }), or null when the box holds no ink
+ */
+function inkSignature({ data, width, height }, box) {
+  const x1 = Math.max(0, Math.floor(box[0]));
+  const y1 = Math.max(0, Math.floor(box[1]));
+  const x2 = Math.min(width, Math.ceil(box[2]));
+  const y2 = Math.min(height, Math.ceil(box[3]));
+  if (x2 - x1 < 4 || y2 - y1 < 4) return null;
+
+  // Background: the most common grey level along the border
+  const histogram = new Uint32Array(256);
+  for (let x = x1; x < x2; x++) {
+    histogram[data[y1 * width + x]]++;
+    histogram[data[(y2 - 1) * width + x]]++;
+  }
+  for (let y = y1; y < y2; y++) {
+    histogram[data[y * width + x1]]++;
+    histogram[data[y * width + x2 - 1]]++;
+  }
+  const background = histogram.indexOf(Math.max(...histogram));
+
+  let inkX1 = Infinity;
+  let inkY1 = Infinity;
+  let inkX2 = -1;
+  let inkY2 = -1;
+  for (let y = y1; y < y2; y++) {
+    for (let x = x1; x < x2; x++) {
+      if (Math.abs(data[y * width + x] - background) >= INK_CONTRAST) {
+        if (x < inkX1) inkX1 = x;
+        if (x > inkX2) inkX2 = x;
+        if (y < inkY1) inkY1 = y;
+        if (y > inkY2) inkY2 = y;
+      }
+    }
+  }
+  if (inkX2 < 0) return null;
+  const inkSide = Math.max(inkX2 - inkX1 + 1, inkY2 - inkY1 + 1);
+  if (inkSide < 4) return null;
+
+  // Square around the ink, sampled cell by cell (outside the box counts as background)
+  const left = (inkX1 + inkX2 + 1) / 2 - inkSide / 2;
+  const top = (inkY1 + inkY2 + 1) / 2 - inkSide / 2;
+  const cell = inkSide / GRID;
+  const vector = new Float32Array(GRID * GRID);
+  for (let gy = 0; gy < GRID; gy++) {
+    for (let gx = 0; gx < GRID; gx++) {
+      const sx1 = Math.floor(left + gx * cell);
+      const sy1 = Math.floor(top + gy * cell);
+      const sx2 = Math.max(sx1 + 1, Math.ceil(left + (gx + 1) * cell));
+      const sy2 = Math.max(sy1 + 1, Math.ceil(top + (gy + 1) * cell));
+      let sum = 0;
+      for (let y = sy1; y < sy2; y++) {
+        for (let x = sx1; x < sx2; x++) {
+          sum += x >= x1 && x < x2 && y >= y1 && y < y2 ? data[y * width + x] : background;
+        }
+      }
+      vector[gy * GRID + gx] = sum / ((sx2 - sx1) * (sy2 - sy1));
+    }
+  }
+
+  // Blurred a little, so stroke width and half-pixel offsets matter less than the shape
+  const blurred = new Float32Array(GRID * GRID);
+  for (let gy = 0; gy < GRID; gy++) {
+    for (let gx = 0; gx < GRID; gx++) {
+      let sum = 0;
+      let count = 0;
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const nx = gx + dx;
+          const ny = gy + dy;
+          if (nx >= 0 && nx < GRID && ny >= 0 && ny < GRID) {
+            sum += vector[ny * GRID + nx];
+            count++;
+          }
+        }
+      }
+      blurred[gy * GRID + gx] = sum / count;
+    }
+  }
+  vector.set(blurred);
+
+  const mean = vector.reduce((total, value) => total + value, 0) / vector.length;
+  let norm = 0;
+  for (let i = 0; i < vector.length; i++) {
+    vector[i] -= mean;
+    norm += vector[i] * vector[i];
+  }
+  if (norm === 0) return null;
+  norm = Math.sqrt(norm);
+  for (let i = 0; i < vector.length; i++) vector[i] /= norm;
+
+  return { vector, inkSide };
+}
+
+function correlate(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+function nearestSize(renderings, inkSide) {
+  return renderings.reduce((best, rendering) =>
+    Math.abs(rendering.inkSide - inkSide) < Math.abs(best.inkSide - inkSide) ? rendering : best);
+}
+
+function grow(box, ratio) {
+  const [x1, y1, x2, y2] = box;
+  const margin = Math.max(2, Math.round(ratio * Math.max(x2 - x1, y2 - y1)));
+  return [x1 - margin, y1 - margin, x2 + margin, y2 + margin];
+}
+
+function inset(box, amount) {
+  const [x1, y1, x2, y2] = box;
+  return x2 - x1 > 4 * amount && y2 - y1 > 4 * amount
+    ? [x1 + amount, y1 + amount, x2 - amount, y2 - amount]
+    : box;
+}
+
+// Singleton instance
+let instance = null;
+
+/**
+ * Get icon matcher singleton
+ * @returns {IconMatcher} Icon matcher instance
+ */
+export function getIconMatcher() {
+  if (!instance) {
+    instance = new IconMatcher();
+  }
+  return instance;
+}
+
+export { IconMatcher };
+
+export default IconMatcher;
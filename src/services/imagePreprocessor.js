@@ -0,0 +1,338 @@
+/**
+ * Image Preprocessor
+ * sharp-based clean-up of screenshots before OCR (see OCRService.analyze)
+ *
+ * Stages, applied in this order when a preset enables them:
+ *   - invert:    light-on-dark text is inverted ('auto' = when the image is mostly dark)
+ *   - upscale:   enlarge small text ('auto' = scale the median text line height up to
+ *                targetLineHeight, or a fixed factor)
+ *   - grayscale: drop colour
+ *   - normalize: stretch contrast to the full range
+ *   - sharpen:   sharpen glyph edges after upscaling
+ *   - threshold: binarize ('auto' = Otsu's threshold, or a fixed 0-255 level)
+ *
+ * Presets are named stage sets. The preset comes from the request, the app's preset in
+ * OCR_ENGINES_CONFIG ("preprocessing": { "apps": { "Terminal": "dark" } }), OCR_PREPROCESS
+ * or the config file's default, in that order. Custom presets go in
+ * "preprocessing": { "presets": { "name": { ...stages } } }.
+ *
+ * Word boxes read from an upscaled image are scaled back, so engines never see a
+ * difference in coordinates.
+ */
+
+import sharp from 'sharp';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import logger from '../utils/logger.js';
+import { loadOCREngineConfig } from './ocrEngines/index.js';
+
+export const PRESETS = {
+  none: {},
+  standard: { invert: 'auto', upscale: 'auto', grayscale: true, normalize: true },
+  dark: { invert: true, upscale: 'auto', grayscale: true, normalize: true },
+  small_text: { invert: 'auto', upscale: 2, grayscale: true, normalize: true, sharpen: true },
+  binarize: { invert: 'auto', upscale: 'auto', grayscale: true, normalize: true, threshold: 'auto' }
+};
+
+const STAGE_KEYS = ['invert', 'upscale', 'grayscale', 'normalize', 'sharpen', 'threshold'];
+const DARK_MEAN = 110; // Mean grey level below which an image counts as dark mode
+const EDGE_CONTRAST = 48; // Grey-level step between neighbouring pixels that counts as a glyph edge
+const MIN_ROW_EDGES = 4; // Edges a pixel row needs to be part of a text line
+const MAX_SCALE = 3;
+const MAX_PIXELS = 40_000_000; // Upscaled images are capped at this size
+
+class ImagePreprocessor {
+  /**
+   * @param {Object} options
+   * @param {string} options.preset - Default preset (default: OCR_PREPROCESS, the config file's default, or 'standard')
+   * @param {number} options.targetLineHeight - Text line height in pixels that 'auto' upscaling aims for (default 32)
+   * @param {string} options.tempDir - Where preprocessed images are written (default: the OS temp directory)
+   */
+  constructor(options = {}) {
+    this.defaultPreset = options.preset || process.env.OCR_PREPROCESS || null;
+    this.targetLineHeight = options.targetLineHeight || 32;
+    this.tempDir = options.tempDir || os.tmpdir();
+    this.configPromise = null;
+  }
+
+  /**
+   * Pick the preset for an image
+   * @param {Object} options - { preset, app }
+   * @returns {Promise<Object>} { name, stages }
+   * @throws {Error} With status 400 for unknown presets
+   */
+  async resolvePreset(options = {}) {
+    const { presets: available, apps, preset: configDefault } = await this._config();
+
+    let name = options.preset;
+    if (name === false) {
+      name = 'none';
+    }
+    if (!name && options.app) {
+      name = apps[options.app.toLowerCase()];
+    }
+    name = name || this.defaultPreset || configDefault || 'standard';
+
+    if (!available[name]) {
+      const error = new Error(`Unknown OCR preprocessing preset: ${name} (available: ${Object.keys(available).join(', ')})`);
+      error.status = 400;
+      throw error;
+    }
+    return { name, stages: available[name] };
+  }
+
+  /**
+   * Run a preset over an image
+   * @param {string} imagePath - Image to clean up
+   * @param {Object} options - { preset, app } (see resolvePreset)
+   * @returns {Promise<Object>} { path, scale, preprocessing: { preset, stages, darkMode, lineHeight, scale, threshold, elapsed }, cleanup() }
+   *   path is the original image when no stage applied
+   */
+  async run(imagePath, options = {}) {
+    const startTime = Date.now();
+    const { name, stages } = await this.resolvePreset(options);
+    const applied = [];
+    const preprocessing = { preset: name, stages: applied, darkMode: null, lineHeight: null, scale: 1, threshold: null };
+    const unchanged = { path: imagePath, scale: 1, preprocessing, cleanup: async () => {} };
+
+    if (!STAGE_KEYS.some(key => stages[key])) {
+      preprocessing.elapsed = 0;
+      return unchanged;
+    }
+
+    // One greyscale pass measures brightness and text size
+    const { data, info } = await sharp(imagePath)
+      .removeAlpha()
+      .greyscale()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+    const { width, height } = info;
+
+    preprocessing.darkMode = meanGrey(data) < DARK_MEAN;
+    const invert = stages.invert === true || (stages.invert === 'auto' && preprocessing.darkMode);
+
+    let scale = 1;
+    if (stages.upscale === 'auto') {
+      preprocessing.lineHeight = estimateLineHeight(data, width, height);
+      if (preprocessing.lineHeight) {
+        scale = this.targetLineHeight / preprocessing.lineHeight;
+      }
+    } else if (typeof stages.upscale === 'number') {
+      scale = stages.upscale;
+    }
+    scale = Math.min(scale, MAX_SCALE, Math.sqrt(MAX_PIXELS / (width * height)));
+    scale = scale >= 1.25 ? Math.round(scale * 4) / 4 : 1; // Quarter steps; skip marginal upscales
+
+    let pipeline = sharp(imagePath).removeAlpha();
+    if (invert) {
+      pipeline = pipeline.negate();
+      applied.push('invert');
+    }
+    if (scale > 1) {
+      pipeline = pipeline.resize(Math.round(width * scale), Math.round(height * scale), { kernel: 'lanczos3' });
+      applied.push(`upscale:${scale}`);
+    }
+    if (stages.grayscale) {
+      pipeline = pipeline.greyscale();
+      applied.push('grayscale');
+    }
+    if (stages.normalize) {
+      pipeline = pipeline.normalise();
+      applied.push('normalize');
+    }
+    if (stages.sharpen && scale > 1) {
+      pipeline = pipeline.sharpen();
+      applied.push('sharpen');
+    }
+
+    if (stages.threshold) {
+      // Otsu's threshold has to be measured after the tonal stages
+      let level = stages.threshold;
+      let input = pipeline;
+      if (level === 'auto') {
+        const toned = await pipeline.greyscale().raw().toBuffer({ resolveWithObject: true });
+        level = otsuThreshold(toned.data);
+        input = sharp(toned.data, { raw: toned.info });
+      }
+      pipeline = input.threshold(level);
+      preprocessing.threshold = level;
+      applied.push(`threshold:${level}`);
+    }
+
+    if (applied.length === 0) {
+      preprocessing.elapsed = Date.now() - startTime;
+      return unchanged;
+    }
+
+    const outputPath = path.join(this.tempDir, `ocr-pre-${crypto.randomUUID()}.png`);
+    await pipeline.png().toFile(outputPath);
+    preprocessing.scale = scale;
+    preprocessing.elapsed = Date.now() - startTime;
+    logger.debug('🧼 OCR preprocessing', preprocessing);
+
+    return {
+      path: outputPath,
+      scale,
+      preprocessing,
+      cleanup: () => fs.promises.unlink(outputPath).catch(() => {})
+    };
+  }
+
+  /**
+   * @returns {Promise<Array>} [{ name, stages }] built-in and configured presets
+   */
+  async listPresets() {
+    const { presets } = await this._config();
+    return Object.entries(presets).map(([name, stages]) => ({ name, stages }));
+  }
+
+  /**
+   * Presets and per-app choices from OCR_ENGINES_CONFIG (invalid custom presets are logged and dropped)
+   * @private
+   */
+  _config() {
+    if (!this.configPromise) {
+      this.configPromise = loadOCREngineConfig().then(({ preprocessing }) => {
+        const presets = { ...PRESETS };
+        for (const [name, stages] of Object.entries(preprocessing.presets)) {
+          try {
+            presets[name] = validatePreset(stages);
+          } catch (error) {
+            logger.error('❌ Invalid OCR preprocessing preset', { name, error: error.message });
+          }
+        }
+        return { ...preprocessing, presets };
+      });
+    }
+    return this.configPromise;
+  }
+}
+
+/**
+ * Check a custom preset definition
+ * @param {Object} stages - { invert, upscale, grayscale, normalize, sharpen, threshold }
+ * @returns {Object} The stages
+ * @throws {Error} Describing the first invalid stage
+ */
+export function validatePreset(stages) {
+  if (!stages || typeof stages !== 'object' || Array.isArray(stages)) {
+    throw new Error('a preset must be an object of stages');
+  }
+  const unknown = Object.keys(stages).filter(key => !STAGE_KEYS.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`unknown stage(s) ${unknown.join(', ')} (stages: ${STAGE_KEYS.join(', ')})`);
+  }
+  if (stages.invert !== undefined && ![true, false, 'auto'].includes(stages.invert)) {
+    throw new Error('invert must be true, false or "auto"');
+  }
+  if (stages.upscale !== undefined && stages.upscale !== false && stages.upscale !== 'auto' &&
+      !(typeof stages.upscale === 'number' && stages.upscale >= 1 && stages.upscale <= MAX_SCALE)) {
+    throw new Error(`upscale must be false, "auto" or a factor from 1 to ${MAX_SCALE}`);
+  }
+  if (stages.threshold !== undefined && stages.threshold !== false && stages.threshold !== 'auto' &&
+      !(Number.isInteger(stages.threshold) && stages.threshold >= 0 && stages.threshold <= 255)) {
+    throw new Error('threshold must be false, "auto" or a grey level from 0 to 255');
+  }
+  return stages;
+}
+
+/**
+ * Mean grey level of a single-channel buffer
+ */
+function meanGrey(data) {
+  let sum = 0;
+  for (let i = 0; i < data.length; i++) {
+    sum += data[i];
+  }
+  return data.length > 0 ? sum / data.length : 255;
+}
+
+/**
+ * Median height of the horizontal bands of pixel rows that contain glyph edges
+ * (adjacent lines with tight spacing merge, which only makes the estimate conservative)
+ * @returns {number|null} Line height in pixels, or null when no text-like rows were found
+ */
+export function estimateLineHeight(data, width, height) {
+  const bands = [];
+  let run = 0;
+  for (let y = 0; y <= height; y++) {
+    let edges = 0;
+    if (y < height) {
+      const row = y * width;
+      for (let x = 1; x < width && edges < MIN_ROW_EDGES; x++) {
+        if (Math.abs(data[row + x] - data[row + x - 1]) >= EDGE_CONTRAST) {
+          edges++;
+        }
+      }
+    }
+    if (edges >= MIN_ROW_EDGES) {
+      run++;
+    } else {
+      if (run >= 4 && run <= 160) {
+        bands.push(run);
+      }
+      run = 0;
+    }
+  }
+
+  if (bands.length === 0) return null;
+  bands.sort((a, b) => a - b);
+  return bands[Math.floor(bands.length / 2)];
+}
+
+/**
+ * Otsu's threshold: the grey level that best separates a bimodal histogram
+ * @returns {number} Threshold 0-255
+ */
+export function otsuThreshold(data) {
+  const histogram = new Array(256).fill(0);
+  for (let i = 0; i < data.length; i++) {
+    histogram[data[i]]++;
+  }
+
+  let total = 0;
+  for (let level = 0; level < 256; level++) {
+    total += level * histogram[level];
+  }
+
+  let best = 128;
+  let bestVariance = -1;
+  let backgroundWeight = 0;
+  let backgroundSum = 0;
+  for (let level = 0; level < 256; level++) {
+    backgroundWeight += histogram[level];
+    if (backgroundWeight === 0) continue;
+    const foregroundWeight = data.length - backgroundWeight;
+    if (foregroundWeight === 0) break;
+
+    backgroundSum += level * histogram[level];
+    const backgroundMean = backgroundSum / backgroundWeight;
+    const foregroundMean = (total - backgroundSum) / foregroundWeight;
+    const variance = backgroundWeight * foregroundWeight * (backgroundMean - foregroundMean) ** 2;
+    if (variance > bestVariance) {
+      bestVariance = variance;
+      best = level;
+    }
+  }
+  return best;
+}
+
+// Singleton instance
+let instance = null;
+
+/**
+ * Get image preprocessor singleton
+ * @returns {ImagePreprocessor} Image preprocessor instance
+ */
+export function getImagePreprocessor() {
+  if (!instance) {
+    instance = new ImagePreprocessor();
+  }
+  return instance;
+}
+
+export { ImagePreprocessor };
+
+export default ImagePreprocessor;
@@ -0,0 +1,485 @@
+/**
+ * Layout Analyzer
+ * Segments a capture into regions - menu bar, toolbar, sidebar, list, content pane,
+ * dialog, footer - nested into a hierarchy the OCR elements hang from
+ *
+ * Segmentation is a recursive XY-cut: a region is split at the whitespace gaps between
+ * its elements, along the axis with the most decisive gap, and every part is split again.
+ * Edges in the image (pane borders, background changes, divider lines) back up a cut, so
+ * panes with a border but little whitespace between them are still told apart. A dialog
+ * (a box with edges on all four sides, away from the capture's borders, holding a button)
+ * is taken out first and segmented on its own.
+ *
+ * Regions are labelled from where they sit in the capture and in their parent, and from
+ * their elements: a strip of short words along the top is a menu bar or toolbar, a narrow
+ * full-height column at a side is a sidebar, evenly spaced short lines with a common left
+ * edge are a list, and the largest remaining pane is the content pane.
+ *
+ * Segmentation works in image pixels (physicalBbox); options.toScreen maps boxes to screen points.
+ */
+
+import sharp from 'sharp';
+import logger from '../utils/logger.js';
+
+const MAX_DEPTH = 4;
+const ROW_GAP = 1.5; // Whitespace between stacked regions, in text line heights
+const COLUMN_GAP = 2.5; // Whitespace between side-by-side regions, in text line heights
+const EDGE_CONTRAST = 10; // Grey-level step between neighbouring pixels that counts as an edge
+const MIN_EDGE_SPAN = 0.8; // Edges backing a cut must cross this share of the region
+const EDGE_SLACK = 3; // Pixels an edge may sit outside the whitespace it backs
+const MAX_EDGES = 400; // Longest edges kept per direction (dialog search is quadratic)
+const MIN_LIST_ITEMS = 3;
+const MAX_LIST_ITEM_WORDS = 6;
+const STRIPS = new Set(['menu_bar', 'toolbar', 'footer']);
+
+class LayoutAnalyzer {
+  /**
+   * @param {Object} options
+   * @param {boolean} options.enabled - Build the layout hierarchy (default: true unless LAYOUT_ANALYSIS=false)
+   * @param {boolean} options.useEdges - Look for edges in the image (default: true unless LAYOUT_EDGES=false)
+   */
+  constructor(options = {}) {
+    this.enabled = options.enabled ?? process.env.LAYOUT_ANALYSIS !== 'false';
+    this.useEdges = options.useEdges ?? process.env.LAYOUT_EDGES !== 'false';
+  }
+
+  /**
+   * Segment a capture into a hierarchy of regions
+   * @param {Array} elements - Elements from _createElementsFromOCR() ({ id, text, type, clickable, physicalBbox })
+   * @param {Object} options
+   * @param {Object} options.size - Captured image size { width, height } in pixels
+   * @param {Buffer|string} options.image - Image the elements were read from, for edges (optional)
+   * @param {Function} options.toScreen - Maps an image-pixel box to screen points (default: unchanged)
+   * @returns {Promise<Array>} Regions, parents before children: [{ id, type, title, bbox, physicalBbox,
+   *   parentId, depth, path (labels from the top region down), elementIds (elements directly in the
+   *   region), childIds }]
+   */
+  async analyze(elements, options = {}) {
+    const items = (elements || [])
+      .map(element => ({ element, bbox: element.physicalBbox || element.bbox }))
+      .filter(({ element, bbox }) => element.text && bbox && bbox[2] > bbox[0] && bbox[3] > bbox[1]);
+    if (items.length < 2) return [];
+
+    const width = options.size?.width || Math.max(...items.map(item => item.bbox[2]));
+    const height = options.size?.height || Math.max(...items.map(item => item.bbox[3]));
+    const capture = { width, height, unit: lineHeight(items) };
+
+    let edges = { horizontal: [], vertical: [] };
+    if (this.useEdges && options.image) {
+      try {
+        edges = await findEdges(options.image);
+      } catch (error) {
+        logger.warn('⚠️  Edge detection failed, segmenting on whitespace only:', error.message);
+      }
+    }
+
+    // Dialogs first: they sit over the rest of the screen, so whitespace doesn't separate them
+    let rest = items;
+    const tops = [];
+    for (const box of findDialogs(edges, items, capture)) {
+      const inside = rest.filter(item => contains(box, center(item.bbox)));
+      rest = rest.filter(item => !inside.includes(item));
+      const dialog = split(box, inside, edges, capture, 1);
+      dialog.type = 'dialog';
+      tops.push(dialog);
+    }
+    const root = split([0, 0, width, height], rest, edges, capture, 0);
+    root.children.push(...tops);
+
+    labelTree(root, capture);
+    const regions = flatten(root, options.toScreen || (bbox => bbox), `layout-${Date.now()}`);
+
+    if (regions.length > 0) {
+      const counts = {};
+      regions.forEach(region => { counts[region.type] = (counts[region.type] || 0) + 1; });
+      logger.info(`🧱 Layout: ${Object.entries(counts).map(([type, count]) => `${count} ${type}`).join(', ')}`);
+    }
+    return regions;
+  }
+}
+
+/**
+ * Recursive XY-cut of a box holding items
+ * @returns {Object} { box, items, axis ('x' | 'y' | null for leaves), children, depth, first, last
+ *   (position among the parts of its parent) }
+ */
+function split(box, items, edges, capture, depth) {
+  const node = { box, items, axis: null, children: [], depth, type: null };
+  if (depth >= MAX_DEPTH || items.length < 2) return node;
+
+  const cuts = chooseCuts(box, items, edges, capture.unit);
+  if (cuts.length === 0) return node;
+
+  const axis = cuts[0].axis;
+  const [lo, hi] = axis === 'y' ? [1, 3] : [0, 2];
+  const bounds = [box[lo], ...cuts.map(cut => cut.at), box[hi]];
+  node.axis = axis;
+  for (let i = 0; i < bounds.length - 1; i++) {
+    const slab = [...box];
+    slab[lo] = bounds[i];
+    slab[hi] = bounds[i + 1];
+    const inside = items.filter(item => {
+      const middle = (item.bbox[lo] + item.bbox[hi]) / 2;
+      return middle >= slab[lo] && middle < slab[hi];
+    });
+    if (inside.length > 0) {
+      node.children.push(split(slab, inside, edges, capture, depth + 1));
+    }
+  }
+  node.children.forEach((child, i) => {
+    child.first = i === 0;
+    child.last = i === node.children.length - 1;
+  });
+  return node;
+}
+
+/**
+ * Where to cut a box: whitespace gaps between its items wide enough to separate regions,
+ * or backed by an edge. Picks the axis with the strongest gap and cuts at every qualifying
+ * gap on it (a toolbar's narrow gap is cut together with the wide one above the footer).
+ * @returns {Array} [{ axis, at, strength }] sorted by position, empty when the box is one region
+ */
+function chooseCuts(box, items, edges, unit) {
+  const candidates = [];
+  for (const axis of ['y', 'x']) {
+    const [lo, hi] = axis === 'y' ? [1, 3] : [0, 2];
+    const across = axis === 'y' ? [box[0], box[2]] : [box[1], box[3]];
+    const lines = axis === 'y' ? edges.horizontal : edges.vertical;
+    const minGap = unit * (axis === 'y' ? ROW_GAP : COLUMN_GAP);
+
+    for (const [from, to] of projectionGaps(items.map(item => [item.bbox[lo], item.bbox[hi]]))) {
+      const edge = lines.find(line =>
+        line.at >= from - EDGE_SLACK && line.at <= to + EDGE_SLACK &&
+        overlapLength([line.from, line.to], across) >= MIN_EDGE_SPAN * (across[1] - across[0]));
+      let strength = (to - from) / minGap;
+      if (edge) strength = Math.max(strength, 1) + 1;
+      if (strength >= 1) {
+        candidates.push({ axis, at: edge ? Math.min(Math.max(edge.at, from), to) : (from + to) / 2, strength });
+      }
+    }
+  }
+  if (candidates.length === 0) return [];
+
+  const best = candidates.reduce((a, b) => (b.strength > a.strength ? b : a));
+  return candidates
+    .filter(cut => cut.axis === best.axis)
+    .sort((a, b) => a.at - b.at);
+}
+
+/**
+ * Empty stretches between intervals projected on one axis
+ * @param {Array} intervals - [[from, to]]
+ * @returns {Array} [[from, to]] gaps between the first interval's start and the last one's end
+ */
+function projectionGaps(intervals) {
+  const sorted = [...intervals].sort((a, b) => a[0] - b[0]);
+  const gaps = [];
+  let end = sorted[0][1];
+  for (const [from, to] of sorted.slice(1)) {
+    if (from > end) gaps.push([end, from]);
+    end = Math.max(end, to);
+  }
+  return gaps;
+}
+
+/**
+ * Label every region of the tree, then pick the content pane
+ */
+function labelTree(root, capture) {
+  const visit = (node, parent) => {
+    if (parent && !node.type) {
+      node.type = classifyRegion(node, parent, capture);
+    }
+    if (STRIPS.has(node.type)) {
+      node.children = []; // Buttons and menus in a bar are its elements, not regions
+    }
+    node.children.forEach(child => visit(child, node));
+
+    // A sidebar or dialog whose lines form a list gets the list as a child region
+    if (node.children.length === 0 && (node.type === 'sidebar' || node.type === 'dialog') && isList(node.items, capture.unit)) {
+      node.children.push({ ...node, box: contentBox(node.items), children: [], depth: node.depth + 1, type: 'list' });
+    }
+  };
+  visit(root, null);
+
+  // The content pane: the largest unlabelled region that doesn't itself hold the panes
+  // around it (a region split into sidebar + main is the window body, not the content)
+  const structural = new Set(['menu_bar', 'toolbar', 'sidebar', 'footer']);
+  const candidates = [];
+  const collect = node => {
+    node.children.forEach(child => {
+      if (child.type === 'dialog') return;
+      if (child.type === 'section' && child.depth <= 3 && !child.children.some(c => structural.has(c.type)) &&
+        area(child.box) >= 0.2 * capture.width * capture.height) {
+        candidates.push(child);
+      }
+      collect(child);
+    });
+  };
+  collect(root);
+  if (candidates.length > 0) {
+    candidates.reduce((a, b) => (area(b.box) > area(a.box) ? b : a)).type = 'content_pane';
+  }
+}
+
+/**
+ * Region type from position, shape and contents
+ * @param {Object} node - Region from split()
+ * @param {Object} parent - Region it was cut from
+ */
+function classifyRegion(node, parent, capture) {
+  const { width, height, unit } = capture;
+  const content = contentBox(node.items);
+  const contentHeight = content[3] - content[1];
+  const words = node.items.map(item => item.element.text.trim().split(/\s+/).length);
+  const averageWords = words.reduce((sum, count) => sum + count, 0) / words.length;
+  const firstRow = parent.axis === 'y' && node.first;
+  const lastRow = parent.axis === 'y' && node.last;
+  const strip = contentHeight <= 2.5 * unit && content[2] - content[0] >= 0.3 * width;
+
+  if (strip && firstRow && content[1] < 0.05 * height &&
+    node.items.filter(item => item.element.type === 'menu-item').length >= node.items.length / 2) {
+    return 'menu_bar';
+  }
+  if (strip && firstRow && content[1] < 0.2 * height && node.items.length >= 2 && averageWords <= 3) {
+    return 'toolbar';
+  }
+  if (strip && lastRow && content[3] > 0.93 * height) {
+    return 'footer';
+  }
+
+  const columnWidth = node.box[2] - node.box[0];
+  if (parent.axis === 'x' && (node.first || node.last) &&
+    columnWidth <= 0.35 * (parent.box[2] - parent.box[0]) &&
+    node.box[3] - node.box[1] >= 0.4 * height &&
+    parent.children.some(sibling => sibling.box[2] - sibling.box[0] > columnWidth)) {
+    return 'sidebar';
+  }
+  if (isList(node.items, unit)) {
+    return 'list';
+  }
+  return 'section';
+}
+
+/**
+ * Items form a list: at least three short lines, evenly spaced, with a common left edge
+ */
+function isList(items, unit) {
+  const lines = groupLines(items);
+  if (lines.length < MIN_LIST_ITEMS) return false;
+
+  const words = line => line.reduce((sum, item) => sum + item.element.text.trim().split(/\s+/).length, 0);
+  if (lines.some(line => words(line) > MAX_LIST_ITEM_WORDS)) return false;
+
+  const lefts = lines.map(line => Math.min(...line.map(item => item.bbox[0])));
+  if (Math.max(...lefts) - Math.min(...lefts) > unit) return false;
+
+  const tops = lines.map(line => Math.min(...line.map(item => item.bbox[1])));
+  const steps = tops.slice(1).map((top, i) => top - tops[i]);
+  return Math.min(...steps) > 0 && Math.max(...steps) <= 2.2 * Math.min(...steps);
+}
+
+/**
+ * Items sharing a text line (vertical centers within half a line of each other), top to bottom
+ */
+function groupLines(items) {
+  const lines = [];
+  const sorted = [...items].sort((a, b) => center(a.bbox)[1] - center(b.bbox)[1]);
+  for (const item of sorted) {
+    const line = lines[lines.length - 1];
+    const itemHeight = item.bbox[3] - item.bbox[1];
+    if (line && Math.abs(center(item.bbox)[1] - center(line[0].bbox)[1]) <= itemHeight / 2) {
+      line.push(item);
+    } else {
+      lines.push([item]);
+    }
+  }
+  return lines;
+}
+
+/**
+ * Regions out of the tree, parents first. Sections holding a single element are not
+ * regions of their own: their element and children move up to the parent.
+ */
+function flatten(root, toScreen, prefix) {
+  const regions = [];
+  const labels = { menu_bar: 'menu bar', content_pane: 'content pane' };
+
+  const visit = (node, parent) => {
+    const keep = node !== root && !(node.type === 'section' && node.children.length === 0 && node.items.length < 2);
+    let region = parent;
+    if (keep) {
+      region = {
+        id: `${prefix}-${regions.length}`,
+        type: node.type,
+        title: titleOf(node),
+        bbox: toScreen(node.box.map(Math.round)),
+        physicalBbox: node.box.map(Math.round),
+        parentId: parent?.id ?? null,
+        depth: parent ? parent.depth + 1 : 0,
+        path: [...(parent?.path || []), labels[node.type] || node.type],
+        elementIds: [],
+        childIds: []
+      };
+      regions.push(region);
+      parent?.childIds.push(region.id);
+    }
+
+    if (node.children.length === 0) {
+      // Leaf items belong to the nearest kept region (none: top level)
+      region?.elementIds.push(...node.items.map(item => item.element.id));
+    }
+    node.children.forEach(child => visit(child, region));
+  };
+  visit(root, null);
+  return regions;
+}
+
+/**
+ * First line of text in a region; for side-by-side parts, the first line of the first part
+ * (a line across a sidebar and a content pane is not a title)
+ */
+function titleOf(node) {
+  if (node.axis === 'x' && node.children.length > 0) {
+    return titleOf(node.children[0]);
+  }
+  const firstLine = groupLines(node.items)[0] || [];
+  return firstLine
+    .sort((a, b) => a.bbox[0] - b.bbox[0])
+    .map(item => item.element.text.trim())
+    .join(' ')
+    .slice(0, 60);
+}
+
+/**
+ * Boxes drawn with edges on all four sides, away from the capture's borders and holding
+ * a clickable button: dialogs and sheets over the rest of the screen
+ * @returns {Array} Dialog boxes [x1, y1, x2, y2] in pixels, largest first, not overlapping
+ */
+function findDialogs(edges, items, capture) {
+  const { width, height } = capture;
+  const near = (a, b) => Math.abs(a - b) <= 6;
+  const covers = (line, from, to) => line.from <= from + 6 && line.to >= to - 6;
+  const boxes = [];
+
+  for (const top of edges.horizontal) {
+    for (const bottom of edges.horizontal) {
+      if (bottom.at - top.at < 0.1 * height || !near(top.from, bottom.from) || !near(top.to, bottom.to)) continue;
+      const box = [top.from, top.at, top.to, bottom.at];
+      if (box[2] - box[0] < 0.15 * width || area(box) > 0.7 * width * height) continue;
+      if (box[0] < 0.03 * width || box[2] > 0.97 * width || box[1] < 0.03 * height || box[3] > 0.97 * height) continue;
+
+      const left = edges.vertical.some(line => near(line.at, box[0]) && covers(line, box[1], box[3]));
+      const right = edges.vertical.some(line => near(line.at, box[2]) && covers(line, box[1], box[3]));
+      if (!left || !right) continue;
+
+      const inside = items.filter(item => contains(box, center(item.bbox)));
+      if (inside.length >= 2 && inside.some(item => item.element.type === 'button' && item.element.clickable)) {
+        boxes.push(box);
+      }
+    }
+  }
+
+  const dialogs = [];
+  for (const box of boxes.sort((a, b) => area(b) - area(a))) {
+    if (!dialogs.some(other => overlapLength([box[0], box[2]], [other[0], other[2]]) > 0 &&
+      overlapLength([box[1], box[3]], [other[1], other[3]]) > 0)) {
+      dialogs.push(box);
+    }
+  }
+  return dialogs;
+}
+
+/**
+ * Straight edges: long runs of pixels that differ from their neighbour above (horizontal)
+ * or to the left (vertical) - pane borders, background changes and divider lines
+ * @param {Buffer|string} image - Image buffer or path
+ * @returns {Promise<Object>} { horizontal: [{ at (y), from, to (x) }], vertical: [{ at (x), from, to (y) }] }
+ */
+export async function findEdges(image) {
+  const { data, info } = await sharp(image).removeAlpha().greyscale().raw().toBuffer({ resolveWithObject: true });
+  const { width, height } = info;
+  const step = (x, y, dx, dy) => Math.abs(data[y * width + x] - data[(y - dy) * width + x - dx]) >= EDGE_CONTRAST;
+
+  const scan = (length, breadth, at, minRun) => {
+    const lines = [];
+    for (let j = 1; j < breadth; j++) {
+      let start = -1;
+      let last = -1;
+      for (let i = 0; i <= length; i++) {
+        if (i < length && at(i, j)) {
+          if (start < 0) start = i;
+          last = i;
+          continue;
+        }
+        // Runs may skip a pixel or two (anti-aliasing, dotted dividers)
+        if (start >= 0 && (i === length || i - last > 2)) {
+          if (last - start + 1 >= minRun) lines.push({ at: j, from: start, to: last });
+          start = -1;
+        }
+      }
+    }
+    // A line is an edge on both of its sides: keep one per few pixels
+    const kept = lines
+      .sort((a, b) => (b.to - b.from) - (a.to - a.from))
+      .filter((line, i, all) => !all.slice(0, i).some(other =>
+        Math.abs(line.at - other.at) <= 3 && overlapLength([line.from, line.to], [other.from, other.to]) > 0.8 * (line.to - line.from)));
+    return kept.slice(0, MAX_EDGES).sort((a, b) => a.at - b.at);
+  };
+
+  return {
+    horizontal: scan(width, height, (x, y) => step(x, y, 0, 1), Math.max(40, Math.round(width * 0.1))),
+    vertical: scan(height, width, (y, x) => step(x, y, 1, 0), Math.max(40, Math.round(height * 0.1)))
+  };
+}
+
+/**
+ * Text line height: the lower quartile of item heights (items may be whole paragraphs)
+ */
+function lineHeight(items) {
+  const heights = items.map(item => item.bbox[3] - item.bbox[1]).sort((a, b) => a - b);
+  return Math.max(1, heights[Math.floor(heights.length / 4)]);
+}
+
+function contentBox(items) {
+  return [
+    Math.min(...items.map(item => item.bbox[0])),
+    Math.min(...items.map(item => item.bbox[1])),
+    Math.max(...items.map(item => item.bbox[2])),
+    Math.max(...items.map(item => item.bbox[3]))
+  ];
+}
+
+function center(bbox) {
+  return [(bbox[0] + bbox[2]) / 2, (bbox[1] + bbox[3]) / 2];
+}
+
+function contains(box, [x, y]) {
+  return x >= box[0] && x <= box[2] && y >= box[1] && y <= box[3];
+}
+
+function area(box) {
+  return Math.max(0, box[2] - box[0]) * Math.max(0, box[3] - box[1]);
+}
+
+function overlapLength(a, b) {
+  return Math.max(0, Math.min(a[1], b[1]) - Math.max(a[0], b[0]));
+}
+
+// Singleton instance
+let instance = null;
+
+/**
+ * Get layout analyzer singleton
+ * @returns {LayoutAnalyzer} Layout analyzer instance
+ */
+export function getLayoutAnalyzer() {
+  if (!instance) {
+    instance = new LayoutAnalyzer();
+  }
+  return instance;
+}
+
+export { LayoutAnalyzer };
+
+export default LayoutAnalyzer;
@@ -0,0 +1,225 @@
+/**
+ * External Command OCR Engine
+ * Runs a local OCR binary on the image file and parses what it prints
+ *
+ *   new ExternalCommandEngine({
+ *     name: 'tesseract_cli',
+ *     command: 'tesseract',
+ *     args: ['{image}', 'stdout', '-l', '{lang}', 'tsv'],
+ *     format: 'tsv',
+ *     languages: ['eng', 'deu'],
+ *     speed: 'medium'
+ *   });
+ *
+ * `{image}` is replaced with the image path and `{lang}` with the requested languages
+ * joined with '+' (Tesseract's syntax, e.g. 'deu+eng').
+ * The command is run without a shell. Output formats:
+ *   tsv   Tesseract TSV (level 5 rows are words)
+ *   hocr  hOCR (ocrx_word spans with bbox / x_wconf in the title)
+ *   json  { words: [{ text, bbox: [x1, y1, x2, y2], confidence }], imageSize: [w, h] }
+ *         or a bare word array; { error } fails the call
+ */
+
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import fs from 'fs';
+import path from 'path';
+import { nestWords } from '../../utils/textLayout.js';
+
+const execFileAsync = promisify(execFile);
+
+const FORMATS = ['tsv', 'hocr', 'json'];
+const SPEEDS = ['fast', 'medium', 'slow'];
+
+export class ExternalCommandEngine {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Engine name used in chains
+   * @param {string} options.command - Binary (absolute path or looked up on PATH)
+   * @param {Array<string>} options.args - Arguments with {image} / {lang} placeholders (default: ['{image}'])
+   * @param {string} options.format - tsv | hocr | json (default: json)
+   * @param {Array<string>} options.languages - Supported languages ('*' = any, default: ['eng'])
+   * @param {string} options.speed - fast | medium | slow (default: medium)
+   * @param {Array<string>} options.platforms - Only available on these platforms (default: all)
+   * @param {number} options.timeout - Kill the command after this many ms (default: 60000)
+   * @param {string} options.label - Display name for logs
+   */
+  constructor(options = {}) {
+    if (!options.name || !options.command) {
+      throw new Error('External OCR engines need a name and a command');
+    }
+    const format = options.format || 'json';
+    if (!FORMATS.includes(format)) {
+      throw new Error(`Unknown OCR output format for ${options.name}: ${format} (available: ${FORMATS.join(', ')})`);
+    }
+    const speed = options.speed || 'medium';
+    if (!SPEEDS.includes(speed)) {
+      throw new Error(`Unknown speed class for ${options.name}: ${speed} (available: ${SPEEDS.join(', ')})`);
+    }
+
+    this.name = options.name;
+    this.label = options.label || options.name;
+    this.command = options.command;
+    this.args = options.args || ['{image}'];
+    this.format = format;
+    this.languages = options.languages || ['eng'];
+    this.speed = speed;
+    this.platforms = options.platforms || null;
+    this.timeout = options.timeout || 60000;
+    this.available = null; // Resolved once on first isAvailable()
+  }
+
+  /**
+   * Whether the binary exists on this machine
+   * @returns {boolean}
+   */
+  isAvailable() {
+    if (this.available === null) {
+      this.available = (!this.platforms || this.platforms.includes(process.platform)) &&
+        resolveCommand(this.command) !== null;
+    }
+    return this.available;
+  }
+
+  /**
+   * Run the command and parse its output
+   * @param {string} imagePath - Image to read
+   * @param {Object} options - { languages }
+   * @returns {Promise<Object>} { words: [{ text, bbox, confidence }] in image pixels, imageSize }
+   */
+  async recognize(imagePath, options = {}) {
+    const languages = options.languages || this.languages.filter(lang => lang !== '*');
+    const lang = languages.length > 0 ? languages.join('+') : 'eng';
+    const args = this.args.map(arg => arg.replaceAll('{image}', imagePath).replaceAll('{lang}', lang));
+
+    const { stdout } = await execFileAsync(resolveCommand(this.command) || this.command, args, {
+      maxBuffer: 10 * 1024 * 1024, // 10MB buffer for large outputs
+      timeout: this.timeout
+    });
+
+    switch (this.format) {
+      case 'tsv':
+        return parseTSV(stdout);
+      case 'hocr':
+        return parseHOCR(stdout);
+      default:
+        return parseJSONOutput(stdout);
+    }
+  }
+}
+
+/**
+ * Parse Tesseract TSV output
+ * @param {string} text - TSV with a header row
+ * @returns {Object} { words, blocks (from Tesseract's block/paragraph/line numbering), imageSize }
+ */
+export function parseTSV(text) {
+  const [header, ...rows] = text.split(/\r?\n/).filter(line => line.trim() !== '');
+  const columns = (header || '').split('\t');
+  const col = name => columns.indexOf(name);
+  const [level, left, top, width, height, conf, value] =
+    ['level', 'left', 'top', 'width', 'height', 'conf', 'text'].map(col);
+  const [blockNum, parNum, lineNum] = ['block_num', 'par_num', 'line_num'].map(col);
+  if ([level, left, top, width, height, conf, value].includes(-1)) {
+    throw new Error('Not Tesseract TSV output (missing columns)');
+  }
+
+  const words = [];
+  let imageSize = [0, 0];
+  for (const row of rows) {
+    const cells = row.split('\t');
+    const box = [left, top, width, height].map(index => Number(cells[index]));
+    if (cells[level] === '1') {
+      imageSize = [box[2], box[3]]; // Page row spans the whole image
+      continue;
+    }
+    const confidence = Number(cells[conf]);
+    const wordText = (cells[value] || '').trim();
+    if (cells[level] !== '5' || !wordText || confidence < 0) continue;
+    words.push({
+      text: wordText,
+      bbox: [box[0], box[1], box[0] + box[2], box[1] + box[3]],
+      confidence: confidence / 100,
+      block: cells[blockNum],
+      paragraph: cells[parNum],
+      line: cells[lineNum]
+    });
+  }
+
+  // Tesseract numbers blocks, paragraphs and lines; without the columns OCRService clusters the words
+  const numbered = blockNum !== -1 && parNum !== -1 && lineNum !== -1;
+  return {
+    words: words.map(({ block, paragraph, line, ...word }) => word),
+    blocks: numbered ? nestWords(words) : undefined,
+    imageSize
+  };
+}
+
+/**
+ * Parse hOCR output
+ * @param {string} html - hOCR document
+ * @returns {Object} { words, imageSize }
+ */
+export function parseHOCR(html) {
+  const words = [];
+  const wordPattern = /<span[^>]*class=['"]ocrx_word['"][^>]*title=(['"])(.*?)\1[^>]*>([\s\S]*?)<\/span>/g;
+  for (const [, , title, inner] of html.matchAll(wordPattern)) {
+    const bbox = parseBboxTitle(title);
+    const wordText = decodeEntities(inner.replace(/<[^>]+>/g, '')).trim();
+    if (!bbox || !wordText) continue;
+    const wconf = /x_wconf\s+(\d+(?:\.\d+)?)/.exec(title);
+    words.push({ text: wordText, bbox, confidence: wconf ? Number(wconf[1]) / 100 : 1 });
+  }
+
+  const page = /class=['"]ocr_page['"][^>]*title=(['"])(.*?)\1/.exec(html);
+  const pageBox = page ? parseBboxTitle(page[2]) : null;
+  return { words, imageSize: pageBox ? [pageBox[2] - pageBox[0], pageBox[3] - pageBox[1]] : [0, 0] };
+}
+
+/**
+ * Parse JSON output ({ words, imageSize } like the bundled native binaries, or a word array)
+ * @param {string} text - JSON
+ * @returns {Object} { words, imageSize }
+ */
+export function parseJSONOutput(text) {
+  const result = JSON.parse(text);
+  if (result.error) {
+    throw new Error(result.error);
+  }
+  const words = Array.isArray(result) ? result : result.words || [];
+  return { words, imageSize: result.imageSize || [0, 0] };
+}
+
+function parseBboxTitle(title) {
+  const match = /bbox\s+(-?\d+)\s+(-?\d+)\s+(-?\d+)\s+(-?\d+)/.exec(title);
+  return match ? match.slice(1, 5).map(Number) : null;
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, '\'')
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Absolute path of a command, or null when it can't be found
+ */
+function resolveCommand(command) {
+  if (command.includes('/') || command.includes('\\')) {
+    return fs.existsSync(command) ? command : null;
+  }
+  const extensions = process.platform === 'win32' ? ['', '.exe', '.cmd', '.bat'] : [''];
+  for (const dir of (process.env.PATH || '').split(path.delimiter).filter(Boolean)) {
+    for (const ext of extensions) {
+      const candidate = path.join(dir, command + ext);
+      if (fs.existsSync(candidate)) return candidate;
+    }
+  }
+  return null;
+}
+
+export default ExternalCommandEngine;
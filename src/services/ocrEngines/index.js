@@ -0,0 +1,252 @@
+/**
+ * OCR Engines
+ * Registry of the engines OCRService can chain
+ *
+ * Every engine implements:
+ *   name                      → id used in chains (e.g. 'apple_vision')
+ *   label                     → display name
+ *   languages                 → supported languages (Tesseract codes, '*' = any)
+ *   speed                     → 'fast' | 'medium' | 'slow' (orders the automatic chain)
+ *   isAvailable()             → boolean (or a promise of one)
+ *   recognize(imagePath, { languages, onWords, layout })
+ *                             → { words: [{ text, bbox: [x1, y1, x2, y2], confidence }], imageSize }
+ *                               with boxes in image pixels and confidence 0-1; engines that read
+ *                               in parts may report each part early via onWords(words, { done, total }).
+ *                               Engines that know the text structure also return blocks (see
+ *                               utils/textLayout.js); OCRService clusters the words of the rest.
+ *                               layout: 'line' hints that the image is a single line of text.
+ *
+ * Built in: apple_vision (macOS), windows_ocr (Windows), tesseract (everywhere).
+ * More engines come from OCR_ENGINES_CONFIG, a JSON file:
+ *
+ *   {
+ *     "external": [{ "name": "tesseract_cli", "command": "tesseract",
+ *                    "args": ["{image}", "stdout", "-l", "{lang}", "tsv"], "format": "tsv" }],
+ *     "plugins": ["./ocr/my-engine.js"],
+ *     "chain": ["apple_vision", "tesseract_cli", "tesseract"],
+ *     "apps": { "Terminal": ["tesseract_cli", "tesseract"] },
+ *     "languages": ["eng"],
+ *     "appLanguages": { "WeChat": ["chi_sim", "eng"] },
+ *     "preprocessing": { "preset": "standard", "apps": { "Terminal": "dark" }, "presets": {} }
+ *   }
+ *
+ * and from OCR_ENGINE_PLUGINS (comma-separated module paths). A plugin module's default
+ * export is an engine, an array of engines, or a (possibly async) function returning either.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { ExternalCommandEngine } from './externalCommand.js';
+import { TesseractEngine } from './tesseract.js';
+import logger from '../../utils/logger.js';
+import { normalizeLanguages } from '../../utils/languages.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const BIN_DIR = path.join(__dirname, '../../../bin');
+
+export const SPEED_RANK = { fast: 0, medium: 1, slow: 2 };
+
+const engines = new Map();
+let configPromise = null;
+
+/**
+ * Register an engine (replaces an engine with the same name)
+ * @param {Object} engine - Engine implementing the interface above
+ * @returns {Object} The engine
+ */
+export function registerOCREngine(engine) {
+  if (!engine || typeof engine.name !== 'string' || typeof engine.recognize !== 'function') {
+    throw new Error('OCR engines need a name and a recognize(imagePath, options) method');
+  }
+  engine.label = engine.label || engine.name;
+  if (!engine.languages) {
+    engine.languages = ['eng']; // Engines may expose languages as a getter
+  }
+  if (!(engine.speed in SPEED_RANK)) {
+    engine.speed = 'medium';
+  }
+  if (typeof engine.isAvailable !== 'function') {
+    engine.isAvailable = () => true;
+  }
+
+  if (engines.has(engine.name)) {
+    logger.warn('⚠️  Replacing OCR engine', { name: engine.name });
+  }
+  engines.set(engine.name, engine);
+  return engine;
+}
+
+/**
+ * Remove an engine
+ * @param {string} name - Engine name
+ * @returns {boolean} Whether it was registered
+ */
+export function unregisterOCREngine(name) {
+  return engines.delete(name);
+}
+
+/**
+ * @param {string} name - Engine name
+ * @returns {Object|null} Engine
+ */
+export function getOCREngine(name) {
+  return engines.get(name) || null;
+}
+
+/**
+ * All registered engines in registration order
+ * @returns {Array} Engines
+ */
+export function getOCREngines() {
+  return [...engines.values()];
+}
+
+/**
+ * Describe the registered engines
+ * @returns {Promise<Array>} [{ name, label, languages, speed, available }]
+ */
+export async function listOCREngines() {
+  return Promise.all(getOCREngines().map(async engine => ({
+    name: engine.name,
+    label: engine.label,
+    languages: engine.languages,
+    speed: engine.speed,
+    available: await isEngineAvailable(engine)
+  })));
+}
+
+/**
+ * Availability check that treats a throwing check as unavailable
+ * @param {Object} engine - Engine
+ * @returns {Promise<boolean>}
+ */
+export async function isEngineAvailable(engine) {
+  try {
+    return !!(await engine.isAvailable());
+  } catch (error) {
+    logger.warn('⚠️  OCR engine availability check failed', { name: engine.name, error: error.message });
+    return false;
+  }
+}
+
+/**
+ * Whether an engine can read every language of a set
+ * @param {Object} engine - Engine
+ * @param {Array<string>|null} languages - Tesseract language codes (null = don't care)
+ * @returns {boolean}
+ */
+export function supportsLanguages(engine, languages) {
+  const supported = engine.languages;
+  return !languages || supported.includes('*') || languages.every(lang => supported.includes(lang));
+}
+
+/**
+ * Load external engines and plugins from OCR_ENGINES_CONFIG / OCR_ENGINE_PLUGINS (once)
+ * @returns {Promise<Object>} { chain: [...] | null, apps: { app: [...] }, languages: [...], appLanguages: { app: [...] },
+ *   preprocessing: { preset, apps: { app: preset }, presets: { name: stages } } }
+ */
+export function loadOCREngineConfig() {
+  if (!configPromise) {
+    configPromise = readConfig();
+  }
+  return configPromise;
+}
+
+async function readConfig() {
+  const configPath = process.env.OCR_ENGINES_CONFIG;
+  let config = {};
+  let baseDir = process.cwd();
+  if (configPath) {
+    try {
+      config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+      baseDir = path.dirname(path.resolve(configPath));
+    } catch (error) {
+      logger.error('❌ Failed to read OCR_ENGINES_CONFIG', { path: configPath, error: error.message });
+    }
+  }
+
+  for (const spec of config.external || []) {
+    try {
+      registerOCREngine(new ExternalCommandEngine({
+        ...spec,
+        command: spec.command.startsWith('.') ? path.resolve(baseDir, spec.command) : spec.command
+      }));
+    } catch (error) {
+      logger.error('❌ Invalid external OCR engine', { name: spec.name, error: error.message });
+    }
+  }
+
+  const plugins = [
+    ...(config.plugins || []).map(plugin => path.resolve(baseDir, plugin)),
+    ...(process.env.OCR_ENGINE_PLUGINS || '').split(',').map(p => p.trim()).filter(Boolean).map(p => path.resolve(p))
+  ];
+  for (const pluginPath of plugins) {
+    try {
+      const module = await import(pathToFileURL(pluginPath).href);
+      const exported = typeof module.default === 'function' && !module.default.prototype?.recognize
+        ? await module.default()
+        : module.default;
+      const list = (Array.isArray(exported) ? exported : [exported])
+        .map(item => (typeof item === 'function' ? new item() : item));
+      list.forEach(registerOCREngine);
+      logger.info('🔌 OCR engine plugin loaded', { path: pluginPath, engines: list.map(e => e.name) });
+    } catch (error) {
+      logger.error('❌ Failed to load OCR engine plugin', { path: pluginPath, error: error.message });
+    }
+  }
+
+  const envChain = (process.env.OCR_ENGINE_CHAIN || '').split(',').map(name => name.trim()).filter(Boolean);
+  const byApp = map => Object.fromEntries(
+    Object.entries(map || {}).map(([app, value]) => [app.toLowerCase(), value])
+  );
+
+  return {
+    chain: envChain.length > 0 ? envChain : config.chain || null,
+    apps: byApp(config.apps),
+    languages: safeLanguages(process.env.OCR_LANGUAGES || config.languages) || ['eng'],
+    appLanguages: Object.fromEntries(
+      Object.entries(byApp(config.appLanguages))
+        .map(([app, value]) => [app, safeLanguages(value)])
+        .filter(([, value]) => value)
+    ),
+    preprocessing: {
+      preset: config.preprocessing?.preset || null,
+      apps: byApp(config.preprocessing?.apps),
+      presets: config.preprocessing?.presets || {}
+    }
+  };
+}
+
+/**
+ * Parse a configured language set, logging (not throwing) on bad codes
+ */
+function safeLanguages(value) {
+  try {
+    return normalizeLanguages(value);
+  } catch (error) {
+    logger.error('❌ Invalid OCR language configuration', { value, error: error.message });
+    return null;
+  }
+}
+
+// Built-in engines: the bundled native binaries print { words, imageSize } JSON
+registerOCREngine(new ExternalCommandEngine({
+  name: 'apple_vision',
+  label: 'Apple Vision',
+  command: path.join(BIN_DIR, 'apple-vision-ocr'),
+  format: 'json',
+  speed: 'fast',
+  platforms: ['darwin']
+}));
+registerOCREngine(new ExternalCommandEngine({
+  name: 'windows_ocr',
+  label: 'Windows.Media.Ocr',
+  command: path.join(BIN_DIR, 'windows-ocr.exe'),
+  format: 'json',
+  speed: 'fast',
+  platforms: ['win32']
+}));
+registerOCREngine(new TesseractEngine());
+
+export { ExternalCommandEngine, TesseractEngine };
@@ -0,0 +1,102 @@
+/**
+ * Tesseract.js OCR Engine
+ * Cross-platform fallback that runs everywhere (WASM, no native binary)
+ * Workers come from the shared pool. Images larger than one tile are split into
+ * overlapping tiles (see ocrTiling.js) that the pool's workers read in parallel.
+ * Whole images keep Tesseract's own block/paragraph/line structure; merged tiles are
+ * re-clustered geometrically, since their structures stop at the tile edges.
+ */
+
+import Tesseract from 'tesseract.js';
+import sharp from 'sharp';
+import fs from 'fs';
+import { getTesseractWorkerPool } from '../tesseractWorkerPool.js';
+import { planTiles, placeTileWords, mergeTileWords, unseenWords } from '../ocrTiling.js';
+import { layoutFromTesseract, layoutWords, buildLayout } from '../../utils/textLayout.js';
+
+export class TesseractEngine {
+  /**
+   * @param {Object} options
+   * @param {boolean} options.tiling - Split large images into tiles (default: true unless OCR_TILING=false)
+   * @param {number} options.tileSize - Tile edge in pixels (default: OCR_TILE_SIZE or 1024)
+   * @param {number} options.tileOverlap - Pixels shared by neighbouring tiles (default: OCR_TILE_OVERLAP or 96)
+   */
+  constructor(options = {}) {
+    this.name = 'tesseract';
+    this.label = 'Tesseract.js';
+    this.speed = 'slow';
+    this.tiling = options.tiling ?? process.env.OCR_TILING !== 'false';
+    this.tileSize = options.tileSize || parseInt(process.env.OCR_TILE_SIZE) || 1024;
+    this.tileOverlap = options.tileOverlap ?? (parseInt(process.env.OCR_TILE_OVERLAP) || 96);
+  }
+
+  /**
+   * Languages with local traineddata (TESSDATA_DIR), or any when data is downloaded on demand
+   */
+  get languages() {
+    return getTesseractWorkerPool().availableLanguages() || ['*'];
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  /**
+   * @param {string} imagePath - Image to read
+   * @param {Object} options
+   * @param {Array<string>} options.languages - Language set (default ['eng'])
+   * @param {Function} options.onWords - Called as each tile finishes: (words in image pixels, { done, total })
+   * @param {string} options.layout - 'line' reads the image as a single text line (no tiling)
+   * @returns {Promise<Object>} { words: [{ text, bbox, confidence }] in image pixels, blocks (textLayout.js), imageSize, tiles }
+   */
+  async recognize(imagePath, options = {}) {
+    const languages = options.languages || ['eng'];
+    const buffer = fs.readFileSync(imagePath);
+    const { width, height } = await sharp(buffer).metadata();
+    const parameters = options.layout === 'line' ? { tessedit_pageseg_mode: Tesseract.PSM.SINGLE_LINE } : null;
+    const tiles = this.tiling && !parameters
+      ? planTiles(width, height, { tileSize: this.tileSize, overlap: this.tileOverlap })
+      : [];
+
+    if (tiles.length <= 1) {
+      const blocks = await this._recognizeImage(buffer, languages, parameters);
+      const words = layoutWords(blocks);
+      options.onWords?.(words, { done: 1, total: 1 });
+      return { words, blocks, imageSize: [width, height], tiles: 1 };
+    }
+
+    // Every tile is queued at once; the pool runs as many as it has workers for
+    const image = sharp(buffer);
+    const reported = []; // Words already passed to onWords (overlaps would repeat them)
+    let done = 0;
+    const placed = await Promise.all(tiles.map(async tile => {
+      const tileBuffer = await image.clone()
+        .extract({ left: tile.x, top: tile.y, width: tile.width, height: tile.height })
+        .png()
+        .toBuffer();
+      const words = placeTileWords(layoutWords(await this._recognizeImage(tileBuffer, languages)), tile);
+      done++;
+      if (options.onWords) {
+        const fresh = unseenWords(words.filter(word => !word.cut).map(({ cut, ...word }) => word), reported);
+        reported.push(...fresh);
+        options.onWords(fresh, { done, total: tiles.length });
+      }
+      return words;
+    }));
+
+    const words = mergeTileWords(placed.flat());
+    return { words, blocks: buildLayout(words), imageSize: [width, height], tiles: tiles.length };
+  }
+
+  /**
+   * Read one image (or tile) with a pooled worker
+   * @returns {Promise<Array>} Layout blocks with words in image pixels
+   * @private
+   */
+  async _recognizeImage(image, languages, parameters = null) {
+    const data = await getTesseractWorkerPool().recognize(image, languages, { blocks: true }, parameters);
+    return layoutFromTesseract(data.blocks);
+  }
+}
+
+export default TesseractEngine;
@@ -0,0 +1,204 @@
+/**
+ * OCR Refiner
+ * Second OCR pass over low-confidence lines
+ *
+ * Lines whose confidence is below the threshold are cropped from the original image
+ * with some padding, upscaled so the text is about targetLineHeight pixels tall, cleaned
+ * up with a preprocessing preset and read again as a single line of text (Tesseract
+ * switches to its single-line page segmentation mode). Each refine engine gets a try;
+ * the reading with the highest confidence replaces the line, the original stays when
+ * nothing beats it.
+ *
+ * Replaced words keep confidenceBefore/textBefore so callers can report the confidence
+ * of each element before and after the pass.
+ */
+
+import sharp from 'sharp';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import logger from '../utils/logger.js';
+import { getOCREngine, isEngineAvailable, supportsLanguages } from './ocrEngines/index.js';
+import { getImagePreprocessor } from './imagePreprocessor.js';
+import { refreshLayout, layoutWords } from '../utils/textLayout.js';
+
+class OCRRefiner {
+  /**
+   * @param {Object} options
+   * @param {boolean} options.enabled - Run the second pass (default: true unless OCR_REFINE=false)
+   * @param {number} options.threshold - Lines below this confidence are re-read (default: OCR_REFINE_THRESHOLD or 0.6)
+   * @param {number} options.maxLines - Lines re-read per image, lowest confidence first (default: OCR_REFINE_MAX_LINES or 8)
+   * @param {Array<string>} options.engines - Engines to re-read with (default: OCR_REFINE_ENGINES, else the
+   *   engine that read the image, then tesseract)
+   * @param {string} options.preset - Preprocessing preset for the crops (default: OCR_REFINE_PRESET or 'binarize')
+   * @param {number} options.targetLineHeight - Text height in pixels the crops are upscaled to (default 48)
+   */
+  constructor(options = {}) {
+    this.enabled = options.enabled ?? process.env.OCR_REFINE !== 'false';
+    this.threshold = options.threshold ?? (parseFloat(process.env.OCR_REFINE_THRESHOLD) || 0.6);
+    this.maxLines = options.maxLines || parseInt(process.env.OCR_REFINE_MAX_LINES) || 8;
+    this.engines = options.engines ||
+      (process.env.OCR_REFINE_ENGINES || '').split(',').map(name => name.trim()).filter(Boolean);
+    this.preset = options.preset || process.env.OCR_REFINE_PRESET || 'binarize';
+    this.targetLineHeight = options.targetLineHeight || 48;
+    this.tempDir = os.tmpdir();
+    this.preprocessor = getImagePreprocessor();
+  }
+
+  /**
+   * Re-read the low-confidence lines of an OCR result
+   * @param {string} imagePath - Image the result was read from
+   * @param {Object} result - OCRService result ({ words, blocks, source }, original image pixels)
+   * @param {Object} options - { languages, threshold }
+   * @returns {Promise<Object>} { words, blocks, refinement: { threshold, candidates, improved, lines, elapsed } }
+   */
+  async refine(imagePath, result, options = {}) {
+    const startTime = Date.now();
+    const threshold = options.threshold ?? this.threshold;
+    const copy = refreshLayout(result.blocks); // Lines are replaced in place below
+    const lines = copy
+      .flatMap(block => block.paragraphs.flatMap(paragraph => paragraph.lines))
+      .filter(line => line.confidence < threshold && line.words.every(word => word.bbox));
+    const refinement = { threshold, candidates: lines.length, improved: 0, lines: [], elapsed: 0 };
+
+    if (lines.length === 0) {
+      return { words: result.words, blocks: result.blocks, refinement };
+    }
+
+    const engines = await this._engines(result.source, options.languages);
+    if (engines.length === 0) {
+      logger.warn('⚠️  No OCR engine available for the refinement pass');
+      refinement.elapsed = Date.now() - startTime;
+      return { words: result.words, blocks: result.blocks, refinement };
+    }
+
+    const { width, height } = await sharp(imagePath).metadata();
+    const selected = [...lines].sort((a, b) => a.confidence - b.confidence).slice(0, this.maxLines);
+    for (const line of selected) {
+      const best = await this._rereadLine(imagePath, line, { width, height }, engines, options.languages);
+      const report = {
+        bbox: line.bbox,
+        textBefore: line.text,
+        confidenceBefore: line.confidence,
+        text: line.text,
+        confidence: line.confidence,
+        engine: null
+      };
+
+      if (best && best.confidence > line.confidence) {
+        line.words = best.words.map(word => ({ ...word, confidenceBefore: line.confidence, textBefore: line.text }));
+        Object.assign(report, { text: best.text, confidence: best.confidence, engine: best.engine });
+        refinement.improved++;
+      }
+      refinement.lines.push(report);
+    }
+
+    const blocks = refreshLayout(copy);
+    refinement.elapsed = Date.now() - startTime;
+    logger.info(`🔁 OCR refinement improved ${refinement.improved}/${selected.length} low-confidence line(s) in ${refinement.elapsed}ms`);
+    return { words: layoutWords(blocks), blocks, refinement };
+  }
+
+  /**
+   * Read one line again with every refine engine
+   * @returns {Promise<Object|null>} Best reading { words (image pixels), text, confidence, engine }
+   * @private
+   */
+  async _rereadLine(imagePath, line, imageSize, engines, languages) {
+    const lineHeight = line.bbox[3] - line.bbox[1];
+    const padding = Math.max(4, Math.round(lineHeight * 0.5));
+    const crop = {
+      left: Math.max(0, line.bbox[0] - padding),
+      top: Math.max(0, line.bbox[1] - padding),
+      width: 0,
+      height: 0
+    };
+    crop.width = Math.min(imageSize.width, line.bbox[2] + padding) - crop.left;
+    crop.height = Math.min(imageSize.height, line.bbox[3] + padding) - crop.top;
+    if (crop.width <= 0 || crop.height <= 0) return null;
+
+    const scale = Math.min(4, Math.max(1, this.targetLineHeight / Math.max(1, lineHeight)));
+    const cropPath = path.join(this.tempDir, `ocr-line-${crypto.randomUUID()}.png`);
+    let prepared = null;
+    let best = null;
+    try {
+      // The crop file is removed whatever fails from here on (cropping, preprocessing, reading)
+      await sharp(imagePath)
+        .extract(crop)
+        .resize(Math.round(crop.width * scale), Math.round(crop.height * scale), { kernel: 'lanczos3' })
+        .png()
+        .toFile(cropPath);
+
+      prepared = await this.preprocessor.run(cropPath, { preset: this.preset });
+      const totalScale = scale * prepared.scale;
+      for (const engine of engines) {
+        try {
+          const output = await engine.recognize(prepared.path, { languages, layout: 'line' });
+          const words = (output.words || []).filter(word => word.bbox && word.text);
+          if (words.length === 0) continue;
+
+          const confidence = words.reduce((sum, word) => sum + (word.confidence || 0), 0) / words.length;
+          if (!best || confidence > best.confidence) {
+            best = {
+              engine: engine.name,
+              confidence,
+              text: words.map(word => word.text).join(' '),
+              // Crop pixels → original image pixels
+              words: words.map(word => ({
+                text: word.text,
+                confidence: word.confidence,
+                bbox: [
+                  Math.round(word.bbox[0] / totalScale + crop.left),
+                  Math.round(word.bbox[1] / totalScale + crop.top),
+                  Math.round(word.bbox[2] / totalScale + crop.left),
+                  Math.round(word.bbox[3] / totalScale + crop.top)
+                ]
+              }))
+            };
+          }
+        } catch (error) {
+          logger.warn(`⚠️  ${engine.label} failed to re-read a line:`, error.message);
+        }
+      }
+    } finally {
+      await prepared?.cleanup();
+      fs.promises.unlink(cropPath).catch(() => {});
+    }
+    return best;
+  }
+
+  /**
+   * Engines for the second pass: the configured list, else the first pass's engine and tesseract
+   * @private
+   */
+  async _engines(firstPassEngine, languages) {
+    const names = this.engines.length > 0 ? this.engines : [firstPassEngine, 'tesseract'];
+    const engines = [];
+    for (const name of new Set(names)) {
+      const engine = getOCREngine(name);
+      if (engine && supportsLanguages(engine, languages) && await isEngineAvailable(engine)) {
+        engines.push(engine);
+      }
+    }
+    return engines;
+  }
+}
+
+// Singleton instance
+let instance = null;
+
+/**
+ * Get OCR refiner singleton
+ * @returns {OCRRefiner} OCR refiner instance
+ */
+export function getOCRRefiner() {
+  if (!instance) {
+    instance = new OCRRefiner();
+  }
+  return instance;
+}
+
+export { OCRRefiner };
+
+export default OCRRefiner;
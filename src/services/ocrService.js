@@ -1,24 +1,51 @@
 /**
  * OCR Service
- * Privacy-first OCR with platform-specific implementations
+ * Privacy-first OCR over a chain of pluggable engines (see ocrEngines/index.js)
  * - macOS: Apple Vision Framework (2-3s, on-device)
  * - Windows: Windows.Media.Ocr (1-3s, on-device)
- * - Linux: Tesseract.js (8-15s, on-device)
+ * - Everywhere: Tesseract.js (8-15s on one worker, on-device; large images are split into
+ *   tiles read in parallel by a worker pool sized to the CPU count)
+ * - Anything else: external OCR binaries and plugin modules
+ *
+ * Engines are tried in chain order until one succeeds. The chain comes from, in order:
+ * the request (options.engines), the app's chain in OCR_ENGINES_CONFIG, OCR_ENGINE
+ * (a single forced engine), OCR_ENGINE_CHAIN / the config file's chain, and finally
+ * every available engine from fastest to slowest.
+ *
+ * Languages (Tesseract codes) come from the request, the app's languages in
+ * OCR_ENGINES_CONFIG, the script Tesseract OSD detects (with osd.traineddata in
+ * TESSDATA_DIR), or OCR_LANGUAGES / the config file's default set. Engines that can't
+ * read every language of the set are left out of the chain.
+ *
+ * Images are cleaned up first by an ImagePreprocessor preset (dark-mode inversion,
+ * upscaling of small text, contrast normalization, binarization), picked per request
+ * or per app. Results record the preset and the stages it applied.
+ *
+ * Besides the flat word list, results carry the text as blocks → paragraphs → lines →
+ * words (see utils/textLayout.js): Tesseract's own structure where the engine reports
+ * it, otherwise clustered from the word positions.
+ *
+ * Lines read with low confidence get a second pass (see ocrRefiner.js): they are cropped,
+ * upscaled and read again as single lines, and the better reading is kept.
  */
 
-import { exec } from 'child_process';
-import { promisify } from 'util';
-import { createWorker } from 'tesseract.js';
 import crypto from 'crypto';
 import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
-import sharp from 'sharp';
 import logger from '../utils/logger.js';
-
-const execAsync = promisify(exec);
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import {
+  getOCREngine,
+  getOCREngines,
+  listOCREngines,
+  isEngineAvailable,
+  supportsLanguages,
+  loadOCREngineConfig,
+  SPEED_RANK
+} from './ocrEngines/index.js';
+import { getTesseractWorkerPool } from './tesseractWorkerPool.js';
+import { getImagePreprocessor } from './imagePreprocessor.js';
+import { getOCRRefiner } from './ocrRefiner.js';
+import { resolveLanguages, languageKey } from '../utils/languages.js';
+import { buildLayout, mapLayout } from '../utils/textLayout.js';
 
 class OCRService {
   constructor() {
@@ -27,90 +54,112 @@ class OCRService {
     this.cache = new Map();
     this.maxCacheSize = 100; // Max cached results
     
-    // Path to platform-specific binaries
-    this.appleVisionBinary = path.join(__dirname, '../../bin/apple-vision-ocr');
-    this.windowsOCRBinary = path.join(__dirname, '../../bin/windows-ocr.exe');
-    
-    // Check which native OCR engines are available
-    this.appleVisionAvailable = this.platform === 'darwin' && 
-                                fs.existsSync(this.appleVisionBinary);
-    this.windowsOCRAvailable = this.platform === 'win32' && 
-                               fs.existsSync(this.windowsOCRBinary);
-    
     // Force engine selection via environment variable
     // OCR_ENGINE=tesseract - Force Tesseract (cross-platform fallback)
     // OCR_ENGINE=apple_vision - Force Apple Vision (macOS only)
     // OCR_ENGINE=windows_ocr - Force Windows OCR (Windows only)
-    // OCR_ENGINE=auto (default) - Auto-detect based on platform
+    // OCR_ENGINE=<name> - Force any registered engine (external commands, plugins)
+    // OCR_ENGINE=auto (default) - Use the configured chain, or all engines by speed
     this.forcedEngine = process.env.OCR_ENGINE || 'auto';
     
+    // Detect the script when no languages are requested or configured for the app
+    // (needs osd.traineddata in TESSDATA_DIR)
+    this.detectScript = process.env.OCR_DETECT_SCRIPT !== 'false';
+    
+    this.preprocessor = getImagePreprocessor();
+    this.refiner = getOCRRefiner();
+    
     logger.info('🔍 OCR Service initialized', { 
       platform: this.platform,
       privacyMode: this.privacyMode,
-      appleVisionAvailable: this.appleVisionAvailable,
-      windowsOCRAvailable: this.windowsOCRAvailable,
       forcedEngine: this.forcedEngine
     });
   }
 
   /**
-   * Analyze image with platform-appropriate OCR
+   * Analyze image with the first engine in the chain that succeeds
    * @param {string} imagePath - Path to image file
-   * @returns {Promise<Object>} OCR results with bounding boxes
+   * @param {Object} options
+   * @param {Array<string>} options.engines - Engine chain for this call (overrides app and default chains)
+   * @param {string} options.app - App the image shows (selects a per-app chain and languages)
+   * @param {Array<string>|string} options.languages - Languages to read ('auto' = detect the script)
+   * @param {string|boolean} options.preprocess - Preprocessing preset (false = none; default: the app's preset)
+   * @param {boolean} options.refine - Re-read low-confidence lines (default: true unless OCR_REFINE=false)
+   * @param {Function} options.onPartial - Called with early results from engines that produce them (tiled
+   *   Tesseract): ({ words (original image pixels), progress: { done, total }, engine })
+   * @returns {Promise<Object>} OCR results with bounding boxes in the original image's pixels
+   *   ({ words, blocks, layoutSource: 'engine' | 'geometric', imageSize, source: engine name, languages,
+   *   languageSource, preprocessing, refinement })
    */
-  async analyze(imagePath) {
+  async analyze(imagePath, options = {}) {
     const startTime = Date.now();
     
     try {
-      // Check cache
-      const cacheKey = await this.getCacheKey(imagePath);
+      const { languages, source: languageSource, script } = await this.resolveLanguages(imagePath, options);
+      const chain = await this.resolveChain({ ...options, languages });
+      const preset = await this.preprocessor.resolvePreset({ preset: options.preprocess, app: options.app });
+      const refine = options.refine ?? this.refiner.enabled;
+
+      // Check cache (per chain, language set, preset and refinement: each may change what is read)
+      const cacheKey = `${await this.getCacheKey(imagePath)}:${chain.map(e => e.name).join(',')}:${languageKey(languages)}:${preset.name}:${refine ? 'refined' : 'raw'}`;
       if (this.cache.has(cacheKey)) {
         logger.info('✅ OCR cache hit');
         return this.cache.get(cacheKey);
       }
 
-      let result;
-      
-      // Check for forced engine
-      if (this.forcedEngine === 'tesseract') {
-        // Force Tesseract (cross-platform fallback)
-        logger.info('🔧 Forced engine: Tesseract');
-        result = await this.analyzeWithTesseract(imagePath);
-      } else if (this.forcedEngine === 'apple_vision') {
-        // Force Apple Vision (macOS only)
-        if (!this.appleVisionAvailable) {
-          throw new Error('Apple Vision not available on this platform');
-        }
-        logger.info('🔧 Forced engine: Apple Vision');
-        result = await this.analyzeWithAppleVision(imagePath);
-      } else if (this.forcedEngine === 'windows_ocr') {
-        // Force Windows OCR (Windows only)
-        if (!this.windowsOCRAvailable) {
-          throw new Error('Windows OCR not available on this platform');
-        }
-        logger.info('🔧 Forced engine: Windows OCR');
-        result = await this.analyzeWithWindowsOCR(imagePath);
-      } else {
-        // Auto-detect based on platform
-        if (this.appleVisionAvailable) {
-          // macOS: Use Apple Vision
-          try {
-            result = await this.analyzeWithAppleVision(imagePath);
-          } catch (error) {
-            logger.warn('⚠️  Apple Vision failed, falling back to Tesseract:', error.message);
-            result = await this.analyzeWithTesseract(imagePath);
-          }
-        } else if (this.windowsOCRAvailable) {
-          // Windows: Use Windows.Media.Ocr
+      const prepared = await this.preprocessor.run(imagePath, { preset: preset.name });
+      let result = null;
+      const failures = [];
+      try {
+        for (const [index, engine] of chain.entries()) {
+          const engineStart = Date.now();
           try {
-            result = await this.analyzeWithWindowsOCR(imagePath);
+            logger.info(`🔍 [${engine.label}] Analyzing image:`, imagePath);
+            const onWords = options.onPartial
+              ? (words, progress) => options.onPartial({ words: unscaleWords(words, prepared.scale), progress, engine: engine.name })
+              : undefined;
+            const output = await engine.recognize(prepared.path, { languages, onWords });
+            const words = unscaleWords(output.words || [], prepared.scale);
+            const blocks = output.blocks
+              ? mapLayout(output.blocks, bbox => unscaleBbox(bbox, prepared.scale))
+              : buildLayout(words);
+            logger.info(`✅ [${engine.label}] Extracted ${words.length} words in ${Date.now() - engineStart}ms`);
+            result = {
+              success: true,
+              words,
+              blocks,
+              layoutSource: output.blocks ? 'engine' : 'geometric',
+              imageSize: (output.imageSize || [0, 0]).map(size => Math.round(size / prepared.scale)),
+              source: engine.name,
+              languages,
+              languageSource,
+              script,
+              preprocessing: prepared.preprocessing,
+              tiles: output.tiles || 1,
+              refinement: null
+            };
+            break;
           } catch (error) {
-            logger.warn('⚠️  Windows OCR failed, falling back to Tesseract:', error.message);
-            result = await this.analyzeWithTesseract(imagePath);
+            failures.push(`${engine.name}: ${error.message}`);
+            const next = chain[index + 1];
+            logger.warn(`⚠️  ${engine.label} failed${next ? `, falling back to ${next.label}` : ''}:`, error.message);
           }
-        } else {
-          // Linux or fallback: Use Tesseract
-          result = await this.analyzeWithTesseract(imagePath);
+        }
+      } finally {
+        await prepared.cleanup();
+      }
+
+      if (!result) {
+        throw new Error(`All OCR engines failed (${failures.join('; ')})`);
+      }
+
+      // Second pass over low-confidence lines (a failed pass keeps the first reading)
+      if (refine) {
+        try {
+          const refined = await this.refiner.refine(imagePath, result, { languages });
+          Object.assign(result, refined);
+        } catch (error) {
+          logger.warn('⚠️  OCR refinement failed:', error.message);
         }
       }
 
@@ -130,147 +179,111 @@ class OCRService {
   }
 
   /**
-   * Windows: Windows.Media.Ocr via C# binary
-   * @param {string} imagePath - Path to image file
-   * @returns {Promise<Object>} OCR results
+   * Key for the settings a request reads text with: engine chain, language set, preset and
+   * refinement. Text read under another key must not be reused for the request.
+   * Languages that would be detected from the image are keyed as 'detected' (the same
+   * pixels give the same script), so working out the key never reads the image.
+   * @param {Object} options - { engines, app, languages, preprocess, refine } as in analyze()
+   * @returns {Promise<string>} Settings key
    */
-  async analyzeWithWindowsOCR(imagePath) {
-    const startTime = Date.now();
-    
-    try {
-      logger.info('🪟 [WINDOWS-OCR] Analyzing image:', imagePath);
-      
-      // Call C# binary
-      const { stdout, stderr } = await execAsync(
-        `"${this.windowsOCRBinary}" "${imagePath}"`,
-        { maxBuffer: 10 * 1024 * 1024 } // 10MB buffer for large outputs
-      );
-      
-      if (stderr) {
-        logger.warn('Windows OCR stderr:', stderr);
-      }
-      
-      // Parse JSON output
-      const result = JSON.parse(stdout);
-      
-      if (result.error) {
-        throw new Error(result.error);
-      }
-      
-      const elapsed = Date.now() - startTime;
-      logger.info(`✅ [WINDOWS-OCR] Extracted ${result.words.length} words in ${elapsed}ms`);
-      
-      return {
-        success: true,
-        words: result.words,
-        imageSize: result.imageSize,
-        source: 'windows_ocr'
-      };
-      
-    } catch (error) {
-      logger.error('❌ [WINDOWS-OCR] Analysis failed:', error.message);
-      throw error;
-    }
+  async settingsKey(options = {}) {
+    const config = await loadOCREngineConfig();
+    const { languages, source } = await resolveLanguages({
+      requested: options.languages || null,
+      app: options.app || null,
+      appLanguages: config.appLanguages,
+      defaults: config.languages
+    });
+    const detected = source === 'default' && this.detectScript && getTesseractWorkerPool().canDetectScript();
+    const chain = await this.resolveChain({ ...options, languages });
+    const preset = await this.preprocessor.resolvePreset({ preset: options.preprocess, app: options.app });
+    const refine = options.refine ?? this.refiner.enabled;
+    return `${chain.map(e => e.name).join(',')}:${detected ? 'detected' : languageKey(languages)}:${preset.name}:${refine ? 'refined' : 'raw'}`;
   }
 
   /**
-   * macOS: Apple Vision Framework via Swift binary
-   * @param {string} imagePath - Path to image file
-   * @returns {Promise<Object>} OCR results
+   * Work out which languages to read an image with
+   * @param {string} imagePath - Image (only read when the script has to be detected)
+   * @param {Object} options - { languages, app } as in analyze()
+   * @returns {Promise<Object>} { languages, source: request | app | script | default, script }
    */
-  async analyzeWithAppleVision(imagePath) {
-    const startTime = Date.now();
-    
-    try {
-      logger.info('🍎 [APPLE-VISION] Analyzing image:', imagePath);
-      
-      // Call Swift binary
-      const { stdout, stderr } = await execAsync(
-        `"${this.appleVisionBinary}" "${imagePath}"`,
-        { maxBuffer: 10 * 1024 * 1024 } // 10MB buffer for large outputs
-      );
-      
-      if (stderr) {
-        logger.warn('Apple Vision stderr:', stderr);
+  async resolveLanguages(imagePath, options = {}) {
+    const config = await loadOCREngineConfig();
+    const pool = getTesseractWorkerPool();
+    const canDetect = this.detectScript && pool.canDetectScript();
+
+    const resolved = await resolveLanguages({
+      requested: options.languages || null,
+      app: options.app || null,
+      appLanguages: config.appLanguages,
+      defaults: config.languages,
+      detect: canDetect ? async () => (await pool.detectScript(imagePath))?.script || null : null,
+      isAvailable: lang => pool.hasLanguage(lang)
+    });
+    logger.debug('🈯 OCR languages', resolved);
+    return resolved;
+  }
+
+  /**
+   * Work out which engines to try, in order
+   * @param {Object} options - { engines, app, languages } (languages as a resolved set)
+   * @returns {Promise<Array>} Available engines
+   * @throws {Error} With status 400 for unknown engine names or when nothing can serve the request
+   */
+  async resolveChain(options = {}) {
+    const config = await loadOCREngineConfig();
+    const { engines: requested = null, app = null, languages = null } = options;
+
+    let names = null;
+    let source = 'auto';
+    if (Array.isArray(requested) && requested.length > 0) {
+      names = requested;
+      source = 'request';
+    } else if (app && config.apps[app.toLowerCase()]) {
+      names = config.apps[app.toLowerCase()];
+      source = `app:${app}`;
+    } else if (this.forcedEngine !== 'auto') {
+      names = [this.forcedEngine];
+      source = 'OCR_ENGINE';
+    } else if (config.chain) {
+      names = config.chain;
+      source = 'config';
+    }
+
+    let candidates;
+    if (names) {
+      const unknown = names.filter(name => !getOCREngine(name));
+      if (unknown.length > 0) {
+        throw badRequest(`Unknown OCR engine(s): ${unknown.join(', ')} (available: ${getOCREngines().map(e => e.name).join(', ')})`);
       }
-      
-      // Parse JSON output
-      const result = JSON.parse(stdout);
-      
-      if (result.error) {
-        throw new Error(result.error);
+      candidates = names.map(getOCREngine);
+    } else {
+      candidates = [...getOCREngines()].sort((a, b) => SPEED_RANK[a.speed] - SPEED_RANK[b.speed]);
+    }
+
+    const chain = [];
+    for (const engine of candidates) {
+      if (supportsLanguages(engine, languages) && await isEngineAvailable(engine)) {
+        chain.push(engine);
       }
-      
-      const elapsed = Date.now() - startTime;
-      logger.info(`✅ [APPLE-VISION] Extracted ${result.words.length} words in ${elapsed}ms`);
-      
-      return {
-        success: true,
-        words: result.words,
-        imageSize: result.imageSize,
-        source: 'apple_vision'
-      };
-      
-    } catch (error) {
-      logger.error('❌ [APPLE-VISION] Analysis failed:', error.message);
-      throw error;
     }
+
+    if (chain.length === 0) {
+      const message = `No available OCR engine${languages ? ` for ${languageKey(languages)}` : ''} in chain ${source} (${candidates.map(e => e.name).join(', ')})`;
+      throw source === 'request' ? badRequest(message) : new Error(message);
+    }
+
+    logger.debug('🔗 OCR engine chain', { source, chain: chain.map(e => e.name) });
+    return chain;
   }
 
   /**
-   * Windows/Linux: Tesseract.js with optimizations
-   * @param {string} imagePath - Path to image file
-   * @returns {Promise<Object>} OCR results
+   * Describe registered engines (after loading configured plugins)
+   * @returns {Promise<Array>} [{ name, label, languages, speed, available }]
    */
-  async analyzeWithTesseract(imagePath) {
-    const startTime = Date.now();
-    
-    try {
-      logger.info('📝 [TESSERACT] Analyzing image:', imagePath);
-      
-      // Create worker
-      const worker = await createWorker('eng', 1, {
-        logger: (m) => {
-          if (m.status === 'recognizing text') {
-            logger.debug(`Tesseract progress: ${Math.round(m.progress * 100)}%`);
-          }
-        }
-      });
-      
-      // Recognize text
-      const { data } = await worker.recognize(imagePath);
-      
-      // Terminate worker
-      await worker.terminate();
-      
-      // Convert to our format
-      const words = (data.words || [])
-        .filter(w => w && w.confidence > 0) // Filter out null/undefined and low-confidence results
-        .map(w => ({
-          text: w.text,
-          bbox: [
-            w.bbox.x0,
-            w.bbox.y0,
-            w.bbox.x1,
-            w.bbox.y1
-          ],
-          confidence: w.confidence / 100 // Normalize to 0-1
-        }));
-      
-      const elapsed = Date.now() - startTime;
-      logger.info(`✅ [TESSERACT] Extracted ${words.length} words in ${elapsed}ms`);
-      
-      return {
-        success: true,
-        words,
-        imageSize: [data.imageWidth || 0, data.imageHeight || 0],
-        source: 'tesseract'
-      };
-      
-    } catch (error) {
-      logger.error('❌ [TESSERACT] Analysis failed:', error.message);
-      throw error;
-    }
+  async listEngines() {
+    await loadOCREngineConfig();
+    return listOCREngines();
   }
 
   /**
@@ -327,6 +340,24 @@ class OCRService {
   }
 }
 
+/**
+ * Map word boxes read from an upscaled image back to the original image's pixels
+ */
+function unscaleWords(words, scale) {
+  if (scale === 1) return words;
+  return words.map(word => (word.bbox ? { ...word, bbox: unscaleBbox(word.bbox, scale) } : word));
+}
+
+function unscaleBbox(bbox, scale) {
+  return scale === 1 ? bbox : bbox.map(value => Math.round(value / scale));
+}
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
 // Singleton instance
 let instance = null;
 
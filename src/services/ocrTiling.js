@@ -0,0 +1,130 @@
+/**
+ * OCR Tiling
+ * Split large images into overlapping tiles that OCR workers read in parallel,
+ * and merge the tiles' words back into one image-pixel word list
+ *
+ * Tiles overlap by more than a text line, so every word lies wholly inside at least
+ * one tile. Merging keeps one copy of each word:
+ *   - words touching a tile's inner edge are likely cut off and lose to whole copies
+ *   - of overlapping copies, the one with the higher confidence wins
+ */
+
+/**
+ * Plan a grid of overlapping tiles
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {Object} options
+ * @param {number} options.tileSize - Tile edge in pixels (default 1024)
+ * @param {number} options.overlap - Pixels shared by neighbouring tiles (default 96)
+ * @returns {Array} [{ x, y, width, height, edges: { left, top, right, bottom } }]
+ *   edges flags the sides that border another tile
+ */
+export function planTiles(width, height, options = {}) {
+  const tileSize = options.tileSize || 1024;
+  const overlap = Math.min(options.overlap ?? 96, Math.floor(tileSize / 2));
+
+  const starts = (length) => {
+    const count = Math.max(1, Math.ceil((length - overlap) / (tileSize - overlap)));
+    const step = count > 1 ? (length - tileSize) / (count - 1) : 0; // Spread tiles evenly
+    return Array.from({ length: count }, (_, i) => Math.round(i * step));
+  };
+
+  const xs = starts(width);
+  const ys = starts(height);
+  const tiles = [];
+  for (const [row, y] of ys.entries()) {
+    for (const [col, x] of xs.entries()) {
+      tiles.push({
+        x,
+        y,
+        width: Math.min(tileSize, width - x),
+        height: Math.min(tileSize, height - y),
+        edges: { left: col > 0, top: row > 0, right: col < xs.length - 1, bottom: row < ys.length - 1 }
+      });
+    }
+  }
+  return tiles;
+}
+
+/**
+ * Move a tile's words into image coordinates and flag the ones cut by an inner edge
+ * @param {Array} words - [{ text, bbox: [x1, y1, x2, y2] (tile pixels), confidence }]
+ * @param {Object} tile - Tile from planTiles()
+ * @param {number} margin - Distance from an inner edge that counts as touching it
+ * @returns {Array} Words in image pixels, with a cut flag
+ */
+export function placeTileWords(words, tile, margin = 2) {
+  return words.map(word => {
+    const [x1, y1, x2, y2] = word.bbox;
+    const cut = (tile.edges.left && x1 <= margin) ||
+      (tile.edges.top && y1 <= margin) ||
+      (tile.edges.right && x2 >= tile.width - margin) ||
+      (tile.edges.bottom && y2 >= tile.height - margin);
+    return {
+      ...word,
+      bbox: [x1 + tile.x, y1 + tile.y, x2 + tile.x, y2 + tile.y],
+      cut
+    };
+  });
+}
+
+/**
+ * Merge placed words from all tiles, dropping duplicates from the overlaps
+ * @param {Array} words - Words from placeTileWords() for every tile
+ * @param {number} minOverlap - Share of the smaller box two copies must share (default 0.5)
+ * @returns {Array} [{ text, bbox, confidence }] in reading order
+ */
+export function mergeTileWords(words, minOverlap = 0.5) {
+  const ranked = [...words].sort((a, b) => (a.cut - b.cut) || (b.confidence - a.confidence));
+  const kept = [];
+  for (const word of ranked) {
+    if (!kept.some(other => overlapRatio(word.bbox, other.bbox) >= minOverlap)) {
+      kept.push(word);
+    }
+  }
+  return readingOrder(kept.map(({ cut, ...word }) => word));
+}
+
+/**
+ * Words that don't duplicate any already seen (for reporting tiles as they finish)
+ * @param {Array} words - Uncut words from placeTileWords()
+ * @param {Array} seen - Words reported so far
+ * @param {number} minOverlap - As in mergeTileWords()
+ * @returns {Array} New words
+ */
+export function unseenWords(words, seen, minOverlap = 0.5) {
+  return words.filter(word => !seen.some(other => overlapRatio(word.bbox, other.bbox) >= minOverlap));
+}
+
+/**
+ * Sort words into lines (top to bottom), then left to right within each line
+ * @param {Array} words - [{ bbox: [x1, y1, x2, y2] }]
+ * @returns {Array} Sorted words
+ */
+export function readingOrder(words) {
+  const byTop = [...words].sort((a, b) => a.bbox[1] - b.bbox[1]);
+  const lines = [];
+  for (const word of byTop) {
+    const centerY = (word.bbox[1] + word.bbox[3]) / 2;
+    const line = lines.find(candidate => centerY >= candidate.top && centerY <= candidate.bottom);
+    if (line) {
+      line.words.push(word);
+    } else {
+      lines.push({ top: word.bbox[1], bottom: word.bbox[3], words: [word] });
+    }
+  }
+  return lines
+    .sort((a, b) => a.top - b.top)
+    .flatMap(line => line.words.sort((a, b) => a.bbox[0] - b.bbox[0]));
+}
+
+/**
+ * Intersection area over the smaller box's area
+ */
+function overlapRatio(a, b) {
+  const width = Math.min(a[2], b[2]) - Math.max(a[0], b[0]);
+  const height = Math.min(a[3], b[3]) - Math.max(a[1], b[1]);
+  if (width <= 0 || height <= 0) return 0;
+  const smaller = Math.min((a[2] - a[0]) * (a[3] - a[1]), (b[2] - b[0]) * (b[3] - b[1]));
+  return smaller > 0 ? (width * height) / smaller : 0;
+}
@@ -7,6 +7,21 @@
 import { getDuckDBVectorStore } from './duckdbVectorStore.js';
 import { getEmbeddingService, getSearchEmbeddingService } from './embeddingService.js';
 
+/**
+ * Identifiers in a query that should appear verbatim in a match: quoted phrases and
+ * words containing digits ("the row with invoice 1042" → ['1042'])
+ * @param {string} text - Search query
+ * @returns {Array<string>} Terms
+ */
+function queryTerms(text) {
+  const quoted = [...(text || '').matchAll(/"([^"]+)"/g)].map(match => match[1].trim());
+  const rest = (text || '').replace(/"[^"]*"/g, ' ');
+  const identifiers = rest.split(/\s+/)
+    .map(word => word.replace(/^[^\w$€£]+|[^\w%]+$/g, ''))
+    .filter(word => /\d/.test(word));
+  return [...new Set([...quoted, ...identifiers].filter(Boolean))];
+}
+
 class PersistentSemanticIndex {
   constructor(dbPath = null) {
     this.vectorStore = getDuckDBVectorStore(dbPath);
@@ -148,6 +163,35 @@ class PersistentSemanticIndex {
     }
   }
 
+  /**
+   * Search subtrees (layout regions, tables and table rows) by meaning and by the identifiers in the query
+   * @param {Object} query - { query, filters: { types, app, screenId, timeRange, recentOnly }, k, minScore }
+   * @returns {Promise<Array>} [{ id, resultType: 'subtree', score, subtree }]
+   */
+  async searchSubtrees(query) {
+    await this.initialize();
+
+    try {
+      const queryEmbedding = await this.searchEmbeddingService.embed(query.query);
+      const results = await this.vectorStore.searchSubtrees(
+        queryEmbedding,
+        { ...(query.filters || {}), terms: queryTerms(query.query) },
+        query.k || 5,
+        query.minScore || 0.0
+      );
+
+      return results.map(subtree => ({
+        id: subtree.id,
+        resultType: 'subtree',
+        score: subtree.score,
+        subtree
+      }));
+    } catch (error) {
+      console.error('❌ Subtree search failed:', error);
+      throw error;
+    }
+  }
+
   /**
    * Search for screen states in history
    * @param {string} query - Natural language query
@@ -199,8 +243,17 @@ class PersistentSemanticIndex {
    */
   async getSubtree(id) {
     await this.initialize();
-    // TODO: Add getSubtree to vectorStore
-    return null;
+    return await this.vectorStore.getSubtree(id);
+  }
+
+  /**
+   * Get the subtrees directly under a subtree
+   * @param {string} id - Parent subtree ID
+   * @returns {Promise<Array>} Child subtrees, top to bottom
+   */
+  async getChildSubtrees(id) {
+    await this.initialize();
+    return await this.vectorStore.getChildSubtrees(id);
   }
 
   /**
@@ -0,0 +1,256 @@
+/**
+ * Screen Event Bus
+ * Typed screen events for clients that would otherwise poll /screen/analyze
+ *
+ * Event types:
+ *   focus.changed    frontmost window changed          { previous: { app, title } }
+ *   window.opened    a window appeared                 { window }
+ *   window.closed    a window disappeared              { window }
+ *   screen.changed   analyzed content changed          { change: { status, dirtyRatio, dirtyRegions, addedText, removedText } }
+ *   text.appeared    words not on the previous frame   { texts: [{ text, bbox }] }
+ *   index.completed  a screen state was indexed        { nodes, indexTime }
+ *   rule.fired       a watch rule matched new text     { rule: { id, name, matchType, pattern }, matches: [{ text, bbox, nodes }] }
+ *
+ * Every event carries { id, type, timestamp, screenId, app, title }. Window events
+ * come from window detection (observeWindows), rule.fired from watch rules, the rest
+ * from the semantic pipeline.
+ * Recent events are kept in a ring buffer so reconnecting clients can catch up.
+ */
+
+import { EventEmitter } from 'events';
+import logger from '../utils/logger.js';
+
+export const SCREEN_EVENT_TYPES = [
+  'focus.changed',
+  'window.opened',
+  'window.closed',
+  'screen.changed',
+  'text.appeared',
+  'index.completed',
+  'rule.fired'
+];
+
+class ScreenEventBus extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {number} options.historySize - Events kept for replay (default 500)
+   */
+  constructor(options = {}) {
+    super();
+    this.setMaxListeners(0); // One listener per connected client
+    this.historySize = options.historySize || 500;
+    this.history = [];
+    this.nextId = 1;
+    this.windows = null; // Last observed window list (frontmost first)
+  }
+
+  /**
+   * Publish an event
+   * @param {string} type - One of SCREEN_EVENT_TYPES
+   * @param {Object} data - Payload; screenId, app and title are lifted to the top level
+   * @returns {Object} The published event
+   */
+  publish(type, data = {}) {
+    if (!SCREEN_EVENT_TYPES.includes(type)) {
+      throw new Error(`Unknown screen event type: ${type}`);
+    }
+
+    const { screenId = null, app = null, title = null, ...rest } = data;
+    const event = {
+      id: this.nextId++,
+      type,
+      timestamp: Date.now(),
+      screenId,
+      app,
+      title,
+      ...rest
+    };
+
+    this.history.push(event);
+    if (this.history.length > this.historySize) {
+      this.history.shift();
+    }
+
+    logger.debug('📣 Screen event', { id: event.id, type, app, screenId });
+    this.emit('event', event);
+    return event;
+  }
+
+  /**
+   * Listen for events matching a filter
+   * @param {Object} filter - { types: [...], apps: [...] } (empty = everything)
+   * @param {Function} listener - Called with each matching event
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(filter, listener) {
+    const handler = event => {
+      if (!matchesFilter(event, filter)) return;
+      try {
+        listener(event);
+      } catch (error) {
+        // A broken subscriber must not fail the capture that published the event
+        logger.error('Screen event listener failed', { type: event.type, error: error.message });
+      }
+    };
+    this.on('event', handler);
+    return () => this.off('event', handler);
+  }
+
+  /**
+   * Recent events, oldest first
+   * @param {Object} options - { since: event id (exclusive), types, apps, limit }
+   * @returns {Array} Events
+   */
+  getRecent(options = {}) {
+    const { since = 0, limit = 100, ...filter } = options;
+    return this.history
+      .filter(event => event.id > since && matchesFilter(event, filter))
+      .slice(-limit);
+  }
+
+  /**
+   * Diff a fresh window list against the previous one and publish
+   * window.opened / window.closed / focus.changed
+   * Windows are matched by id when the backend provides one, otherwise by app and title;
+   * a leftover window of the same app is treated as retitled rather than closed + opened.
+   * An empty list is treated as a failed enumeration and ignored.
+   * @param {Array} windows - Windows, frontmost first
+   * @returns {Array} Published events
+   */
+  observeWindows(windows) {
+    if (!Array.isArray(windows) || windows.length === 0) {
+      return [];
+    }
+
+    const previous = this.windows;
+    this.windows = windows.map(summarizeWindow);
+    if (!previous) {
+      return []; // First snapshot: nothing to compare against
+    }
+
+    const events = [];
+    const { added, removed } = diffWindows(previous, this.windows);
+    for (const window of removed) {
+      events.push(this.publish('window.closed', { app: window.appName, title: window.title, window }));
+    }
+    for (const window of added) {
+      events.push(this.publish('window.opened', { app: window.appName, title: window.title, window }));
+    }
+
+    const [before] = previous;
+    const [now] = this.windows;
+    if (before && now && (before.appName !== now.appName || before.title !== now.title)) {
+      events.push(this.publish('focus.changed', {
+        app: now.appName,
+        title: now.title,
+        window: now,
+        previous: { app: before.appName, title: before.title }
+      }));
+    }
+
+    return events;
+  }
+
+  /**
+   * @returns {Object} Listener count and history size
+   */
+  getStats() {
+    return {
+      subscribers: this.listenerCount('event'),
+      buffered: this.history.length,
+      lastEventId: this.nextId - 1
+    };
+  }
+}
+
+/**
+ * Parse a filter from comma-separated query values
+ * @param {Object} query - { types: 'a,b', apps: 'Code,Slack' }
+ * @returns {Object} { types: [...], apps: [...] }
+ */
+export function parseEventFilter(query = {}) {
+  const list = value => (Array.isArray(value) ? value : String(value || '').split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+
+  const types = list(query.types || query.type);
+  const unknown = types.filter(type => !SCREEN_EVENT_TYPES.includes(type));
+  if (unknown.length > 0) {
+    const error = new Error(`Unknown event type(s): ${unknown.join(', ')} (available: ${SCREEN_EVENT_TYPES.join(', ')})`);
+    error.status = 400;
+    throw error;
+  }
+
+  return { types, apps: list(query.apps || query.app) };
+}
+
+function matchesFilter(event, filter = {}) {
+  const { types = [], apps = [] } = filter;
+  if (types.length > 0 && !types.includes(event.type)) {
+    return false;
+  }
+  if (apps.length > 0) {
+    const app = (event.app || '').toLowerCase();
+    return apps.some(name => name.toLowerCase() === app);
+  }
+  return true;
+}
+
+function summarizeWindow(win) {
+  return {
+    id: win.id ?? null,
+    appName: win.appName || 'Unknown',
+    title: win.title || '',
+    x: win.x,
+    y: win.y,
+    width: win.width,
+    height: win.height,
+    displayId: win.displayId ?? null
+  };
+}
+
+/**
+ * Windows in `current` but not `previous` (added) and the reverse (removed)
+ */
+function diffWindows(previous, current) {
+  const unmatched = [...previous];
+  const added = [];
+  const take = predicate => {
+    const index = unmatched.findIndex(predicate);
+    return index === -1 ? null : unmatched.splice(index, 1)[0];
+  };
+
+  // Exact matches first so a retitled window can't steal another window's match
+  const pending = current.filter(win =>
+    !take(old => (win.id !== null && old.id !== null)
+      ? old.id === win.id
+      : old.appName === win.appName && old.title === win.title)
+  );
+
+  for (const win of pending) {
+    const retitled = win.id === null && take(old => old.id === null && old.appName === win.appName);
+    if (!retitled) {
+      added.push(win);
+    }
+  }
+
+  return { added, removed: unmatched };
+}
+
+// Singleton instance
+let instance = null;
+
+/**
+ * Get screen event bus singleton
+ * @returns {ScreenEventBus} Screen event bus instance
+ */
+export function getScreenEventBus() {
+  if (!instance) {
+    instance = new ScreenEventBus();
+  }
+  return instance;
+}
+
+export { ScreenEventBus };
+
+export default ScreenEventBus;
@@ -0,0 +1,364 @@
+/**
+ * Screen Watcher
+ * Background capture loop that keeps the DuckDB index fresh for /element.search
+ *
+ * Every tick analyzes the frontmost window through the semantic pipeline
+ * (capture → crop → OCR → PersistentSemanticIndex.indexScreenState). Unchanged frames
+ * are cheap thanks to frame change detection, and the watcher backs off while the
+ * screen stays idle: after `idleAfter` unchanged ticks the interval doubles per tick
+ * up to `maxInterval`, and snaps back to `interval` as soon as something changes.
+ *
+ * Events (EventEmitter):
+ *   started  { config }
+ *   stopped  { reason }
+ *   capture  { screenId, app, title, frameChange, elapsed, interval }
+ *   skipped  { app, title, reason }
+ *   failed   { error }
+ */
+
+import { EventEmitter } from 'events';
+import logger from '../utils/logger.js';
+import { getSemanticAnalyzer } from '../utils/semanticAnalyzer.js';
+import { detectScreenContext } from '../utils/window-detector.js';
+
+const DEFAULT_CONFIG = {
+  interval: 2000, // ms between captures while the screen is changing
+  maxInterval: 15000, // ms between captures when idle
+  idleAfter: 3, // unchanged ticks before backing off
+  include: [], // only watch these apps (empty = all)
+  exclude: [], // never capture these apps (wins over include)
+  display: null, // restrict to one display (selector as in /screen/analyze)
+  capture: null, // capture provider spec (default: CAPTURE_PROVIDER)
+  skipEmbedding: false // true = OCR only, embeddings generated on demand
+};
+
+class ScreenWatcher extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.semanticAnalyzer = options.semanticAnalyzer || getSemanticAnalyzer();
+    this.config = normalizeConfig({ ...DEFAULT_CONFIG, ...configFromEnv() });
+    this.running = false;
+    this.timer = null;
+    this.inFlight = null;
+    this.idleTicks = 0;
+    this.currentInterval = this.config.interval;
+    this._resetStats();
+
+    logger.info('👁️  Screen Watcher created', { interval: this.config.interval, maxInterval: this.config.maxInterval });
+  }
+
+  /**
+   * Start the capture loop
+   * @param {Object} config - Optional config changes applied before starting
+   * @returns {Object} Status
+   */
+  start(config = {}) {
+    if (Object.keys(config).length > 0) {
+      this.updateConfig(config);
+    }
+    if (this.running) {
+      return this.getStatus();
+    }
+
+    this.running = true;
+    this.idleTicks = 0;
+    this.currentInterval = this.config.interval;
+    this._resetStats();
+    this.stats.startedAt = Date.now();
+
+    logger.info('▶️  Screen Watcher started', this.config);
+    this.emit('started', { config: this.getConfig() });
+    this._schedule(0);
+    return this.getStatus();
+  }
+
+  /**
+   * Stop the capture loop (waits for an in-flight capture to finish)
+   * @param {string} reason - Why the watcher stopped
+   * @returns {Promise<Object>} Status
+   */
+  async stop(reason = 'requested') {
+    if (!this.running) {
+      return this.getStatus();
+    }
+
+    this.running = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (this.inFlight) {
+      await this.inFlight.catch(() => {});
+    }
+
+    logger.info('⏹️  Screen Watcher stopped', { reason, captures: this.stats.captures });
+    this.emit('stopped', { reason });
+    return this.getStatus();
+  }
+
+  /**
+   * Change the configuration (takes effect from the next tick)
+   * @param {Object} changes - Partial config
+   * @returns {Object} New config
+   * @throws {Error} With status 400 when a value is invalid
+   */
+  updateConfig(changes = {}) {
+    const unknown = Object.keys(changes).filter(key => !(key in DEFAULT_CONFIG));
+    if (unknown.length > 0) {
+      throw badRequest(`Unknown watcher option(s): ${unknown.join(', ')}`);
+    }
+
+    this.config = normalizeConfig({ ...this.config, ...changes });
+    if (this.idleTicks < this.config.idleAfter) {
+      this.currentInterval = this.config.interval;
+    }
+    logger.info('⚙️  Screen Watcher config updated', this.config);
+    return this.getConfig();
+  }
+
+  /**
+   * @returns {Object} Current config
+   */
+  getConfig() {
+    return { ...this.config, include: [...this.config.include], exclude: [...this.config.exclude] };
+  }
+
+  /**
+   * @returns {Object} Running state, config and counters
+   */
+  getStatus() {
+    return {
+      running: this.running,
+      busy: !!this.inFlight,
+      currentInterval: this.currentInterval,
+      idleTicks: this.idleTicks,
+      config: this.getConfig(),
+      stats: { ...this.stats }
+    };
+  }
+
+  /**
+   * Whether an app passes the include/exclude rules
+   * @param {Object} window - Window {appName, title}
+   * @returns {boolean}
+   */
+  isWatched(window) {
+    const { include, exclude } = this.config;
+    if (exclude.some(rule => matchesRule(rule, window))) {
+      return false;
+    }
+    return include.length === 0 || include.some(rule => matchesRule(rule, window));
+  }
+
+  /**
+   * Run one capture now (also used by the loop)
+   * @returns {Promise<Object|null>} Analysis result, or null when nothing was captured
+   */
+  async tick() {
+    const context = await detectScreenContext({ display: this.config.display });
+    if (context.strategy === 'unknown_display') {
+      throw badRequest(context.error);
+    }
+
+    const windows = context.windows || [];
+    const target = context.primary || windows[0];
+    if (!target) {
+      this._skip(null, 'no_window');
+      return null;
+    }
+    if (!this.isWatched(target)) {
+      this._skip(target, 'excluded');
+      return null;
+    }
+
+    const targetIndex = windows.indexOf(target);
+    const result = await this.semanticAnalyzer.captureAndAnalyze({
+      windowInfo: target,
+      display: context.display || null,
+      capture: this.config.capture,
+      occluders: targetIndex > 0 ? windows.slice(0, targetIndex) : [],
+      skipEmbedding: this.config.skipEmbedding,
+      saveDebugResult: false
+    });
+
+    const unchanged = result.frameChange?.status === 'unchanged';
+    this.stats.captures++;
+    if (unchanged) this.stats.unchanged++;
+    this.stats.lastCaptureAt = Date.now();
+    this.stats.lastScreenId = result.screenId;
+    this.stats.lastApp = target.appName;
+
+    this.emit('capture', {
+      screenId: result.screenId,
+      app: target.appName,
+      title: target.title || '',
+      frameChange: result.frameChange,
+      elapsed: result.elapsed,
+      interval: this.currentInterval,
+      result
+    });
+    return result;
+  }
+
+  /**
+   * @private
+   */
+  _schedule(delay) {
+    if (!this.running) return;
+    this.timer = setTimeout(() => this._loop(), delay);
+  }
+
+  /**
+   * One loop iteration: capture, adjust the interval, schedule the next tick
+   * @private
+   */
+  async _loop() {
+    if (!this.running) return;
+
+    let idle = false;
+    this.inFlight = this.tick();
+    try {
+      const result = await this.inFlight;
+      idle = !result || result.frameChange?.status === 'unchanged';
+    } catch (error) {
+      idle = true; // Back off on repeated failures too
+      this.stats.errors++;
+      this.stats.lastError = error.message;
+      logger.error('❌ Screen Watcher capture failed', { error: error.message });
+      this.emit('failed', { error: error.message });
+      if (error.status === 400) {
+        this.inFlight = null;
+        await this.stop('invalid_config');
+        return;
+      }
+    } finally {
+      this.inFlight = null;
+    }
+
+    this.idleTicks = idle ? this.idleTicks + 1 : 0;
+    this.currentInterval = this.idleTicks >= this.config.idleAfter
+      ? Math.min(this.config.maxInterval, this.config.interval * 2 ** (this.idleTicks - this.config.idleAfter + 1))
+      : this.config.interval;
+
+    this._schedule(this.currentInterval);
+  }
+
+  /**
+   * @private
+   */
+  _skip(window, reason) {
+    this.stats.skipped++;
+    this.emit('skipped', { app: window?.appName || null, title: window?.title || '', reason });
+  }
+
+  /**
+   * @private
+   */
+  _resetStats() {
+    this.stats = {
+      startedAt: null,
+      captures: 0,
+      unchanged: 0,
+      skipped: 0,
+      errors: 0,
+      lastCaptureAt: null,
+      lastScreenId: null,
+      lastApp: null,
+      lastError: null
+    };
+  }
+}
+
+/**
+ * Read defaults from SCREEN_WATCHER_* environment variables
+ */
+function configFromEnv() {
+  const config = {};
+  const list = value => value.split(',').map(item => item.trim()).filter(Boolean);
+  if (process.env.SCREEN_WATCHER_INTERVAL) config.interval = parseInt(process.env.SCREEN_WATCHER_INTERVAL);
+  if (process.env.SCREEN_WATCHER_MAX_INTERVAL) config.maxInterval = parseInt(process.env.SCREEN_WATCHER_MAX_INTERVAL);
+  if (process.env.SCREEN_WATCHER_INCLUDE) config.include = list(process.env.SCREEN_WATCHER_INCLUDE);
+  if (process.env.SCREEN_WATCHER_EXCLUDE) config.exclude = list(process.env.SCREEN_WATCHER_EXCLUDE);
+  return config;
+}
+
+/**
+ * Validate a full config
+ * Rules are app names (case-insensitive) or { app, title } where title is a regex
+ */
+function normalizeConfig(config) {
+  const positive = (name, min) => {
+    const value = Number(config[name]);
+    if (!Number.isFinite(value) || value < min) {
+      throw badRequest(`${name} must be a number >= ${min}`);
+    }
+    return value;
+  };
+
+  const interval = positive('interval', 250);
+  const maxInterval = Math.max(interval, positive('maxInterval', 250));
+  const rules = name => {
+    const value = config[name] ?? [];
+    if (!Array.isArray(value)) {
+      throw badRequest(`${name} must be an array of app names or { app, title } rules`);
+    }
+    return value.map(rule => {
+      if (typeof rule === 'string') return rule;
+      if (rule && typeof rule === 'object' && (rule.app || rule.title)) {
+        if (rule.title) {
+          try {
+            new RegExp(rule.title, 'i');
+          } catch (error) {
+            throw badRequest(`Invalid title pattern in ${name}: ${error.message}`);
+          }
+        }
+        return { app: rule.app || null, title: rule.title || null };
+      }
+      throw badRequest(`Invalid ${name} rule: ${JSON.stringify(rule)}`);
+    });
+  };
+
+  return {
+    interval,
+    maxInterval,
+    idleAfter: Math.round(positive('idleAfter', 1)),
+    include: rules('include'),
+    exclude: rules('exclude'),
+    display: config.display ?? null,
+    capture: config.capture ?? null,
+    skipEmbedding: config.skipEmbedding === true
+  };
+}
+
+function matchesRule(rule, window) {
+  const app = (window.appName || '').toLowerCase();
+  if (typeof rule === 'string') {
+    return app === rule.toLowerCase();
+  }
+  if (rule.app && app !== rule.app.toLowerCase()) {
+    return false;
+  }
+  return !rule.title || new RegExp(rule.title, 'i').test(window.title || '');
+}
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+// Singleton instance
+let instance = null;
+
+/**
+ * Get screen watcher singleton
+ * @returns {ScreenWatcher} Screen watcher instance
+ */
+export function getScreenWatcher() {
+  if (!instance) {
+    instance = new ScreenWatcher();
+  }
+  return instance;
+}
+
+export { ScreenWatcher, DEFAULT_CONFIG as DEFAULT_WATCHER_CONFIG };
+
+export default ScreenWatcher;
@@ -0,0 +1,457 @@
+/**
+ * Table Detector
+ * Finds tables among OCR elements: rows of text whose cells line up in columns
+ * (spreadsheets, admin dashboards, email lists)
+ *
+ * Elements sharing a text line form a row; consecutive rows whose cells share column
+ * positions form a table. When the capture image is passed, ruling lines drawn in it
+ * refine the grid:
+ *   - vertical rulings set the column boundaries
+ *   - a text line between the same two horizontal rulings as the line above, with an
+ *     empty first column, continues that row (wrapped cells)
+ *   - a horizontal ruling under the first row marks it as the header
+ *
+ * Tables come with header inference, a rows × columns grid of cells (text, boxes and the
+ * ids of the elements they were built from) and CSV / JSON renderings.
+ *
+ * Detection works in image pixels (physicalBbox); options.toScreen maps boxes to screen points.
+ * Cells are elements, so tables are found at 'word' and 'line' granularity but not when
+ * whole paragraphs or blocks are single elements.
+ */
+
+import sharp from 'sharp';
+import logger from '../utils/logger.js';
+
+const MIN_ROWS = 3; // Including the header row
+const MIN_COLUMNS = 2;
+const MIN_FILL = 0.5; // Share of the grid's cells that must hold text
+const MAX_CELL_LENGTH = 60; // Longer average cell text is prose in columns, not a table
+const MAX_ROW_GAP = 2.5; // Vertical gap between rows, in row heights, before a table ends
+const RULING_CONTRAST = 24; // Grey-level difference from the background that counts as a line pixel
+const MIN_RULING_SPAN = 0.6; // Rulings must cross this share of the table (shorter ones are underlines, icons)
+const NUMERIC = /^[\s$€£¥+\-−(]*\d[\d.,:/%\s]*[)%]?\s*[A-Za-z]{0,3}$/;
+
+class TableDetector {
+  /**
+   * @param {Object} options
+   * @param {boolean} options.enabled - Detect tables (default: true unless TABLE_DETECTION=false)
+   * @param {boolean} options.useRulings - Look for ruling lines in the image (default: true unless TABLE_RULINGS=false)
+   */
+  constructor(options = {}) {
+    this.enabled = options.enabled ?? process.env.TABLE_DETECTION !== 'false';
+    this.useRulings = options.useRulings ?? process.env.TABLE_RULINGS !== 'false';
+  }
+
+  /**
+   * Find tables among elements
+   * @param {Array} elements - Elements from _createElementsFromOCR() ({ id, text, bbox, physicalBbox })
+   * @param {Object} options
+   * @param {Buffer|string} options.image - Image the elements were read from, for ruling lines (optional)
+   * @param {Function} options.toScreen - Maps an image-pixel box to screen points (default: unchanged)
+   * @returns {Promise<Array>} [{ id, bbox, physicalBbox, source: 'alignment' | 'rulings', header, columns, rows,
+   *   csv, json }] (see buildTable)
+   */
+  async detect(elements, options = {}) {
+    const cells = (elements || [])
+      .filter(element => element.text && (element.physicalBbox || element.bbox))
+      .map(element => ({ element, bbox: element.physicalBbox || element.bbox }));
+    if (cells.length < MIN_ROWS * MIN_COLUMNS) return [];
+
+    const candidates = findCandidates(groupRows(cells));
+    if (candidates.length === 0) return [];
+
+    let rulings = null;
+    if (this.useRulings && options.image) {
+      try {
+        rulings = await findRulings(options.image);
+      } catch (error) {
+        logger.warn('⚠️  Ruling line detection failed, using text alignment only:', error.message);
+      }
+    }
+
+    const toScreen = options.toScreen || (bbox => bbox);
+    const stamp = Date.now();
+    const tables = candidates
+      .map(candidate => buildTable(candidate, rulings, toScreen))
+      .filter(Boolean);
+    tables.forEach((table, index) => assignIds(table, `table-${stamp}-${index}`));
+
+    if (tables.length > 0) {
+      logger.info(`📊 Detected ${tables.length} table(s): ${tables.map(t => `${t.rows.length}×${t.columns.length}`).join(', ')}`);
+    }
+    return tables;
+  }
+}
+
+/**
+ * Group cells into text rows by vertical position
+ * @returns {Array} [{ cells (left to right), bbox, height }] top to bottom
+ */
+function groupRows(cells) {
+  const rows = [];
+  for (const cell of [...cells].sort((a, b) => a.bbox[1] - b.bbox[1])) {
+    const centerY = (cell.bbox[1] + cell.bbox[3]) / 2;
+    const row = rows.find(candidate => centerY >= candidate.bbox[1] && centerY <= candidate.bbox[3]);
+    if (row) {
+      row.cells.push(cell);
+      row.bbox = union(row.bbox, cell.bbox);
+    } else {
+      rows.push({ cells: [cell], bbox: [...cell.bbox] });
+    }
+  }
+  return rows
+    .sort((a, b) => a.bbox[1] - b.bbox[1])
+    .map(row => ({
+      ...row,
+      cells: row.cells.sort((a, b) => a.bbox[0] - b.bbox[0]),
+      height: median(row.cells.map(cell => cell.bbox[3] - cell.bbox[1]))
+    }));
+}
+
+/**
+ * Runs of consecutive rows whose cells share columns
+ * @returns {Array} [{ rows, columns: [[x1, x2]] }]
+ */
+function findCandidates(rows) {
+  const candidates = [];
+  let current = null;
+  const close = () => {
+    if (current && isTableLike(current)) candidates.push(current);
+    current = null;
+  };
+
+  for (const row of rows) {
+    if (current && extend(current, row)) continue;
+    close();
+    if (row.cells.length >= MIN_COLUMNS) {
+      current = { rows: [row], columns: row.cells.map(cell => [cell.bbox[0], cell.bbox[2]]) };
+    }
+  }
+  close();
+  return candidates;
+}
+
+/**
+ * Add a row to a candidate when it is close enough and its cells fall into the columns
+ * (rows with a single cell only join established tables; cells spanning several columns
+ * don't count as aligned)
+ * @returns {boolean} Whether the row was added
+ */
+function extend(candidate, row) {
+  const last = candidate.rows[candidate.rows.length - 1];
+  if (row.bbox[1] - last.bbox[3] > MAX_ROW_GAP * Math.max(row.height, last.height)) return false;
+
+  const placed = row.cells.map(cell => candidate.columns.filter(column => overlapsX(column, cell.bbox)));
+  const aligned = placed.filter(columns => columns.length === 1).length;
+  const spanning = placed.filter(columns => columns.length > 1).length;
+  const established = candidate.rows.length >= 2;
+  if (spanning > 0 || !(aligned >= 2 || (established && aligned >= 1 && aligned === row.cells.length))) {
+    return false;
+  }
+
+  row.cells.forEach((cell, i) => {
+    if (placed[i].length === 1) {
+      const column = placed[i][0];
+      column[0] = Math.min(column[0], cell.bbox[0]);
+      column[1] = Math.max(column[1], cell.bbox[2]);
+    } else {
+      candidate.columns.push([cell.bbox[0], cell.bbox[2]]);
+    }
+  });
+  candidate.columns = mergeSpans(candidate.columns);
+  candidate.rows.push(row);
+  return true;
+}
+
+function isTableLike(candidate) {
+  if (candidate.rows.length < MIN_ROWS || candidate.columns.length < MIN_COLUMNS) return false;
+  const cells = candidate.rows.flatMap(row => row.cells);
+  const averageLength = cells.reduce((sum, cell) => sum + cell.element.text.length, 0) / cells.length;
+  return averageLength <= MAX_CELL_LENGTH;
+}
+
+/**
+ * Turn a candidate into a table: column boundaries, row grouping, cell grid, header
+ * @returns {Object|null} Table, or null when the grid is too sparse
+ */
+function buildTable(candidate, rulings, toScreen) {
+  const tableBox = candidate.rows.map(row => row.bbox).reduce(union);
+  const tableWidth = tableBox[2] - tableBox[0];
+  const tableHeight = tableBox[3] - tableBox[1];
+  const rowHeight = median(candidate.rows.map(row => row.height));
+
+  // Rulings that cross most of the table (lines at the outer border bound no column or row)
+  const vertical = (rulings?.vertical || [])
+    .filter(line => line.x > tableBox[0] + rowHeight / 2 && line.x < tableBox[2] - rowHeight / 2)
+    .filter(line => overlapLength([line.y1, line.y2], [tableBox[1], tableBox[3]]) >= MIN_RULING_SPAN * tableHeight)
+    .map(line => line.x);
+  const horizontal = (rulings?.horizontal || [])
+    .filter(line => line.y > tableBox[1] - rowHeight && line.y < tableBox[3] + rowHeight)
+    .filter(line => overlapLength([line.x1, line.x2], [tableBox[0], tableBox[2]]) >= MIN_RULING_SPAN * tableWidth)
+    .map(line => line.y);
+
+  // Columns: between vertical rulings when there are any, else the aligned cell spans
+  let columnSpans = candidate.columns;
+  if (vertical.length > 0) {
+    const edges = [tableBox[0], ...dedupe(vertical.sort((a, b) => a - b)), tableBox[2]];
+    const spans = edges.slice(0, -1).map((x, i) => [x, edges[i + 1]]);
+    const used = new Set(candidate.rows.flatMap(row => row.cells.map(cell => columnOf(spans, cell.bbox))));
+    columnSpans = spans.filter((_, i) => used.has(i));
+  }
+  if (columnSpans.length < MIN_COLUMNS) return null;
+
+  // Rows: text lines, with wrapped continuation lines joined to the row above
+  const band = y => horizontal.filter(rulingY => rulingY < y).length;
+  const textRows = [];
+  for (const row of candidate.rows) {
+    const previous = textRows[textRows.length - 1];
+    const centerY = (row.bbox[1] + row.bbox[3]) / 2;
+    const continues = previous && horizontal.length > 0 &&
+      band(centerY) === band((previous.bbox[1] + previous.bbox[3]) / 2) &&
+      !row.cells.some(cell => columnOf(columnSpans, cell.bbox) === 0);
+    if (continues) {
+      previous.cells.push(...row.cells);
+      previous.bbox = union(previous.bbox, row.bbox);
+    } else {
+      textRows.push({ cells: [...row.cells], bbox: [...row.bbox] });
+    }
+  }
+
+  // Grid: every cell's elements joined in reading order; empty cells span their row and column
+  const grid = textRows.map(row => columnSpans.map((span, columnIndex) => {
+    const members = row.cells
+      .filter(cell => columnOf(columnSpans, cell.bbox) === columnIndex)
+      .sort((a, b) => (a.bbox[1] - b.bbox[1]) || (a.bbox[0] - b.bbox[0]));
+    const physicalBbox = members.length > 0
+      ? members.map(cell => cell.bbox).reduce(union)
+      : [Math.round(span[0]), row.bbox[1], Math.round(span[1]), row.bbox[3]];
+    return {
+      column: columnIndex,
+      text: members.map(cell => cell.element.text).join(' '),
+      bbox: toScreen(physicalBbox),
+      physicalBbox,
+      elementIds: members.map(cell => cell.element.id)
+    };
+  }));
+
+  const filled = grid.flat().filter(cell => cell.text).length;
+  if (textRows.length < MIN_ROWS || filled / (textRows.length * columnSpans.length) < MIN_FILL) {
+    return null;
+  }
+
+  // Header
+  const rulingUnderFirst = textRows.length > 1 &&
+    horizontal.some(y => y >= textRows[0].bbox[3] - 2 && y <= textRows[1].bbox[1] + 2);
+  const hasHeader = inferHeader(grid, rulingUnderFirst);
+  const headerCells = hasHeader ? grid[0] : null;
+  const bodyRows = hasHeader ? grid.slice(1) : grid;
+  const names = uniqueNames(columnSpans.map((_, i) => headerCells?.[i].text || `Column ${i + 1}`));
+
+  const columns = columnSpans.map((span, i) => {
+    const physicalBbox = [Math.round(span[0]), tableBox[1], Math.round(span[1]), tableBox[3]];
+    return { index: i, name: names[i], bbox: toScreen(physicalBbox), physicalBbox };
+  });
+  const rows = bodyRows.map((cells, index) => {
+    const physicalBbox = cells.map(cell => cell.physicalBbox).reduce(union);
+    return {
+      index,
+      text: cells.map(cell => cell.text).filter(Boolean).join(' | '),
+      bbox: toScreen(physicalBbox),
+      physicalBbox,
+      cells,
+      record: Object.fromEntries(cells.map((cell, i) => [names[i], cell.text]))
+    };
+  });
+  const json = rows.map(row => row.record);
+
+  return {
+    bbox: toScreen(tableBox),
+    physicalBbox: tableBox,
+    source: vertical.length > 0 || horizontal.length > 0 ? 'rulings' : 'alignment',
+    header: headerCells
+      ? { bbox: toScreen(headerCells.map(cell => cell.physicalBbox).reduce(union)), cells: headerCells }
+      : null,
+    columns,
+    rows,
+    csv: [names, ...rows.map(row => row.cells.map(cell => cell.text))].map(toCsvLine).join('\n'),
+    json
+  };
+}
+
+/**
+ * Decide whether the first row names the columns
+ * It has to fill every column with non-numeric text, and either sit above a ruling or
+ * head a column whose body is mostly numbers, dates or amounts.
+ */
+function inferHeader(grid, rulingUnderFirst) {
+  const [first, ...body] = grid;
+  if (body.length === 0 || !first.every(cell => cell.text) || first.some(cell => NUMERIC.test(cell.text))) {
+    return false;
+  }
+  if (rulingUnderFirst) return true;
+
+  return first.some((_, column) => {
+    const values = body.map(row => row[column].text).filter(Boolean);
+    return values.length > 0 && values.filter(text => NUMERIC.test(text)).length / values.length >= 0.6;
+  });
+}
+
+/**
+ * Give rows and header cells stable ids (row subtrees are indexed under them)
+ */
+function assignIds(table, id) {
+  table.id = id;
+  table.rows.forEach(row => {
+    row.id = `${id}-row-${row.index}`;
+  });
+}
+
+/**
+ * Horizontal and vertical ruling lines: thin runs of non-background pixels
+ * @param {Buffer|string} image - Image buffer or path
+ * @returns {Promise<Object>} { horizontal: [{ y, x1, x2 }], vertical: [{ x, y1, y2 }] } in image pixels
+ */
+export async function findRulings(image) {
+  const { data, info } = await sharp(image).removeAlpha().greyscale().raw().toBuffer({ resolveWithObject: true });
+  const { width, height } = info;
+  const background = modeGrey(data);
+  const ink = (x, y) => Math.abs(data[y * width + x] - background) >= RULING_CONTRAST;
+
+  const scan = (length, breadth, at, minRun) => {
+    const lines = [];
+    for (let j = 0; j < breadth; j++) {
+      let start = -1;
+      for (let i = 0; i <= length; i++) {
+        if (i < length && at(i, j)) {
+          if (start < 0) start = i;
+          continue;
+        }
+        if (start >= 0 && i - start >= minRun && isThin(start, i, j, breadth, at)) {
+          lines.push({ at: j, from: start, to: i - 1 });
+        }
+        start = -1;
+      }
+    }
+    // Lines a few pixels thick are found on every pixel row they cover: keep one
+    return lines.filter((line, i) => !lines.slice(0, i).some(other =>
+      line.at - other.at <= 3 && overlapLength([line.from, line.to], [other.from, other.to]) > 0.8 * (line.to - line.from)));
+  };
+
+  const horizontal = scan(width, height, (x, y) => ink(x, y), Math.max(40, Math.round(width * 0.1)));
+  const vertical = scan(height, width, (y, x) => ink(x, y), Math.max(20, Math.round(height * 0.05)));
+  return {
+    horizontal: horizontal.map(line => ({ y: line.at, x1: line.from, x2: line.to })),
+    vertical: vertical.map(line => ({ x: line.at, y1: line.from, y2: line.to }))
+  };
+}
+
+/**
+ * A run is a line (not a filled area or a row of glyphs) when the pixels 3 steps to either
+ * side of it are mostly background
+ */
+function isThin(from, to, j, breadth, at) {
+  const step = Math.max(1, Math.floor((to - from) / 20));
+  let samples = 0;
+  let clear = 0;
+  for (let i = from; i < to; i += step) {
+    for (const side of [j - 3, j + 3]) {
+      if (side < 0 || side >= breadth) continue;
+      samples++;
+      if (!at(i, side)) clear++;
+    }
+  }
+  return samples > 0 && clear / samples >= 0.8;
+}
+
+/**
+ * Most common grey level (the background of a screenshot)
+ */
+function modeGrey(data) {
+  const histogram = new Array(256).fill(0);
+  for (let i = 0; i < data.length; i++) {
+    histogram[data[i]]++;
+  }
+  return histogram.indexOf(Math.max(...histogram));
+}
+
+/**
+ * Index of the column a box belongs to: the one containing its center, else the nearest
+ */
+function columnOf(spans, bbox) {
+  const centerX = (bbox[0] + bbox[2]) / 2;
+  let best = 0;
+  let bestDistance = Infinity;
+  spans.forEach(([x1, x2], i) => {
+    const distance = centerX < x1 ? x1 - centerX : centerX > x2 ? centerX - x2 : 0;
+    if (distance < bestDistance) {
+      best = i;
+      bestDistance = distance;
+    }
+  });
+  return best;
+}
+
+function mergeSpans(spans) {
+  const merged = [];
+  for (const span of [...spans].sort((a, b) => a[0] - b[0])) {
+    const last = merged[merged.length - 1];
+    if (last && span[0] <= last[1]) {
+      last[1] = Math.max(last[1], span[1]);
+    } else {
+      merged.push([...span]);
+    }
+  }
+  return merged;
+}
+
+function uniqueNames(names) {
+  const seen = new Map();
+  return names.map(name => {
+    const count = (seen.get(name) || 0) + 1;
+    seen.set(name, count);
+    return count > 1 ? `${name} (${count})` : name;
+  });
+}
+
+function toCsvLine(values) {
+  return values.map(value => /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value).join(',');
+}
+
+function overlapsX(span, bbox) {
+  return Math.min(span[1], bbox[2]) > Math.max(span[0], bbox[0]);
+}
+
+function overlapLength(a, b) {
+  return Math.max(0, Math.min(a[1], b[1]) - Math.max(a[0], b[0]));
+}
+
+function dedupe(sorted, tolerance = 4) {
+  return sorted.filter((value, i) => i === 0 || value - sorted[i - 1] > tolerance);
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted.length > 0 ? sorted[Math.floor(sorted.length / 2)] : 0;
+}
+
+function union(a, b) {
+  return [Math.min(a[0], b[0]), Math.min(a[1], b[1]), Math.max(a[2], b[2]), Math.max(a[3], b[3])];
+}
+
+// Singleton instance
+let instance = null;
+
+/**
+ * Get table detector singleton
+ * @returns {TableDetector} Table detector instance
+ */
+export function getTableDetector() {
+  if (!instance) {
+    instance = new TableDetector();
+  }
+  return instance;
+}
+
+export { TableDetector };
+
+export default TableDetector;
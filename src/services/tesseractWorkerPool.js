@@ -0,0 +1,337 @@
+/**
+ * Tesseract Worker Pool
+ * Reusable Tesseract.js workers keyed by language set
+ *
+ * Creating a worker loads its traineddata, which takes seconds, so workers are kept
+ * per language set ('eng', 'deu+eng', 'chi_sim+eng', ...) and reused. A worker runs one
+ * job at a time; a language set gets more workers while jobs wait (tiled OCR runs its
+ * tiles in parallel), up to maxWorkers alive in total. When the pool is full the least
+ * recently used idle worker of another set is terminated to make room, or the job
+ * waits for a worker to free up. Idle workers are terminated after idleTimeout.
+ *
+ * Traineddata is read from TESSDATA_DIR (<lang>.traineddata or <lang>.traineddata.gz)
+ * when it is set, so nothing is downloaded; otherwise Tesseract.js fetches it on first
+ * use and caches it. With osd.traineddata in TESSDATA_DIR, detectScript() reports the
+ * script an image is written in.
+ */
+
+import Tesseract from 'tesseract.js';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import logger from '../utils/logger.js';
+import { languageKey } from '../utils/languages.js';
+
+// Word-level extraction with full hierarchy
+const WORKER_PARAMETERS = {
+  tessedit_pageseg_mode: Tesseract.PSM.AUTO, // Automatic page segmentation
+  tessedit_char_whitelist: '', // Allow all characters
+  preserve_interword_spaces: '1' // Preserve spaces between words
+};
+
+class TesseractWorkerPool {
+  /**
+   * @param {Object} options
+   * @param {string} options.langPath - Directory with traineddata files (default: TESSDATA_DIR)
+   * @param {number} options.maxWorkers - Workers alive at once (default: TESSERACT_POOL_SIZE, else the CPU count up to 8)
+   * @param {number} options.idleTimeout - Ms before an unused worker is terminated (default 5 minutes)
+   */
+  constructor(options = {}) {
+    this.langPath = options.langPath ?? process.env.TESSDATA_DIR ?? null;
+    this.maxWorkers = options.maxWorkers || parseInt(process.env.TESSERACT_POOL_SIZE) || defaultPoolSize();
+    this.idleTimeout = options.idleTimeout || 5 * 60 * 1000;
+    this.workers = []; // [{ key, promise, worker, busy, lastUsed, timer }]
+    this.waiting = []; // Resolvers of jobs waiting for a free worker
+    this.osdWorker = null;
+    this.stats = { created: 0, terminated: 0, jobs: 0, waits: 0 };
+
+    logger.info('🧵 Tesseract worker pool created', {
+      langPath: this.langPath,
+      maxWorkers: this.maxWorkers,
+      localLanguages: this.availableLanguages()
+    });
+  }
+
+  /**
+   * Languages with traineddata in langPath
+   * @returns {Array<string>|null} Language codes, or null when data is downloaded on demand (any language)
+   */
+  availableLanguages() {
+    if (!this.langPath) return null;
+    try {
+      const languages = fs.readdirSync(this.langPath)
+        .map(file => /^(.+)\.traineddata(\.gz)?$/.exec(file)?.[1])
+        .filter(lang => lang && lang !== 'osd');
+      return [...new Set(languages)].sort();
+    } catch (error) {
+      logger.warn('⚠️  Cannot read TESSDATA_DIR', { langPath: this.langPath, error: error.message });
+      return [];
+    }
+  }
+
+  /**
+   * Whether a language can be loaded
+   * @param {string} lang - Language code
+   * @returns {boolean}
+   */
+  hasLanguage(lang) {
+    const available = this.availableLanguages();
+    return available === null || available.includes(lang);
+  }
+
+  /**
+   * Recognize an image with the worker for a language set
+   * @param {string|Buffer} image - Image path or buffer
+   * @param {Array<string>} languages - Language set (default ['eng'])
+   * @param {Object} output - Tesseract.js output options (tsv, hocr, blocks, ...)
+   * @param {Object} parameters - Tesseract parameters for this job only (e.g. { tessedit_pageseg_mode: '7' })
+   * @returns {Promise<Object>} Tesseract.js result data
+   */
+  async recognize(image, languages = ['eng'], output = {}, parameters = null) {
+    const entry = await this._acquire(languageKey(languages));
+    try {
+      this.stats.jobs++;
+      if (parameters) {
+        await entry.worker.setParameters(parameters);
+      }
+      const { data } = await entry.worker.recognize(image, {}, output);
+      return data;
+    } finally {
+      if (parameters) {
+        // Back to the pool's defaults before the worker is reused
+        const defaults = Object.fromEntries(Object.keys(parameters).map(key => [key, WORKER_PARAMETERS[key] ?? '']));
+        await entry.worker.setParameters(defaults).catch(() => {});
+      }
+      this._release(entry);
+    }
+  }
+
+  /**
+   * Load the worker for a language set ahead of the first recognize() call
+   * @param {Array<string>} languages - Language set (default ['eng'])
+   */
+  async warmUp(languages = ['eng']) {
+    this._release(await this._acquire(languageKey(languages)));
+  }
+
+  /**
+   * Detect the script of an image with Tesseract OSD
+   * @param {string|Buffer} image - Image path or buffer
+   * @returns {Promise<Object|null>} { script, confidence }, or null when osd.traineddata isn't available
+   */
+  async detectScript(image) {
+    if (!this.canDetectScript()) return null;
+
+    try {
+      if (!this.osdWorker) {
+        this.osdWorker = Tesseract.createWorker('osd', Tesseract.OEM.TESSERACT_ONLY, {
+          ...this._workerOptions(['osd']),
+          legacyCore: true,
+          legacyLang: true
+        });
+      }
+      const worker = await this.osdWorker;
+      const { data } = await worker.detect(image);
+      return data?.script ? { script: data.script, confidence: data.script_confidence } : null;
+    } catch (error) {
+      logger.warn('⚠️  Script detection failed', { error: error.message });
+      this.osdWorker = null;
+      return null;
+    }
+  }
+
+  /**
+   * @returns {boolean} Whether osd.traineddata is in langPath
+   */
+  canDetectScript() {
+    return !!this.langPath && ['osd.traineddata', 'osd.traineddata.gz']
+      .some(file => fs.existsSync(path.join(this.langPath, file)));
+  }
+
+  /**
+   * Terminate every worker
+   */
+  async terminate() {
+    const entries = this.workers;
+    this.workers = [];
+    const osd = this.osdWorker;
+    this.osdWorker = null;
+    await Promise.all([
+      ...entries.map(entry => this._terminateEntry(entry)),
+      osd ? osd.then(worker => worker.terminate()).catch(() => {}) : null
+    ]);
+  }
+
+  /**
+   * @returns {Object} Live workers and counters
+   */
+  getStats() {
+    return {
+      workers: this.workers.map(entry => ({ languages: entry.key, busy: entry.busy, lastUsed: entry.lastUsed })),
+      maxWorkers: this.maxWorkers,
+      waiting: this.waiting.length,
+      ...this.stats
+    };
+  }
+
+  /**
+   * Take a free worker for a language key, creating one when there is room, else wait
+   * @private
+   */
+  async _acquire(key) {
+    for (;;) {
+      const entry = this._claim(key);
+      if (entry) {
+        try {
+          entry.worker = await entry.promise;
+        } catch (error) {
+          this._remove(entry);
+          throw error;
+        }
+        return entry;
+      }
+      this.stats.waits++;
+      await new Promise(resolve => this.waiting.push(resolve));
+    }
+  }
+
+  /**
+   * Synchronously pick (and mark busy) an idle worker for the key, or start a new one
+   * when the pool has room or an idle worker of another language set can be evicted
+   * @returns {Object|null} Entry, or null when every usable worker is busy
+   * @private
+   */
+  _claim(key) {
+    let entry = this.workers.find(candidate => candidate.key === key && !candidate.busy);
+    if (!entry) {
+      if (this.workers.length >= this.maxWorkers) {
+        // Evict the least recently used idle worker of another language set
+        const victim = this.workers
+          .filter(candidate => !candidate.busy && candidate.key !== key)
+          .sort((a, b) => a.lastUsed - b.lastUsed)[0];
+        if (!victim) return null;
+        this._remove(victim);
+        this._terminateEntry(victim);
+      }
+      entry = { key, promise: this._createWorker(key), worker: null, busy: false, lastUsed: Date.now(), timer: null };
+      entry.promise.catch(() => {}); // Surfaced by _acquire
+      this.workers.push(entry);
+    }
+
+    entry.busy = true;
+    clearTimeout(entry.timer);
+    return entry;
+  }
+
+  /**
+   * @private
+   */
+  _release(entry) {
+    entry.busy = false;
+    entry.lastUsed = Date.now();
+    entry.timer = setTimeout(() => {
+      if (!entry.busy && this.workers.includes(entry)) {
+        this._remove(entry);
+        this._terminateEntry(entry);
+      }
+    }, this.idleTimeout);
+    entry.timer.unref?.();
+    this._wakeWaiting();
+  }
+
+  /**
+   * @private
+   */
+  _remove(entry) {
+    this.workers = this.workers.filter(candidate => candidate !== entry);
+    this._wakeWaiting();
+  }
+
+  /**
+   * Let waiting jobs retry (each re-checks for a worker it can use)
+   * @private
+   */
+  _wakeWaiting() {
+    const waiting = this.waiting;
+    this.waiting = [];
+    waiting.forEach(resolve => resolve());
+  }
+
+  /**
+   * @private
+   */
+  async _createWorker(key) {
+    const languages = key.split('+');
+    const missing = languages.filter(lang => !this.hasLanguage(lang));
+    if (missing.length > 0) {
+      const error = new Error(`No traineddata for ${missing.join(', ')} in ${this.langPath}`);
+      error.status = 400;
+      throw error;
+    }
+
+    const startTime = Date.now();
+    const worker = await Tesseract.createWorker(languages, 1, {
+      ...this._workerOptions(languages),
+      logger: (m) => {
+        if (m.status === 'recognizing text') {
+          logger.debug(`Tesseract progress: ${Math.round(m.progress * 100)}%`);
+        }
+      }
+    });
+    await worker.setParameters(WORKER_PARAMETERS);
+
+    this.stats.created++;
+    logger.info(`🧵 Tesseract worker ready for ${key} in ${Date.now() - startTime}ms`);
+    return worker;
+  }
+
+  /**
+   * Load options for local traineddata (plain or gzipped, no cache copies)
+   * @private
+   */
+  _workerOptions(languages) {
+    if (!this.langPath) return {};
+    const gzip = languages.every(lang => fs.existsSync(path.join(this.langPath, `${lang}.traineddata.gz`)));
+    return { langPath: this.langPath, gzip, cacheMethod: 'none' };
+  }
+
+  /**
+   * @private
+   */
+  async _terminateEntry(entry) {
+    clearTimeout(entry.timer);
+    try {
+      const worker = await entry.promise;
+      await worker.terminate();
+      this.stats.terminated++;
+    } catch (error) {
+      // Worker never started - nothing to clean up
+    }
+  }
+}
+
+/**
+ * One worker per CPU (each recognizes one tile at a time), capped to bound memory
+ */
+function defaultPoolSize() {
+  const cpus = os.availableParallelism?.() || os.cpus().length || 1;
+  return Math.max(1, Math.min(cpus, 8));
+}
+
+// Singleton instance
+let instance = null;
+
+/**
+ * Get Tesseract worker pool singleton
+ * @returns {TesseractWorkerPool} Worker pool instance
+ */
+export function getTesseractWorkerPool() {
+  if (!instance) {
+    instance = new TesseractWorkerPool();
+  }
+  return instance;
+}
+
+export { TesseractWorkerPool };
+
+export default TesseractWorkerPool;
@@ -0,0 +1,390 @@
+/**
+ * UI Detector
+ * Finds UI elements with a local ONNX object-detection model (YOLO exports), on the CPU
+ *
+ * The model is a file on disk (UI_DETECTOR_MODEL, default ~/.thinkdrop/models/ui-detector.onnx);
+ * nothing is downloaded. Without the file, or when onnxruntime-node cannot load it, detect()
+ * returns no detections and the analyzer keeps to OCR and the pixel detector.
+ *
+ * The capture is letterboxed into the model's square input (scaled to fit, padded grey),
+ * and the output is read as YOLOv8/v11 ([1, 4 + classes, candidates]) or YOLOv5
+ * ([1, candidates, 5 + classes], with objectness). Candidates under the score threshold
+ * are dropped, overlapping boxes of a class are reduced by non-maximum suppression, and
+ * the boxes are mapped back to image pixels.
+ *
+ * Class names come from a labels file next to the model (ui-detector.json, or
+ * UI_DETECTOR_LABELS):
+ *
+ *   { "labels": ["Button", "EditText", "CheckBox", ...], "types": { "Toolbar": "menu" }, "inputSize": 640 }
+ *
+ * or a plain array of names. Ultralytics exports carry their names in the model metadata,
+ * which is read when there is no labels file. Names map to node types (CLASS_TYPES, then
+ * "types"); text classes are dropped because OCR reads the text, and unknown classes
+ * are kept as 'unknown' with their name as label.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+import logger from '../utils/logger.js';
+
+const DEFAULT_MODEL = path.join(os.homedir(), '.thinkdrop', 'models', 'ui-detector.onnx');
+const DEFAULT_INPUT_SIZE = 640;
+const PAD_GREY = 114; // Letterbox padding, as in YOLO training
+const MAX_CANDIDATES = 3000; // Highest-scoring candidates kept for NMS
+const MAX_DETECTIONS = 300;
+const TEXT_TYPES = new Set(['text', 'label', 'heading']);
+
+// Class names of common UI-detection datasets (RICO, VINS, screen recognition exports),
+// compared lowercase without separators
+const CLASS_TYPES = {
+  button: 'button', textbutton: 'button', imagebutton: 'button', floatingactionbutton: 'button',
+  input: 'input', textfield: 'input', textbox: 'input', textinput: 'input', edittext: 'input', searchbar: 'input', searchfield: 'input',
+  checkbox: 'checkbox', checkedtextview: 'checkbox', switch: 'checkbox', toggle: 'checkbox',
+  radio: 'radio', radiobutton: 'radio',
+  dropdown: 'dropdown', combobox: 'dropdown', spinner: 'dropdown', select: 'dropdown',
+  icon: 'icon', pictogram: 'icon',
+  image: 'image', imageview: 'image', picture: 'image',
+  link: 'link',
+  tab: 'tab', tabbar: 'menu', menu: 'menu', toolbar: 'menu', menuitem: 'menu_item',
+  listitem: 'list_item', list: 'list',
+  dialog: 'dialog', modal: 'dialog', alert: 'dialog',
+  card: 'container', container: 'container', panel: 'panel',
+  text: 'text', textview: 'text', label: 'label', heading: 'heading', title: 'heading'
+};
+
+class UIDetector {
+  /**
+   * @param {Object} options
+   * @param {boolean} options.enabled - Use the model when present (default: true unless UI_DETECTOR=false)
+   * @param {string} options.modelPath - ONNX model (default: UI_DETECTOR_MODEL or ~/.thinkdrop/models/ui-detector.onnx)
+   * @param {string} options.labelsPath - Labels file (default: UI_DETECTOR_LABELS or the model path with .json)
+   * @param {number} options.scoreThreshold - Minimum class score (default: UI_DETECTOR_CONFIDENCE or 0.35)
+   * @param {number} options.iouThreshold - Overlap above which NMS drops the weaker box (default: 0.45)
+   * @param {number} options.threads - Inference threads (default: UI_DETECTOR_THREADS or onnxruntime's choice)
+   */
+  constructor(options = {}) {
+    this.enabled = options.enabled ?? process.env.UI_DETECTOR !== 'false';
+    this.modelPath = resolvePath(options.modelPath || process.env.UI_DETECTOR_MODEL || DEFAULT_MODEL);
+    this.labelsPath = resolvePath(options.labelsPath || process.env.UI_DETECTOR_LABELS ||
+      this.modelPath.replace(/\.onnx$/i, '') + '.json');
+    this.scoreThreshold = options.scoreThreshold ?? (Number(process.env.UI_DETECTOR_CONFIDENCE) || 0.35);
+    this.iouThreshold = options.iouThreshold ?? 0.45;
+    this.threads = options.threads ?? (Number(process.env.UI_DETECTOR_THREADS) || undefined);
+
+    this.session = null;
+    this.ort = null;
+    this.labels = [];
+    this.types = {};
+    this.inputSize = DEFAULT_INPUT_SIZE;
+    this.loading = null;
+    this.loadError = null; // Set when the model exists but could not be loaded (not retried)
+    this.missingLogged = false;
+  }
+
+  /**
+   * Whether a model is loaded, or why not
+   * @returns {Object} { enabled, model, loaded, classes, error }
+   */
+  status() {
+    return {
+      enabled: this.enabled,
+      model: this.modelPath,
+      loaded: Boolean(this.session),
+      classes: this.labels.length,
+      error: this.loadError?.message || (this.enabled && !this.session && !fs.existsSync(this.modelPath) ? 'model file not found' : null)
+    };
+  }
+
+  /**
+   * Load the model on first use
+   * @returns {Promise<boolean>} Whether a model is ready
+   */
+  async load() {
+    if (this.session) return true;
+    if (!this.enabled || this.loadError) return false;
+    if (!fs.existsSync(this.modelPath)) {
+      if (!this.missingLogged) {
+        logger.info(`ℹ️  No UI detector model at ${this.modelPath} (set UI_DETECTOR_MODEL), using OCR and pixel detection`);
+        this.missingLogged = true;
+      }
+      return false;
+    }
+
+    if (!this.loading) {
+      this.loading = this._createSession().finally(() => { this.loading = null; });
+    }
+    return this.loading;
+  }
+
+  /**
+   * @private
+   */
+  async _createSession() {
+    try {
+      const loadStart = Date.now();
+      this.ort = await import('onnxruntime-node');
+      const sessionOptions = { executionProviders: ['cpu'], graphOptimizationLevel: 'all' };
+      if (this.threads) sessionOptions.intraOpNumThreads = this.threads;
+      const session = await this.ort.InferenceSession.create(this.modelPath, sessionOptions);
+
+      this._readLabels();
+      const dims = session.inputMetadata?.[0]?.shape;
+      if (Array.isArray(dims) && Number.isInteger(dims[2]) && dims[2] > 0) {
+        this.inputSize = dims[2];
+      }
+      this.session = session;
+      logger.info(`🧠 UI detector loaded in ${Date.now() - loadStart}ms`, {
+        model: this.modelPath,
+        inputSize: this.inputSize,
+        classes: this.labels.length
+      });
+      return true;
+    } catch (error) {
+      this.loadError = error;
+      logger.error('❌ Failed to load UI detector model', { model: this.modelPath, error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * Class names and type overrides from the labels file, else from the model metadata
+   * @private
+   */
+  _readLabels() {
+    this.labels = [];
+    this.types = {};
+    if (fs.existsSync(this.labelsPath)) {
+      const parsed = JSON.parse(fs.readFileSync(this.labelsPath, 'utf8'));
+      const config = Array.isArray(parsed) ? { labels: parsed } : parsed;
+      if (!Array.isArray(config.labels) || config.labels.some(label => typeof label !== 'string')) {
+        throw new Error(`${this.labelsPath}: labels must be an array of class names`);
+      }
+      this.labels = config.labels;
+      this.types = config.types || {};
+      if (Number.isInteger(config.inputSize)) this.inputSize = config.inputSize;
+      return;
+    }
+    this.labels = readEmbeddedNames(this.modelPath);
+    if (this.labels.length === 0) {
+      logger.warn(`⚠️  UI detector has no class names (add ${this.labelsPath}); detections will be typed 'unknown'`);
+    }
+  }
+
+  /**
+   * Detect UI elements in a capture
+   * @param {Buffer|string} image - Captured image (buffer or path)
+   * @param {Object} options
+   * @param {Function} options.toScreen - Maps an image-pixel box to screen points (default: unchanged)
+   * @returns {Promise<Array>} [{ type, label (model class), score (0-1), bbox (screen points),
+   *   physicalBbox (image pixels), source: 'model' }] - empty without a model
+   */
+  async detect(image, options = {}) {
+    if (!(await this.load())) return [];
+
+    const start = Date.now();
+    const { tensor, scale, padX, padY, width, height } = await this._letterbox(image);
+    const outputs = await this.session.run({ [this.session.inputNames[0]]: tensor });
+    const output = outputs[this.session.outputNames[0]];
+
+    const candidates = this._decode(output)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, MAX_CANDIDATES);
+    const kept = nonMaxSuppression(candidates, this.iouThreshold).slice(0, MAX_DETECTIONS);
+
+    const toScreen = options.toScreen || (bbox => bbox);
+    const detections = [];
+    for (const candidate of kept) {
+      const label = this.labels[candidate.classIndex] ?? `class-${candidate.classIndex}`;
+      const type = this._typeOf(label);
+      if (TEXT_TYPES.has(type)) continue; // OCR reads text
+
+      const physicalBbox = [
+        clamp(Math.round((candidate.box[0] - padX) / scale), 0, width),
+        clamp(Math.round((candidate.box[1] - padY) / scale), 0, height),
+        clamp(Math.round((candidate.box[2] - padX) / scale), 0, width),
+        clamp(Math.round((candidate.box[3] - padY) / scale), 0, height)
+      ];
+      if (physicalBbox[2] - physicalBbox[0] < 2 || physicalBbox[3] - physicalBbox[1] < 2) continue;
+
+      detections.push({
+        type,
+        label,
+        score: Math.round(candidate.score * 100) / 100,
+        bbox: toScreen(physicalBbox),
+        physicalBbox,
+        source: 'model'
+      });
+    }
+
+    logger.info(`🧠 UI detector found ${detections.length} elements in ${Date.now() - start}ms`);
+    return detections;
+  }
+
+  /**
+   * Scale the image to fit the model input, centered on grey padding, as a
+   * [1, 3, size, size] float tensor (RGB, 0-1)
+   * @private
+   */
+  async _letterbox(image) {
+    const { width, height } = await sharp(image).metadata();
+    const size = this.inputSize;
+    const scale = Math.min(size / width, size / height);
+    const scaledWidth = Math.max(1, Math.round(width * scale));
+    const scaledHeight = Math.max(1, Math.round(height * scale));
+    const padX = Math.floor((size - scaledWidth) / 2);
+    const padY = Math.floor((size - scaledHeight) / 2);
+
+    const { data } = await sharp(image)
+      .removeAlpha()
+      .toColourspace('srgb')
+      .resize(scaledWidth, scaledHeight, { fit: 'fill' })
+      .extend({
+        left: padX,
+        right: size - scaledWidth - padX,
+        top: padY,
+        bottom: size - scaledHeight - padY,
+        background: { r: PAD_GREY, g: PAD_GREY, b: PAD_GREY }
+      })
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    const plane = size * size;
+    const input = new Float32Array(3 * plane);
+    for (let i = 0; i < plane; i++) {
+      input[i] = data[i * 3] / 255;
+      input[plane + i] = data[i * 3 + 1] / 255;
+      input[2 * plane + i] = data[i * 3 + 2] / 255;
+    }
+    return { tensor: new this.ort.Tensor('float32', input, [1, 3, size, size]), scale, padX, padY, width, height };
+  }
+
+  /**
+   * Candidates above the score threshold, boxes [x1, y1, x2, y2] in model input pixels
+   * @private
+   */
+  _decode(output) {
+    const [, rows, columns] = output.dims;
+    const data = output.data;
+    const classCount = this.labels.length;
+
+    // YOLOv8/v11 put the box and class scores in rows (channels first); YOLOv5 in columns,
+    // with an objectness score after the box
+    const channelsFirst = classCount > 0 ? rows === 4 + classCount : rows < columns;
+    const count = channelsFirst ? columns : rows;
+    const channels = channelsFirst ? rows : columns;
+    const objectness = !channelsFirst && (classCount > 0 ? channels === 5 + classCount : true);
+    const firstClass = objectness ? 5 : 4;
+    const value = channelsFirst
+      ? (i, c) => data[c * count + i]
+      : (i, c) => data[i * channels + c];
+
+    const candidates = [];
+    for (let i = 0; i < count; i++) {
+      const object = objectness ? value(i, 4) : 1;
+      if (object < this.scoreThreshold) continue;
+
+      let classIndex = -1;
+      let best = 0;
+      for (let c = firstClass; c < channels; c++) {
+        const score = value(i, c);
+        if (score > best) {
+          best = score;
+          classIndex = c - firstClass;
+        }
+      }
+      const score = best * object;
+      if (score < this.scoreThreshold) continue;
+
+      const cx = value(i, 0);
+      const cy = value(i, 1);
+      const w = value(i, 2);
+      const h = value(i, 3);
+      candidates.push({ box: [cx - w / 2, cy - h / 2, cx + w / 2, cy + h / 2], score, classIndex });
+    }
+    return candidates;
+  }
+
+  /**
+   * Node type for a class name
+   * @private
+   */
+  _typeOf(label) {
+    if (this.types[label]) return this.types[label];
+    return CLASS_TYPES[label.toLowerCase().replace(/[^a-z0-9]/g, '')] || 'unknown';
+  }
+}
+
+/**
+ * Greedy non-maximum suppression per class: a box is dropped when it overlaps a
+ * higher-scoring box of its class by more than iouThreshold
+ * @param {Array} candidates - { box, score, classIndex }, highest score first
+ */
+function nonMaxSuppression(candidates, iouThreshold) {
+  const kept = [];
+  for (const candidate of candidates) {
+    if (!kept.some(other => other.classIndex === candidate.classIndex && iou(other.box, candidate.box) > iouThreshold)) {
+      kept.push(candidate);
+    }
+  }
+  return kept;
+}
+
+function iou(a, b) {
+  const width = Math.min(a[2], b[2]) - Math.max(a[0], b[0]);
+  const height = Math.min(a[3], b[3]) - Math.max(a[1], b[1]);
+  if (width <= 0 || height <= 0) return 0;
+  const intersection = width * height;
+  return intersection / ((a[2] - a[0]) * (a[3] - a[1]) + (b[2] - b[0]) * (b[3] - b[1]) - intersection);
+}
+
+/**
+ * Absolute path, with a leading ~ for the home directory (as written in .env)
+ */
+function resolvePath(file) {
+  return path.resolve(file.replace(/^~(?=$|[\\/])/, os.homedir()));
+}
+
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
+
+/**
+ * Class names Ultralytics writes into the model metadata ("names": "{0: 'button', 1: 'icon'}").
+ * The metadata follows the graph, so only the end of the file is read.
+ */
+function readEmbeddedNames(modelPath) {
+  const fd = fs.openSync(modelPath, 'r');
+  try {
+    const { size } = fs.fstatSync(fd);
+    const length = Math.min(size, 64 * 1024);
+    const tail = Buffer.alloc(length);
+    fs.readSync(fd, tail, 0, length, size - length);
+    const match = tail.toString('latin1').match(/\{0: '[^}]*\}/);
+    if (!match) return [];
+    return [...match[0].matchAll(/(\d+): '([^']*)'/g)]
+      .sort((a, b) => Number(a[1]) - Number(b[1]))
+      .map(entry => entry[2]);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Singleton instance
+let instance = null;
+
+/**
+ * Get UI detector singleton
+ * @returns {UIDetector} UI detector instance
+ */
+export function getUIDetector() {
+  if (!instance) {
+    instance = new UIDetector();
+  }
+  return instance;
+}
+
+export { UIDetector };
+
+export default UIDetector;
@@ -0,0 +1,422 @@
+/**
+ * Visual Element Detector
+ * Finds controls drawn in the capture - buttons, text fields, checkboxes, radio buttons,
+ * icons, separators and boxed containers - from the pixels alone (CPU only, no model)
+ *
+ * The capture is reduced to an edge map (pixels that differ from their left or upper
+ * neighbour), and the edge pixels are grouped into connected components. A component
+ * whose pixels run along all four sides of its bounding box is a box outline; one that
+ * covers the middle of every side but not the corners is a rounded box (a pill when the
+ * sides only touch at their middle). Boxes are typed by size, shape and fill:
+ *   - small squares are checkboxes, small circles radio buttons
+ *   - filled or rounded boxes the height of a line of text are buttons, wide flat ones
+ *     text fields
+ *   - larger boxes are containers (cards, panels, group boxes)
+ * Long components a few pixels thick are separators, and compact blobs the size of an
+ * icon that no OCR word covers are icons.
+ *
+ * attachText() merges OCR elements into the controls: text inside a button or text
+ * field becomes its label or value, and the text right of a checkbox its label.
+ *
+ * Detection works in image pixels; sizes are set in points (options.devicePixelRatio),
+ * and options.toScreen maps boxes to screen points.
+ */
+
+import sharp from 'sharp';
+import logger from '../utils/logger.js';
+
+const MAX_WIDTH = 1600; // Wider captures are scaled down first (edges survive, time doesn't grow)
+const EDGE_CONTRAST = 20; // Grey-level step between neighbouring pixels that counts as an edge
+const MIN_SIDE_COVERAGE = 0.85; // Share of a side an outline must cover
+const FILL_CONTRAST = 12; // Grey-level difference between inside and outside of a filled box
+const TEXT_CONTROLS = new Set(['button', 'input', 'dropdown', 'tab', 'link', 'menu_item', 'list_item']); // Text inside is theirs
+const LABELLED_CONTROLS = new Set(['checkbox', 'radio']);
+
+// Sizes in points
+const TOGGLE_SIZE = [10, 26]; // Checkbox and radio button side
+const CONTROL_HEIGHT = [16, 64]; // Buttons and text fields
+const MIN_CONTROL_WIDTH = 24;
+const MIN_CONTAINER_WIDTH = 80;
+const ICON_SIZE = [12, 48];
+const MIN_SEPARATOR_LENGTH = 60;
+
+class VisualElementDetector {
+  /**
+   * @param {Object} options
+   * @param {boolean} options.enabled - Detect controls in the pixels (default: true unless VISUAL_DETECTION=false)
+   */
+  constructor(options = {}) {
+    this.enabled = options.enabled ?? process.env.VISUAL_DETECTION !== 'false';
+  }
+
+  /**
+   * Find controls in a capture
+   * @param {Buffer|string} image - Captured image (buffer or path)
+   * @param {Object} options
+   * @param {number} options.devicePixelRatio - Image pixels per point (default: 1)
+   * @param {Array} options.textBoxes - Boxes of the OCR words in image pixels (icons are where no text is)
+   * @param {Function} options.toScreen - Maps an image-pixel box to screen points (default: unchanged)
+   * @returns {Promise<Array>} [{ type: 'button' | 'input' | 'checkbox' | 'radio' | 'icon' | 'separator' |
+   *   'container', shape: 'rectangle' | 'rounded' | 'pill' | 'line' | 'blob', filled, score (0-1),
+   *   bbox (screen points), physicalBbox (image pixels) }]
+   */
+  async detect(image, options = {}) {
+    const { width: fullWidth } = await sharp(image).metadata();
+    const scale = fullWidth > MAX_WIDTH ? MAX_WIDTH / fullWidth : 1;
+    let pipeline = sharp(image).removeAlpha().greyscale();
+    if (scale < 1) {
+      pipeline = pipeline.resize({ width: Math.round(fullWidth * scale), kernel: 'linear' });
+    }
+    const { data, info } = await pipeline.raw().toBuffer({ resolveWithObject: true });
+    const grey = { data, width: info.width, height: info.height };
+
+    // Thresholds in pixels of the scaled image
+    const perPoint = (options.devicePixelRatio || 1) * scale;
+    const textBoxes = (options.textBoxes || []).map(bbox => bbox.map(value => value * scale));
+    const { labels, components } = labelComponents(edgeMap(grey), grey.width, grey.height);
+
+    const found = [];
+    for (const component of components) {
+      const shape = classifyComponent(component, labels, grey, perPoint, textBoxes);
+      if (shape) found.push(shape);
+    }
+
+    const toScreen = options.toScreen || (bbox => bbox);
+    const shapes = dropNested(found).map(shape => {
+      const physicalBbox = shape.box.map(value => Math.round(value / scale));
+      return {
+        type: shape.type,
+        shape: shape.shape,
+        filled: shape.filled,
+        score: Math.round(shape.score * 100) / 100,
+        bbox: toScreen(physicalBbox),
+        physicalBbox
+      };
+    });
+
+    if (shapes.length > 0) {
+      const counts = {};
+      shapes.forEach(shape => { counts[shape.type] = (counts[shape.type] || 0) + 1; });
+      logger.info(`🔲 Visual elements: ${Object.entries(counts).map(([type, count]) => `${count} ${type}`).join(', ')}`);
+    }
+    return shapes;
+  }
+
+  /**
+   * Merge OCR elements into detected controls
+   * @param {Array} shapes - Shapes from detect() (or uiDetector.js detections)
+   * @param {Array} elements - OCR elements ({ id, text, physicalBbox })
+   * @returns {Array} One entry per shape: { shape (type refined by its text: a "text field"
+   *   with a short centered label is a button), contained (elements inside a button, text
+   *   field, dropdown, tab or link: its text), label (element right of a checkbox or radio
+   *   button, or null) }
+   */
+  attachText(shapes, elements) {
+    const taken = new Set();
+    const texts = (elements || []).filter(el => el.text && el.physicalBbox);
+
+    return shapes.map(shape => {
+      const box = shape.physicalBbox;
+      if (TEXT_CONTROLS.has(shape.type)) {
+        const contained = texts
+          .filter(el => !taken.has(el) && contains(box, center(el.physicalBbox)))
+          .sort((a, b) => (a.physicalBbox[1] - b.physicalBbox[1]) || (a.physicalBbox[0] - b.physicalBbox[0]));
+        contained.forEach(el => taken.add(el));
+        return { shape: { ...shape, type: refineType(shape, contained) }, contained, label: null };
+      }
+
+      if (LABELLED_CONTROLS.has(shape.type)) {
+        const height = box[3] - box[1];
+        const label = texts
+          .filter(el => {
+            const [x1, y1, , y2] = el.physicalBbox;
+            const middle = (y1 + y2) / 2;
+            return x1 >= box[2] && x1 - box[2] <= 2 * height && middle >= box[1] && middle <= box[3];
+          })
+          .sort((a, b) => a.physicalBbox[0] - b.physicalBbox[0])[0] || null;
+        return { shape, contained: [], label };
+      }
+
+      return { shape, contained: [], label: null };
+    });
+  }
+}
+
+/**
+ * A text field whose text is short and centered is a button (its label), not a value
+ */
+function refineType(shape, contained) {
+  if (shape.type !== 'input' || shape.source === 'model' || contained.length === 0) return shape.type;
+  const box = shape.physicalBbox;
+  const left = Math.min(...contained.map(el => el.physicalBbox[0]));
+  const right = Math.max(...contained.map(el => el.physicalBbox[2]));
+  const offset = Math.abs((left + right) / 2 - (box[0] + box[2]) / 2);
+  const boxWidth = box[2] - box[0];
+  return offset <= 0.1 * boxWidth && right - left <= 0.6 * boxWidth ? 'button' : 'input';
+}
+
+/**
+ * 1 where a pixel differs from its left or upper neighbour by EDGE_CONTRAST or more
+ */
+function edgeMap({ data, width, height }) {
+  const edges = new Uint8Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      if ((x > 0 && Math.abs(data[i] - data[i - 1]) >= EDGE_CONTRAST) ||
+        (y > 0 && Math.abs(data[i] - data[i - width]) >= EDGE_CONTRAST)) {
+        edges[i] = 1;
+      }
+    }
+  }
+  return edges;
+}
+
+/**
+ * 8-connected components of the edge map
+ * @returns {Object} { labels (component id + 1 per pixel, 0 = no edge), components: [{ id, box, pixels }] }
+ */
+function labelComponents(edges, width, height) {
+  const labels = new Int32Array(width * height);
+  const stack = new Int32Array(width * height);
+  const components = [];
+
+  for (let start = 0; start < edges.length; start++) {
+    if (!edges[start] || labels[start]) continue;
+    const id = components.length + 1;
+    const box = [width, height, 0, 0];
+    let pixels = 0;
+    let top = 0;
+    stack[top++] = start;
+    labels[start] = id;
+
+    while (top > 0) {
+      const i = stack[--top];
+      const x = i % width;
+      const y = (i - x) / width;
+      pixels++;
+      if (x < box[0]) box[0] = x;
+      if (y < box[1]) box[1] = y;
+      if (x > box[2]) box[2] = x;
+      if (y > box[3]) box[3] = y;
+
+      for (let dy = -1; dy <= 1; dy++) {
+        const ny = y + dy;
+        if (ny < 0 || ny >= height) continue;
+        for (let dx = -1; dx <= 1; dx++) {
+          const nx = x + dx;
+          if (nx < 0 || nx >= width) continue;
+          const j = ny * width + nx;
+          if (edges[j] && !labels[j]) {
+            labels[j] = id;
+            stack[top++] = j;
+          }
+        }
+      }
+    }
+    // Boxes are exclusive at the far edge, like OCR boxes
+    components.push({ id, box: [box[0], box[1], box[2] + 1, box[3] + 1], pixels });
+  }
+  return { labels, components };
+}
+
+/**
+ * Type of a component, or null when it is text, noise or too large to be a control
+ */
+function classifyComponent(component, labels, grey, perPoint, textBoxes) {
+  const [x1, y1, x2, y2] = component.box;
+  const w = x2 - x1;
+  const h = y2 - y1;
+  const wPt = w / perPoint;
+  const hPt = h / perPoint;
+  if (w < 4 || h < 4) {
+    // Separators: long runs a few pixels thick, not the capture's own border
+    const horizontal = h <= 4 && wPt >= MIN_SEPARATOR_LENGTH && y1 > 2 && y2 < grey.height - 2;
+    const vertical = w <= 4 && hPt >= MIN_SEPARATOR_LENGTH && x1 > 2 && x2 < grey.width - 2;
+    return horizontal || vertical ? { type: 'separator', shape: 'line', filled: false, score: 0.9, box: component.box } : null;
+  }
+  if (w * h > 0.6 * grey.width * grey.height) return null; // The window or a pane, not a control
+
+  const outline = traceOutline(component, labels, grey.width);
+  if (outline) {
+    const filled = isFilled(component.box, grey);
+    const square = w / h >= 0.8 && w / h <= 1.25;
+    if (square && within(wPt, TOGGLE_SIZE)) {
+      // Round or boxed letters ("O", "0", "□") are text when OCR read them
+      if (textBoxes.some(box => overlapArea(box, component.box) > 0.5 * w * h)) return null;
+      // Checkboxes have square corners or nearly; a circle this small passes as rounded
+      return { type: outline.shape === 'rectangle' ? 'checkbox' : 'radio', ...outline, filled, box: component.box };
+    }
+    if (within(hPt, CONTROL_HEIGHT) && wPt >= MIN_CONTROL_WIDTH) {
+      const button = filled || (outline.shape !== 'rectangle' && w < 8 * h) || w < 3 * h;
+      return { type: button ? 'button' : 'input', ...outline, filled, box: component.box };
+    }
+    if (wPt >= MIN_CONTAINER_WIDTH && hPt > CONTROL_HEIGHT[1]) {
+      return { type: 'container', ...outline, filled, box: component.box };
+    }
+    return null;
+  }
+
+  // Icons: compact blobs no OCR word covers (text glyphs are smaller or under a word)
+  const aspect = w / h;
+  if (within(wPt, ICON_SIZE) && within(hPt, ICON_SIZE) && aspect >= 0.5 && aspect <= 2 &&
+    component.pixels >= 0.5 * (w + h) &&
+    !textBoxes.some(box => overlapArea(box, component.box) > 0.2 * w * h)) {
+    return { type: 'icon', shape: 'blob', filled: false, score: 0.5, box: component.box };
+  }
+  return null;
+}
+
+/**
+ * Contour approximation: how much of each side of the bounding box the component runs along
+ * @returns {Object|null} { shape: 'rectangle' | 'rounded' | 'pill', score } or null when the
+ *   component is not a box outline
+ */
+function traceOutline(component, labels, width) {
+  const [x1, y1, x2, y2] = component.box;
+  const band = 3; // Outlines are one or two edge pixels thick, anti-aliased corners more
+  const owns = (x, y) => labels[y * width + x] === component.id;
+
+  // Share of positions from..to along a side with a component pixel within the band
+  const coverage = (from, to, at) => {
+    let hit = 0;
+    for (let i = from; i < to; i++) {
+      if (at(i)) hit++;
+    }
+    return to > from ? hit / (to - from) : 0;
+  };
+  const nearTop = x => [0, 1, 2].some(d => d < band && y1 + d < y2 && owns(x, y1 + d));
+  const nearBottom = x => [1, 2, 3].some(d => d <= band && y2 - d >= y1 && owns(x, y2 - d));
+  const nearLeft = y => [0, 1, 2].some(d => d < band && x1 + d < x2 && owns(x1 + d, y));
+  const nearRight = y => [1, 2, 3].some(d => d <= band && x2 - d >= x1 && owns(x2 - d, y));
+
+  const w = x2 - x1;
+  const h = y2 - y1;
+  const sides = (shareW, shareH) => {
+    const insetW = Math.floor(w * (1 - shareW) / 2);
+    const insetH = Math.floor(h * (1 - shareH) / 2);
+    return [
+      coverage(x1 + insetW, x2 - insetW, nearTop),
+      coverage(x1 + insetW, x2 - insetW, nearBottom),
+      coverage(y1 + insetH, y2 - insetH, nearLeft),
+      coverage(y1 + insetH, y2 - insetH, nearRight)
+    ];
+  };
+  const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+  const full = sides(0.9, 0.9);
+  if (full.every(value => value >= MIN_SIDE_COVERAGE)) {
+    return { shape: 'rectangle', score: mean(full) };
+  }
+  const middle = sides(0.6, 0.6);
+  if (middle.every(value => value >= MIN_SIDE_COVERAGE)) {
+    return { shape: 'rounded', score: mean(middle) * 0.95 };
+  }
+  // Pills and circles: flat top and bottom, the ends only touch the box at their middle
+  const ends = sides(Math.max(0.1, 1 - h / w), 0.2);
+  if (ends.every(value => value >= MIN_SIDE_COVERAGE)) {
+    return { shape: 'pill', score: mean(ends) * 0.9 };
+  }
+  return null;
+}
+
+/**
+ * A box is filled when its inside differs from the ring of pixels just outside it
+ */
+function isFilled(box, { data, width, height }) {
+  const [x1, y1, x2, y2] = box;
+  const inside = [];
+  const outside = [];
+  const sample = (x, y, into) => {
+    if (x >= 0 && y >= 0 && x < width && y < height) into.push(data[y * width + x]);
+  };
+  const stepX = Math.max(1, Math.floor((x2 - x1) / 24));
+  const stepY = Math.max(1, Math.floor((y2 - y1) / 12));
+  for (let y = y1 + 3; y < y2 - 3; y += stepY) {
+    for (let x = x1 + 3; x < x2 - 3; x += stepX) sample(x, y, inside);
+    sample(x1 - 3, y, outside);
+    sample(x2 + 2, y, outside);
+  }
+  for (let x = x1; x < x2; x += stepX) {
+    sample(x, y1 - 3, outside);
+    sample(x, y2 + 2, outside);
+  }
+  if (inside.length === 0 || outside.length === 0) return false;
+  return Math.abs(median(inside) - median(outside)) >= FILL_CONTRAST;
+}
+
+/**
+ * Drop shapes inside a bigger shape that hugs them (focus rings, shadows and double borders
+ * are outlines of one control), icons inside a control (they belong to it) and separators
+ * along the side of a box (pieces of an anti-aliased border)
+ */
+function dropNested(shapes) {
+  const hugs = (outer, inner) =>
+    inner.box[0] - outer.box[0] <= 6 && inner.box[1] - outer.box[1] <= 6 &&
+    outer.box[2] - inner.box[2] <= 6 && outer.box[3] - inner.box[3] <= 6;
+  const boxes = shapes.filter(shape => shape.type !== 'icon' && shape.type !== 'separator');
+  const controls = boxes.filter(shape => shape.type !== 'container');
+  const alongSide = (line, box) => {
+    const [x1, y1, x2, y2] = box.box;
+    const [lx1, ly1, lx2, ly2] = line.box;
+    const horizontal = lx2 - lx1 > ly2 - ly1;
+    return horizontal
+      ? (Math.abs(ly1 - y1) <= 4 || Math.abs(ly2 - y2) <= 4) && lx1 >= x1 - 4 && lx2 <= x2 + 4
+      : (Math.abs(lx1 - x1) <= 4 || Math.abs(lx2 - x2) <= 4) && ly1 >= y1 - 4 && ly2 <= y2 + 4;
+  };
+
+  return shapes.filter(shape => {
+    if (shape.type === 'icon') {
+      return !controls.some(control => contains(control.box, center(shape.box)));
+    }
+    if (shape.type === 'separator') {
+      return !boxes.some(box => alongSide(shape, box));
+    }
+    return !shapes.some(other => other !== shape && other.type !== 'icon' && other.type !== 'separator' &&
+      area(other.box) > area(shape.box) && contains(other.box, center(shape.box)) && hugs(other, shape));
+  });
+}
+
+function within(value, [min, max]) {
+  return value >= min && value <= max;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+function center(bbox) {
+  return [(bbox[0] + bbox[2]) / 2, (bbox[1] + bbox[3]) / 2];
+}
+
+function contains(box, [x, y]) {
+  return x >= box[0] && x <= box[2] && y >= box[1] && y <= box[3];
+}
+
+function area(box) {
+  return Math.max(0, box[2] - box[0]) * Math.max(0, box[3] - box[1]);
+}
+
+function overlapArea(a, b) {
+  return Math.max(0, Math.min(a[2], b[2]) - Math.max(a[0], b[0])) *
+    Math.max(0, Math.min(a[3], b[3]) - Math.max(a[1], b[1]));
+}
+
+// Singleton instance
+let instance = null;
+
+/**
+ * Get visual element detector singleton
+ * @returns {VisualElementDetector} Visual element detector instance
+ */
+export function getVisualElementDetector() {
+  if (!instance) {
+    instance = new VisualElementDetector();
+  }
+  return instance;
+}
+
+export { VisualElementDetector };
+
+export default VisualElementDetector;
@@ -0,0 +1,467 @@
+/**
+ * Watch Rules
+ * Text-appearance triggers evaluated against every newly built screen state
+ *
+ *   { name: 'Build done', matchType: 'regex', pattern: 'BUILD SUCCESS', app: 'Terminal' }
+ *   { name: 'Xcode error', matchType: 'semantic', pattern: 'error dialog', app: 'Xcode', minScore: 0.6 }
+ *
+ * - regex rules match text lines (text nodes on the same row joined with spaces), so
+ *   multi-word patterns work at any granularity: nodes are OCR lines by default and
+ *   single words with SEMANTIC_GRANULARITY=word
+ * - semantic rules compare the pattern's embedding with node embeddings (cosine);
+ *   they only run on screen states that were indexed with embeddings
+ * - app limits a rule to one application; region limits it to part of the captured
+ *   area ({ minX, maxX, minY, maxY } as 0-1 fractions, like filters.normalizedRegion)
+ *
+ * A rule fires when a match appears that wasn't in the previous evaluation of the same
+ * window, so text that stays on screen fires once. Firing publishes `rule.fired` on the
+ * screen event stream and/or POSTs to a local webhook (action: event | webhook | both).
+ * Rules are persisted in DuckDB (watch_rules).
+ */
+
+import crypto from 'crypto';
+import logger from '../utils/logger.js';
+import { getDuckDBVectorStore } from './duckdbVectorStore.js';
+import { getSearchEmbeddingService } from './embeddingService.js';
+import { getScreenEventBus } from './screenEventBus.js';
+
+const MATCH_TYPES = ['regex', 'semantic'];
+const ACTIONS = ['event', 'webhook', 'both'];
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '::1', '[::1]'];
+const WEBHOOK_TIMEOUT_MS = 5000;
+const MAX_MATCHES = 20;
+
+class WatchRuleEngine {
+  constructor(options = {}) {
+    this.store = options.store || getDuckDBVectorStore();
+    this.embeddingService = options.embeddingService || getSearchEmbeddingService();
+    this.defaultWebhookUrl = process.env.WATCH_RULES_WEBHOOK_URL || null;
+    this.rules = null; // Loaded lazily from DuckDB
+    this.patternEmbeddings = new Map(); // rule id → { pattern, embedding }
+    this.lastMatches = new Map(); // `${ruleId}|${app}|${title}` → Set of matched texts
+  }
+
+  /**
+   * Load rules from DuckDB
+   */
+  async init() {
+    if (this.rules) return;
+    await this.store.initialize();
+    this.rules = await this.store.listWatchRules();
+    logger.info('👀 Watch rules loaded', { count: this.rules.length });
+  }
+
+  /**
+   * @returns {Promise<Array>} All rules
+   */
+  async list() {
+    await this.init();
+    return this.rules.map(rule => ({ ...rule }));
+  }
+
+  /**
+   * @param {string} id - Rule id
+   * @returns {Promise<Object>} Rule
+   * @throws {Error} With status 404 when the rule doesn't exist
+   */
+  async get(id) {
+    await this.init();
+    const rule = this.rules.find(r => r.id === id);
+    if (!rule) {
+      throw withStatus(new Error(`Watch rule not found: ${id}`), 404);
+    }
+    return { ...rule };
+  }
+
+  /**
+   * Create a rule
+   * @param {Object} spec - { name, matchType, pattern, flags, app, region, minScore, action, webhookUrl, cooldownMs, enabled }
+   * @returns {Promise<Object>} Stored rule
+   * @throws {Error} With status 400 when the spec is invalid
+   */
+  async create(spec) {
+    await this.init();
+    const now = Date.now();
+    const rule = {
+      ...validateRule(spec, this.defaultWebhookUrl),
+      id: crypto.randomUUID(),
+      createdAt: now,
+      updatedAt: now,
+      lastFiredAt: null,
+      fireCount: 0
+    };
+
+    await this.store.upsertWatchRule(rule);
+    this.rules.push(rule);
+    logger.info('➕ Watch rule created', { id: rule.id, name: rule.name, matchType: rule.matchType });
+    return { ...rule };
+  }
+
+  /**
+   * Update a rule (partial)
+   * @param {string} id - Rule id
+   * @param {Object} changes - Fields to change
+   * @returns {Promise<Object>} Updated rule
+   */
+  async update(id, changes) {
+    const existing = await this.get(id);
+    const { id: _id, createdAt, updatedAt, lastFiredAt, fireCount, ...editable } = existing;
+    const rule = {
+      ...existing,
+      ...validateRule({ ...editable, ...changes }, this.defaultWebhookUrl),
+      updatedAt: Date.now()
+    };
+
+    await this.store.upsertWatchRule(rule);
+    this.rules = this.rules.map(r => (r.id === id ? rule : r));
+    this.patternEmbeddings.delete(id);
+    this._forgetMatches(id);
+    logger.info('✏️  Watch rule updated', { id, name: rule.name });
+    return { ...rule };
+  }
+
+  /**
+   * Delete a rule
+   * @param {string} id - Rule id
+   */
+  async remove(id) {
+    await this.get(id);
+    await this.store.deleteWatchRule(id);
+    this.rules = this.rules.filter(r => r.id !== id);
+    this.patternEmbeddings.delete(id);
+    this._forgetMatches(id);
+    logger.info('➖ Watch rule deleted', { id });
+  }
+
+  /**
+   * Evaluate all enabled rules against a new screen state and fire the ones that matched
+   * @param {Object} screenState - Screen state from SemanticAnalyzer (nodes with text, bbox, normalizedBbox, embedding)
+   * @returns {Promise<Array>} Firings [{ rule, matches }]
+   */
+  async evaluate(screenState) {
+    await this.init();
+    const app = (screenState.app || '').toLowerCase();
+    const candidates = this.rules.filter(rule => rule.enabled && (!rule.app || rule.app.toLowerCase() === app));
+    if (candidates.length === 0) {
+      return [];
+    }
+
+    const fired = [];
+    for (const rule of candidates) {
+      try {
+        const matches = await this._match(rule, screenState);
+        const key = `${rule.id}|${screenState.app}|${screenState.windowTitle || ''}`;
+        const previous = this.lastMatches.get(key) || new Set();
+        const current = new Set(matches.map(match => match.text));
+        this.lastMatches.set(key, current);
+
+        const appeared = matches.filter(match => !previous.has(match.text));
+        const coolingDown = rule.lastFiredAt && Date.now() - rule.lastFiredAt < rule.cooldownMs;
+        if (appeared.length === 0 || coolingDown) {
+          continue;
+        }
+
+        await this._fire(rule, screenState, appeared);
+        fired.push({ rule: { ...rule }, matches: appeared });
+      } catch (error) {
+        logger.error('❌ Watch rule evaluation failed', { id: rule.id, name: rule.name, error: error.message });
+      }
+    }
+
+    return fired;
+  }
+
+  /**
+   * Find a rule's matches in a screen state
+   * @private
+   */
+  async _match(rule, screenState) {
+    const nodes = (screenState.nodes || []).filter(node => node.text && inRegion(node, rule.region));
+
+    if (rule.matchType === 'regex') {
+      const pattern = new RegExp(rule.pattern, (rule.flags || '').replace('g', '') + 'g');
+      const matches = [];
+      for (const line of groupLines(nodes)) {
+        for (const match of line.text.matchAll(pattern)) {
+          if (match[0].length === 0) continue;
+          const end = match.index + match[0].length;
+          const matched = line.words.filter(word => word.start < end && word.end > match.index).map(word => word.node);
+          matches.push(toMatch(match[0], matched));
+        }
+      }
+      return matches.slice(0, MAX_MATCHES);
+    }
+
+    // Semantic: nodes only carry embeddings once the screen state was indexed
+    const embedded = nodes.filter(node => Array.isArray(node.embedding) || ArrayBuffer.isView(node.embedding));
+    if (embedded.length === 0) {
+      return [];
+    }
+    const queryEmbedding = await this._patternEmbedding(rule);
+    return embedded
+      .map(node => ({ node, score: cosineSimilarity(queryEmbedding, node.embedding) }))
+      .filter(({ score }) => score >= rule.minScore)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, MAX_MATCHES)
+      .map(({ node, score }) => ({ ...toMatch(node.text, [node]), score: Math.round(score * 1000) / 1000 }));
+  }
+
+  /**
+   * @private
+   */
+  async _patternEmbedding(rule) {
+    const cached = this.patternEmbeddings.get(rule.id);
+    if (cached && cached.pattern === rule.pattern) {
+      return cached.embedding;
+    }
+    await this.embeddingService.initialize();
+    const embedding = await this.embeddingService.embed(rule.pattern);
+    this.patternEmbeddings.set(rule.id, { pattern: rule.pattern, embedding });
+    return embedding;
+  }
+
+  /**
+   * Publish and/or POST a firing
+   * @private
+   */
+  async _fire(rule, screenState, matches) {
+    const timestamp = Date.now();
+    rule.lastFiredAt = timestamp;
+    rule.fireCount = (rule.fireCount || 0) + 1;
+    await this.store.recordWatchRuleFired(rule.id, timestamp).catch(error => {
+      logger.warn('⚠️  Failed to record watch rule firing', { id: rule.id, error: error.message });
+    });
+
+    const payload = {
+      screenId: screenState.id,
+      app: screenState.app,
+      title: screenState.windowTitle || '',
+      rule: { id: rule.id, name: rule.name, matchType: rule.matchType, pattern: rule.pattern },
+      matches
+    };
+    logger.info('🔔 Watch rule fired', { id: rule.id, name: rule.name, app: screenState.app, matches: matches.length });
+
+    if (rule.action === 'event' || rule.action === 'both') {
+      getScreenEventBus().publish('rule.fired', payload);
+    }
+
+    if (rule.action === 'webhook' || rule.action === 'both') {
+      try {
+        const response = await fetch(rule.webhookUrl, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ event: 'rule.fired', timestamp, ...payload }),
+          signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+        });
+        if (!response.ok) {
+          logger.warn('⚠️  Watch rule webhook rejected the call', { id: rule.id, status: response.status });
+        }
+      } catch (error) {
+        logger.warn('⚠️  Watch rule webhook failed', { id: rule.id, url: rule.webhookUrl, error: error.message });
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  _forgetMatches(ruleId) {
+    for (const key of this.lastMatches.keys()) {
+      if (key.startsWith(`${ruleId}|`)) {
+        this.lastMatches.delete(key);
+      }
+    }
+  }
+}
+
+/**
+ * Validate a rule spec and fill in defaults
+ * @throws {Error} With status 400
+ */
+function validateRule(spec = {}, defaultWebhookUrl = null) {
+  const invalid = message => withStatus(new Error(message), 400);
+
+  const matchType = spec.matchType || 'regex';
+  if (!MATCH_TYPES.includes(matchType)) {
+    throw invalid(`matchType must be one of: ${MATCH_TYPES.join(', ')}`);
+  }
+  if (typeof spec.pattern !== 'string' || spec.pattern.trim() === '') {
+    throw invalid('pattern is required');
+  }
+
+  const flags = spec.flags || null;
+  if (matchType === 'regex') {
+    try {
+      new RegExp(spec.pattern, flags || '');
+    } catch (error) {
+      throw invalid(`Invalid regex: ${error.message}`);
+    }
+  }
+
+  let region = null;
+  if (spec.region) {
+    const { minX = 0, maxX = 1, minY = 0, maxY = 1 } = spec.region;
+    if (![minX, maxX, minY, maxY].every(v => Number.isFinite(v) && v >= 0 && v <= 1) || minX >= maxX || minY >= maxY) {
+      throw invalid('region must be { minX, maxX, minY, maxY } fractions (0-1) with min < max');
+    }
+    region = { minX, maxX, minY, maxY };
+  }
+
+  const action = spec.action || 'event';
+  if (!ACTIONS.includes(action)) {
+    throw invalid(`action must be one of: ${ACTIONS.join(', ')}`);
+  }
+
+  const webhookUrl = spec.webhookUrl || (action === 'event' ? null : defaultWebhookUrl);
+  if (action !== 'event') {
+    if (!webhookUrl) {
+      throw invalid('webhookUrl is required for webhook actions (or set WATCH_RULES_WEBHOOK_URL)');
+    }
+    assertLocalUrl(webhookUrl, invalid);
+  }
+
+  const minScore = spec.minScore ?? (matchType === 'semantic' ? 0.6 : null);
+  if (minScore !== null && !(Number.isFinite(minScore) && minScore >= 0 && minScore <= 1)) {
+    throw invalid('minScore must be between 0 and 1');
+  }
+
+  const cooldownMs = spec.cooldownMs ?? 0;
+  if (!Number.isFinite(cooldownMs) || cooldownMs < 0) {
+    throw invalid('cooldownMs must be a non-negative number');
+  }
+
+  return {
+    name: spec.name || spec.pattern,
+    matchType,
+    pattern: spec.pattern,
+    flags,
+    app: spec.app || null,
+    region,
+    minScore,
+    action,
+    webhookUrl,
+    cooldownMs,
+    enabled: spec.enabled !== false
+  };
+}
+
+/**
+ * Screen contents never leave the machine: webhooks must point at a loopback host
+ */
+function assertLocalUrl(url, invalid) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw invalid(`Invalid webhookUrl: ${url}`);
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol) || !LOCAL_HOSTS.includes(parsed.hostname)) {
+    throw invalid('webhookUrl must be an http(s) URL on localhost');
+  }
+}
+
+/**
+ * Whether a node's center lies in a normalized region
+ */
+function inRegion(node, region) {
+  if (!region) return true;
+  const bbox = node.normalizedBbox;
+  if (!bbox) return false;
+  const cx = (bbox[0] + bbox[2]) / 2;
+  const cy = (bbox[1] + bbox[3]) / 2;
+  return cx >= region.minX && cx <= region.maxX && cy >= region.minY && cy <= region.maxY;
+}
+
+/**
+ * Group text nodes into lines: vertically overlapping nodes, left to right,
+ * split where the horizontal gap is much wider than the text is tall
+ * @returns {Array} [{ text, words: [{ node, start, end }] }]
+ */
+function groupLines(nodes) {
+  const sorted = nodes
+    .filter(node => Array.isArray(node.bbox))
+    .sort((a, b) => (a.bbox[1] + a.bbox[3]) - (b.bbox[1] + b.bbox[3]));
+
+  const rows = [];
+  for (const node of sorted) {
+    const cy = (node.bbox[1] + node.bbox[3]) / 2;
+    const row = rows.find(r => cy >= r.y1 && cy <= r.y2);
+    if (row) {
+      row.nodes.push(node);
+      row.y1 = Math.min(row.y1, node.bbox[1]);
+      row.y2 = Math.max(row.y2, node.bbox[3]);
+    } else {
+      rows.push({ y1: node.bbox[1], y2: node.bbox[3], nodes: [node] });
+    }
+  }
+
+  const lines = [];
+  for (const row of rows) {
+    const height = Math.max(1, row.y2 - row.y1);
+    let line = null;
+    let lastX = -Infinity;
+    for (const node of row.nodes.sort((a, b) => a.bbox[0] - b.bbox[0])) {
+      if (!line || node.bbox[0] - lastX > height * 3) {
+        line = { text: '', words: [] };
+        lines.push(line);
+      }
+      if (line.text) line.text += ' ';
+      line.words.push({ node, start: line.text.length, end: line.text.length + node.text.length });
+      line.text += node.text;
+      lastX = node.bbox[2];
+    }
+  }
+  return lines;
+}
+
+/**
+ * Match payload: matched text, union bbox and the nodes involved
+ */
+function toMatch(text, nodes) {
+  const boxes = nodes.map(node => node.bbox).filter(Array.isArray);
+  return {
+    text,
+    bbox: boxes.length > 0 ? [
+      Math.min(...boxes.map(b => b[0])),
+      Math.min(...boxes.map(b => b[1])),
+      Math.max(...boxes.map(b => b[2])),
+      Math.max(...boxes.map(b => b[3]))
+    ] : null,
+    nodes: nodes.map(node => ({ id: node.id, type: node.type, text: node.text, bbox: node.bbox }))
+  };
+}
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+function withStatus(error, status) {
+  error.status = status;
+  return error;
+}
+
+// Singleton instance
+let instance = null;
+
+/**
+ * Get watch rule engine singleton
+ * @returns {WatchRuleEngine} Watch rule engine instance
+ */
+export function getWatchRuleEngine() {
+  if (!instance) {
+    instance = new WatchRuleEngine();
+  }
+  return instance;
+}
+
+export { WatchRuleEngine };
+
+export default WatchRuleEngine;
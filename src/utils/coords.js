@@ -1,5 +1,3 @@
-import logger from './logger.js';
-
 /**
  * Coordinate Conversion Utilities
  * Handles conversion between different coordinate systems
@@ -155,24 +153,133 @@ export function denormalizeBounds(normalizedBounds, screenWidth, screenHeight) {
   };
 }
 
+/**
+ * Map an image-space bbox [x1, y1, x2, y2] into screen space
+ * @param {Array} bbox - Bbox in image pixels
+ * @param {Object} imageSize - {width, height} of the image in pixels
+ * @param {Object} bounds - Screen rectangle {x, y, width, height} the image covers
+ * @returns {Array} Bbox in screen coordinates
+ */
+export function imageToScreenBbox(bbox, imageSize, bounds) {
+  // [0, 0, 0, 0] marks "no bbox" (raw-text OCR fallback) - keep it as is
+  if (!bbox || !bounds || bbox.every(value => value === 0)) return bbox;
+
+  const scaleX = imageSize?.width ? bounds.width / imageSize.width : 1;
+  const scaleY = imageSize?.height ? bounds.height / imageSize.height : 1;
+  const [x1, y1, x2, y2] = bbox;
+
+  return [
+    Math.round(bounds.x + x1 * scaleX),
+    Math.round(bounds.y + y1 * scaleY),
+    Math.round(bounds.x + x2 * scaleX),
+    Math.round(bounds.y + y2 * scaleY)
+  ];
+}
+
+/**
+ * Intersect two bounds
+ * @returns {Object|null} Intersection {x, y, width, height} or null when they don't overlap
+ */
+export function intersectBounds(bounds1, bounds2) {
+  const x1 = Math.max(bounds1.x, bounds2.x);
+  const y1 = Math.max(bounds1.y, bounds2.y);
+  const x2 = Math.min(bounds1.x + bounds1.width, bounds2.x + bounds2.width);
+  const y2 = Math.min(bounds1.y + bounds1.height, bounds2.y + bounds2.height);
+
+  if (x2 <= x1 || y2 <= y1) {
+    return null;
+  }
+  return { x: x1, y: y1, width: x2 - x1, height: y2 - y1 };
+}
+
+/**
+ * Subtract one bounds from another
+ * @returns {Array} Up to four non-overlapping pieces of `bounds` not covered by `cutter`
+ */
+export function subtractBounds(bounds, cutter) {
+  const overlap = intersectBounds(bounds, cutter);
+  if (!overlap) {
+    return [bounds];
+  }
+
+  const pieces = [];
+  const right = bounds.x + bounds.width;
+  const bottom = bounds.y + bounds.height;
+  const overlapRight = overlap.x + overlap.width;
+  const overlapBottom = overlap.y + overlap.height;
+
+  // Full-width bands above and below the overlap, then the sides between them
+  if (overlap.y > bounds.y) {
+    pieces.push({ x: bounds.x, y: bounds.y, width: bounds.width, height: overlap.y - bounds.y });
+  }
+  if (overlapBottom < bottom) {
+    pieces.push({ x: bounds.x, y: overlapBottom, width: bounds.width, height: bottom - overlapBottom });
+  }
+  if (overlap.x > bounds.x) {
+    pieces.push({ x: bounds.x, y: overlap.y, width: overlap.x - bounds.x, height: overlap.height });
+  }
+  if (overlapRight < right) {
+    pieces.push({ x: overlapRight, y: overlap.y, width: right - overlapRight, height: overlap.height });
+  }
+
+  return pieces;
+}
+
+/**
+ * Compute the visible part of a window
+ * @param {Object} target - Window bounds {x, y, width, height}
+ * @param {Array} occluders - Bounds of windows stacked above the target
+ * @param {Object} clip - Optional area the result is limited to (e.g. the captured display)
+ * @returns {Object} { bounds: bounding box of the visible pieces (null when fully hidden),
+ *   visible: visible pieces, hidden: covered pieces inside bounds, visibleRatio }
+ */
+export function computeVisibleRegion(target, occluders = [], clip = null) {
+  const area = b => b.width * b.height;
+  const start = clip ? intersectBounds(target, clip) : target;
+  if (!start || area(target) === 0) {
+    return { bounds: null, visible: [], hidden: [], visibleRatio: 0 };
+  }
+
+  let visible = [start];
+  for (const occluder of occluders) {
+    visible = visible.flatMap(piece => subtractBounds(piece, occluder));
+    if (visible.length === 0) break;
+  }
+
+  if (visible.length === 0) {
+    return { bounds: null, visible: [], hidden: [], visibleRatio: 0 };
+  }
+
+  const x1 = Math.min(...visible.map(b => b.x));
+  const y1 = Math.min(...visible.map(b => b.y));
+  const x2 = Math.max(...visible.map(b => b.x + b.width));
+  const y2 = Math.max(...visible.map(b => b.y + b.height));
+  const bounds = { x: x1, y: y1, width: x2 - x1, height: y2 - y1 };
+
+  // Covered parts that fall inside the crop (they need masking)
+  const hidden = visible.reduce(
+    (remaining, piece) => remaining.flatMap(rest => subtractBounds(rest, piece)),
+    [bounds]
+  );
+
+  return {
+    bounds,
+    visible,
+    hidden,
+    visibleRatio: visible.reduce((sum, b) => sum + area(b), 0) / area(target)
+  };
+}
+
 /**
  * Get screen dimensions
  */
 export async function getScreenDimensions() {
-  try {
-    // This would use native APIs in production
-    // For now, return common dimensions
-    return {
-      width: 1920,
-      height: 1080
-    };
-  } catch (error) {
-    logger.error('Failed to get screen dimensions', { error: error.message });
-    return {
-      width: 1920,
-      height: 1080
-    };
-  }
+  // This would use native APIs in production
+  // For now, return common dimensions
+  return {
+    width: 1920,
+    height: 1080
+  };
 }
 
 /**
@@ -208,6 +315,10 @@ export default {
   translateBounds,
   normalizeBounds,
   denormalizeBounds,
+  imageToScreenBbox,
+  intersectBounds,
+  subtractBounds,
+  computeVisibleRegion,
   getScreenDimensions,
   relativeToAbsolute,
   absoluteToRelative
@@ -0,0 +1,106 @@
+/**
+ * OCR Language Utilities
+ * Language codes follow Tesseract's traineddata names (eng, deu, chi_sim, ...).
+ * A language set is a sorted, de-duplicated array; Tesseract joins it with '+'.
+ */
+
+/**
+ * Languages to read for each script reported by Tesseract's OSD (orientation and
+ * script detection). English is added to every set by resolveLanguages(), since
+ * most UIs mix it in.
+ */
+export const SCRIPT_LANGUAGES = {
+  Latin: ['eng'],
+  Cyrillic: ['rus', 'ukr'],
+  Greek: ['ell'],
+  Arabic: ['ara'],
+  Hebrew: ['heb'],
+  Devanagari: ['hin'],
+  Thai: ['tha'],
+  Hangul: ['kor'],
+  Japanese: ['jpn'],
+  Katakana: ['jpn'],
+  Hiragana: ['jpn'],
+  Han: ['chi_sim', 'chi_tra'],
+  Fraktur: ['deu']
+};
+
+const LANGUAGE_CODE = /^[a-z]{3}(_[a-z]+)?$/;
+
+/**
+ * Parse a language selection
+ * @param {string|Array<string>} value - 'eng+deu', 'eng,deu' or ['eng', 'deu']
+ * @returns {Array<string>|null} Sorted language set, or null when empty
+ * @throws {Error} With status 400 for malformed codes
+ */
+export function normalizeLanguages(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const list = (Array.isArray(value) ? value : String(value).split(/[+,]/))
+    .map(lang => String(lang).trim())
+    .filter(Boolean);
+
+  const invalid = list.filter(lang => !LANGUAGE_CODE.test(lang));
+  if (invalid.length > 0) {
+    const error = new Error(`Invalid OCR language code(s): ${invalid.join(', ')} (use Tesseract codes like eng, deu, chi_sim)`);
+    error.status = 400;
+    throw error;
+  }
+  return list.length > 0 ? [...new Set(list)].sort() : null;
+}
+
+/**
+ * Key for a language set ('deu+eng')
+ * @param {Array<string>} languages - Language set
+ * @returns {string}
+ */
+export function languageKey(languages) {
+  return [...new Set(languages)].sort().join('+');
+}
+
+/**
+ * Pick the languages to read an image with
+ * Order: the request, the app's languages, the detected script, the default set.
+ * @param {Object} options
+ * @param {Array<string>|string} options.requested - Languages from the request ('auto' = detect)
+ * @param {string} options.app - App the image shows
+ * @param {Object} options.appLanguages - { lowercased app name: [languages] }
+ * @param {Array<string>} options.defaults - Default language set
+ * @param {Function} options.detect - async () => script name | null (only called when needed)
+ * @param {Function} options.isAvailable - (lang) => boolean, drops script languages without data
+ * @returns {Promise<Object>} { languages, source: 'request' | 'app' | 'script' | 'default', script }
+ */
+export async function resolveLanguages(options = {}) {
+  const {
+    requested = null,
+    app = null,
+    appLanguages = {},
+    defaults = ['eng'],
+    detect = null,
+    isAvailable = () => true
+  } = options;
+
+  if (requested !== 'auto') {
+    const languages = normalizeLanguages(requested);
+    if (languages) {
+      return { languages, source: 'request', script: null };
+    }
+    const forApp = app ? appLanguages[app.toLowerCase()] : null;
+    if (forApp) {
+      return { languages: normalizeLanguages(forApp), source: 'app', script: null };
+    }
+  }
+
+  // Latin text is read with the default set, which is usually Latin-script already
+  const script = detect ? await detect() : null;
+  if (script && script !== 'Latin') {
+    const scriptLanguages = (SCRIPT_LANGUAGES[script] || []).filter(isAvailable);
+    if (scriptLanguages.length > 0) {
+      const withEnglish = isAvailable('eng') ? [...scriptLanguages, 'eng'] : scriptLanguages;
+      return { languages: normalizeLanguages(withEnglish), source: 'script', script };
+    }
+  }
+
+  return { languages: normalizeLanguages(defaults) || ['eng'], source: 'default', script };
+}
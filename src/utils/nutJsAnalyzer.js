@@ -2,6 +2,7 @@ import { mouse, keyboard, Key, Button, screen, Region, clipboard } from '@nut-tr
 import { promises as fs } from 'fs';
 import path from 'path';
 import os from 'os';
+import { getClassificationRuleEngine } from '../services/classificationRules.js';
 
 /**
  * Fast local screen analysis using Nut.js text capture and spatial reconstruction
@@ -399,12 +400,12 @@ export class NutJsAnalyzer {
         textLength: text.length,
         screenSize
       },
-      docType: inferredLayout.docType,
-      structures: inferredLayout.structures,
-      zones: inferredLayout.zones,
-      elements: inferredLayout.elements,
+      docType: reconstruction.docType,
+      structures: [],
+      zones: reconstruction.zones,
+      elements: reconstruction.elements,
       reconstruction,
-      confidence: inferredLayout.metadata.confidence,
+      confidence: null,
       timestamp: Date.now(),
       fromCache: false
     };
@@ -922,8 +923,8 @@ export class NutJsAnalyzer {
 
   // Pattern detection helpers
   isButton(word) {
-    const buttonWords = ['login', 'signup', 'submit', 'send', 'save', 'cancel', 'ok', 'yes', 'no', 'continue', 'next', 'back'];
-    return buttonWords.includes(word.toLowerCase());
+    // Text-only rules of the classification packs (no box for clipboard words)
+    return getClassificationRuleEngine().classify({ text: word }).type === 'button';
   }
 
   isURL(word) {
@@ -1,9 +1,9 @@
-import Tesseract from 'tesseract.js';
-import { screen, Region } from '@nut-tree-fork/nut-js';
-import { promises as fs } from 'fs';
 import path from 'path';
 import os from 'os';
-import sharp from 'sharp';
+import { getCaptureService } from '../services/captureService.js';
+import { imageToScreenBbox } from './coords.js';
+import { getTesseractWorkerPool } from '../services/tesseractWorkerPool.js';
+import { getOCRService } from '../services/ocrService.js';
 
 /**
  * OCR-based screen analysis using Tesseract.js
@@ -12,13 +12,12 @@ import sharp from 'sharp';
 export class OCRAnalyzer {
   constructor() {
     this.tempDir = path.join(os.tmpdir(), 'thinkdrop-ocr-capture');
-    this.testResultsDir = path.join(process.cwd(), 'test-results', 'ocr');
     this.debounceTimer = null;
     this.lastCaptureTime = 0;
     this.minCaptureInterval = 1000; // 1 second minimum between captures
     this.cache = new Map(); // Cache for image hash -> OCR result
     this.overlayCallback = null; // Callback to show visual overlay
-    this.worker = null; // Tesseract worker (reusable)
+    this.pool = getTesseractWorkerPool(); // Shared Tesseract workers, one per language set
     this.isInitialized = false;
   }
 
@@ -27,22 +26,9 @@ export class OCRAnalyzer {
    */
   async init() {
     try {
-      // Initialize Tesseract worker (reusable for better performance)
+      // Load the default (English) worker; other language sets load on first use
       console.log('🔧 [OCR] Initializing Tesseract worker...');
-      this.worker = await Tesseract.createWorker('eng', 1, {
-        logger: (m) => {
-          if (m.status === 'recognizing text') {
-            // console.log(`📊 [OCR] Progress: ${(m.progress * 100).toFixed(1)}%`);
-          }
-        }
-      });
-      
-      // Configure for word-level extraction with full hierarchy
-      await this.worker.setParameters({
-        tessedit_pageseg_mode: Tesseract.PSM.AUTO, // Automatic page segmentation
-        tessedit_char_whitelist: '', // Allow all characters
-        preserve_interword_spaces: '1', // Preserve spaces between words
-      });
+      await this.pool.warmUp(['eng']);
       
       this.isInitialized = true;
       console.log('✅ [OCR] Tesseract worker initialized');
@@ -56,10 +42,8 @@ export class OCRAnalyzer {
    * Cleanup worker on shutdown
    */
   async cleanup() {
-    if (this.worker) {
-      await this.worker.terminate();
-      console.log('🧹 [OCR] Tesseract worker terminated');
-    }
+    await this.pool.terminate();
+    console.log('🧹 [OCR] Tesseract workers terminated');
   }
 
   /**
@@ -71,7 +55,11 @@ export class OCRAnalyzer {
     const { 
       debounce = true,
       region = null, // Optional region to capture (x, y, width, height)
-      windowInfo = {} 
+      windowInfo = {},
+      capture: captureSpec = null, // Optional capture provider spec (live, file, directory, buffer)
+      bounds = null, // Optional screen rectangle covered by a supplied image
+      display = null, // Optional display to capture (bboxes come back in global desktop coordinates)
+      languages = null // Optional OCR languages (default: the app's languages, detected script or OCR_LANGUAGES)
     } = options;
 
     // Debounce rapid captures
@@ -108,14 +96,11 @@ export class OCRAnalyzer {
         console.log(`🎯 [OCR] Using focused window bounds: ${captureRegion.width}x${captureRegion.height}`);
       } else if (!captureRegion) {
         // Fallback to full screen
-        const screenWidth = await screen.width();
-        const screenHeight = await screen.height();
-        captureRegion = { width: screenWidth, height: screenHeight };
-        console.log('📐 [OCR] Using full screen:', captureRegion);
+        console.log('📐 [OCR] Using full screen');
       }
 
       // Capture screenshot (focused window or full screen)
-      const screenshot = await this.captureScreenshot(captureRegion);
+      const screenshot = await this.captureScreenshot(captureRegion, { capture: captureSpec, bounds, display });
       
       if (!screenshot) {
         console.log('⚠️  [OCR] No screenshot captured');
@@ -135,10 +120,13 @@ export class OCRAnalyzer {
       };
 
       // Perform OCR analysis
-      const analysis = await this.analyze(screenshot);
+      const analysis = await this.analyze(screenshot.path, {
+        languages,
+        app: windowInfo.appName || windowInfo.app || null
+      }).finally(() => screenshot.cleanup?.());
 
       await this.hideOverlay();
-      return analysis;
+      return this.buildCaptureResult(analysis, screenshot, { screenSize, windowInfo });
 
     } catch (error) {
       console.error('❌ [OCR] Capture failed:', error);
@@ -150,75 +138,43 @@ export class OCRAnalyzer {
   /**
    * Capture screenshot of focused window only (not entire screen)
    * @param {Object} windowInfo - Window info with bounds {x, y, width, height}
-   * @returns {Promise<Object>} Screenshot info {path, buffer, hash}
+   * @param {Object} options - Capture options
+   * @param {string|Object} options.capture - Optional capture provider spec (defaults to configured provider)
+   * @param {Object} options.bounds - Optional screen rectangle covered by the image (for supplied images)
+   * @param {Object} options.display - Optional display to capture when no window bounds are given
+   * @returns {Promise<Object>} Screenshot info {path, buffer, hash, bounds, display}
    */
-  async captureScreenshot(windowInfo = null) {
+  async captureScreenshot(windowInfo = null, options = {}) {
+    const { capture: captureSpec = null, bounds = null, display = null } = options;
     try {
-      const timestamp = Date.now();
-      const screenshotPath = path.join(this.tempDir, `screenshot-${timestamp}.png`);
-
       // If window bounds provided, capture only that region
-      if (windowInfo && windowInfo.x !== undefined) {
-        const { x, y, width, height } = windowInfo;
-        console.log(`📸 [OCR] Capturing focused window region: ${width}x${height} at (${x}, ${y})`);
-        
-        // Capture specific region using nut.js (requires Region instance)
-        const regionObj = new Region(x, y, width, height);
-        const region = await screen.grabRegion(regionObj);
-        const buffer = Buffer.from(region.data);
-        
-        // Save using sharp
-        await sharp(buffer, {
-          raw: {
-            width: region.width,
-            height: region.height,
-            channels: 4 // RGBA
-          }
-        })
-        .png()
-        .toFile(screenshotPath);
-        
-        console.log('💾 [OCR] Focused window screenshot saved to:', screenshotPath);
-        
-        const hash = this.hashBuffer(buffer);
-        return {
-          path: screenshotPath,
-          buffer,
-          hash,
-          width: region.width,
-          height: region.height
-        };
+      const region = windowInfo && windowInfo.x !== undefined
+        ? { x: windowInfo.x, y: windowInfo.y, width: windowInfo.width, height: windowInfo.height }
+        : null;
+
+      if (region) {
+        console.log(`📸 [OCR] Capturing focused window region: ${region.width}x${region.height} at (${region.x}, ${region.y})`);
+      } else if (display) {
+        console.log(`📸 [OCR] No window bounds, capturing display ${display.name || display.id}`);
+      } else {
+        console.log('📸 [OCR] No window bounds, capturing entire screen');
       }
-      
-      // Fallback: Capture entire screen if no window bounds
-      console.log('📸 [OCR] No window bounds, capturing entire screen');
-      const img = await screen.grab();
-      
-      // Convert to buffer and save
-      const buffer = Buffer.from(img.data);
-      
-      // Use sharp to process and save the image
-      await sharp(buffer, {
-        raw: {
-          width: img.width,
-          height: img.height,
-          channels: 4 // RGBA
-        }
-      })
-      .png()
-      .toFile(screenshotPath);
 
-      console.log('💾 [OCR] Screenshot saved to:', screenshotPath);
+      const capture = await getCaptureService().capture({ provider: captureSpec, region, bounds, display });
+      console.log(`💾 [OCR] Screenshot saved to (${capture.provider}):`, capture.path);
 
       // Generate hash for caching
-      const hash = this.hashBuffer(buffer);
+      const hash = this.hashBuffer(capture.buffer);
 
       return {
-        path: screenshotPath,
-        buffer,
+        path: capture.path,
+        buffer: capture.buffer,
         hash,
-        width: img.width,
-        height: img.height
+        width: capture.width,
+        height: capture.height,
+        bounds: capture.bounds,
+        display: capture.display,
+        cleanup: capture.cleanup
       };
 
     } catch (error) {
@@ -255,19 +211,21 @@ export class OCRAnalyzer {
   /**
    * Simple OCR analysis - just extract words from image
    * @param {string} imagePath - Path to screenshot
-   * @returns {Promise<Object>} { words: [{text, bbox, confidence}], text: string }
+   * @param {Object} options - { languages, app } (resolved like OCRService.resolveLanguages)
+   * @returns {Promise<Object>} { words: [{text, bbox, confidence}], text: string, languages }
    */
-  async analyze(imagePath) {
+  async analyze(imagePath, options = {}) {
     if (!this.isInitialized) {
       await this.init();
     }
 
     try {
+      const { languages } = await getOCRService().resolveLanguages(imagePath, options);
       const startTime = Date.now();
-      console.log('🔍 [OCR] Analyzing image:', imagePath);
+      console.log(`🔍 [OCR] Analyzing image (${languages.join('+')}):`, imagePath);
       // Request word-level data explicitly with proper output format
       // Tesseract.js v6 requires explicit output level in recognize() options
-      const result = await this.worker.recognize(imagePath, {
+      const data = await this.pool.recognize(imagePath, languages, {
         // Request TSV for word-level bounding boxes (Tesseract.js v6 method)
         blocks: true,
         hocr: true,   // Enable HOCR for structured output
@@ -277,7 +235,6 @@ export class OCRAnalyzer {
         osd: false,
         pdf: false
       });
-      const data = result.data;
       const ocrAnalyzingTime = Date.now() - startTime;
 
       console.log(`⏱️  [OCR] Recognition Analyzing completed in ${ocrAnalyzingTime}ms`);
@@ -406,7 +363,8 @@ export class OCRAnalyzer {
       return {
         words,
         text: data.text || '',
-        confidence: (data.confidence || 0) / 100
+        confidence: (data.confidence || 0) / 100,
+        languages
       };
     } catch (error) {
       console.error('❌ [OCR] Analysis failed:', error);
@@ -414,6 +372,60 @@ export class OCRAnalyzer {
     }
   }
 
+  /**
+   * Shape a word-level OCR analysis like the other analyzers' capture results
+   * (elements, capturedText, stats...) so routes can treat every method alike
+   * @param {Object} analysis - Result of analyze() {words, text, confidence}
+   * @param {Object} screenshot - Screenshot info from captureScreenshot()
+   * @param {Object} context - {screenSize, windowInfo}
+   * @returns {Object} Analysis result
+   */
+  buildCaptureResult(analysis, screenshot, context) {
+    const { screenSize, windowInfo = {} } = context;
+
+    const elements = analysis.words.map((word, idx) => {
+      const [x1, y1, x2, y2] = screenshot.bounds
+        ? imageToScreenBbox(word.bbox, screenshot, screenshot.bounds)
+        : word.bbox;
+
+      return {
+        type: 'text',
+        text: word.text,
+        confidence: word.confidence,
+        position: { x: x1, y: y1 },
+        dimensions: { width: x2 - x1, height: y2 - y1 },
+        wordIndex: idx,
+        source: 'ocr'
+      };
+    });
+
+    return {
+      success: true,
+      method: 'tesseract-ocr',
+      capturedText: analysis.text,
+      screenshotPath: screenshot.path,
+      activeWindow: {
+        app: windowInfo.appName || windowInfo.app || 'Unknown',
+        title: windowInfo.title || null,
+        url: windowInfo.url || null
+      },
+      docType: 'unknown',
+      structures: {},
+      zones: [],
+      elements,
+      stats: {
+        textLength: analysis.text.length,
+        wordCount: analysis.words.length,
+        screenSize
+      },
+      reconstruction: analysis.text,
+      confidence: analysis.confidence,
+      display: screenshot.display || null,
+      timestamp: Date.now(),
+      fromCache: false
+    };
+  }
+
   /**
    * Perform OCR and reconstruct spatial layout
    * @param {Object} screenshot - Screenshot info
@@ -438,7 +450,7 @@ export class OCRAnalyzer {
     try {
       // Perform OCR with Tesseract
       const startTime = Date.now();
-      const { data } = await this.worker.recognize(screenshot.path);
+      const data = await this.pool.recognize(screenshot.path, context.languages || ['eng']);
       const ocrTime = Date.now() - startTime;
 
       console.log(`⏱️  [OCR] Recognition completed in ${ocrTime}ms`);
@@ -497,10 +509,10 @@ export class OCRAnalyzer {
           ocrTime,
           screenSize
         },
-        docType: inferredLayout.docType,
-        structures: inferredLayout.structures,
-        zones: inferredLayout.zones,
-        elements: mergedElements,
+        docType: reconstruction.docType,
+        structures: [],
+        zones: reconstruction.zones,
+        elements,
         ocrData: {
           words: words.map(w => ({
             text: w.text,
@@ -524,9 +536,6 @@ export class OCRAnalyzer {
         fromCache: false
       };
 
-      // Save analysis results to files for testing/debugging
-      await this.saveAnalysisResults(result);
-
       // Cache the result
       this.cache.set(cacheKey, result);
       console.log(`💾 [OCR] Cached result for: ${cacheKey}`);
@@ -780,36 +789,6 @@ export class OCRAnalyzer {
     };
   }
 
-  /**
-   * Save analysis results to files
-   */
-  async saveAnalysisResults(result) {
-    try {
-      // await fs.mkdir(this.testResultsDir, { recursive: true });
-      // const timestamp = Date.now();
-      // const baseName = `ocr-analysis-${timestamp}`;
-      
-      // Save complete analysis result as JSON
-    const analysisFile = path.join(this.testResultsDir, `${baseName}.json`);
-      const analysisData = {
-        ...result,
-        capturedText: result.capturedText.substring(0, 1000) + '...' // Truncate for file size
-      };
-      // await fs.writeFile(analysisFile, JSON.stringify(analysisData, null, 2), 'utf-8');
-      result.analysisFile = analysisFile;                                                                                                                                                                                                                                                                                                                                                                                                                                                                                                                                                                                                                                                                                                                             
-      console.log('💾 [OCR] Analysis JSON saved to:', analysisFile);
-      
-      // Save HTML reconstruction as separate file
-      const htmlFile = path.join(this.testResultsDir, `${baseName}.html`);
-      await fs.writeFile(htmlFile, result.reconstruction.html, 'utf-8');
-      result.htmlFile = htmlFile;
-      console.log('💾 [OCR] HTML reconstruction saved to:', htmlFile);
-      
-    } catch (saveError) {
-      console.warn('⚠️  [OCR] Failed to save analysis files:', saveError.message);
-    }
-  }
-
   /**
    * Generate hash for text content (for caching)
    */
@@ -0,0 +1,169 @@
+/**
+ * OCR Metrics
+ * Accuracy measures for comparing OCR output and detected elements with ground truth
+ * (see scripts/ocr-benchmark.js)
+ *
+ *   - CER / WER: edit distance over characters / words, divided by the reference length
+ *   - Box IoU: intersection over union of matched element boxes
+ *   - Element types: per-type precision and recall over boxes matched by IoU
+ *
+ * Boxes are [x1, y1, x2, y2] in the same space on both sides (image pixels in the benchmark).
+ */
+
+/**
+ * Levenshtein distance between two strings or arrays
+ * @param {string|Array} a
+ * @param {string|Array} b
+ * @returns {number} Insertions, deletions and substitutions turning a into b
+ */
+export function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Collapse whitespace (line breaks count as word separators)
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeText(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Character error rate
+ * @param {string} reference - Ground-truth text
+ * @param {string} hypothesis - Recognized text
+ * @returns {number} Character edits per reference character (0 = exact; can exceed 1)
+ */
+export function characterErrorRate(reference, hypothesis) {
+  const ref = normalizeText(reference);
+  const hyp = normalizeText(hypothesis);
+  if (ref.length === 0) return hyp.length === 0 ? 0 : 1;
+  return editDistance(ref, hyp) / ref.length;
+}
+
+/**
+ * Word error rate
+ * @param {string} reference - Ground-truth text
+ * @param {string} hypothesis - Recognized text
+ * @returns {number} Word edits per reference word (0 = exact; can exceed 1)
+ */
+export function wordErrorRate(reference, hypothesis) {
+  const ref = normalizeText(reference).split(' ').filter(Boolean);
+  const hyp = normalizeText(hypothesis).split(' ').filter(Boolean);
+  if (ref.length === 0) return hyp.length === 0 ? 0 : 1;
+  return editDistance(ref, hyp) / ref.length;
+}
+
+/**
+ * Intersection over union of two boxes
+ * @returns {number} 0-1
+ */
+export function boxIoU(a, b) {
+  const width = Math.min(a[2], b[2]) - Math.max(a[0], b[0]);
+  const height = Math.min(a[3], b[3]) - Math.max(a[1], b[1]);
+  if (width <= 0 || height <= 0) return 0;
+  const intersection = width * height;
+  const union = (a[2] - a[0]) * (a[3] - a[1]) + (b[2] - b[0]) * (b[3] - b[1]) - intersection;
+  return union > 0 ? intersection / union : 0;
+}
+
+/**
+ * Pair ground-truth and predicted boxes one to one, best IoU first
+ * @param {Array} truth - [{ bbox, ... }]
+ * @param {Array} predicted - [{ bbox, ... }]
+ * @param {number} minIoU - Pairs below this overlap are not matched (default 0.5)
+ * @returns {Object} { matches: [{ truth, predicted, iou }], unmatchedTruth, unmatchedPredicted }
+ */
+export function matchBoxes(truth, predicted, minIoU = 0.5) {
+  const candidates = [];
+  truth.forEach((t, ti) => predicted.forEach((p, pi) => {
+    const iou = boxIoU(t.bbox, p.bbox);
+    if (iou >= minIoU) candidates.push({ ti, pi, iou });
+  }));
+  candidates.sort((a, b) => b.iou - a.iou);
+
+  const usedTruth = new Set();
+  const usedPredicted = new Set();
+  const matches = [];
+  for (const { ti, pi, iou } of candidates) {
+    if (usedTruth.has(ti) || usedPredicted.has(pi)) continue;
+    usedTruth.add(ti);
+    usedPredicted.add(pi);
+    matches.push({ truth: truth[ti], predicted: predicted[pi], iou });
+  }
+
+  return {
+    matches,
+    unmatchedTruth: truth.filter((_, i) => !usedTruth.has(i)),
+    unmatchedPredicted: predicted.filter((_, i) => !usedPredicted.has(i))
+  };
+}
+
+/**
+ * Compare detected elements with ground-truth elements
+ * An element counts as correctly typed when its box matches a ground-truth box and
+ * the types agree; unmatched elements count against their type.
+ * @param {Array} truth - [{ type, bbox }]
+ * @param {Array} predicted - [{ type, bbox }]
+ * @param {number} minIoU - Box match threshold (default 0.5)
+ * @returns {Object} { meanIoU, boxPrecision, boxRecall, typePrecision, typeRecall (macro averages),
+ *   types: { [type]: { truePositives, falsePositives, falseNegatives, precision, recall } } }
+ */
+export function evaluateElements(truth, predicted, minIoU = 0.5) {
+  const { matches } = matchBoxes(truth, predicted, minIoU);
+  const types = {};
+  const count = (type, key) => {
+    types[type] = types[type] || { truePositives: 0, falsePositives: 0, falseNegatives: 0 };
+    types[type][key]++;
+  };
+
+  const correct = new Set();
+  for (const match of matches) {
+    if (match.truth.type === match.predicted.type) {
+      count(match.truth.type, 'truePositives');
+      correct.add(match.truth).add(match.predicted);
+    }
+  }
+  truth.filter(element => !correct.has(element)).forEach(element => count(element.type, 'falseNegatives'));
+  predicted.filter(element => !correct.has(element)).forEach(element => count(element.type, 'falsePositives'));
+
+  for (const stats of Object.values(types)) {
+    stats.precision = ratio(stats.truePositives, stats.truePositives + stats.falsePositives);
+    stats.recall = ratio(stats.truePositives, stats.truePositives + stats.falseNegatives);
+  }
+
+  const truthTypes = Object.values(types).filter(stats => stats.truePositives + stats.falseNegatives > 0);
+  const predictedTypes = Object.values(types).filter(stats => stats.truePositives + stats.falsePositives > 0);
+  return {
+    meanIoU: matches.length > 0 ? matches.reduce((sum, match) => sum + match.iou, 0) / matches.length : 0,
+    boxPrecision: ratio(matches.length, predicted.length),
+    boxRecall: ratio(matches.length, truth.length),
+    typePrecision: mean(predictedTypes.map(stats => stats.precision)),
+    typeRecall: mean(truthTypes.map(stats => stats.recall)),
+    types
+  };
+}
+
+/**
+ * Share of a total (1 when there is nothing to count)
+ */
+function ratio(part, total) {
+  return total > 0 ? part / total : 1;
+}
+
+function mean(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 1;
+}
@@ -1,6 +1,6 @@
 /**
  * Semantic Analyzer
- * Integrates YOLOv8 object detection + CLIP embeddings + DuckDB vector store
+ * Integrates UI-element detection (local ONNX model, pixel detector) + OCR + embeddings + DuckDB vector store
  * This is the NEW analyzer that replaces pure OCR for semantic understanding
  */
 
@@ -9,8 +9,23 @@ import { getPersistentSemanticIndex } from '../services/persistentSemanticIndex.
 import SemanticDescriptionGenerator from './semanticDescriptionGenerator.js';
 import { OCRAnalyzer } from './ocrAnalyzer.js';
 import { getOCRService } from '../services/ocrService.js';
+import { getCaptureService, cropImage } from '../services/captureService.js';
+import { getFrameChangeDetector, expandRegions, mergeRegionWords } from '../services/frameChangeDetector.js';
+import { getTableDetector } from '../services/tableDetector.js';
+import { getCodeReconstructor } from '../services/codeReconstructor.js';
+import { getClassificationRuleEngine } from '../services/classificationRules.js';
+import { getLayoutAnalyzer } from '../services/layoutAnalyzer.js';
+import { getVisualElementDetector } from '../services/visualElementDetector.js';
+import { getUIDetector } from '../services/uiDetector.js';
+import { getIconMatcher } from '../services/iconMatcher.js';
+import { getControlStateDetector } from '../services/controlStateDetector.js';
+import { imageToScreenBbox, computeVisibleRegion } from './coords.js';
+import { getDisplays, findDisplayForBounds } from './window-detector.js';
+import { getScreenEventBus } from '../services/screenEventBus.js';
+import { getWatchRuleEngine } from '../services/watchRules.js';
+import { normalizeLanguages } from './languages.js';
+import { buildLayout, layoutUnits, GRANULARITIES } from './textLayout.js';
 import crypto from 'crypto';
-import screenshot from 'screenshot-desktop';
 import path from 'path';
 import os from 'os';
 import fs from 'fs';
@@ -20,7 +35,18 @@ class SemanticAnalyzer {
     this.semanticIndex = null;
     this.ocrAnalyzer = new OCRAnalyzer(); // Legacy Tesseract fallback
     this.ocrService = getOCRService(); // New OCR service (Apple Vision + Windows OCR)
+    this.captureService = getCaptureService(); // Live screen or recorded images
+    this.frameDetector = getFrameChangeDetector(); // Skips OCR for unchanged frames
+    this.tableDetector = getTableDetector(); // Grid-aligned OCR text → tables
+    this.codeReconstructor = getCodeReconstructor(); // Monospace OCR text → code with indentation
+    this.classifier = getClassificationRuleEngine(); // Element types from JSON rule packs
+    this.layoutAnalyzer = getLayoutAnalyzer(); // Regions (menu bar, sidebar, ...) the elements hang from
+    this.visualDetector = getVisualElementDetector(); // Buttons, text fields, checkboxes, icons from pixels
+    this.uiDetector = getUIDetector(); // Local ONNX UI-detection model (optional)
+    this.iconMatcher = getIconMatcher(); // Names text-less icons from the icon library
+    this.stateDetector = getControlStateDetector(); // Checked, selected, disabled, focused from pixels
     this.useNewOCR = true; // Use new OCR service by default
+    this.granularity = process.env.SEMANTIC_GRANULARITY || 'line'; // OCR unit each element is made from
     this.initialized = false;
     this.descriptionGenerator = new SemanticDescriptionGenerator();
     this.tempDir = path.join(os.tmpdir(), 'thinkdrop-semantic-capture');
@@ -41,18 +67,10 @@ class SemanticAnalyzer {
     try {
       logger.info('🚀 Initializing Semantic Analyzer...');
       
-      // Initialize OCR service (Apple Vision on macOS, Windows OCR on Windows, Tesseract fallback)
+      // Log the OCR engines this machine can use (Apple Vision, Windows OCR, Tesseract, plugins)
       if (this.useNewOCR) {
-        console.log('🔍 Initializing new OCR service (Apple Vision/Windows OCR)...');
-        // OCR service doesn't need explicit initialization, but log that it's available
-        const platform = process.platform;
-        if (platform === 'darwin') {
-          console.log('🍎 Apple Vision OCR available');
-        } else if (platform === 'win32') {
-          console.log('🪟 Windows OCR available');
-        } else {
-          console.log('🐧 Tesseract OCR fallback (Linux)');
-        }
+        const engines = await this.ocrService.listEngines();
+        logger.debug('🔍 OCR engines', { engines: engines.map(e => `${e.name}${e.available ? '' : ' (unavailable)'}`) });
       }
       
       // OCR-only mode for fast, reliable text extraction
@@ -71,29 +89,46 @@ class SemanticAnalyzer {
   }
 
   /**
-   * Capture screenshot
+   * Capture screenshot through the capture service
+   * @param {Object} windowInfo - Target window (picks the display to capture when its bounds are known)
+   * @param {Object} options - Capture options
+   * @param {string|Object} options.capture - Optional per-request capture provider spec
+   * @param {Object} options.bounds - Optional screen rectangle the captured image covers
+   * @param {Object} options.display - Optional display to capture (defaults to the primary display)
+   * @returns {Promise<Object|null>} Capture {path, buffer, width, height, provider, ...}
    * @private
    */
-  async captureScreenshot(windowInfo = null) {
+  async captureScreenshot(windowInfo = null, options = {}) {
+    const { capture: captureSpec = null, bounds = null, display = null } = options;
     try {
-      const timestamp = Date.now();
-      const screenshotPath = path.join(this.tempDir, `screenshot-${timestamp}.png`);
-      
-      logger.info('📸 Capturing screenshot...');
+      const provider = this.captureService.resolveProvider(captureSpec);
+      logger.info(`📸 Capturing screenshot (provider: ${provider.name})...`);
       
       // CRITICAL: Wait 300ms to allow UI overlays (ThinkDrop panel) to hide
       // Main app hides the guide window before calling this service
-      await new Promise(resolve => setTimeout(resolve, 300));
+      // Recorded images don't need the delay
+      if (provider.isLive) {
+        await new Promise(resolve => setTimeout(resolve, 300));
+      }
+
+      // Live captures always cover a known display, so OCR pixels can be mapped to
+      // logical screen points (Retina captures are 2x the window coordinates)
+      // (the target window's display, else the primary display)
+      let captureDisplay = display;
+      if (provider.isLive && !display && !bounds) {
+        const displays = await getDisplays();
+        captureDisplay = Number.isFinite(windowInfo?.x) && windowInfo.width > 0
+          ? findDisplayForBounds(windowInfo, displays)
+          : displays.find(d => d.primary) || displays[0] || null;
+      }
       
-      // Capture full screen
-      // Note: We capture full screen because:
-      // 1. The main app already hides ThinkDrop AI panel before calling this
-      // 2. Full screen gives better context for semantic understanding
-      // 3. OCR works better with full screen context
-      await screenshot({ filename: screenshotPath });
+      // Capture the full display
+      // Note: The main app already hides ThinkDrop AI panel before calling this.
+      // captureAndAnalyze() crops to the target window afterwards.
+      const capture = await provider.capture({ bounds, display: captureDisplay });
       
-      logger.info(`💾 Screenshot saved: ${screenshotPath}`);
-      return screenshotPath;
+      logger.info(`💾 Screenshot saved: ${capture.path}`);
+      return capture;
     } catch (error) {
       logger.error('❌ Screenshot capture failed:', error);
       return null;
@@ -104,92 +139,289 @@ class SemanticAnalyzer {
    * Capture and analyze screen with semantic understanding
    * @param {Object} options - Analysis options
    * @param {string} options.userQuery - Optional user query for context
+   * @param {string|Object} options.capture - Optional capture provider spec (e.g. { provider: 'file', path })
+   * @param {Object} options.bounds - Optional screen rectangle {x, y, width, height} covered by the image;
+   *   OCR boxes are mapped into this rectangle so they stay in screen coordinates
+   * @param {Object} options.display - Optional display to capture; boxes are reported in global
+   *   virtual-desktop coordinates (display origin + position)
+   * @param {boolean} options.cropToWindow - Crop to the visible part of windowInfo's bounds (default: true)
+   * @param {Array} options.occluders - Bounds of windows stacked above the target window
+   * @param {boolean} options.detectChanges - Compare against the window's previous frame: reuse its
+   *   screenId when nothing changed, re-OCR only changed tiles otherwise (default: true); only
+   *   when the previous frame was read with the same engines, languages, preset and refinement
+   * @param {boolean} options.saveDebugResult - Write the screen state to test-results/ocr (default: true)
+   * @param {Array<string>} options.ocrEngines - OCR engine chain for this capture (default: the app's
+   *   chain from OCR_ENGINES_CONFIG, else the default chain)
+   * @param {Array<string>|string} options.languages - OCR languages (Tesseract codes, 'auto' = detect;
+   *   default: the app's languages from OCR_ENGINES_CONFIG, else the detected script or OCR_LANGUAGES)
+   * @param {string|boolean} options.preprocess - OCR preprocessing preset (false = none; default: the app's
+   *   preset from OCR_ENGINES_CONFIG, else OCR_PREPROCESS)
+   * @param {boolean} options.refine - Re-read low-confidence OCR lines at a higher resolution (default:
+   *   true unless OCR_REFINE=false)
+   * @param {string} options.granularity - Create one element per 'word', 'line' (run of words in a line),
+   *   'paragraph' or 'block' of OCR text (default: SEMANTIC_GRANULARITY or 'line')
+   * @param {Function} options.onPartial - Receives early OCR words while a full frame is read in tiles:
+   *   ({ words: [{text, bbox (screen), physicalBbox, confidence}], progress: { done, total }, engine })
    * @returns {Promise<Object>} Analysis result with semantic elements
    */
   async captureAndAnalyze(options = {}) {
     await this.init();
 
     const startTime = Date.now();
-    const { windowInfo = {}, debounce = true, userQuery = null, skipEmbedding = false } = options;
+    const {
+      windowInfo = {},
+      debounce = true,
+      userQuery = null,
+      skipEmbedding = false,
+      capture: captureSpec = null,
+      bounds = null,
+      display = null,
+      cropToWindow = true,
+      occluders = [],
+      detectChanges = true,
+      saveDebugResult = true,
+      ocrEngines = null,
+      languages = null,
+      preprocess = null,
+      refine = null,
+      granularity = this.granularity,
+      onPartial = null
+    } = options;
+    if (!GRANULARITIES.includes(granularity)) {
+      throw new Error(`Unknown granularity: ${granularity} (use ${GRANULARITIES.join(', ')})`);
+    }
+    const ocrOptions = { engines: ocrEngines, app: windowInfo.appName || null, languages, preprocess, refine };
 
+    let capture = null;
     try {
       logger.info('📸 Capturing screen for semantic analysis...');
       
       // 1. Capture screenshot
       const screenshotStart = Date.now();
-      const screenshotPath = await this.captureScreenshot(windowInfo);
+      capture = await this.captureScreenshot(windowInfo, { capture: captureSpec, bounds, display });
       const screenshotTime = Date.now() - screenshotStart;
       logger.info(`⏱️  Screenshot captured in ${screenshotTime}ms`);
-      if (!screenshotPath) {
+      if (!capture) {
         throw new Error('Failed to capture screenshot');
       }
 
+      // 1b. Crop to the target window so background windows aren't indexed under its app name
+      if (cropToWindow) {
+        capture = await this._cropToWindow(capture, windowInfo, occluders);
+      }
+      const screenshotPath = capture.path;
+
+      // 1c. Compare with the previous frame of this window (perceptual tile hashes)
+      let frameKey = null;
+      let signature = null;
+      let change = null;
+      if (detectChanges && this.frameDetector.enabled) {
+        try {
+          frameKey = this.frameDetector.keyFor(windowInfo, capture);
+          signature = await this.frameDetector.computeSignature(capture.buffer);
+          change = this.frameDetector.compare(frameKey, signature);
+          logger.info(`🧮 Frame ${change.status} (${Math.round(change.dirtyRatio * 100)}% dirty, ${change.dirtyRegions.length} region(s))`);
+        } catch (hashError) {
+          logger.warn('⚠️  Frame hashing failed, analyzing the full frame:', hashError.message);
+          frameKey = null;
+        }
+      }
+
+      // The previous frame's text is only reused when it was read with the same engine chain,
+      // languages, preset and refinement as this request asks for
+      let ocrSettings = null;
+      if (frameKey) {
+        try {
+          ocrSettings = await this.ocrService.settingsKey(ocrOptions);
+        } catch (settingsError) {
+          logger.warn('⚠️  Could not resolve OCR settings, analyzing the full frame:', settingsError.message);
+        }
+      }
+      const reuseText = Boolean(ocrSettings) && change?.previous?.ocrSettings === ocrSettings;
+      if (!reuseText && (change?.status === 'unchanged' || change?.status === 'partial')) {
+        logger.info('🧮 Previous frame was read with other OCR settings, running full OCR');
+      }
+
+      // (a different granularity rebuilds the elements from the cached words instead)
+      if (reuseText && change.status === 'unchanged' && change.previous.granularity === granularity) {
+        const reused = await this._reuseUnchangedFrame(change.previous, { skipEmbedding, startTime });
+        if (reused) {
+          this.frameDetector.remember(frameKey, { ...change.previous, signature });
+          return reused;
+        }
+      }
+
       // 2. Run OCR to extract text (Apple Vision on macOS, Tesseract on Windows/Linux)
+      // Partially changed frames only re-OCR the dirty regions
       const ocrStart = Date.now();
-      logger.info('📝 Running OCR to extract text...');
       let ocrWords = [];
+      let pixelWords = null; // OCR words in image pixels (cached for the next frame)
       let ocrTime = 0;
       let ocrMethod = 'none';
-      
-      try {
-        let ocrResult = null;
-        
-        // Use new OCR service (Apple Vision + Windows OCR + Tesseract)
-        if (this.useNewOCR) {
-          try {
-            console.log('🔍 Using new OCR service (Apple Vision/Windows OCR/Tesseract)...');
-            ocrResult = await this.ocrService.analyze(screenshotPath);
-            ocrMethod = ocrResult.source || 'unknown';
-            console.log(`✅ OCR succeeded with ${ocrMethod}`);
-            console.log('[OCR_RESULT] ocrResult', ocrResult);
-            
-          } catch (newOCRError) {
-            console.log('⚠️  New OCR service failed, falling back to legacy Tesseract:', newOCRError.message);
-            // Fall through to legacy Tesseract
-          }
-        }
-        
-        // Fallback to legacy Tesseract if new OCR failed or disabled
-        if (!ocrResult) {
-          logger.info('📖 Using legacy Tesseract OCR...');
-          await this.ocrAnalyzer.init();
-          ocrResult = await this.ocrAnalyzer.analyze(screenshotPath);
-          ocrMethod = 'tesseract_legacy';
+      let ocrLanguages = null; // Language set the text was read with (drives the heuristics)
+      let ocrPreprocessing = null; // Preset and stages the image was cleaned up with
+      let ocrBlocks = null; // Block/paragraph/line structure from the engine (image pixels)
+      let ocrRefinement = null; // Low-confidence lines read again, with confidence before and after
+
+      if (reuseText && change.status === 'unchanged' && change.previous.words) {
+        pixelWords = change.previous.words;
+        ocrMethod = 'cached';
+        ocrLanguages = change.previous.languages || null;
+      } else if (reuseText && change.status === 'partial' && change.previous.words) {
+        try {
+          // Regions are read with the frame's languages instead of detecting a script per region
+          const regionOptions = { ...ocrOptions, languages: languages || change.previous.languages || null };
+          ({ words: pixelWords, method: ocrMethod, preprocessing: ocrPreprocessing } = await this._ocrDirtyRegions(capture, change, regionOptions));
+          ocrLanguages = regionOptions.languages;
+        } catch (regionError) {
+          logger.warn('⚠️  Region OCR failed, running full OCR:', regionError.message);
         }
-        
-        // Convert OCR result to word format
-        if (ocrResult && ocrResult.words && ocrResult.words.length > 0) {
-          ocrWords = ocrResult.words.map(word => ({
-            text: word.text,
-            bbox: word.bbox,
-            confidence: word.confidence
-          }));
-          ocrTime = Date.now() - ocrStart;
-          logger.info(`✅ OCR extracted ${ocrWords.length} words in ${ocrTime}ms (method: ${ocrMethod})`);
-        } else {
-          logger.warn('⚠️  OCR found no text');
+      }
+
+      if (!pixelWords) {
+        logger.info('📝 Running OCR to extract text...');
+        try {
+          const fullOptions = onPartial
+            ? { ...ocrOptions, onPartial: partial => onPartial({ ...partial, words: this._toScreenWords(partial.words, capture) }) }
+            : ocrOptions;
+          ({
+            words: pixelWords,
+            blocks: ocrBlocks,
+            method: ocrMethod,
+            languages: ocrLanguages,
+            preprocessing: ocrPreprocessing,
+            refinement: ocrRefinement
+          } = await this._runOCR(screenshotPath, fullOptions));
+        } catch (ocrError) {
+          logger.warn('⚠️  All OCR methods failed, continuing without text:', ocrError.message);
         }
-      } catch (ocrError) {
-        logger.warn('⚠️  All OCR methods failed, continuing without text:', ocrError.message);
       }
 
-      // 3. OCR-only mode - no visual detection needed
-      // Elements are inferred from OCR text + heuristics
-      const detections = [];
-      const detectionMethod = 'ocr-heuristic';
-      logger.info('📝 Using OCR + heuristic-based element classification');
+      // Group words at the requested granularity, then convert to screen coordinates
+      // (image pixels → points when bounds are known)
+      if (pixelWords && pixelWords.length > 0) {
+        ocrWords = this._toScreenWords(this._ocrUnits(pixelWords, ocrBlocks, granularity), capture);
+        ocrTime = Date.now() - ocrStart;
+        logger.info(`✅ OCR extracted ${pixelWords.length} words (${ocrWords.length} ${granularity} units) in ${ocrTime}ms (method: ${ocrMethod})`);
+      } else {
+        logger.warn('⚠️  OCR found no text');
+      }
+
+      // 3. Elements are inferred from OCR text + classification rule packs, and controls
+      // without text (icons, empty fields, checkboxes) are found by the UI-detection model
+      // (when one is installed) and in the pixels
+      let detections = [];
+      logger.info('📝 Using OCR + rule-based element classification');
 
-      // 4. Create elements from OCR words with heuristic classification
+      // 4. Create elements from OCR words with rule-based classification
       const mergeStart = Date.now();
-      const elements = this._createElementsFromOCR(ocrWords);
+      const geometry = this._captureGeometry(capture);
+      let elements = this._createElementsFromOCR(ocrWords, geometry, ocrLanguages, granularity, windowInfo);
       const mergeTime = Date.now() - mergeStart;
       logger.info(`⏱️  Created ${elements.length} elements from OCR in ${mergeTime}ms`);
 
+      // 4a. Controls drawn in the capture (buttons, text fields, checkboxes, icons, separators),
+      // with the OCR text inside or beside them folded in. Model detections come first; the
+      // pixel detector adds the controls the model did not find.
+      if (capture.buffer) {
+        const toScreen = bbox => capture.bounds ? imageToScreenBbox(bbox, capture, capture.bounds) : bbox;
+        try {
+          detections = await this.uiDetector.detect(capture.buffer, { toScreen });
+        } catch (modelError) {
+          logger.warn('⚠️  UI detector failed:', modelError.message);
+        }
+        if (this.visualDetector.enabled) {
+          try {
+            const shapes = await this.visualDetector.detect(capture.buffer, {
+              devicePixelRatio: geometry.devicePixelRatio,
+              textBoxes: elements.map(el => el.physicalBbox).filter(Boolean),
+              toScreen
+            });
+            detections = [
+              ...detections,
+              ...shapes.filter(shape => !detections.some(found => this._iou(found.physicalBbox, shape.physicalBbox) >= 0.5))
+            ];
+          } catch (visualError) {
+            logger.warn('⚠️  Visual element detection failed:', visualError.message);
+          }
+        }
+        if (detections.length > 0) {
+          elements = this._mergeVisualElements(elements, this.visualDetector.attachText(detections, elements), geometry);
+        }
+
+        // Text-less icons and icon buttons (gear, trash, share, ...) named from the icon library
+        if (this.iconMatcher.enabled) {
+          try {
+            elements = await this._matchIcons(capture.buffer, elements, geometry);
+          } catch (iconError) {
+            logger.warn('⚠️  Icon matching failed:', iconError.message);
+          }
+        }
+      }
+
+      // 4b. Tables: cells aligned in rows and columns (refined by ruling lines in the capture)
+      let tables = [];
+      if (this.tableDetector.enabled) {
+        try {
+          tables = await this.tableDetector.detect(elements, {
+            image: capture.buffer,
+            toScreen: bbox => capture.bounds ? imageToScreenBbox(bbox, capture, capture.bounds) : bbox
+          });
+          this._attachTables(elements, tables);
+        } catch (tableError) {
+          logger.warn('⚠️  Table detection failed:', tableError.message);
+        }
+      }
+
+      // 4c. Code and terminal text: monospace regions rebuilt with indentation and line breaks
+      // (from the OCR words, whatever the granularity)
+      let codeBlocks = [];
+      if (this.codeReconstructor.enabled && pixelWords?.length > 0) {
+        try {
+          codeBlocks = this.codeReconstructor.reconstruct(pixelWords, {
+            toScreen: bbox => capture.bounds ? imageToScreenBbox(bbox, capture, capture.bounds) : bbox,
+            app: windowInfo.appName,
+            windowTitle: windowInfo.title
+          });
+        } catch (codeError) {
+          logger.warn('⚠️  Code reconstruction failed:', codeError.message);
+        }
+      }
+
+      // 4d. Layout: menu bar, toolbar, sidebar, list, content pane, dialog and footer regions
+      // (gives elements their parent region and hierarchy path)
+      let layout = [];
+      if (this.layoutAnalyzer.enabled && elements.length > 0) {
+        try {
+          layout = await this.layoutAnalyzer.analyze(elements, {
+            image: capture.buffer,
+            size: geometry.captureDimensions,
+            toScreen: bbox => capture.bounds ? imageToScreenBbox(bbox, capture, capture.bounds) : bbox
+          });
+          this._attachLayout(elements, layout);
+        } catch (layoutError) {
+          logger.warn('⚠️  Layout analysis failed:', layoutError.message);
+        }
+      }
+
+      // 4e. Control states: checked, selected, disabled and focused (after the layout, since
+      // selection compares an element with its siblings)
+      if (capture.buffer && this.stateDetector.enabled && elements.length > 0) {
+        try {
+          const states = await this.stateDetector.detect(capture.buffer, elements, {
+            devicePixelRatio: geometry.devicePixelRatio
+          });
+          this._attachStates(elements, states);
+        } catch (stateError) {
+          logger.warn('⚠️  Control state detection failed:', stateError.message);
+        }
+      }
+
       // 5. Build screen state for indexing
       const buildStart = Date.now();
       console.log('🏗️  [BEFORE BUILD] About to call _buildScreenState with windowInfo:', JSON.stringify(windowInfo, null, 2));
       console.log('🏗️  [BEFORE BUILD] Elements count:', elements.length);
-      const screenState = await this._buildScreenState(elements, windowInfo);
+      const screenState = await this._buildScreenState(elements, windowInfo, geometry, tables, layout);
       console.log('🏗️  [AFTER BUILD] screenState.app:', screenState.app);
       console.log('🏗️  [AFTER BUILD] screenState.windowTitle:', screenState.windowTitle);
       const buildTime = Date.now() - buildStart;
@@ -225,6 +457,7 @@ class SemanticAnalyzer {
         await this.semanticIndex.indexScreenState(screenState);
         indexTime = Date.now() - indexStart;
         logger.info(`⏱️  Indexed in DuckDB in ${indexTime}ms`);
+        this._publishIndexed(screenState, indexTime);
         
         // Mark as having embeddings in cache
         if (!this.ocrCache) this.ocrCache = new Map();
@@ -242,40 +475,47 @@ class SemanticAnalyzer {
       logger.info(`✅ Semantic analysis complete in ${elapsed}ms`);
       logger.info(`📊 Timing breakdown: Screenshot=${screenshotTime}ms, OCR=${ocrTime}ms, Classification=${mergeTime}ms, Build=${buildTime}ms, Index=${indexTime}ms`);
 
-      // 🧪 DEBUG: Save OCR result to JSON file for testing
-      try {
-        // Use path.dirname to get current directory in ES modules
-        const currentDir = path.dirname(new URL(import.meta.url).pathname);
-        const testDir = path.join(currentDir, '../../test-results/ocr');
+      // 🧪 DEBUG: Save OCR result to JSON file for testing (background watcher captures opt out)
+      if (saveDebugResult) {
+        try {
+          // Use path.dirname to get current directory in ES modules
+          const currentDir = path.dirname(new URL(import.meta.url).pathname);
+          const testDir = path.join(currentDir, '../../test-results/ocr');
         
-        // Create directory if it doesn't exist
-        if (!fs.existsSync(testDir)) {
-          fs.mkdirSync(testDir, { recursive: true });
-        }
+          // Create directory if it doesn't exist
+          if (!fs.existsSync(testDir)) {
+            fs.mkdirSync(testDir, { recursive: true });
+          }
         
-        // Save with timestamp
-        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-        const filename = `ocr-result-${timestamp}.json`;
-        const filepath = path.join(testDir, filename);
+          // Save with timestamp
+          const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+          const filename = `ocr-result-${timestamp}.json`;
+          const filepath = path.join(testDir, filename);
         
-        fs.writeFileSync(filepath, 
-          JSON.stringify({ 
-            ...screenState, 
-            nodes: screenState.nodes.map(node => ({ ...node, embedding: [] }))
-          }, null, 2));
-        console.log(`🧪 [DEBUG] OCR result saved to: ${filepath}`);
-      } catch (saveError) {
-        console.warn('⚠️  Failed to save OCR debug file:', saveError.message);
+          fs.writeFileSync(filepath, 
+            JSON.stringify({ 
+              ...screenState, 
+              nodes: screenState.nodes.map(node => ({ ...node, embedding: [] }))
+            }, null, 2));
+          console.log(`🧪 [DEBUG] OCR result saved to: ${filepath}`);
+        } catch (saveError) {
+          console.warn('⚠️  Failed to save OCR debug file:', saveError.message);
+        }
       }
 
-      return {
+      const result = {
         success: true,
         screenId: screenState.id, // Include screen ID for semantic search filtering
         elements,
         capturedText,
         docType: this._inferDocType(elements),
-        structures: this._extractStructures(elements),
+        structures: this._extractStructures(elements, tables),
+        tables, // Detected tables with cells, CSV and JSON
+        codeBlocks, // Code and terminal regions with indentation, language and commands
+        layout, // Regions (menu bar, toolbar, sidebar, ...) with their parents and elements
         zones: this._extractZones(elements),
+        devicePixelRatio: geometry.devicePixelRatio,
+        crop: capture.crop || null, // Screen rectangle analyzed (visible part of the target window)
         stats: {
           totalElements: elements.length,
           clickable: elements.filter(el => el.clickable).length,
@@ -283,17 +523,47 @@ class SemanticAnalyzer {
         },
         reconstruction: capturedText,
         // LLM-friendly context (simple text, no embeddings needed)
-        llmContext: this._buildLLMContext(elements, windowInfo),
+        llmContext: this._buildLLMContext(elements, windowInfo, tables, codeBlocks, layout),
         confidence: this._calculateConfidence(detections),
         method: 'semantic-detr',
+        ocr: { engine: ocrMethod, languages: ocrLanguages, preprocessing: ocrPreprocessing, refinement: ocrRefinement, granularity },
+        display: capture.display, // Display the boxes were captured on (global coordinates)
         fromCache: false,
+        frameChange: change ? { status: change.status, dirtyRatio: change.dirtyRatio, dirtyRegions: change.dirtyRegions.length } : null,
         elapsed,
         timestamp: new Date().toISOString()
       };
 
+      // Remember this frame so the next capture of the window can skip unchanged work
+      // (not when OCR failed or returned unpositioned text - nothing to patch then)
+      if (frameKey && pixelWords && this._canPatchWords(pixelWords)) {
+        this.frameDetector.remember(frameKey, {
+          signature,
+          screenId: screenState.id,
+          words: pixelWords,
+          languages: ocrLanguages,
+          ocrSettings,
+          granularity,
+          result,
+          indexed: !skipEmbedding
+        });
+      }
+
+      this._publishContentEvents(screenState, elements, change);
+
+      // Watch rules run in the background - a slow webhook must not delay the response
+      getWatchRuleEngine().evaluate(screenState).catch(error => {
+        logger.warn('⚠️  Watch rule evaluation failed', { screenId: screenState.id, error: error.message });
+      });
+
+      return result;
+
     } catch (error) {
       logger.error('❌ Semantic analysis failed:', error);
       throw error;
+    } finally {
+      // The image is in memory (capture.buffer); drop its temp file(s)
+      await capture?.cleanup?.();
     }
   }
 
@@ -335,6 +605,7 @@ class SemanticAnalyzer {
       
       const elapsed = Date.now() - startTime;
       logger.info(`✅ Generated embeddings in ${elapsed}ms (saved ~${Math.round(age/1000)}s by reusing OCR)`);
+      this._publishIndexed(cacheEntry.screenState, elapsed);
       
       // Update cache to mark embeddings as generated
       cacheEntry.hasEmbeddings = true;
@@ -346,11 +617,302 @@ class SemanticAnalyzer {
     }
   }
 
+  /**
+   * Publish screen.changed (with a text diff against the window's previous frame)
+   * and text.appeared for words that weren't there before
+   * @param {Object} screenState - New screen state
+   * @param {Array} elements - Its elements
+   * @param {Object|null} change - Frame comparison from frameDetector.compare()
+   * @private
+   */
+  _publishContentEvents(screenState, elements, change) {
+    const bus = getScreenEventBus();
+    const meta = { screenId: screenState.id, app: screenState.app, title: screenState.windowTitle };
+    const previousElements = change?.previous?.result?.elements || null;
+    const { added, removed } = diffElementText(previousElements || [], elements);
+
+    bus.publish('screen.changed', {
+      ...meta,
+      url: screenState.url,
+      displayId: screenState.displayId,
+      previousScreenId: change?.previous?.screenId || null,
+      change: {
+        status: change?.status || 'unknown',
+        dirtyRatio: change?.dirtyRatio ?? null,
+        dirtyRegions: change?.dirtyRegions.length ?? null,
+        addedText: added.length,
+        removedText: removed.length
+      }
+    });
+
+    // Without a previous frame everything is "new" - not worth announcing word by word
+    if (previousElements && added.length > 0) {
+      bus.publish('text.appeared', {
+        ...meta,
+        texts: added.slice(0, 50).map(el => ({ text: el.text, bbox: el.bbox })),
+        total: added.length
+      });
+    }
+  }
+
+  /**
+   * @private
+   */
+  _publishIndexed(screenState, indexTime) {
+    getScreenEventBus().publish('index.completed', {
+      screenId: screenState.id,
+      app: screenState.app,
+      title: screenState.windowTitle,
+      nodes: screenState.nodes.length,
+      indexTime
+    });
+  }
+
+  /**
+   * Run OCR on an image file
+   * @param {string} imagePath - Image to read
+   * @param {Object} ocrOptions - Engine chain, language and preprocessing selection for OCRService.analyze
+   *   ({ engines, app, languages, preprocess, refine })
+   * @returns {Promise<Object>} { words: [{text, bbox: [x1, y1, x2, y2], confidence, confidenceBefore}] in image pixels,
+   *   blocks (textLayout.js, image pixels), method, languages, preprocessing, refinement }
+   * @private
+   */
+  async _runOCR(imagePath, ocrOptions = {}) {
+    // Use new OCR service (Apple Vision + Windows OCR + Tesseract)
+    if (this.useNewOCR) {
+      try {
+        logger.debug('🔍 Using OCR engine chain (Apple Vision/Windows OCR/Tesseract/plugins)');
+        const ocrResult = await this.ocrService.analyze(imagePath, ocrOptions);
+        logger.debug('✅ OCR succeeded', { engine: ocrResult.source || 'unknown' });
+        return {
+          words: ocrResult.words || [],
+          blocks: ocrResult.blocks || null,
+          method: ocrResult.source || 'unknown',
+          languages: ocrResult.languages || null,
+          preprocessing: ocrResult.preprocessing || null,
+          refinement: ocrResult.refinement || null
+        };
+      } catch (newOCRError) {
+        console.log('⚠️  New OCR service failed, falling back to legacy Tesseract:', newOCRError.message);
+        // Fall through to legacy Tesseract
+      }
+    }
+
+    // Fallback to legacy Tesseract if new OCR failed or disabled
+    logger.info('📖 Using legacy Tesseract OCR...');
+    const legacyLanguages = normalizeLanguages(ocrOptions.languages === 'auto' ? null : ocrOptions.languages);
+    await this.ocrAnalyzer.init();
+    const ocrResult = await this.ocrAnalyzer.analyze(imagePath, { languages: legacyLanguages });
+    return { words: ocrResult?.words || [], blocks: null, method: 'tesseract_legacy', languages: legacyLanguages, preprocessing: null, refinement: null };
+  }
+
+  /**
+   * Create elements from an OCR result without capturing or indexing (benchmarks, offline analysis)
+   * @param {Object} ocrResult - OCRService.analyze() result ({ words, blocks, languages })
+   * @param {Object} imageSize - { width, height } of the image that was read
+   * @param {Object} options - { granularity, app, windowTitle, url } (the window selects the rule packs)
+   * @returns {Array} Elements as in captureAndAnalyze() (bbox = physicalBbox = image pixels)
+   */
+  elementsFromOCR(ocrResult, imageSize, options = {}) {
+    const granularity = options.granularity || this.granularity;
+    const capture = { width: imageSize.width, height: imageSize.height, bounds: null };
+    const words = ocrResult.words || [];
+    if (words.length === 0) return [];
+
+    const units = this._toScreenWords(this._ocrUnits(words, ocrResult.blocks || null, granularity), capture);
+    const windowInfo = { appName: options.app, title: options.windowTitle, url: options.url };
+    return this._createElementsFromOCR(units, this._captureGeometry(capture), ocrResult.languages || null, granularity, windowInfo);
+  }
+
+  /**
+   * Units of OCR text that elements are created from
+   * @param {Array} pixelWords - OCR words in image pixels
+   * @param {Array} blocks - Engine layout (image pixels), or null to cluster the words
+   * @param {string} granularity - 'word' | 'line' | 'paragraph' | 'block'
+   * @returns {Array} [{text, bbox, confidence, confidenceBefore}] in image pixels (confidenceBefore is set
+   *   when the refinement pass re-read some of the unit's words)
+   * @private
+   */
+  _ocrUnits(pixelWords, blocks, granularity) {
+    // Unpositioned text can't be grouped (and becomes a single fallback element anyway)
+    if (granularity === 'word' || !this._canPatchWords(pixelWords)) {
+      return pixelWords;
+    }
+    return layoutUnits(blocks || buildLayout(pixelWords), granularity).map(unit => {
+      if (!unit.words.some(word => word.confidenceBefore !== undefined)) {
+        return unit;
+      }
+      const before = unit.words.reduce((sum, word) => sum + (word.confidenceBefore ?? word.confidence ?? 0), 0);
+      return { ...unit, confidenceBefore: before / unit.words.length };
+    });
+  }
+
+  /**
+   * Convert OCR words to screen coordinates (image pixels → points when bounds are known)
+   * @param {Array} pixelWords - [{text, bbox, confidence}] in image pixels
+   * @param {Object} capture - Capture the words were read from
+   * @returns {Array} [{text, bbox, physicalBbox, confidence, confidenceBefore}]
+   * @private
+   */
+  _toScreenWords(pixelWords, capture) {
+    return pixelWords.map(word => ({
+      text: word.text,
+      bbox: capture.bounds ? imageToScreenBbox(word.bbox, capture, capture.bounds) : word.bbox,
+      physicalBbox: word.bbox,
+      confidence: word.confidence,
+      confidenceBefore: word.confidenceBefore
+    }));
+  }
+
+  /**
+   * Re-OCR only the changed regions of a frame and merge with the previous frame's words
+   * @param {Object} capture - Current capture
+   * @param {Object} change - Result of frameDetector.compare() with status 'partial'
+   * @param {Object} ocrOptions - Engine chain selection (see _runOCR)
+   * @returns {Promise<Object>} { words (image pixels), method, preprocessing (of the last region) }
+   * @private
+   */
+  async _ocrDirtyRegions(capture, change, ocrOptions = {}) {
+    const cachedWords = change.previous.words;
+    const regions = expandRegions(change.dirtyRegions, cachedWords, capture);
+    logger.info(`🧩 Re-running OCR on ${regions.length} changed region(s), keeping ${cachedWords.length} cached words elsewhere`);
+
+    const regionWords = [];
+    let method = 'none';
+    let preprocessing = null;
+    for (const [index, region] of regions.entries()) {
+      const regionPath = path.join(this.tempDir, `region-${Date.now()}-${index}.png`);
+      fs.writeFileSync(regionPath, await cropImage(capture.buffer, region));
+      try {
+        const ocr = await this._runOCR(regionPath, ocrOptions);
+        method = ocr.method;
+        preprocessing = ocr.preprocessing;
+        regionWords.push({
+          region,
+          words: ocr.words.map(word => ({
+            ...word,
+            bbox: [word.bbox[0] + region.x, word.bbox[1] + region.y, word.bbox[2] + region.x, word.bbox[3] + region.y]
+          }))
+        });
+      } finally {
+        fs.unlink(regionPath, () => {});
+      }
+    }
+
+    return { words: mergeRegionWords(cachedWords, regionWords), method: `${method}+cached`, preprocessing };
+  }
+
+  /**
+   * Answer an unchanged frame from the previous analysis of the same window
+   * @param {Object} previous - Remembered frame {screenId, result, indexed}
+   * @param {Object} options - { skipEmbedding, startTime }
+   * @returns {Promise<Object|null>} Previous result (same screenId), or null when it can't be reused
+   * @private
+   */
+  async _reuseUnchangedFrame(previous, { skipEmbedding, startTime }) {
+    if (!previous?.result) return null;
+
+    // The previous frame was only OCR'd; index it now if this caller needs embeddings
+    const cacheEntry = this.ocrCache?.get(previous.screenId);
+    if (cacheEntry) {
+      cacheEntry.timestamp = Date.now(); // Content verified current
+    }
+    if (!skipEmbedding && !previous.indexed) {
+      if (!(await this.generateEmbeddingsForCachedScreen(previous.screenId))) {
+        return null;
+      }
+      previous.indexed = true;
+    }
+
+    const elapsed = Date.now() - startTime;
+    logger.info(`♻️  Frame unchanged - reusing screen ${previous.screenId} (${elapsed}ms, OCR skipped)`);
+    return {
+      ...previous.result,
+      fromCache: true,
+      frameChange: { status: 'unchanged', dirtyRatio: 0, dirtyRegions: 0 },
+      elapsed,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Whether OCR words carry real boxes (the raw-text fallback reports all zeros)
+   * @private
+   */
+  _canPatchWords(words) {
+    return words.length === 0 || words.some(word => word.bbox && (word.bbox[2] > 0 || word.bbox[3] > 0));
+  }
+
+  /**
+   * Crop a capture to the visible part of the target window
+   * Parts covered by windows stacked above it are painted out so their text isn't read
+   * @param {Object} capture - Capture with screen bounds
+   * @param {Object} windowInfo - Target window {x, y, width, height}
+   * @param {Array} occluders - Bounds of windows above the target
+   * @returns {Promise<Object>} Cropped capture (or the original when the window bounds are unknown)
+   * @private
+   */
+  async _cropToWindow(capture, windowInfo, occluders = []) {
+    const { x, y, width, height } = windowInfo;
+    if (![x, y, width, height].every(Number.isFinite) || width <= 0 || height <= 0 || !capture.bounds) {
+      logger.info('🪟 No window bounds - analyzing the whole capture');
+      return capture;
+    }
+
+    const region = computeVisibleRegion({ x, y, width, height }, occluders, capture.bounds);
+    if (!region.bounds) {
+      throw new Error(`Window "${windowInfo.appName || 'Unknown'}" is not visible in the captured area`);
+    }
+
+    logger.info(`🪟 Cropping to ${windowInfo.appName || 'window'}: ${region.bounds.width}x${region.bounds.height} at (${region.bounds.x}, ${region.bounds.y}), ${Math.round(region.visibleRatio * 100)}% visible, ${region.hidden.length} masked area(s)`);
+    const cropped = await this.captureService.cropCapture(capture, region.bounds, { mask: region.hidden });
+    return { ...cropped, crop: { ...cropped.crop, visibleRatio: region.visibleRatio } };
+  }
+
+  /**
+   * Describe the coordinate spaces of a capture
+   * - captureDimensions: image size in physical pixels (what OCR sees)
+   * - screenDimensions: size of the captured area in logical screen points
+   * - origin: top-left of the captured area in global desktop coordinates
+   * - devicePixelRatio: physical pixels per logical point
+   * @private
+   */
+  _captureGeometry(capture) {
+    const captureDimensions = { width: capture.width, height: capture.height };
+    const bounds = capture.bounds;
+
+    if (!bounds || !bounds.width || !bounds.height) {
+      // Nothing known about the screen the image came from: treat pixels as points
+      return {
+        captureDimensions,
+        screenDimensions: { ...captureDimensions },
+        origin: { x: 0, y: 0 },
+        devicePixelRatio: 1,
+        displayId: capture.display?.id ?? null,
+        crop: null
+      };
+    }
+
+    return {
+      captureDimensions,
+      screenDimensions: { width: bounds.width, height: bounds.height },
+      origin: { x: bounds.x || 0, y: bounds.y || 0 },
+      devicePixelRatio: Math.round((capture.width / bounds.width) * 100) / 100,
+      displayId: capture.display?.id ?? null,
+      crop: capture.crop?.rect || null // Window area the capture was cropped to
+    };
+  }
+
   /**
    * Build screen state object for semantic indexing
+   * @param {Array} elements - Elements from _createElementsFromOCR()
+   * @param {Object} windowInfo - Target window (app, title, url)
+   * @param {Object} geometry - Capture geometry from _captureGeometry()
+   * @param {Array} tables - Tables from the table detector (indexed as table and row subtrees)
+   * @param {Array} layout - Regions from the layout analyzer (indexed as region subtrees)
    * @private
    */
-  async _buildScreenState(elements, windowInfo) {
+  async _buildScreenState(elements, windowInfo, geometry = null, tables = [], layout = []) {
     const screenId = crypto.randomUUID();
     const timestamp = Date.now();
 
@@ -364,20 +926,26 @@ class SemanticAnalyzer {
       text: el.text,
       description: el.description || `${el.type}: "${el.text}"`,
       bbox: el.bbox,
+      physicalBbox: el.physicalBbox,
       normalizedBbox: el.normalizedBbox,
       clickable: el.clickable,
       interactive: el.interactive,
       visible: el.visible,
       confidence: el.confidence,
       ocrConfidence: el.ocrConfidence,
+      ocrConfidenceBefore: el.ocrConfidenceBefore,
+      classificationConfidence: el.classificationConfidence,
+      rulesFired: el.rulesFired,
       detectionConfidence: el.detectionConfidence,
       parentId: el.parentId,
+      hierarchyPath: el.hierarchyPath,
       children: el.children,
       attributes: el.attributes,
       screenRegion: el.screenRegion,
       zIndex: el.zIndex,
       iconType: el.iconType,
       imageCaption: el.imageCaption,
+      state: el.state,
       embedding: null // Will be added by semanticIndex
     }));
 
@@ -392,24 +960,38 @@ class SemanticAnalyzer {
       app: windowInfo.appName || 'Unknown',
       windowTitle: windowInfo.title || '',
       url: windowInfo.url || null,
-      screenDimensions: {
+      // Logical size of the captured area; captureDimensions is the same area in pixels
+      screenDimensions: geometry?.screenDimensions || {
         width: windowInfo.width || 1920,
         height: windowInfo.height || 1080
       },
+      captureDimensions: geometry?.captureDimensions || null,
+      devicePixelRatio: geometry?.devicePixelRatio || 1,
+      captureOrigin: geometry?.origin || { x: 0, y: 0 },
+      displayId: geometry?.displayId ?? null,
+      cropRect: geometry?.crop || null,
       screenshotPath: null, // Will be set by caller if needed
       nodes, // Array of element nodes
       elements: nodes, // Also provide as 'elements' for compatibility
-      subtrees: [], // Could group related elements later
+      subtrees: [
+        ...this._layoutSubtrees(layout, nodes, windowInfo, timestamp),
+        ...this._tableSubtrees(tables, windowInfo, timestamp, layout)
+      ],
       description: screenDescription,
       embedding: null // Will be added by semanticIndex
     };
   }
 
   /**
-   * Create UI elements from OCR words using heuristic classification
+   * Create UI elements from OCR words, classified by the rule packs (classificationRules.js)
+   * @param {Array} ocrWords - Words with bbox (screen points) and physicalBbox (image pixels)
+   * @param {Object} geometry - Capture geometry from _captureGeometry()
+   * @param {Array<string>} languages - Languages the words were read in (selects the UI vocabulary)
+   * @param {string} granularity - OCR unit the "words" are (word, line, paragraph or block)
+   * @param {Object} windowInfo - Window the words were read from ({ appName, title, url } select app packs)
    * @private
    */
-  _createElementsFromOCR(ocrWords) {
+  _createElementsFromOCR(ocrWords, geometry = null, languages = null, granularity = 'word', windowInfo = {}) {
     if (!ocrWords || ocrWords.length === 0) {
       return []; // No OCR text to merge
     }
@@ -443,34 +1025,173 @@ class SemanticAnalyzer {
     }
 
     // Create elements from OCR words with enhanced heuristic classification
-    logger.info(`📝 Creating ${ocrWords.length} elements from OCR words`);
+    logger.info(`📝 Creating ${ocrWords.length} elements from OCR ${granularity}s`);
+    const origin = geometry?.origin || { x: 0, y: 0 };
+    const context = {
+      app: windowInfo?.appName || null,
+      title: windowInfo?.title || null,
+      url: windowInfo?.url || null,
+      languages
+    };
     return ocrWords.map((word, index) => {
-      const inferredType = this._inferElementTypeFromOCR(word);
-      const isClickable = this._isLikelyClickableFromOCR(word);
+      // Rules use sizes in points and positions relative to the captured area
+      const [x1, y1, x2, y2] = word.bbox;
+      const normalizedBbox = this._normalizeBbox(word.physicalBbox || word.bbox, geometry?.captureDimensions);
+      const classification = this.classifier.classify({
+        text: word.text,
+        bbox: [x1 - origin.x, y1 - origin.y, x2 - origin.x, y2 - origin.y],
+        normalizedBbox
+      }, context);
       const text = word.text || '';
       
       return {
-        id: `ocr-word-${Date.now()}-${index}`,
-        type: inferredType,
+        id: `ocr-${granularity}-${Date.now()}-${index}`,
+        type: classification.type,
         text: text,
-        description: `${inferredType}: "${text.substring(0, 50)}"`,
+        description: `${classification.type}: "${text.substring(0, 50)}"`,
         bbox: word.bbox,
-        normalizedBbox: this._normalizeBbox(word.bbox),
+        physicalBbox: word.physicalBbox || word.bbox,
+        normalizedBbox,
         confidence: word.confidence || 0.5,
-        clickable: isClickable,
-        interactive: isClickable,
+        clickable: classification.clickable,
+        interactive: classification.clickable,
         visible: true,
         parentId: null,
+        hierarchyPath: [], // Layout regions down to the element (set by _attachLayout)
         children: [],
         attributes: {},
         screenRegion: null,
         zIndex: 0,
+        classificationConfidence: classification.confidence, // Of the rule that set the type
+        rulesFired: classification.rulesFired, // 'pack/rule-id', highest priority first
         ocrConfidence: word.confidence || 0.5,
+        ocrConfidenceBefore: word.confidenceBefore ?? null, // Before the refinement pass re-read it (null = first reading kept)
         detectionConfidence: null,
         iconType: null,
-        imageCaption: null
+        imageCaption: null,
+        state: null // { checked, selected, disabled, focused } (set by _attachStates)
+      };
+    });
+  }
+
+  /**
+   * Add controls found by the UI detector or in the pixels as elements. The text inside a
+   * button or text field becomes its text (those OCR elements are folded into it); the label
+   * right of a checkbox or radio button becomes its text, and the label element its child.
+   * @param {Array} elements - Elements from _createElementsFromOCR()
+   * @param {Array} attached - Controls with their text from visualElementDetector.attachText()
+   * @param {Object} geometry - Capture geometry from _captureGeometry()
+   * @returns {Array} Elements without the folded OCR elements, followed by the controls
+   * @private
+   */
+  _mergeVisualElements(elements, attached, geometry) {
+    const folded = new Set();
+    const stamp = Date.now();
+    const controls = attached.map(({ shape, contained, label }, index) => {
+      const source = shape.source || 'visual';
+      const id = `${source}-${shape.type}-${stamp}-${index}`;
+      contained.forEach(el => folded.add(el));
+      if (label) label.parentId = id;
+
+      const text = contained.map(el => el.text).join(' ') || label?.text || '';
+      const interactive = this._isClickable(shape.type);
+      return {
+        id,
+        type: shape.type,
+        text,
+        description: text ? `${shape.type}: "${text.substring(0, 50)}"` : shape.type,
+        bbox: shape.bbox,
+        physicalBbox: shape.physicalBbox,
+        normalizedBbox: this._normalizeBbox(shape.physicalBbox, geometry?.captureDimensions),
+        confidence: shape.score,
+        clickable: interactive,
+        interactive,
+        visible: true,
+        parentId: null,
+        hierarchyPath: [],
+        children: label ? [label.id] : [],
+        attributes: source === 'model' ? { label: shape.label } : { shape: shape.shape, filled: shape.filled },
+        screenRegion: null,
+        zIndex: 0,
+        classificationConfidence: null, // Typed by the detector, not the rule packs
+        rulesFired: [],
+        ocrConfidence: contained.length > 0 ? Math.min(...contained.map(el => el.ocrConfidence)) : null,
+        ocrConfidenceBefore: null,
+        detectionConfidence: shape.score,
+        iconType: null,
+        imageCaption: null,
+        state: null,
+        source
       };
     });
+
+    return [...elements.filter(el => !folded.has(el)), ...controls];
+  }
+
+  /**
+   * Name text-less icons, icon buttons and unlabeled checkbox-like shapes (outlined icons
+   * pass as checkboxes or radio buttons) from the icon library. A named element gets the
+   * icon as iconType and a description search can find ("Settings gear icon (gear, cog, ...)",
+   * "Button with trash icon (delete, remove, bin)"); a shape inside another one named the same
+   * icon is a piece of it and dropped.
+   * @param {Buffer} image - Captured image
+   * @param {Array} elements - Elements after _mergeVisualElements()
+   * @param {Object} geometry - Capture geometry from _captureGeometry()
+   * @returns {Promise<Array>} Elements
+   * @private
+   */
+  async _matchIcons(image, elements, geometry) {
+    const candidates = elements.filter(el => el.physicalBbox && !el.text && (
+      el.type === 'icon' || el.type === 'button' ||
+      ((el.type === 'checkbox' || el.type === 'radio') && (el.children || []).length === 0)
+    ));
+    if (candidates.length === 0) return elements;
+
+    const matches = await this.iconMatcher.match(image, candidates.map(el => ({
+      box: el.physicalBbox,
+      framed: el.type === 'button' && el.source === 'visual' // The button's border surrounds the icon
+    })), { devicePixelRatio: geometry.devicePixelRatio });
+
+    const named = [];
+    candidates.forEach((el, index) => {
+      const icon = matches[index];
+      if (!icon) return;
+      if (el.type === 'checkbox' || el.type === 'radio') el.type = 'icon';
+      el.iconType = icon.name;
+      el.attributes = { ...el.attributes, icon: { label: icon.label, score: icon.score, theme: icon.theme } };
+      el.description = this.descriptionGenerator.generateNodeDescription({
+        type: el.type,
+        text: el.text,
+        metadata: { iconType: icon.name, icon: { label: icon.label, keywords: icon.keywords }, clickable: el.clickable }
+      });
+      named.push(el);
+    });
+
+    const area = ([x1, y1, x2, y2]) => (x2 - x1) * (y2 - y1);
+    const holds = ([x1, y1, x2, y2], box) => {
+      const cx = (box[0] + box[2]) / 2;
+      const cy = (box[1] + box[3]) / 2;
+      return cx >= x1 && cx <= x2 && cy >= y1 && cy <= y2;
+    };
+    const pieces = new Set(named.filter(el => named.some(other => other !== el && other.iconType === el.iconType &&
+      area(other.physicalBbox) > area(el.physicalBbox) && holds(other.physicalBbox, el.physicalBbox))));
+    if (named.length > 0) {
+      logger.info(`🖼️  Named ${named.length - pieces.size} icons: ${[...new Set(named.map(el => el.iconType))].join(', ')}`);
+    }
+    return pieces.size > 0 ? elements.filter(el => !pieces.has(el)) : elements;
+  }
+
+  /**
+   * Intersection over union of two bounding boxes
+   * @private
+   */
+  _iou(bbox1, bbox2) {
+    const width = Math.min(bbox1[2], bbox2[2]) - Math.max(bbox1[0], bbox2[0]);
+    const height = Math.min(bbox1[3], bbox2[3]) - Math.max(bbox1[1], bbox2[1]);
+    if (width <= 0 || height <= 0) return 0;
+    const intersection = width * height;
+    const union = (bbox1[2] - bbox1[0]) * (bbox1[3] - bbox1[1]) + (bbox2[2] - bbox2[0]) * (bbox2[3] - bbox2[1]) - intersection;
+    return intersection / union;
   }
 
   /**
@@ -491,7 +1212,7 @@ class SemanticAnalyzer {
    * @private
    */
   _isClickable(type) {
-    const clickableTypes = ['button', 'link', 'checkbox', 'radio', 'combobox', 'dropdown', 'icon', 'menu', 'textfield', 'input'];
+    const clickableTypes = ['button', 'link', 'checkbox', 'radio', 'combobox', 'dropdown', 'icon', 'menu', 'menu_item', 'tab', 'list_item', 'textfield', 'input'];
     return clickableTypes.includes(type.toLowerCase());
   }
 
@@ -509,13 +1230,201 @@ class SemanticAnalyzer {
     return 'webpage';
   }
 
+  /**
+   * Link table cells to their table: header cells to the table, body cells to their row
+   * (parentId) with the cell's position in attributes.table
+   * @param {Array} elements - Elements (updated in place)
+   * @param {Array} tables - Tables from the table detector
+   * @private
+   */
+  _attachTables(elements, tables) {
+    const byId = new Map(elements.map(el => [el.id, el]));
+    const link = (cell, parentId, position) => {
+      for (const id of cell.elementIds) {
+        const el = byId.get(id);
+        if (!el) continue;
+        el.parentId = parentId;
+        el.attributes = { ...el.attributes, table: position };
+      }
+    };
+
+    for (const table of tables) {
+      const columnName = column => table.columns[column].name;
+      table.header?.cells.forEach(cell => link(cell, table.id, {
+        id: table.id, header: true, column: cell.column, columnName: columnName(cell.column)
+      }));
+      for (const row of table.rows) {
+        row.cells.forEach(cell => link(cell, row.id, {
+          id: table.id, row: row.index, column: cell.column, columnName: columnName(cell.column)
+        }));
+      }
+    }
+  }
+
+  /**
+   * Hang elements from their layout region: parentId (table cells keep their row),
+   * hierarchyPath (region labels down to the element) and screenRegion (innermost region
+   * that isn't a plain section). Descriptions name the path, so a search for "Inbox in
+   * the sidebar" can match.
+   * @param {Array} elements - Elements (updated in place)
+   * @param {Array} layout - Regions from the layout analyzer
+   * @private
+   */
+  _attachLayout(elements, layout) {
+    const byId = new Map(elements.map(el => [el.id, el]));
+    for (const region of layout) {
+      const screenRegion = [...region.path].reverse().find(label => label !== 'section') || null;
+      for (const id of region.elementIds) {
+        const el = byId.get(id);
+        if (!el) continue;
+        el.parentId = el.parentId || region.id;
+        el.hierarchyPath = [...region.path, el.type];
+        el.screenRegion = screenRegion;
+        el.description = `${el.description} in ${region.path.join(' > ')}`;
+      }
+    }
+
+    // Elements without text (icons, empty fields, separators) aren't segmented: they hang
+    // from the innermost region around them
+    for (const el of elements) {
+      if (el.text || el.hierarchyPath?.length) continue;
+      const region = this._regionAround(el.bbox, layout);
+      if (!region) continue;
+      el.parentId = el.parentId || region.id;
+      el.hierarchyPath = [...region.path, el.type];
+      el.screenRegion = [...region.path].reverse().find(label => label !== 'section') || null;
+      el.description = `${el.description} in ${region.path.join(' > ')}`;
+    }
+  }
+
+  /**
+   * Give elements their control states. Descriptions name the states that hold, so a
+   * search for "checked checkbox" or "disabled Save button" can match.
+   * @param {Array} elements - Elements (updated in place)
+   * @param {Array} states - One { checked, selected, disabled, focused } per element from
+   *   the control state detector (null: doesn't apply or can't tell)
+   * @private
+   */
+  _attachStates(elements, states) {
+    elements.forEach((el, index) => {
+      const state = states[index];
+      if (!state || Object.values(state).every(value => value === null)) return;
+      el.state = state;
+      const words = [
+        state.checked === true ? 'checked' : state.checked === false ? 'unchecked' : null,
+        state.selected ? 'selected' : null,
+        state.disabled ? 'disabled' : null,
+        state.focused ? 'focused' : null
+      ].filter(Boolean);
+      if (words.length > 0) el.description = `${el.description} (${words.join(', ')})`;
+    });
+  }
+
+  /**
+   * Subtrees indexed for layout regions, described from their elements, so searches like
+   * "the sidebar" or "the dialog" find the region with everything in it
+   * @param {Array} layout - Regions from the layout analyzer (parents first)
+   * @param {Array} nodes - Screen state nodes
+   * @param {Object} windowInfo - Target window (app name for the descriptions)
+   * @param {number} timestamp - Screen state timestamp
+   * @returns {Array} Subtrees for the semantic index
+   * @private
+   */
+  _layoutSubtrees(layout, nodes, windowInfo, timestamp) {
+    const byId = new Map(nodes.map(node => [node.id, node]));
+    const regions = new Map(layout.map(region => [region.id, region]));
+    const topLeft = (a, b) => (a.bbox[1] - b.bbox[1]) || (a.bbox[0] - b.bbox[0]);
+    // Elements in reading order, a child region's elements kept together (columns don't interleave)
+    const membersOf = region => [
+      ...region.elementIds.map(id => byId.get(id)).filter(Boolean).map(node => ({ bbox: node.bbox, nodes: [node] })),
+      ...region.childIds.map(id => regions.get(id)).map(child => ({ bbox: child.bbox, nodes: membersOf(child) }))
+    ].sort(topLeft).flatMap(part => part.nodes);
+
+    return layout.map(region => {
+      const members = membersOf(region);
+      const subtree = {
+        id: region.id,
+        type: region.type,
+        title: region.title,
+        text: members.map(node => node.text).filter(Boolean).join(' '),
+        data: { path: region.path, depth: region.depth, elementIds: members.map(node => node.id), childIds: region.childIds },
+        rootNodeId: members[0]?.id || null,
+        parentId: region.parentId,
+        bbox: region.bbox,
+        timestamp
+      };
+      subtree.description = this.descriptionGenerator.generateSubtreeDescription(subtree, members, { app: windowInfo.appName });
+      return subtree;
+    });
+  }
+
+  /**
+   * Subtrees indexed for detected tables: one per table and one per row, so searches
+   * like "the row with invoice 1042" find the row with all its cells
+   * @param {Array} tables - Tables from the table detector
+   * @param {Object} windowInfo - Target window (app name for the descriptions)
+   * @param {number} timestamp - Screen state timestamp
+   * @param {Array} layout - Layout regions (a table's parent is the innermost region around it)
+   * @returns {Array} Subtrees for the semantic index
+   * @private
+   */
+  _tableSubtrees(tables, windowInfo, timestamp, layout = []) {
+    const app = windowInfo.appName ? ` in ${windowInfo.appName}` : '';
+    return (tables || []).flatMap(table => {
+      const names = table.columns.map(column => column.name);
+      const firstCellId = cells => cells.flatMap(cell => cell.elementIds)[0] || null;
+      const tableSubtree = {
+        id: table.id,
+        type: 'table',
+        title: names.join(', '),
+        description: `Table with columns ${names.join(', ')} (${table.rows.length} rows)${app}`,
+        text: table.csv,
+        data: { columns: names, rows: table.json },
+        rootNodeId: firstCellId(table.header?.cells || table.rows[0]?.cells || []),
+        parentId: this._regionAround(table.bbox, layout)?.id ?? null,
+        bbox: table.bbox,
+        timestamp
+      };
+      const rowSubtrees = table.rows.map(row => ({
+        id: row.id,
+        type: 'table_row',
+        title: row.cells.find(cell => cell.text)?.text || '',
+        description: `Table row ${row.index + 1}: ${Object.entries(row.record)
+          .filter(([, value]) => value)
+          .map(([name, value]) => `${name} ${value}`)
+          .join(', ')}${app}`,
+        text: row.text,
+        data: row.record,
+        rootNodeId: firstCellId(row.cells),
+        parentId: table.id,
+        bbox: row.bbox,
+        timestamp
+      }));
+      return [tableSubtree, ...rowSubtrees];
+    });
+  }
+
+  /**
+   * Innermost layout region whose box holds the center of a box (screen points)
+   * @private
+   */
+  _regionAround(bbox, layout) {
+    const x = (bbox[0] + bbox[2]) / 2;
+    const y = (bbox[1] + bbox[3]) / 2;
+    return layout
+      .filter(region => x >= region.bbox[0] && x <= region.bbox[2] && y >= region.bbox[1] && y <= region.bbox[3])
+      .reduce((inner, region) => (!inner || region.depth > inner.depth ? region : inner), null);
+  }
+
   /**
    * Extract structural information
+   * @param {Array} elements - Elements
+   * @param {Array} tables - Tables from the table detector
    * @private
    */
-  _extractStructures(elements) {
+  _extractStructures(elements, tables = []) {
     return {
-      tables: elements.filter(el => el.type === 'table').length,
+      tables: elements.filter(el => el.type === 'table').length + tables.length,
       lists: elements.filter(el => el.type === 'list').length,
       forms: elements.filter(el => el.type === 'textfield' || el.type === 'checkbox').length,
       navbars: elements.filter(el => el.type === 'toolbar' || el.type === 'menu').length,
@@ -543,15 +1452,15 @@ class SemanticAnalyzer {
     const zones = { topLeft: [], topRight: [], bottomLeft: [], bottomRight: [] };
     
     elements.forEach(el => {
-      // Elements have bbox [x1, y1, x2, y2], not position
-      if (!el.bbox || el.bbox.length < 2) return;
+      // Quadrants of the captured area, from the normalized bbox (display-independent)
+      if (!el.normalizedBbox || el.normalizedBbox.length < 2) return;
       
-      const x = el.bbox[0]; // x1
-      const y = el.bbox[1]; // y1
+      const x = el.normalizedBbox[0]; // x1
+      const y = el.normalizedBbox[1]; // y1
       
-      if (x < 720 && y < 450) zones.topLeft.push(el);
-      else if (x >= 720 && y < 450) zones.topRight.push(el);
-      else if (x < 720 && y >= 450) zones.bottomLeft.push(el);
+      if (x < 0.5 && y < 0.5) zones.topLeft.push(el);
+      else if (x >= 0.5 && y < 0.5) zones.topRight.push(el);
+      else if (x < 0.5 && y >= 0.5) zones.bottomLeft.push(el);
       else zones.bottomRight.push(el);
     });
 
@@ -561,9 +1470,12 @@ class SemanticAnalyzer {
   /**
    * Build LLM-friendly context from elements
    * Simple text aggregation - no embeddings needed for LLM responses
+   * @param {Array} tables - Detected tables (passed on as CSV)
+   * @param {Array} codeBlocks - Code and terminal regions (passed on as fenced blocks)
+   * @param {Array} layout - Layout regions (passed on as paths)
    * @private
    */
-  _buildLLMContext(elements, windowInfo) {
+  _buildLLMContext(elements, windowInfo, tables = [], codeBlocks = [], layout = []) {
     // Sort elements top-to-bottom, left-to-right
     const sortedElements = [...elements].sort((a, b) => {
       const yDiff = (a.bbox?.[1] || 0) - (b.bbox?.[1] || 0);
@@ -595,13 +1507,28 @@ class SemanticAnalyzer {
         buttons: byType.buttons.map(el => el.text).filter(t => t),
         links: byType.links.map(el => el.text).filter(t => t),
         inputs: byType.inputs.map(el => el.text).filter(t => t),
-        headings: byType.headings.map(el => el.text).filter(t => t)
+        headings: byType.headings.map(el => el.text).filter(t => t),
+        icons: elements.filter(el => el.iconType).map(el => el.iconType)
       },
       
+      // Tables as CSV (header row first when one was found)
+      tables: tables.map(table => table.csv),
+      
+      // Code and terminal text as Markdown fenced blocks, with the screen area each was read from
+      code: codeBlocks.map(block => ({ kind: block.kind, language: block.language, bbox: block.bbox, block: block.markdown })),
+      
+      // Screen regions (sidebar, toolbar, dialog, ...) as paths, with their first line of text
+      regions: layout.map(region => ({ path: region.path.join(' > '), title: region.title, bbox: region.bbox })),
+      
       // Clickable elements (for action suggestions)
       clickableElements: elements
         .filter(el => el.clickable)
-        .map(el => ({ type: el.type, text: el.text })),
+        .map(el => ({
+          type: el.type,
+          text: el.text,
+          ...(el.iconType ? { icon: el.iconType } : {}),
+          ...(el.state ? { state: Object.fromEntries(Object.entries(el.state).filter(([, value]) => value !== null)) } : {})
+        })),
       
       // Summary stats
       summary: {
@@ -625,191 +1552,17 @@ class SemanticAnalyzer {
   }
 
   /**
-   * Infer element type from OCR word based on text patterns and bbox dimensions
+   * Normalize bbox coordinates to 0-1 range of the captured area
+   * @param {Array} bbox - Bbox in image pixels
+   * @param {Object} dimensions - Captured image size {width, height}
    * @private
    */
-  _inferElementTypeFromOCR(word) {
-    const text = (word.text || '').trim();
-    const textLower = text.toLowerCase();
-    
-    // Calculate bbox dimensions if available
-    let width = 0, height = 0, aspectRatio = 1;
-    if (word.bbox && word.bbox.length === 4) {
-      const [x1, y1, x2, y2] = word.bbox;
-      width = x2 - x1;
-      height = y2 - y1;
-      aspectRatio = height > 0 ? width / height : 1;
-    }
-    
-    // ═══════════════════════════════════════════════════════════
-    // ENHANCED HEURISTIC CLASSIFICATION
-    // ═══════════════════════════════════════════════════════════
-    
-    // 1. BUTTON - Action words with compact bbox
-    const buttonPatterns = [
-      /^(sign in|log in|login|sign up|signup|register|submit|send|save|delete|cancel|ok|yes|no|confirm|continue|next|back|close|done|finish|create|add|remove|edit|update|apply|search|go|start|stop|play|pause|download|upload|share|copy|paste|cut|print|export|import)$/i,
-      /^(buy now|add to cart|checkout|subscribe|join|follow|like|comment|reply|post|publish|preview|learn more|get started|try free|view all)$/i
-    ];
-    if (buttonPatterns.some(pattern => pattern.test(text))) {
-      // Buttons usually have compact, rectangular bbox (aspect ratio 2-8)
-      if (aspectRatio >= 1.5 && aspectRatio <= 10 && width >= 40 && width <= 300) {
-        return 'button';
-      }
-      return 'button'; // Still classify as button even if bbox doesn't match
-    }
-    
-    // 2. INPUT FIELD - Placeholder text or empty field indicators
-    const inputPlaceholders = /^(enter|type|search|find|filter|your|my|email|password|username|name|address|phone|message|comment)$/i;
-    if (inputPlaceholders.test(textLower)) {
-      // Input fields are usually wide and short (high aspect ratio)
-      if (aspectRatio > 3 && height < 50) {
-        return 'input';
-      }
-    }
-    
-    // 3. DROPDOWN/SELECT - Common dropdown indicators
-    const dropdownPatterns = /^(select|choose|pick|all|any|none|---)$/i;
-    const hasDropdownSymbol = text.includes('▼') || text.includes('▽') || text.includes('⌄') || text.includes('˅');
-    if (dropdownPatterns.test(textLower) || hasDropdownSymbol) {
-      return 'dropdown';
-    }
-    
-    // 4. CHECKBOX/RADIO - Single character or very short text
-    if (text.length === 1 && /[✓✗☐☑☒◯●]/.test(text)) {
-      return 'checkbox';
-    }
-    
-    // 5. LINK - URLs, emails, or underlined text indicators
-    const emailPattern = /^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/;
-    const urlPattern = /^(https?:\/\/|www\.)/i;
-    if (urlPattern.test(text) || 
-        textLower.includes('.com') || 
-        textLower.includes('.org') ||
-        textLower.includes('.net') ||
-        emailPattern.test(text)) {
-      return 'link';
-    }
-    
-    // 6. NAVIGATION/MENU - Short capitalized words in header area
-    // Common menu bar items (File, Edit, View, etc.) and navigation
-    // IMPORTANT: Only match EXACT single words to avoid false positives like "File cabinet" or "Data in the store"
-    const isTopArea = word.bbox && word.bbox[1] < 50; // Top 50px of screen
-    const isSingleWord = !/\s/.test(text); // No spaces = single word
-    const isShortText = text.length <= 15; // Menu items are usually short
-    
-    if (isSingleWord && isShortText) {
-      // Menu bar items - only exact matches
-      const menuBarPatterns = ['File', 'Edit', 'View', 'Window', 'Help', 'Tools', 'Format', 'Insert', 'Table', 'Data', 'Extensions', 'Preferences'];
-      if (menuBarPatterns.includes(text) && isTopArea) {
-        return 'menu-item';
-      }
-      
-      // Navigation items - can appear anywhere but must be exact matches
-      const navPatterns = ['Home', 'About', 'Contact', 'Services', 'Products', 'Blog', 'Support', 'Settings', 'Profile', 'Dashboard', 'Account', 'Menu', 'More', 'Tab', 'Blocks', 'Drive'];
-      if (navPatterns.includes(text)) {
-        return 'menu-item';
-      }
-      
-      // Generic: Single capitalized word in top area with compact bbox (likely menu item)
-      if (/^[A-Z][a-z]{2,12}$/.test(text) && isTopArea && width > 20 && width < 100) {
-        return 'menu-item';
-      }
-    }
-    
-    // 7. LABEL - Ends with colon or common form labels
-    if (textLower.endsWith(':') || 
-        /^(email|password|username|name|first name|last name|address|phone|zip|city|state|country|company|title|message|subject|description)$/i.test(textLower)) {
-      return 'label';
-    }
-    
-    // 8. HEADING - Short, capitalized, larger bbox
-    if (text.length <= 60 && height > 20 && /^[A-Z]/.test(text)) {
-      // Headings are usually wider than tall
-      if (aspectRatio > 2) {
-        return 'heading';
-      }
-    }
-    
-    // 9. ICON TEXT - Very short text (1-3 chars) with small bbox
-    if (text.length <= 3 && width < 50 && height < 50) {
-      return 'icon';
-    }
-    
-    // 10. NUMBER/BADGE - Pure numbers or number with unit
-    if (/^\d+(\.\d+)?(%|px|em|rem|pt|°|$)?$/i.test(text)) {
-      return 'badge';
-    }
-    
-    // Default to text
-    return 'text';
-  }
-
-  /**
-   * Check if OCR word is likely clickable based on text and bbox
-   * @private
-   */
-  _isLikelyClickableFromOCR(word) {
-    const text = (word.text || '').trim();
-    const textLower = text.toLowerCase();
-    
-    // Menu bar items are always clickable
-    const menuBarPatterns = ['File', 'Edit', 'View', 'Window', 'Help', 'Tools', 'Format', 'Insert', 'Table', 'Data', 'Extensions', 'Preferences', 'Tab', 'Blocks', 'Drive'];
-    if (menuBarPatterns.includes(text)) {
-      return true;
-    }
-    
-    // Clickable keywords
-    const clickableKeywords = [
-      'button', 'link', 'click', 'submit', 'send', 'save', 'delete', 'cancel', 'ok', 
-      'sign in', 'log in', 'sign up', 'register', 'buy', 'add', 'remove', 'edit', 
-      'update', 'close', 'confirm', 'continue', 'next', 'back', 'search', 'go',
-      'download', 'upload', 'share', 'subscribe', 'join', 'follow', 'like', 'comment',
-      'home', 'about', 'contact', 'menu', 'more', 'settings', 'profile', 'dashboard'
-    ];
-    
-    // Check if text contains any clickable keywords
-    if (clickableKeywords.some(keyword => textLower.includes(keyword))) {
-      return true;
-    }
-    
-    // Check if it's a URL
-    if (textLower.includes('http') || textLower.includes('www.') || textLower.includes('.com')) {
-      return true;
-    }
-    
-    // Check bbox dimensions - buttons/links are usually compact
-    if (word.bbox && word.bbox.length === 4) {
-      const [x1, y1, x2, y2] = word.bbox;
-      const width = x2 - x1;
-      const height = y2 - y1;
-      const aspectRatio = width / height;
-      
-      // Typical button dimensions: width 50-300px, height 20-60px, aspect ratio 2:1 to 8:1
-      if (width >= 50 && width <= 300 && height >= 20 && height <= 60 && aspectRatio >= 2 && aspectRatio <= 8) {
-        // If it's short text (1-3 words) with button-like dimensions, likely clickable
-        const wordCount = text.split(/\s+/).length;
-        if (wordCount >= 1 && wordCount <= 3) {
-          return true;
-        }
-      }
-    }
-    
-    return false;
-  }
-
-  /**
-   * Normalize bbox coordinates to 0-1 range
-   * @private
-   */
-  _normalizeBbox(bbox) {
-    if (!bbox || bbox.length !== 4) {
+  _normalizeBbox(bbox, dimensions) {
+    if (!bbox || bbox.length !== 4 || !dimensions?.width || !dimensions?.height) {
       return [0, 0, 0, 0];
     }
     
-    // Assume standard screen dimensions (will be overridden by actual screen size if available)
-    const screenWidth = 2880;  // Default to common retina display
-    const screenHeight = 1800;
-    
+    const { width: screenWidth, height: screenHeight } = dimensions;
     const [x1, y1, x2, y2] = bbox;
     
     return [
@@ -821,6 +1574,39 @@ class SemanticAnalyzer {
   }
 }
 
+/**
+ * Text-level diff between two element lists (multiset of element texts)
+ * @returns {Object} { added: elements only in `current`, removed: elements only in `previous` }
+ */
+function diffElementText(previous, current) {
+  const counts = new Map();
+  for (const el of previous) {
+    if (el.text) counts.set(el.text, (counts.get(el.text) || 0) + 1);
+  }
+
+  const added = [];
+  for (const el of current) {
+    if (!el.text) continue;
+    const remaining = counts.get(el.text) || 0;
+    if (remaining > 0) {
+      counts.set(el.text, remaining - 1);
+    } else {
+      added.push(el);
+    }
+  }
+
+  const removed = [];
+  const leftover = new Map(counts);
+  for (const el of previous) {
+    if (el.text && leftover.get(el.text) > 0) {
+      leftover.set(el.text, leftover.get(el.text) - 1);
+      removed.push(el);
+    }
+  }
+
+  return { added, removed };
+}
+
 // Singleton instance
 let instance = null;
 
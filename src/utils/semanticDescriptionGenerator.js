@@ -13,19 +13,27 @@ class SemanticDescriptionGenerator {
    */
   generateNodeDescription(node, context = {}) {
     const parts = [];
-
-    // 1. Element type and role
-    const typeDesc = this._getTypeDescription(node.type);
-    parts.push(typeDesc);
+    const icon = node.metadata.iconType ? { label: node.metadata.iconType, keywords: [], ...node.metadata.icon } : null;
+    const isIcon = node.type === 'icon' || node.type === 'pictogram';
+
+    // 1. Element type and role (a named icon is described by its name)
+    if (icon && isIcon) {
+      parts.push(this._capitalizeFirst(`${icon.label} icon`));
+    } else {
+      parts.push(this._getTypeDescription(node.type));
+    }
 
     // 2. Text content (if any)
     if (node.text && node.text.trim()) {
       parts.push(`"${node.text.trim()}"`);
     }
 
-    // 3. Icon or image description
-    if (node.metadata.iconType) {
-      parts.push(`with ${node.metadata.iconType} icon`);
+    // 3. Icon or image description (metadata.icon: { label, keywords } from the icon library)
+    if (icon && !isIcon) {
+      parts.push(`with ${icon.label} icon`);
+    }
+    if (icon?.keywords.length > 0) {
+      parts.push(`(${icon.keywords.join(', ')})`);
     }
     if (node.metadata.imageCaption) {
       parts.push(`showing "${node.metadata.imageCaption}"`);
@@ -67,7 +75,8 @@ class SemanticDescriptionGenerator {
   /**
    * Generate a semantic description for a subtree/region
    * @param {Object} subtree - UI subtree
-   * @param {Array} nodes - All nodes in the subtree
+   * @param {Array} nodes - All nodes in the subtree (stored nodes keep clickable/interactive
+   *   under metadata, screen-state nodes at the top level)
    * @param {Object} context - Additional context
    * @returns {string} Human-readable description
    */
@@ -75,7 +84,7 @@ class SemanticDescriptionGenerator {
     const parts = [];
 
     // 1. Region type and title
-    parts.push(`${this._capitalizeFirst(subtree.type)}`);
+    parts.push(`${this._capitalizeFirst(subtree.type.replace(/_/g, ' '))}`);
     if (subtree.title) {
       parts.push(`titled "${subtree.title}"`);
     }
@@ -87,7 +96,7 @@ class SemanticDescriptionGenerator {
     }
 
     // 3. Key interactive elements
-    const interactiveElements = nodes.filter(n => n.metadata.clickable || n.metadata.interactive);
+    const interactiveElements = nodes.filter(n => (n.metadata || n).clickable || (n.metadata || n).interactive);
     if (interactiveElements.length > 0) {
       const elementTypes = this._groupByType(interactiveElements);
       const elementDesc = Object.entries(elementTypes)
@@ -194,6 +203,11 @@ class SemanticDescriptionGenerator {
       dropdown: 'Dropdown menu',
       menu: 'Menu',
       menu_item: 'Menu item',
+      'menu-item': 'Menu item',
+      heading: 'Heading',
+      label: 'Label',
+      badge: 'Badge',
+      separator: 'Separator',
       link: 'Link',
       icon: 'Icon',
       tab: 'Tab',
@@ -0,0 +1,275 @@
+/**
+ * Text Layout
+ * Block → paragraph → line → word hierarchy for OCR results
+ *
+ *   blocks: [{ bbox, text, confidence, paragraphs: [
+ *     { bbox, text, confidence, lines: [
+ *       { bbox, text, confidence, words: [{ text, bbox, confidence }] } ] } ] }]
+ *
+ * Boxes are [x1, y1, x2, y2] in whatever space the words use. Tesseract reports this
+ * structure itself (layoutFromTesseract, nestWords for TSV numbering); engines that
+ * only return words or lines (Apple Vision, Windows OCR) are clustered geometrically
+ * (buildLayout).
+ */
+
+export const GRANULARITIES = ['word', 'line', 'paragraph', 'block'];
+
+// Gaps and distances are measured in multiples of the line's text height
+const WORD_GAP = 1.0; // Wider horizontal gaps end a run of words (toolbar buttons, table cells)
+const LINE_GAP = 0.8; // Taller vertical gaps end a paragraph
+const BLOCK_GAP = 1.5; // Paragraphs closer than this share a block
+
+/**
+ * Convert Tesseract.js blocks (bbox { x0, y0, x1, y1 }, confidence 0-100)
+ * @param {Array} blocks - data.blocks from a recognize() with { blocks: true }
+ * @returns {Array} Layout blocks
+ */
+export function layoutFromTesseract(blocks = []) {
+  const toWord = word => ({
+    text: word.text,
+    bbox: [word.bbox.x0, word.bbox.y0, word.bbox.x1, word.bbox.y1],
+    confidence: word.confidence / 100
+  });
+
+  return (blocks || []).map(block => finish({
+    paragraphs: (block.paragraphs || []).map(paragraph => finish({
+      lines: (paragraph.lines || []).map(line => finish({
+        words: (line.words || []).filter(word => word && word.confidence > 0).map(toWord)
+      }, 'words', ' ')).filter(line => line.words.length > 0)
+    }, 'lines', '\n')).filter(paragraph => paragraph.lines.length > 0)
+  }, 'paragraphs', '\n\n')).filter(block => block.paragraphs.length > 0);
+}
+
+/**
+ * Nest words that carry Tesseract's numbering (TSV block_num / par_num / line_num)
+ * @param {Array} words - [{ text, bbox, confidence, block, paragraph, line }]
+ * @returns {Array} Layout blocks
+ */
+export function nestWords(words) {
+  const blocks = new Map();
+  for (const { block, paragraph, line, ...word } of words) {
+    if (!blocks.has(block)) blocks.set(block, new Map());
+    const paragraphs = blocks.get(block);
+    if (!paragraphs.has(paragraph)) paragraphs.set(paragraph, new Map());
+    const lines = paragraphs.get(paragraph);
+    if (!lines.has(line)) lines.set(line, []);
+    lines.get(line).push(word);
+  }
+
+  return [...blocks.values()].map(paragraphs => finish({
+    paragraphs: [...paragraphs.values()].map(lines => finish({
+      lines: [...lines.values()].map(lineWords => finish({ words: lineWords }, 'words', ' '))
+    }, 'lines', '\n'))
+  }, 'paragraphs', '\n\n'));
+}
+
+/**
+ * Cluster words (or line-level observations) into a layout by position
+ * @param {Array} words - [{ text, bbox, confidence }]
+ * @returns {Array} Layout blocks
+ */
+export function buildLayout(words) {
+  const positioned = (words || []).filter(word => word.bbox && word.bbox[2] > word.bbox[0] && word.bbox[3] > word.bbox[1]);
+
+  // Lines: join words left to right while they overlap vertically and sit close together
+  const lines = [];
+  for (const word of [...positioned].sort((a, b) => a.bbox[0] - b.bbox[0])) {
+    const height = word.bbox[3] - word.bbox[1];
+    const line = lines
+      .filter(candidate => verticalOverlap(candidate.bbox, word.bbox) >= 0.5 &&
+        word.bbox[0] - candidate.bbox[2] <= WORD_GAP * Math.max(height, lineHeight(candidate)) &&
+        word.bbox[0] - candidate.bbox[2] >= -0.5 * height)
+      .sort((a, b) => (word.bbox[0] - a.bbox[2]) - (word.bbox[0] - b.bbox[2]))[0];
+    if (line) {
+      line.words.push(word);
+      line.bbox = union(line.bbox, word.bbox);
+    } else {
+      lines.push({ words: [word], bbox: [...word.bbox] });
+    }
+  }
+
+  // Paragraphs: stack lines of similar height that are left-aligned or overlap horizontally
+  const paragraphs = [];
+  for (const line of lines.sort((a, b) => a.bbox[1] - b.bbox[1])) {
+    const height = lineHeight(line);
+    const paragraph = paragraphs.find(candidate => {
+      const last = candidate.lines[candidate.lines.length - 1];
+      const lastHeight = lineHeight(last);
+      const gap = line.bbox[1] - last.bbox[3];
+      return gap >= -0.3 * height && gap <= LINE_GAP * Math.max(height, lastHeight) &&
+        Math.max(height, lastHeight) / Math.min(height, lastHeight) < 1.5 &&
+        (Math.abs(line.bbox[0] - last.bbox[0]) <= height || horizontalOverlap(line.bbox, last.bbox) >= 0.5);
+    });
+    if (paragraph) {
+      paragraph.lines.push(line);
+      paragraph.bbox = union(paragraph.bbox, line.bbox);
+    } else {
+      paragraphs.push({ lines: [line], bbox: [...line.bbox] });
+    }
+  }
+
+  // Blocks: paragraphs whose boxes come within BLOCK_GAP line heights of each other
+  const blocks = [];
+  for (const paragraph of paragraphs) {
+    const reach = BLOCK_GAP * lineHeight(paragraph.lines[0]);
+    const grown = [paragraph.bbox[0] - reach, paragraph.bbox[1] - reach, paragraph.bbox[2] + reach, paragraph.bbox[3] + reach];
+    const touching = blocks.filter(block => intersects(block.bbox, grown));
+    const merged = {
+      paragraphs: [...touching.flatMap(block => block.paragraphs), paragraph],
+      bbox: touching.reduce((box, block) => union(box, block.bbox), paragraph.bbox)
+    };
+    touching.forEach(block => blocks.splice(blocks.indexOf(block), 1));
+    blocks.push(merged);
+  }
+
+  return blocks
+    .sort((a, b) => (a.bbox[1] - b.bbox[1]) || (a.bbox[0] - b.bbox[0]))
+    .map(block => finish({
+      paragraphs: block.paragraphs
+        .sort((a, b) => a.bbox[1] - b.bbox[1])
+        .map(paragraph => finish({
+          lines: paragraph.lines.map(line => finish({ words: line.words }, 'words', ' '))
+        }, 'lines', '\n'))
+    }, 'paragraphs', '\n\n'));
+}
+
+/**
+ * Move every box of a layout
+ * @param {Array} blocks - Layout blocks
+ * @param {Function} mapBbox - (bbox) => bbox
+ * @returns {Array} New layout blocks
+ */
+export function mapLayout(blocks, mapBbox) {
+  const mapWord = word => ({ ...word, bbox: word.bbox ? mapBbox(word.bbox) : word.bbox });
+  return (blocks || []).map(block => ({
+    ...block,
+    bbox: mapBbox(block.bbox),
+    paragraphs: block.paragraphs.map(paragraph => ({
+      ...paragraph,
+      bbox: mapBbox(paragraph.bbox),
+      lines: paragraph.lines.map(line => ({
+        ...line,
+        bbox: mapBbox(line.bbox),
+        words: line.words.map(mapWord)
+      }))
+    }))
+  }));
+}
+
+/**
+ * Recompute every node's bbox, text and confidence after words were replaced
+ * @param {Array} blocks - Layout blocks
+ * @returns {Array} New layout blocks (empty lines, paragraphs and blocks dropped)
+ */
+export function refreshLayout(blocks) {
+  return (blocks || []).map(block => finish({
+    ...block,
+    paragraphs: block.paragraphs.map(paragraph => finish({
+      ...paragraph,
+      lines: paragraph.lines.filter(line => line.words.length > 0).map(line => finish({ ...line }, 'words', ' '))
+    }, 'lines', '\n')).filter(paragraph => paragraph.lines.length > 0)
+  }, 'paragraphs', '\n\n')).filter(block => block.paragraphs.length > 0);
+}
+
+/**
+ * Flatten a layout into the units elements are created from
+ * Lines are split where words are further apart than the text height (separate
+ * toolbar buttons or table cells share a line but not a unit).
+ * @param {Array} blocks - Layout blocks
+ * @param {string} granularity - 'word' | 'line' | 'paragraph' | 'block'
+ * @returns {Array} [{ text, bbox, confidence, words }]
+ */
+export function layoutUnits(blocks, granularity = 'line') {
+  const lines = (blocks || []).flatMap(block => block.paragraphs.flatMap(paragraph => paragraph.lines));
+  switch (granularity) {
+    case 'word':
+      return lines.flatMap(line => line.words.map(word => ({ ...word, words: [word] })));
+    case 'line':
+      return lines.flatMap(splitAtGaps).map(words => finish({ words }, 'words', ' ')).map(unit);
+    case 'paragraph':
+      return (blocks || []).flatMap(block => block.paragraphs).map(unit);
+    case 'block':
+      return (blocks || []).map(unit);
+    default:
+      throw new Error(`Unknown granularity: ${granularity} (use ${GRANULARITIES.join(', ')})`);
+  }
+}
+
+/**
+ * Words of a layout in reading order
+ * @param {Array} blocks - Layout blocks
+ * @returns {Array} [{ text, bbox, confidence }]
+ */
+export function layoutWords(blocks) {
+  return (blocks || []).flatMap(block => block.paragraphs.flatMap(paragraph => paragraph.lines.flatMap(line => line.words)));
+}
+
+/**
+ * Unit of a layout node: its text, box, confidence and words
+ */
+function unit(node) {
+  const words = node.words || (node.lines || node.paragraphs.flatMap(paragraph => paragraph.lines)).flatMap(line => line.words);
+  return { text: node.text, bbox: node.bbox, confidence: node.confidence, words };
+}
+
+/**
+ * Split a line's words into runs separated by wide gaps
+ */
+function splitAtGaps(line) {
+  const height = lineHeight(line);
+  const runs = [];
+  for (const word of [...line.words].sort((a, b) => a.bbox[0] - b.bbox[0])) {
+    const run = runs[runs.length - 1];
+    if (run && word.bbox[0] - run[run.length - 1].bbox[2] <= WORD_GAP * height) {
+      run.push(word);
+    } else {
+      runs.push([word]);
+    }
+  }
+  return runs;
+}
+
+/**
+ * Fill in a node's bbox, text and mean confidence from its children
+ */
+function finish(node, childKey, separator) {
+  const children = node[childKey];
+  const boxes = children.map(child => child.bbox).filter(Boolean);
+  return {
+    ...node,
+    bbox: boxes.length > 0 ? boxes.reduce(union) : [0, 0, 0, 0],
+    text: children.map(child => child.text).join(separator),
+    confidence: children.length > 0
+      ? children.reduce((sum, child) => sum + (child.confidence || 0), 0) / children.length
+      : 0
+  };
+}
+
+function lineHeight(line) {
+  const heights = (line.words || []).map(word => word.bbox[3] - word.bbox[1]).sort((a, b) => a - b);
+  return heights.length > 0 ? heights[Math.floor(heights.length / 2)] : line.bbox[3] - line.bbox[1];
+}
+
+function union(a, b) {
+  return [Math.min(a[0], b[0]), Math.min(a[1], b[1]), Math.max(a[2], b[2]), Math.max(a[3], b[3])];
+}
+
+function intersects(a, b) {
+  return a[0] < b[2] && b[0] < a[2] && a[1] < b[3] && b[1] < a[3];
+}
+
+/**
+ * Vertical overlap as a share of the shorter box's height
+ */
+function verticalOverlap(a, b) {
+  const overlap = Math.min(a[3], b[3]) - Math.max(a[1], b[1]);
+  return overlap / Math.max(1, Math.min(a[3] - a[1], b[3] - b[1]));
+}
+
+/**
+ * Horizontal overlap as a share of the narrower box's width
+ */
+function horizontalOverlap(a, b) {
+  const overlap = Math.min(a[2], b[2]) - Math.max(a[0], b[0]);
+  return overlap / Math.max(1, Math.min(a[2] - a[0], b[2] - b[0]));
+}
@@ -0,0 +1,169 @@
+/**
+ * UI Vocabulary
+ * Per-language words the OCR element heuristics look for (buttons, placeholders,
+ * menu bars, ...), keyed by Tesseract language code.
+ *
+ * Case-insensitive lists (buttons, inputs, dropdowns, labels) must match a whole OCR
+ * word or phrase; menuBar and navigation match exact, case-sensitive words; clickable
+ * entries match anywhere in the lowercased text. English is always included because
+ * most UIs mix it in.
+ */
+
+const VOCABULARY = {
+  eng: {
+    buttons: [
+      'sign in', 'log in', 'login', 'sign up', 'signup', 'register', 'submit', 'send', 'save', 'delete', 'cancel',
+      'ok', 'yes', 'no', 'confirm', 'continue', 'next', 'back', 'close', 'done', 'finish', 'create', 'add', 'remove',
+      'edit', 'update', 'apply', 'search', 'go', 'start', 'stop', 'play', 'pause', 'download', 'upload', 'share',
+      'copy', 'paste', 'cut', 'print', 'export', 'import',
+      'buy now', 'add to cart', 'checkout', 'subscribe', 'join', 'follow', 'like', 'comment', 'reply', 'post',
+      'publish', 'preview', 'learn more', 'get started', 'try free', 'view all'
+    ],
+    inputs: ['enter', 'type', 'search', 'find', 'filter', 'your', 'my', 'email', 'password', 'username', 'name', 'address', 'phone', 'message', 'comment'],
+    dropdowns: ['select', 'choose', 'pick', 'all', 'any', 'none', '---'],
+    labels: ['email', 'password', 'username', 'name', 'first name', 'last name', 'address', 'phone', 'zip', 'city', 'state', 'country', 'company', 'title', 'message', 'subject', 'description'],
+    menuBar: ['File', 'Edit', 'View', 'Window', 'Help', 'Tools', 'Format', 'Insert', 'Table', 'Data', 'Extensions', 'Preferences'],
+    navigation: ['Home', 'About', 'Contact', 'Services', 'Products', 'Blog', 'Support', 'Settings', 'Profile', 'Dashboard', 'Account', 'Menu', 'More', 'Tab', 'Blocks', 'Drive'],
+    clickable: [
+      'button', 'link', 'click', 'submit', 'send', 'save', 'delete', 'cancel', 'ok',
+      'sign in', 'log in', 'sign up', 'register', 'buy', 'add', 'remove', 'edit',
+      'update', 'close', 'confirm', 'continue', 'next', 'back', 'search', 'go',
+      'download', 'upload', 'share', 'subscribe', 'join', 'follow', 'like', 'comment',
+      'home', 'about', 'contact', 'menu', 'more', 'settings', 'profile', 'dashboard'
+    ]
+  },
+  deu: {
+    buttons: [
+      'anmelden', 'einloggen', 'abmelden', 'registrieren', 'absenden', 'senden', 'speichern', 'löschen', 'abbrechen',
+      'ok', 'ja', 'nein', 'bestätigen', 'weiter', 'zurück', 'schließen', 'fertig', 'erstellen', 'hinzufügen',
+      'entfernen', 'bearbeiten', 'aktualisieren', 'übernehmen', 'anwenden', 'suchen', 'starten', 'stopp',
+      'herunterladen', 'hochladen', 'teilen', 'kopieren', 'einfügen', 'ausschneiden', 'drucken', 'exportieren',
+      'importieren', 'jetzt kaufen', 'in den warenkorb', 'zur kasse', 'abonnieren', 'folgen', 'antworten',
+      'veröffentlichen', 'vorschau', 'mehr erfahren', 'alle anzeigen'
+    ],
+    inputs: ['eingeben', 'suchen', 'suche', 'filtern', 'e-mail', 'passwort', 'kennwort', 'benutzername', 'name', 'adresse', 'telefon', 'nachricht', 'kommentar'],
+    dropdowns: ['auswählen', 'wählen', 'alle', 'keine'],
+    labels: ['e-mail', 'passwort', 'benutzername', 'name', 'vorname', 'nachname', 'adresse', 'plz', 'postleitzahl', 'stadt', 'ort', 'land', 'firma', 'titel', 'nachricht', 'betreff', 'beschreibung'],
+    menuBar: ['Datei', 'Bearbeiten', 'Ansicht', 'Fenster', 'Hilfe', 'Werkzeuge', 'Format', 'Einfügen', 'Tabelle', 'Daten', 'Erweiterungen', 'Einstellungen'],
+    navigation: ['Startseite', 'Über uns', 'Kontakt', 'Dienste', 'Produkte', 'Blog', 'Support', 'Einstellungen', 'Profil', 'Dashboard', 'Konto', 'Menü', 'Mehr'],
+    clickable: ['anmelden', 'registrieren', 'senden', 'speichern', 'löschen', 'abbrechen', 'weiter', 'zurück', 'schließen', 'suchen', 'herunterladen', 'teilen', 'kaufen', 'hinzufügen', 'bearbeiten', 'einstellungen', 'profil', 'menü']
+  },
+  fra: {
+    buttons: [
+      'se connecter', 'connexion', 's\'inscrire', 'inscription', 'envoyer', 'soumettre', 'enregistrer', 'sauvegarder',
+      'supprimer', 'annuler', 'ok', 'oui', 'non', 'confirmer', 'continuer', 'suivant', 'retour', 'précédent', 'fermer',
+      'terminer', 'créer', 'ajouter', 'retirer', 'modifier', 'mettre à jour', 'appliquer', 'rechercher', 'démarrer',
+      'arrêter', 'télécharger', 'partager', 'copier', 'coller', 'couper', 'imprimer', 'exporter', 'importer',
+      'acheter', 'ajouter au panier', 's\'abonner', 'suivre', 'répondre', 'publier', 'aperçu', 'en savoir plus', 'voir tout'
+    ],
+    inputs: ['saisir', 'rechercher', 'recherche', 'filtrer', 'e-mail', 'courriel', 'mot de passe', 'nom d\'utilisateur', 'nom', 'adresse', 'téléphone', 'message', 'commentaire'],
+    dropdowns: ['sélectionner', 'choisir', 'tous', 'toutes', 'aucun'],
+    labels: ['e-mail', 'courriel', 'mot de passe', 'nom d\'utilisateur', 'nom', 'prénom', 'adresse', 'code postal', 'ville', 'pays', 'société', 'entreprise', 'titre', 'message', 'objet', 'description'],
+    menuBar: ['Fichier', 'Édition', 'Affichage', 'Fenêtre', 'Aide', 'Outils', 'Format', 'Insertion', 'Tableau', 'Données', 'Extensions', 'Préférences'],
+    navigation: ['Accueil', 'À propos', 'Contact', 'Services', 'Produits', 'Blog', 'Assistance', 'Paramètres', 'Profil', 'Tableau de bord', 'Compte', 'Menu', 'Plus'],
+    clickable: ['connexion', 'envoyer', 'enregistrer', 'supprimer', 'annuler', 'suivant', 'retour', 'fermer', 'rechercher', 'télécharger', 'partager', 'acheter', 'ajouter', 'modifier', 'paramètres', 'profil']
+  },
+  spa: {
+    buttons: [
+      'iniciar sesión', 'entrar', 'registrarse', 'enviar', 'guardar', 'eliminar', 'borrar', 'cancelar', 'aceptar',
+      'sí', 'no', 'confirmar', 'continuar', 'siguiente', 'atrás', 'volver', 'cerrar', 'hecho', 'crear', 'añadir',
+      'agregar', 'quitar', 'editar', 'actualizar', 'aplicar', 'buscar', 'iniciar', 'detener', 'descargar', 'subir',
+      'compartir', 'copiar', 'pegar', 'cortar', 'imprimir', 'exportar', 'importar', 'comprar ahora',
+      'añadir al carrito', 'suscribirse', 'seguir', 'responder', 'publicar', 'vista previa', 'más información', 'ver todo'
+    ],
+    inputs: ['introducir', 'escribir', 'buscar', 'filtrar', 'correo', 'correo electrónico', 'contraseña', 'usuario', 'nombre', 'dirección', 'teléfono', 'mensaje', 'comentario'],
+    dropdowns: ['seleccionar', 'elegir', 'todos', 'ninguno'],
+    labels: ['correo electrónico', 'contraseña', 'usuario', 'nombre', 'apellido', 'dirección', 'teléfono', 'código postal', 'ciudad', 'país', 'empresa', 'título', 'mensaje', 'asunto', 'descripción'],
+    menuBar: ['Archivo', 'Editar', 'Ver', 'Ventana', 'Ayuda', 'Herramientas', 'Formato', 'Insertar', 'Tabla', 'Datos', 'Extensiones', 'Preferencias'],
+    navigation: ['Inicio', 'Acerca de', 'Contacto', 'Servicios', 'Productos', 'Blog', 'Soporte', 'Configuración', 'Perfil', 'Panel', 'Cuenta', 'Menú', 'Más'],
+    clickable: ['enviar', 'guardar', 'eliminar', 'cancelar', 'siguiente', 'atrás', 'cerrar', 'buscar', 'descargar', 'compartir', 'comprar', 'añadir', 'editar', 'configuración', 'perfil', 'menú']
+  },
+  rus: {
+    buttons: [
+      'войти', 'вход', 'выйти', 'регистрация', 'зарегистрироваться', 'отправить', 'сохранить', 'удалить', 'отмена',
+      'отменить', 'ок', 'да', 'нет', 'подтвердить', 'продолжить', 'далее', 'назад', 'закрыть', 'готово', 'создать',
+      'добавить', 'изменить', 'обновить', 'применить', 'поиск', 'найти', 'скачать', 'загрузить', 'поделиться',
+      'копировать', 'вставить', 'вырезать', 'печать', 'экспорт', 'импорт', 'купить', 'в корзину', 'подписаться',
+      'ответить', 'опубликовать'
+    ],
+    inputs: ['введите', 'поиск', 'фильтр', 'почта', 'пароль', 'логин', 'имя', 'адрес', 'телефон', 'сообщение', 'комментарий'],
+    dropdowns: ['выберите', 'выбрать', 'все'],
+    labels: ['почта', 'пароль', 'логин', 'имя', 'фамилия', 'адрес', 'телефон', 'индекс', 'город', 'страна', 'компания', 'название', 'сообщение', 'тема', 'описание'],
+    menuBar: ['Файл', 'Правка', 'Вид', 'Окно', 'Справка', 'Инструменты', 'Формат', 'Вставка', 'Таблица', 'Данные', 'Расширения', 'Настройки'],
+    navigation: ['Главная', 'О нас', 'Контакты', 'Услуги', 'Продукты', 'Блог', 'Поддержка', 'Настройки', 'Профиль', 'Панель', 'Аккаунт', 'Меню', 'Ещё'],
+    clickable: ['войти', 'отправить', 'сохранить', 'удалить', 'отмена', 'далее', 'назад', 'закрыть', 'поиск', 'скачать', 'купить', 'добавить', 'настройки', 'профиль', 'меню']
+  },
+  chi_sim: {
+    buttons: [
+      '登录', '注册', '提交', '发送', '保存', '删除', '取消', '确定', '确认', '是', '否', '继续', '下一步', '返回',
+      '关闭', '完成', '创建', '添加', '移除', '编辑', '更新', '应用', '搜索', '开始', '停止', '下载', '上传', '分享',
+      '复制', '粘贴', '剪切', '打印', '导出', '导入', '立即购买', '加入购物车', '结算', '订阅', '关注', '回复', '发布', '预览'
+    ],
+    inputs: ['输入', '搜索', '查找', '筛选', '邮箱', '密码', '用户名', '姓名', '地址', '电话', '消息', '评论'],
+    dropdowns: ['选择', '请选择', '全部', '无'],
+    labels: ['邮箱', '密码', '用户名', '姓名', '地址', '电话', '邮编', '城市', '国家', '公司', '标题', '消息', '主题', '描述'],
+    menuBar: ['文件', '编辑', '视图', '窗口', '帮助', '工具', '格式', '插入', '表格', '数据', '扩展', '偏好设置'],
+    navigation: ['首页', '关于', '联系我们', '服务', '产品', '博客', '支持', '设置', '个人资料', '仪表板', '账户', '菜单', '更多'],
+    clickable: ['登录', '注册', '提交', '发送', '保存', '删除', '取消', '确定', '下一步', '返回', '关闭', '搜索', '下载', '分享', '购买', '添加', '设置', '菜单']
+  },
+  jpn: {
+    buttons: [
+      'ログイン', 'サインイン', '新規登録', '登録', '送信', '保存', '削除', 'キャンセル', 'はい', 'いいえ', '確認',
+      '続ける', '次へ', '戻る', '閉じる', '完了', '作成', '追加', '編集', '更新', '適用', '検索', '開始', '停止',
+      'ダウンロード', 'アップロード', '共有', 'コピー', '貼り付け', '切り取り', '印刷', 'エクスポート', 'インポート',
+      '今すぐ購入', 'カートに入れる', '購読', 'フォロー', '返信', '投稿', 'プレビュー'
+    ],
+    inputs: ['入力', '検索', 'フィルター', 'メール', 'メールアドレス', 'パスワード', 'ユーザー名', '名前', '住所', '電話', 'メッセージ', 'コメント'],
+    dropdowns: ['選択', '選択してください', 'すべて', 'なし'],
+    labels: ['メールアドレス', 'パスワード', 'ユーザー名', '名前', '氏名', '住所', '電話番号', '郵便番号', '国', '会社', '件名', '説明'],
+    menuBar: ['ファイル', '編集', '表示', 'ウインドウ', 'ウィンドウ', 'ヘルプ', 'ツール', 'フォーマット', '挿入', '表', 'データ', '拡張機能', '環境設定'],
+    navigation: ['ホーム', '概要', 'お問い合わせ', 'サービス', '製品', 'ブログ', 'サポート', '設定', 'プロフィール', 'ダッシュボード', 'アカウント', 'メニュー'],
+    clickable: ['ログイン', '送信', '保存', '削除', 'キャンセル', '次へ', '戻る', '閉じる', '検索', 'ダウンロード', '共有', '購入', '追加', '設定', 'メニュー']
+  }
+};
+
+// Traditional Chinese shares enough UI words with simplified for these heuristics
+VOCABULARY.chi_tra = VOCABULARY.chi_sim;
+
+const compiled = new Map();
+
+/**
+ * Vocabulary for a language set, compiled into matchers
+ * @param {Array<string>} languages - Tesseract language codes (English is always added)
+ * @returns {Object} { isButton(text), isInput(text), isDropdown(text), isLabel(text),
+ *   menuBar: Set, navigation: Set, clickable: [lowercased keywords] }
+ */
+export function getUIVocabulary(languages = ['eng']) {
+  const codes = [...new Set(['eng', ...(languages || [])])].filter(code => VOCABULARY[code]).sort();
+  const key = codes.join('+');
+  if (!compiled.has(key)) {
+    const merge = field => [...new Set(codes.flatMap(code => VOCABULARY[code][field]))];
+    const matcher = field => {
+      const pattern = new RegExp(`^(${merge(field).map(escapeRegExp).join('|')})$`, 'iu');
+      return text => pattern.test(text);
+    };
+    compiled.set(key, {
+      languages: codes,
+      isButton: matcher('buttons'),
+      isInput: matcher('inputs'),
+      isDropdown: matcher('dropdowns'),
+      isLabel: matcher('labels'),
+      menuBar: new Set(merge('menuBar')),
+      navigation: new Set(merge('navigation')),
+      clickable: merge('clickable').map(word => word.toLowerCase())
+    });
+  }
+  return compiled.get(key);
+}
+
+/**
+ * Languages with a UI vocabulary
+ * @returns {Array<string>}
+ */
+export function getVocabularyLanguages() {
+  return Object.keys(VOCABULARY);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -0,0 +1,117 @@
+/**
+ * Window Backends
+ * Platform-specific window enumeration used by window-detector.js
+ *
+ * Every backend implements:
+ *   getAllWindows()        → [{ appName, title, x, y, width, height, ... }] frontmost first
+ *   getFrontmostWindow()   → window | null
+ *   isAppRunning(appName)  → boolean
+ *   focusWindow(window)    → true (throws on failure)
+ *   getDisplays()          → [{ id, name, index, bounds, scaleFactor, primary, captureId }] primary first
+ *
+ * Window and display bounds share one global virtual-desktop space (top-left origin
+ * at the primary display, logical points on macOS). captureId is the screen id
+ * screenshot-desktop uses for that display.
+ *
+ * Selected by WINDOW_BACKEND (macos | x11 | mock | none), otherwise by platform.
+ */
+
+import { MacOSWindowBackend } from './macos.js';
+import { X11WindowBackend } from './x11.js';
+import { MockWindowBackend } from './mock.js';
+import logger from '../logger.js';
+
+/**
+ * Backend for platforms without window enumeration support
+ * Reports no windows so callers fall back to full-screen analysis
+ */
+export class NullWindowBackend {
+  constructor() {
+    this.name = 'none';
+  }
+
+  async getAllWindows() {
+    return [];
+  }
+
+  async getFrontmostWindow() {
+    return null;
+  }
+
+  async isAppRunning() {
+    return false;
+  }
+
+  async getDisplays() {
+    return [];
+  }
+
+  async focusWindow() {
+    throw new Error(`Window focus is not supported on ${process.platform}`);
+  }
+}
+
+const backendFactories = {
+  macos: () => new MacOSWindowBackend(),
+  x11: () => new X11WindowBackend(),
+  mock: () => new MockWindowBackend({ scriptPath: process.env.WINDOW_MOCK_SCRIPT || undefined }),
+  none: () => new NullWindowBackend()
+};
+
+/**
+ * Pick the backend name for this platform
+ * @returns {string} Backend name
+ */
+function defaultBackendName() {
+  switch (process.platform) {
+    case 'darwin':
+      return 'macos';
+    case 'linux':
+    case 'freebsd':
+    case 'openbsd':
+      return 'x11';
+    default:
+      return 'none';
+  }
+}
+
+/**
+ * Create a backend by name
+ * @param {string} name - macos | x11 | mock | none
+ * @returns {Object} Window backend
+ */
+export function createWindowBackend(name) {
+  const factory = backendFactories[name];
+  if (!factory) {
+    throw new Error(`Unknown window backend: ${name} (available: ${Object.keys(backendFactories).join(', ')})`);
+  }
+  return factory();
+}
+
+// Singleton instance
+let instance = null;
+
+/**
+ * Get the active window backend
+ * @returns {Object} Window backend
+ */
+export function getWindowBackend() {
+  if (!instance) {
+    const name = process.env.WINDOW_BACKEND || defaultBackendName();
+    instance = createWindowBackend(name);
+    logger.info('🪟 Window backend selected', { backend: instance.name, platform: process.platform });
+  }
+  return instance;
+}
+
+/**
+ * Replace the active window backend (tests inject a MockWindowBackend here)
+ * @param {Object|string|null} backend - Backend instance, backend name, or null to reset to the default
+ * @returns {Object|null} The new backend
+ */
+export function setWindowBackend(backend) {
+  instance = typeof backend === 'string' ? createWindowBackend(backend) : backend;
+  return instance;
+}
+
+export { MacOSWindowBackend, X11WindowBackend, MockWindowBackend };
@@ -0,0 +1,268 @@
+/**
+ * macOS Window Backend
+ * Window enumeration and focus via AppleScript (System Events)
+ * Requires Accessibility permissions for the host process
+ */
+
+import { exec, execFile } from 'child_process';
+import { promisify } from 'util';
+import logger from '../logger.js';
+
+const execAsync = promisify(exec);
+const execFileAsync = promisify(execFile);
+
+// NSScreen frames use a bottom-left origin on the primary display; flip to top-left
+const DISPLAYS_SCRIPT = `
+ObjC.import('AppKit');
+const screens = $.NSScreen.screens;
+const primaryHeight = screens.objectAtIndex(0).frame.size.height;
+const displays = [];
+for (let i = 0; i < screens.count; i++) {
+  const screen = screens.objectAtIndex(i);
+  const frame = screen.frame;
+  let name = 'Display ' + (i + 1);
+  try { name = ObjC.unwrap(screen.localizedName) || name; } catch (e) {}
+  displays.push({
+    id: ObjC.unwrap(screen.deviceDescription.objectForKey('NSScreenNumber')),
+    name: name,
+    x: frame.origin.x,
+    y: primaryHeight - frame.origin.y - frame.size.height,
+    width: frame.size.width,
+    height: frame.size.height,
+    scaleFactor: screen.backingScaleFactor
+  });
+}
+JSON.stringify(displays);
+`;
+
+// On-screen windows front-to-back (layer 0 = normal app windows); no Accessibility needed
+const STACKING_SCRIPT = `
+ObjC.import('CoreGraphics');
+const list = ObjC.castRefToObject($.CGWindowListCopyWindowInfo($.kCGWindowListOptionOnScreenOnly | $.kCGWindowListExcludeDesktopElements, $.kCGNullWindowID));
+const windows = [];
+for (let i = 0; i < list.count; i++) {
+  const win = list.objectAtIndex(i);
+  if (ObjC.unwrap(win.objectForKey('kCGWindowLayer')) !== 0) continue;
+  const bounds = win.objectForKey('kCGWindowBounds');
+  windows.push({
+    app: ObjC.unwrap(win.objectForKey('kCGWindowOwnerName')),
+    x: ObjC.unwrap(bounds.objectForKey('X')),
+    y: ObjC.unwrap(bounds.objectForKey('Y')),
+    width: ObjC.unwrap(bounds.objectForKey('Width')),
+    height: ObjC.unwrap(bounds.objectForKey('Height'))
+  });
+}
+JSON.stringify(windows);
+`;
+
+export class MacOSWindowBackend {
+  constructor() {
+    this.name = 'macos';
+  }
+
+  /**
+   * Get all visible windows on screen, frontmost first
+   * @returns {Promise<Array>} Array of window objects
+   */
+  async getAllWindows() {
+    const script = `
+      tell application "System Events"
+        set windowList to ""
+        set appList to every application process whose visible is true
+
+        repeat with appProc in appList
+          set appName to name of appProc
+
+          try
+            set appWindows to every window of appProc
+
+            repeat with win in appWindows
+              try
+                set winTitle to title of win
+                set winPos to position of win
+                set winSize to size of win
+
+                -- Build window info string
+                set windowInfo to "APP:" & appName & "|TITLE:" & winTitle & "|X:" & (item 1 of winPos) & "|Y:" & (item 2 of winPos) & "|W:" & (item 1 of winSize) & "|H:" & (item 2 of winSize) & "\\n"
+                set windowList to windowList & windowInfo
+              on error
+                -- Skip windows that can't be accessed
+              end try
+            end repeat
+          on error
+            -- Skip apps with no windows
+          end try
+        end repeat
+
+        return windowList
+      end tell
+    `;
+
+    const { stdout } = await execAsync(`osascript <<'EOF'\n${script}\nEOF`);
+
+    // Parse output
+    const windows = await this._sortByStacking(parseWindowList(stdout));
+
+    logger.info('Detected windows', { count: windows.length, raw: stdout.substring(0, 200) });
+    return windows;
+  }
+
+  /**
+   * Get the frontmost (focused) window
+   * @returns {Promise<Object|null>} Window object or null
+   */
+  async getFrontmostWindow() {
+    const script = `
+      tell application "System Events"
+        set frontApp to first application process whose frontmost is true
+        set appName to name of frontApp
+
+        try
+          set frontWin to front window of frontApp
+          set winTitle to title of frontWin
+          set winPos to position of frontWin
+          set winSize to size of frontWin
+
+          return "APP:" & appName & "|TITLE:" & winTitle & "|X:" & (item 1 of winPos) & "|Y:" & (item 2 of winPos) & "|W:" & (item 1 of winSize) & "|H:" & (item 2 of winSize)
+        on error errMsg
+          return "APP:" & appName & "|TITLE:|X:0|Y:0|W:0|H:0"
+        end try
+      end tell
+    `;
+
+    const { stdout } = await execAsync(`osascript <<'EOF'\n${script}\nEOF`);
+
+    // Parse output
+    const windows = parseWindowList(stdout);
+    return windows.length > 0 ? windows[0] : null;
+  }
+
+  /**
+   * Check if an application is running
+   * @param {string} appName - Application name
+   * @returns {Promise<boolean>}
+   */
+  async isAppRunning(appName) {
+    const script = `
+      tell application "System Events"
+        return exists (application process "${appName}")
+      end tell
+    `;
+
+    const { stdout } = await execAsync(`osascript -e '${script}'`);
+    return stdout.trim() === 'true';
+  }
+
+  /**
+   * Enumerate displays via NSScreen (JXA)
+   * Bounds are logical points in the global desktop space; the first screen is the main display
+   * @returns {Promise<Array>} [{id, name, index, bounds, scaleFactor, primary, captureId}]
+   */
+  async getDisplays() {
+    const { stdout } = await execFileAsync('osascript', ['-l', 'JavaScript', '-e', DISPLAYS_SCRIPT]);
+
+    return JSON.parse(stdout).map((display, index) => ({
+      id: display.id,
+      name: display.name,
+      index,
+      bounds: { x: display.x, y: display.y, width: display.width, height: display.height },
+      scaleFactor: display.scaleFactor || 1,
+      primary: index === 0,
+      // screencapture numbers displays main-first, matching NSScreen order
+      captureId: index
+    }));
+  }
+
+  /**
+   * Order windows front-to-back
+   * System Events lists windows app by app, not in z-order, so match them
+   * against the window server's stacking list by owner and bounds
+   * @private
+   */
+  async _sortByStacking(windows) {
+    try {
+      const { stdout } = await execFileAsync('osascript', ['-l', 'JavaScript', '-e', STACKING_SCRIPT]);
+      const stack = JSON.parse(stdout);
+
+      const rank = win => {
+        const index = stack.findIndex(entry =>
+          entry.app === win.appName &&
+          Math.abs(entry.x - win.x) <= 2 && Math.abs(entry.y - win.y) <= 2 &&
+          Math.abs(entry.width - win.width) <= 2 && Math.abs(entry.height - win.height) <= 2
+        );
+        return index === -1 ? stack.length : index;
+      };
+
+      return windows
+        .map((win, order) => ({ win, order, rank: rank(win) }))
+        .sort((a, b) => a.rank - b.rank || a.order - b.order)
+        .map(entry => entry.win);
+    } catch (error) {
+      logger.warn('Could not read window stacking order', { error: error.message });
+      return windows;
+    }
+  }
+
+  /**
+   * Focus a specific window
+   * @param {Object} window - Window object
+   * @returns {Promise<boolean>} Success
+   */
+  async focusWindow(window) {
+    const script = `
+      tell application "System Events"
+        tell process "${window.appName}"
+          set frontmost to true
+          perform action "AXRaise" of window "${window.title}"
+        end tell
+      end tell
+    `;
+
+    await execAsync(`osascript <<'EOF'\n${script}\nEOF`);
+    return true;
+  }
+}
+
+/**
+ * Parse window list output
+ * @param {string} output - Raw output
+ * @returns {Array} Parsed window objects
+ */
+export function parseWindowList(output) {
+  const windows = [];
+
+  if (!output || output.trim() === '') {
+    return windows;
+  }
+
+  // Parse format: APP:Finder|TITLE:Desktop|X:0|Y:0|W:1920|H:1080
+  const lines = output.trim().split('\n');
+
+  for (const line of lines) {
+    if (!line || line.trim() === '') continue;
+
+    const parts = {};
+    const segments = line.split('|');
+
+    for (const segment of segments) {
+      const [key, ...valueParts] = segment.split(':');
+      const value = valueParts.join(':'); // Handle titles with colons
+      parts[key] = value;
+    }
+
+    if (parts.APP) {
+      windows.push({
+        appName: parts.APP,
+        title: parts.TITLE || '',
+        x: parseInt(parts.X) || 0,
+        y: parseInt(parts.Y) || 0,
+        width: parseInt(parts.W) || 0,
+        height: parseInt(parts.H) || 0
+      });
+    }
+  }
+
+  return windows;
+}
+
+export default MacOSWindowBackend;
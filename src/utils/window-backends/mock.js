@@ -0,0 +1,169 @@
+/**
+ * Mock Window Backend
+ * Scripted window layouts for tests and headless runs
+ *
+ * A script is a list of frames; each frame is the set of windows on screen
+ * (frontmost first). Tests step through frames with advance(), or set
+ * autoAdvance to move one frame per getAllWindows() call.
+ *
+ *   new MockWindowBackend({
+ *     frames: [
+ *       { windows: [{ appName: 'Slack', title: 'general', x: 0, y: 0, width: 1200, height: 800 }] },
+ *       { windows: [{ appName: 'Code', title: 'server.js', x: 0, y: 0, width: 1440, height: 900 }] }
+ *     ],
+ *     displays: [{ id: 1, bounds: { x: 0, y: 0, width: 1440, height: 900 }, scaleFactor: 2 }]
+ *   });
+ *
+ * A frame may carry its own `displays` to script monitors being plugged in or removed.
+ */
+
+import fs from 'fs';
+import logger from '../logger.js';
+
+export class MockWindowBackend {
+  /**
+   * @param {Object} options
+   * @param {Array} options.frames - Scripted frames [{ windows: [...] }] or plain window arrays
+   * @param {Array} options.windows - Shorthand for a single frame
+   * @param {Array} options.displays - Displays [{ id, name, bounds, scaleFactor, primary }] (default: one 1920x1080 display)
+   * @param {boolean} options.loop - Wrap to the first frame after the last (default: false, stays on last)
+   * @param {boolean} options.autoAdvance - Advance one frame per getAllWindows() call
+   * @param {string} options.scriptPath - JSON file with { frames, loop, autoAdvance }
+   */
+  constructor(options = {}) {
+    this.name = 'mock';
+
+    const script = options.scriptPath
+      ? JSON.parse(fs.readFileSync(options.scriptPath, 'utf8'))
+      : options;
+
+    const frames = script.frames || [{ windows: script.windows || [] }];
+    this.frames = frames.map(frame => (Array.isArray(frame) ? { windows: frame } : frame));
+    this.displays = (script.displays || [DEFAULT_DISPLAY]).map(normalizeDisplay);
+    this.loop = script.loop === true;
+    this.autoAdvance = script.autoAdvance === true;
+    this.frameIndex = 0;
+    this.focusCalls = [];
+
+    // Frames are copied so focusWindow() can reorder without touching the script
+    this.current = this._loadFrame(0);
+  }
+
+  /**
+   * Move to the next scripted frame
+   * @returns {number} New frame index
+   */
+  advance() {
+    let next = this.frameIndex + 1;
+    if (next >= this.frames.length) {
+      next = this.loop ? 0 : this.frames.length - 1;
+    }
+    this.frameIndex = next;
+    this.current = this._loadFrame(next);
+    return next;
+  }
+
+  /**
+   * Jump to a specific frame
+   * @param {number} index - Frame index
+   */
+  setFrame(index) {
+    if (index < 0 || index >= this.frames.length) {
+      throw new Error(`Mock window frame out of range: ${index}`);
+    }
+    this.frameIndex = index;
+    this.current = this._loadFrame(index);
+  }
+
+  /**
+   * Replace the current windows (frontmost first)
+   * @param {Array} windows - Window objects
+   */
+  setWindows(windows) {
+    this.current = windows.map(normalizeWindow);
+  }
+
+  async getAllWindows() {
+    const windows = this.current.map(win => ({ ...win }));
+    if (this.autoAdvance) {
+      this.advance();
+    }
+    return windows;
+  }
+
+  async getFrontmostWindow() {
+    return this.current.length > 0 ? { ...this.current[0] } : null;
+  }
+
+  async getDisplays() {
+    const frameDisplays = this.frames[this.frameIndex]?.displays;
+    return (frameDisplays ? frameDisplays.map(normalizeDisplay) : this.displays).map(display => ({ ...display }));
+  }
+
+  async isAppRunning(appName) {
+    const pattern = appName.toLowerCase();
+    return this.current.some(win => win.appName.toLowerCase() === pattern);
+  }
+
+  /**
+   * Record the focus request and raise the window to the front
+   */
+  async focusWindow(window) {
+    this.focusCalls.push({ appName: window.appName, title: window.title, timestamp: Date.now() });
+
+    const index = this.current.findIndex(win =>
+      (window.id && win.id === window.id) ||
+      (win.appName === window.appName && win.title === window.title)
+    );
+    if (index === -1) {
+      throw new Error(`Window not found: ${window.appName} - ${window.title}`);
+    }
+
+    const [focused] = this.current.splice(index, 1);
+    this.current.unshift(focused);
+    logger.debug('Mock focus', { app: focused.appName, title: focused.title });
+    return true;
+  }
+
+  /**
+   * @private
+   */
+  _loadFrame(index) {
+    return (this.frames[index]?.windows || []).map(normalizeWindow);
+  }
+}
+
+const DEFAULT_DISPLAY = {
+  id: 'mock-0',
+  name: 'Mock Display',
+  bounds: { x: 0, y: 0, width: 1920, height: 1080 },
+  scaleFactor: 1,
+  primary: true
+};
+
+function normalizeDisplay(display, index) {
+  return {
+    id: display.id ?? `mock-${index}`,
+    name: display.name || `Mock Display ${index + 1}`,
+    index,
+    bounds: { x: 0, y: 0, width: 1920, height: 1080, ...display.bounds },
+    scaleFactor: display.scaleFactor || 1,
+    primary: display.primary ?? index === 0,
+    captureId: display.captureId ?? index
+  };
+}
+
+function normalizeWindow(win, index) {
+  return {
+    ...win,
+    id: win.id || `mock-${index}`,
+    appName: win.appName || 'Unknown',
+    title: win.title || '',
+    x: win.x || 0,
+    y: win.y || 0,
+    width: win.width || 0,
+    height: win.height || 0
+  };
+}
+
+export default MockWindowBackend;
@@ -0,0 +1,312 @@
+/**
+ * X11 Window Backend
+ * Window enumeration via EWMH root properties (_NET_CLIENT_LIST, _NET_ACTIVE_WINDOW)
+ * Requires xprop and xwininfo (x11-utils); focus uses wmctrl or xdotool when installed
+ */
+
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import logger from '../logger.js';
+
+const execFileAsync = promisify(execFile);
+
+const EXEC_TIMEOUT_MS = 2000;
+const WINDOW_ID = /^0x[0-9a-f]+$/i;
+
+// Window types that are part of the desktop shell rather than application windows
+const SKIPPED_WINDOW_TYPES = [
+  '_NET_WM_WINDOW_TYPE_DOCK',
+  '_NET_WM_WINDOW_TYPE_DESKTOP',
+  '_NET_WM_WINDOW_TYPE_SPLASH',
+  '_NET_WM_WINDOW_TYPE_NOTIFICATION'
+];
+
+export class X11WindowBackend {
+  constructor(options = {}) {
+    this.name = 'x11';
+    this.display = options.display || process.env.DISPLAY;
+  }
+
+  /**
+   * Get all visible (non-minimized) application windows, frontmost first
+   * @returns {Promise<Array>} Array of window objects
+   */
+  async getAllWindows() {
+    const ids = await this._getClientIds();
+    const activeId = await this._getActiveWindowId();
+
+    const windows = (await Promise.all(ids.map(id => this._getWindow(id).catch(error => {
+      // Windows can close between listing and inspection
+      logger.debug('Skipping X11 window', { id, error: error.message });
+      return null;
+    })))).filter(win => win && !win.minimized && !SKIPPED_WINDOW_TYPES.includes(win.windowType));
+
+    // Active window first even if the stacking order lags behind focus
+    windows.sort((a, b) => (b.id === activeId) - (a.id === activeId));
+
+    logger.info('Detected windows', { count: windows.length, backend: this.name });
+    return windows.map(stripInternal);
+  }
+
+  /**
+   * Get the window that has input focus
+   * @returns {Promise<Object|null>} Window object or null
+   */
+  async getFrontmostWindow() {
+    const activeId = await this._getActiveWindowId();
+    if (!activeId) {
+      return null;
+    }
+    return stripInternal(await this._getWindow(activeId));
+  }
+
+  /**
+   * Check if an application has any managed windows
+   * @param {string} appName - Application name (WM_CLASS class or instance)
+   * @returns {Promise<boolean>}
+   */
+  async isAppRunning(appName) {
+    const pattern = appName.toLowerCase();
+    const ids = await this._getClientIds();
+
+    for (const id of ids) {
+      const props = await this._xprop(['-id', id, 'WM_CLASS']).catch(() => '');
+      const [instance = '', className = ''] = parseStringList(props, 'WM_CLASS');
+      if (instance.toLowerCase() === pattern || className.toLowerCase() === pattern) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Activate a window (switches desktop and raises it)
+   * @param {Object} window - Window object (uses window.id when present, otherwise the title)
+   * @returns {Promise<boolean>} Success
+   */
+  async focusWindow(window) {
+    const id = window.id && WINDOW_ID.test(window.id) ? window.id : await this._findWindowId(window);
+    if (!id) {
+      throw new Error(`Window not found: ${window.appName} - ${window.title}`);
+    }
+
+    try {
+      await execFileAsync('wmctrl', ['-i', '-a', id], this._execOptions());
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      // wmctrl not installed: xdotool can do the same
+      await execFileAsync('xdotool', ['windowactivate', String(parseInt(id, 16))], this._execOptions());
+    }
+    return true;
+  }
+
+  /**
+   * Enumerate monitors via xrandr
+   * X11 coordinates are physical pixels, so scaleFactor is 1
+   * @returns {Promise<Array>} [{id, name, index, bounds, scaleFactor, primary, captureId}]
+   */
+  async getDisplays() {
+    const output = await this._exec('xrandr', ['--current']);
+    return parseXrandr(output);
+  }
+
+  /**
+   * Window ids in stacking order, topmost first
+   * @private
+   */
+  async _getClientIds() {
+    // _NET_CLIENT_LIST_STACKING is bottom-to-top; fall back to mapping order
+    let output = await this._xprop(['-root', '_NET_CLIENT_LIST_STACKING']);
+    let ids = parseWindowIds(output);
+    if (ids.length === 0) {
+      output = await this._xprop(['-root', '_NET_CLIENT_LIST']);
+      ids = parseWindowIds(output);
+    }
+    return ids.reverse();
+  }
+
+  /**
+   * @private
+   */
+  async _getActiveWindowId() {
+    const output = await this._xprop(['-root', '_NET_ACTIVE_WINDOW']);
+    const [id] = parseWindowIds(output);
+    // 0x0 means no window has focus
+    return id && parseInt(id, 16) !== 0 ? id : null;
+  }
+
+  /**
+   * Read class, title, state and geometry of one window
+   * @private
+   */
+  async _getWindow(id) {
+    const [props, geometry] = await Promise.all([
+      this._xprop(['-id', id, 'WM_CLASS', '_NET_WM_NAME', 'WM_NAME', '_NET_WM_PID', '_NET_WM_STATE', '_NET_WM_WINDOW_TYPE']),
+      this._exec('xwininfo', ['-id', id])
+    ]);
+
+    const [instance = '', className = ''] = parseStringList(props, 'WM_CLASS');
+    const [netTitle] = parseStringList(props, '_NET_WM_NAME');
+    const [legacyTitle] = parseStringList(props, 'WM_NAME');
+    const states = parseAtoms(props, '_NET_WM_STATE');
+    const [windowType] = parseAtoms(props, '_NET_WM_WINDOW_TYPE');
+    const pid = parseInt(props.match(/_NET_WM_PID\(CARDINAL\) = (\d+)/)?.[1]);
+
+    return {
+      id,
+      appName: className || instance || 'Unknown',
+      title: netTitle ?? legacyTitle ?? '',
+      ...parseGeometry(geometry),
+      pid: Number.isFinite(pid) ? pid : null,
+      wmClass: instance,
+      minimized: states.includes('_NET_WM_STATE_HIDDEN'),
+      windowType: windowType || '_NET_WM_WINDOW_TYPE_NORMAL'
+    };
+  }
+
+  /**
+   * @private
+   */
+  async _findWindowId(window) {
+    const windows = await this.getAllWindows();
+    const match = windows.find(win => win.appName === window.appName && win.title === window.title) ||
+      windows.find(win => win.appName === window.appName);
+    return match?.id || null;
+  }
+
+  /**
+   * @private
+   */
+  async _xprop(args) {
+    return this._exec('xprop', args);
+  }
+
+  /**
+   * @private
+   */
+  async _exec(command, args) {
+    const { stdout } = await execFileAsync(command, args, this._execOptions());
+    return stdout;
+  }
+
+  /**
+   * @private
+   */
+  _execOptions() {
+    return {
+      timeout: EXEC_TIMEOUT_MS,
+      env: this.display ? { ...process.env, DISPLAY: this.display } : process.env
+    };
+  }
+}
+
+/**
+ * Parse window ids from `xprop` WINDOW output
+ * e.g. "_NET_CLIENT_LIST(WINDOW): window id # 0x1e00003, 0x2200007"
+ * @param {string} output - xprop output
+ * @returns {Array<string>} Window ids
+ */
+export function parseWindowIds(output) {
+  const match = (output || '').match(/window id # (.*)$/m);
+  if (!match) {
+    return [];
+  }
+  return match[1].split(',').map(id => id.trim()).filter(id => WINDOW_ID.test(id));
+}
+
+/**
+ * Parse a string-list property
+ * e.g. 'WM_CLASS(STRING) = "gnome-terminal-server", "Gnome-terminal"'
+ * @param {string} output - xprop output
+ * @param {string} property - Property name
+ * @returns {Array<string>} Values (empty when the property is not set)
+ */
+export function parseStringList(output, property) {
+  const line = (output || '').split('\n').find(l => l.startsWith(`${property}(`));
+  if (!line || !line.includes(' = ')) {
+    return [];
+  }
+  const values = [];
+  const pattern = /"((?:[^"\\]|\\.)*)"/g;
+  let match;
+  while ((match = pattern.exec(line)) !== null) {
+    values.push(match[1].replace(/\\(.)/g, '$1'));
+  }
+  return values;
+}
+
+/**
+ * Parse an ATOM-list property
+ * e.g. "_NET_WM_STATE(ATOM) = _NET_WM_STATE_MAXIMIZED_VERT, _NET_WM_STATE_HIDDEN"
+ * @param {string} output - xprop output
+ * @param {string} property - Property name
+ * @returns {Array<string>} Atom names
+ */
+export function parseAtoms(output, property) {
+  const line = (output || '').split('\n').find(l => l.startsWith(`${property}(ATOM)`));
+  if (!line || !line.includes(' = ')) {
+    return [];
+  }
+  return line.split(' = ')[1].split(',').map(atom => atom.trim()).filter(Boolean);
+}
+
+/**
+ * Parse absolute geometry from `xwininfo -id` output
+ * @param {string} output - xwininfo output
+ * @returns {Object} {x, y, width, height}
+ */
+export function parseGeometry(output) {
+  const read = label => parseInt((output || '').match(new RegExp(`${label}:\\s+(-?\\d+)`))?.[1]) || 0;
+  return {
+    x: read('Absolute upper-left X'),
+    y: read('Absolute upper-left Y'),
+    width: read('Width'),
+    height: read('Height')
+  };
+}
+
+/**
+ * Parse connected, active outputs from `xrandr --current`
+ * e.g. "HDMI-1 connected primary 1920x1080+0+0 (normal left inverted right x axis y axis) 476mm x 268mm"
+ * @param {string} output - xrandr output
+ * @returns {Array} Displays, primary first
+ */
+export function parseXrandr(output) {
+  const displays = [];
+  const pattern = /^(\S+) connected (primary )?(\d+)x(\d+)\+(-?\d+)\+(-?\d+)/;
+
+  for (const line of (output || '').split('\n')) {
+    const match = pattern.exec(line);
+    if (!match) continue; // disconnected, or connected but switched off
+
+    const [, name, primary, width, height, x, y] = match;
+    displays.push({
+      id: name,
+      name,
+      bounds: { x: +x, y: +y, width: +width, height: +height },
+      scaleFactor: 1,
+      primary: !!primary,
+      // screenshot-desktop selects Linux screens by xrandr output name
+      captureId: name
+    });
+  }
+
+  if (displays.length > 0 && !displays.some(display => display.primary)) {
+    displays[0].primary = true;
+  }
+
+  return displays
+    .sort((a, b) => b.primary - a.primary)
+    .map((display, index) => ({ ...display, index }));
+}
+
+/**
+ * Drop fields only used for filtering
+ */
+function stripInternal(win) {
+  if (!win) return null;
+  const { minimized, windowType, ...window } = win;
+  return window;
+}
+
+export default X11WindowBackend;
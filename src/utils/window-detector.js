@@ -3,60 +3,18 @@
  * Detects and analyzes windows without requiring focus
  */
 
-import { exec } from 'child_process';
-import { promisify } from 'util';
-import { screen } from '@nut-tree-fork/nut-js';
+import { getWindowBackend } from './window-backends/index.js';
+import { calculateOverlapArea } from './coords.js';
+import { getScreenEventBus } from '../services/screenEventBus.js';
 import logger from './logger.js';
 
-const execAsync = promisify(exec);
-
 /**
  * Get all visible windows on screen
  * @returns {Promise<Array>} Array of window objects
  */
 export async function getAllWindows() {
   try {
-    const script = `
-      tell application "System Events"
-        set windowList to ""
-        set appList to every application process whose visible is true
-        
-        repeat with appProc in appList
-          set appName to name of appProc
-          
-          try
-            set appWindows to every window of appProc
-            
-            repeat with win in appWindows
-              try
-                set winTitle to title of win
-                set winPos to position of win
-                set winSize to size of win
-                
-                -- Build window info string
-                set windowInfo to "APP:" & appName & "|TITLE:" & winTitle & "|X:" & (item 1 of winPos) & "|Y:" & (item 2 of winPos) & "|W:" & (item 1 of winSize) & "|H:" & (item 2 of winSize) & "\\n"
-                set windowList to windowList & windowInfo
-              on error
-                -- Skip windows that can't be accessed
-              end try
-            end repeat
-          on error
-            -- Skip apps with no windows
-          end try
-        end repeat
-        
-        return windowList
-      end tell
-    `;
-    
-    const { stdout } = await execAsync(`osascript <<'EOF'\n${script}\nEOF`);
-    
-    // Parse output
-    const windows = parseWindowList(stdout);
-    
-    logger.info('Detected windows', { count: windows.length, raw: stdout.substring(0, 200) });
-    return windows;
-    
+    return await getWindowBackend().getAllWindows();
   } catch (error) {
     logger.error('Failed to get windows', { error: error.message, stack: error.stack });
     return [];
@@ -91,32 +49,11 @@ export async function getWindowAtPoint(x, y) {
  */
 export async function getFrontmostWindow() {
   try {
-    const script = `
-      tell application "System Events"
-        set frontApp to first application process whose frontmost is true
-        set appName to name of frontApp
-        
-        try
-          set frontWin to front window of frontApp
-          set winTitle to title of frontWin
-          set winPos to position of frontWin
-          set winSize to size of frontWin
-          
-          return "APP:" & appName & "|TITLE:" & winTitle & "|X:" & (item 1 of winPos) & "|Y:" & (item 2 of winPos) & "|W:" & (item 1 of winSize) & "|H:" & (item 2 of winSize)
-        on error errMsg
-          return "APP:" & appName & "|TITLE:|X:0|Y:0|W:0|H:0"
-        end try
-      end tell
-    `;
-    
-    const { stdout } = await execAsync(`osascript <<'EOF'\n${script}\nEOF`);
+    const window = await getWindowBackend().getFrontmostWindow();
     
-    // Parse output
-    const windows = parseWindowList(stdout);
-    
-    if (windows.length > 0) {
-      logger.info('Got frontmost window', windows[0]);
-      return windows[0];
+    if (window) {
+      logger.info('Got frontmost window', window);
+      return window;
     }
     
     return null;
@@ -191,6 +128,29 @@ export async function getWindowByApp(appName) {
   return null;
 }
 
+/**
+ * Locate a window and the windows stacked above it
+ * @param {Object} windowInfo - { appName, title } (title optional)
+ * @returns {Promise<Object|null>} { window, above } (above is frontmost first) or null if not found
+ */
+export async function findWindowStack(windowInfo) {
+  if (!windowInfo?.appName) return null;
+
+  const windows = await getAllWindows();
+  const app = windowInfo.appName.toLowerCase();
+  const sameApp = win => win.appName.toLowerCase() === app;
+
+  let index = windows.findIndex(win => sameApp(win) && (!windowInfo.title || win.title === windowInfo.title));
+  if (index === -1) {
+    index = windows.findIndex(sameApp);
+  }
+  if (index === -1) {
+    return null;
+  }
+
+  return { window: windows[index], above: windows.slice(0, index) };
+}
+
 /**
  * Check if an application is running
  * @param {string} appName - Application name
@@ -198,15 +158,7 @@ export async function getWindowByApp(appName) {
  */
 async function isAppRunning(appName) {
   try {
-    const script = `
-      tell application "System Events"
-        return exists (application process "${appName}")
-      end tell
-    `;
-    
-    const { stdout } = await execAsync(`osascript -e '${script}'`);
-    return stdout.trim() === 'true';
-    
+    return await getWindowBackend().isAppRunning(appName);
   } catch (error) {
     logger.error('Failed to check if app is running', { appName, error: error.message });
     return false;
@@ -220,16 +172,7 @@ async function isAppRunning(appName) {
  */
 export async function focusWindow(window) {
   try {
-    const script = `
-      tell application "System Events"
-        tell process "${window.appName}"
-          set frontmost to true
-          perform action "AXRaise" of window "${window.title}"
-        end tell
-      end tell
-    `;
-    
-    await execAsync(`osascript <<'EOF'\n${script}\nEOF`);
+    await getWindowBackend().focusWindow(window);
     logger.info('Focused window', { app: window.appName, title: window.title });
     return true;
     
@@ -239,54 +182,14 @@ export async function focusWindow(window) {
   }
 }
 
-/**
- * Parse window list output
- * @param {string} output - Raw output
- * @returns {Array} Parsed window objects
- */
-function parseWindowList(output) {
-  const windows = [];
-  
-  if (!output || output.trim() === '') {
-    return windows;
-  }
-  
-  // Parse format: APP:Finder|TITLE:Desktop|X:0|Y:0|W:1920|H:1080
-  const lines = output.trim().split('\n');
-  
-  for (const line of lines) {
-    if (!line || line.trim() === '') continue;
-    
-    const parts = {};
-    const segments = line.split('|');
-    
-    for (const segment of segments) {
-      const [key, ...valueParts] = segment.split(':');
-      const value = valueParts.join(':'); // Handle titles with colons
-      parts[key] = value;
-    }
-    
-    if (parts.APP) {
-      windows.push({
-        appName: parts.APP,
-        title: parts.TITLE || '',
-        x: parseInt(parts.X) || 0,
-        y: parseInt(parts.Y) || 0,
-        width: parseInt(parts.W) || 0,
-        height: parseInt(parts.H) || 0
-      });
-    }
-  }
-  
-  return windows;
-}
-
 /**
  * Get screen dimensions using nut.js
  * @returns {Promise<Object>} Screen dimensions {width, height}
  */
 async function getScreenDimensions() {
   try {
+    // Loaded lazily so headless runs (mock backend, recorded captures) don't need a display
+    const { screen } = await import('@nut-tree-fork/nut-js');
     const width = await screen.width();
     const height = await screen.height();
     logger.debug('Screen dimensions', { width, height });
@@ -298,6 +201,105 @@ async function getScreenDimensions() {
   }
 }
 
+// Display layout rarely changes, but enumerating it shells out - cache briefly
+const DISPLAY_CACHE_MS = 5000;
+let displayCache = { displays: null, timestamp: 0 };
+
+/**
+ * Get all displays in the global virtual-desktop space (primary first)
+ * Falls back to a single primary display sized from nut.js when the backend can't enumerate
+ * @returns {Promise<Array>} [{id, name, index, bounds, scaleFactor, primary, captureId}]
+ */
+export async function getDisplays() {
+  if (displayCache.displays && Date.now() - displayCache.timestamp < DISPLAY_CACHE_MS) {
+    return displayCache.displays;
+  }
+
+  let displays = [];
+  try {
+    displays = await getWindowBackend().getDisplays();
+  } catch (error) {
+    logger.error('Failed to enumerate displays', { error: error.message });
+  }
+
+  if (!displays || displays.length === 0) {
+    const { width, height } = await getScreenDimensions();
+    displays = [{
+      id: 'main',
+      name: 'Main Display',
+      index: 0,
+      bounds: { x: 0, y: 0, width, height },
+      scaleFactor: 1,
+      primary: true,
+      captureId: undefined // screenshot-desktop default screen
+    }];
+  }
+
+  displayCache = { displays, timestamp: Date.now() };
+  logger.debug('Displays', { count: displays.length, displays: displays.map(d => ({ id: d.id, bounds: d.bounds })) });
+  return displays;
+}
+
+/**
+ * Find the display a rectangle is (mostly) on
+ * @param {Object} bounds - {x, y, width, height} in global coordinates
+ * @param {Array} displays - Displays from getDisplays()
+ * @returns {Object|null} Display with the largest overlap, else the primary display
+ */
+export function findDisplayForBounds(bounds, displays) {
+  if (!displays || displays.length === 0) return null;
+
+  let best = null;
+  let bestArea = 0;
+  for (const display of displays) {
+    const area = calculateOverlapArea(bounds, display.bounds);
+    if (area > bestArea) {
+      best = display;
+      bestArea = area;
+    }
+  }
+
+  return best || displays.find(display => display.primary) || displays[0];
+}
+
+/**
+ * Resolve a display selector
+ * @param {string|number} selector - 'primary', display id, display name, or index
+ * @param {Array} displays - Displays from getDisplays()
+ * @returns {Object|null} Matching display or null
+ */
+export function resolveDisplay(selector, displays) {
+  if (selector === null || selector === undefined || !displays) return null;
+
+  if (selector === 'primary') {
+    return displays.find(display => display.primary) || displays[0] || null;
+  }
+
+  // Ids win over indexes: macOS display ids are numbers too
+  const byId = displays.find(display => String(display.id) === String(selector));
+  if (byId) return byId;
+
+  const byName = displays.find(display => display.name?.toLowerCase() === String(selector).toLowerCase());
+  if (byName) return byName;
+
+  const index = Number(selector);
+  return Number.isInteger(index) ? displays.find(display => display.index === index) || null : null;
+}
+
+/**
+ * Check if a window covers (almost) all of its display
+ */
+function isFullscreenOn(win, display) {
+  const { x, y, width, height } = display.bounds;
+  // A window is fullscreen if it covers most of the screen
+  // Allow some tolerance for menu bar (25px) and slight variations
+  const widthMatch = win.width >= width * 0.95; // 95% of screen width
+  const heightMatch = win.height >= height * 0.90; // 90% of screen height (menu bar)
+  const positionMatch = win.x - x <= 10 && win.y - y <= 30; // Near top-left corner of the display
+
+  return widthMatch && heightMatch && positionMatch;
+}
+
 /**
  * Detect screen context using smart strategy
  * 1. If fullscreen app exists → Use that (user is clearly focused on it)
@@ -305,59 +307,93 @@ async function getScreenDimensions() {
  * 
  * Note: Query parameter removed - AI will filter relevant windows from the returned set
  * 
- * @returns {Promise<Object>} Context object with windows to analyze
+ * Multi-monitor: every window is tagged with the displayId it is mostly on. With a
+ * display selector only that display's windows are considered; otherwise fullscreen
+ * detection looks at the display of the frontmost window.
+ * 
+ * @param {Object} options - Detection options
+ * @param {string|number} options.display - Optional display selector ('primary', id, name or index)
+ * @returns {Promise<Object>} Context object with windows to analyze, plus display and displays
  */
-async function detectScreenContext() {
+async function detectScreenContext(options = {}) {
+  const { display: displaySelector = null } = options;
+
   try {
-    // Get all windows
-    const allWindows = await getAllWindows();
+    const displays = await getDisplays();
+
+    let selectedDisplay = null;
+    if (displaySelector !== null && displaySelector !== undefined) {
+      selectedDisplay = resolveDisplay(displaySelector, displays);
+      if (!selectedDisplay) {
+        logger.warn('Unknown display requested', { display: displaySelector });
+        return {
+          type: 'error',
+          windows: [],
+          strategy: 'unknown_display',
+          error: `Unknown display: ${displaySelector}`,
+          displays
+        };
+      }
+    }
+
+    // Get all windows, tagged with their display
+    let allWindows = (await getAllWindows()).map(win => ({
+      ...win,
+      displayId: findDisplayForBounds(win, displays)?.id ?? null
+    }));
+
+    // Publish window.opened / window.closed / focus.changed (whole desktop, before display filtering)
+    getScreenEventBus().observeWindows(allWindows);
+
+    if (selectedDisplay) {
+      allWindows = allWindows.filter(win => win.displayId === selectedDisplay.id);
+    }
     
     if (!allWindows || allWindows.length === 0) {
-      logger.warn('No windows found');
+      logger.warn('No windows found', { display: selectedDisplay?.id });
       return {
         type: 'none',
         windows: [],
-        strategy: 'no_windows'
+        strategy: 'no_windows',
+        display: selectedDisplay,
+        displays
       };
     }
     
-    // Get screen dimensions via AppleScript
-    const screenDimensions = await getScreenDimensions();
-    
-    // Check for fullscreen app (window bounds match screen bounds)
-    const fullscreenWindow = allWindows.find(win => {
-      // A window is fullscreen if it covers most of the screen
-      // Allow some tolerance for menu bar (25px) and slight variations
-      const widthMatch = win.width >= screenDimensions.width * 0.95; // 95% of screen width
-      const heightMatch = win.height >= screenDimensions.height * 0.90; // 90% of screen height (menu bar)
-      const positionMatch = win.x <= 10 && win.y <= 30; // Near top-left corner
-      
-      return widthMatch && heightMatch && positionMatch;
-    });
+    // Fullscreen detection is per display: the selected one, or wherever the user is working
+    const focusDisplay = selectedDisplay || displays.find(d => d.id === allWindows[0].displayId) || displays[0];
+    const displayWindows = allWindows.filter(win => win.displayId === focusDisplay.id);
+
+    // Check for fullscreen app (window bounds match display bounds)
+    const fullscreenWindow = displayWindows.find(win => isFullscreenOn(win, focusDisplay));
     
     if (fullscreenWindow) {
       logger.info('Fullscreen app detected', { 
         app: fullscreenWindow.appName,
-        title: fullscreenWindow.title 
+        title: fullscreenWindow.title,
+        display: focusDisplay.id
       });
       
       return {
         type: 'fullscreen',
         windows: [fullscreenWindow],
         strategy: 'fullscreen_app',
-        primary: fullscreenWindow
+        primary: fullscreenWindow,
+        display: focusDisplay,
+        displays
       };
     }
     
     // Check for Chrome fullscreen mode (multiple windows spanning full height)
     // Chrome in fullscreen creates separate windows for UI elements
-    const chromeWindows = allWindows.filter(w => w.appName === 'Google Chrome');
+    const chromeWindows = displayWindows.filter(w => w.appName === 'Google Chrome');
     if (chromeWindows.length >= 2) {
+      const { x: displayX, y: displayY, width: displayWidth, height: displayHeight } = focusDisplay.bounds;
       const totalHeight = chromeWindows.reduce((sum, w) => sum + w.height, 0);
-      const allFullWidth = chromeWindows.every(w => w.width >= screenDimensions.width * 0.95);
-      const allAtTopLeft = chromeWindows.every(w => w.x <= 10 && w.y <= 100);
+      const allFullWidth = chromeWindows.every(w => w.width >= displayWidth * 0.95);
+      const allAtTopLeft = chromeWindows.every(w => w.x - displayX <= 10 && w.y - displayY <= 100);
       
-      if (totalHeight >= screenDimensions.height * 0.85 && allFullWidth && allAtTopLeft) {
+      if (totalHeight >= displayHeight * 0.85 && allFullWidth && allAtTopLeft) {
         // Find the largest window (main content area)
         const mainWindow = chromeWindows.reduce((largest, w) => 
           w.height > largest.height ? w : largest
@@ -373,7 +409,9 @@ async function detectScreenContext() {
           type: 'fullscreen',
           windows: [mainWindow],
           strategy: 'fullscreen_app',
-          primary: mainWindow
+          primary: mainWindow,
+          display: focusDisplay,
+          displays
         };
       }
     }
@@ -396,7 +434,9 @@ async function detectScreenContext() {
       type: 'multi_window',
       windows: sortedWindows,
       strategy: 'all_visible_windows',
-      primary: sortedWindows[0] // Frontmost as primary
+      primary: sortedWindows[0], // Frontmost as primary
+      display: focusDisplay,
+      displays
     };
     
   } catch (error) {
@@ -424,3 +464,5 @@ async function detectScreenContext() {
 
 // Export the renamed function with both names for backward compatibility
 export { detectScreenContext, detectScreenContext as detectContextFromQuery };
+
+export { getWindowBackend, setWindowBackend } from './window-backends/index.js';
@@ -0,0 +1,148 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+import CaptureService, {
+  BufferCaptureProvider,
+  resolveRequestPath,
+  resolveRequestCapture
+} from '../../src/services/captureService.js';
+
+describe('request paths', () => {
+  let base;
+  let root;
+  let outside;
+  const savedRoot = process.env.IMAGE_ROOT;
+
+  beforeAll(() => {
+    base = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'image-root-')));
+    root = path.join(base, 'root');
+    outside = path.join(base, 'outside');
+    fs.mkdirSync(path.join(root, 'frames'), { recursive: true });
+    fs.mkdirSync(outside);
+    fs.writeFileSync(path.join(root, 'shot.png'), '');
+    fs.writeFileSync(path.join(outside, 'secret.png'), '');
+    fs.symlinkSync(outside, path.join(root, 'escape'));
+    fs.symlinkSync(path.join(outside, 'secret.png'), path.join(root, 'secret-link.png'));
+    fs.symlinkSync(path.join(root, 'shot.png'), path.join(root, 'shot-link.png'));
+  });
+
+  beforeEach(() => {
+    process.env.IMAGE_ROOT = root;
+  });
+
+  afterAll(() => {
+    if (savedRoot === undefined) delete process.env.IMAGE_ROOT;
+    else process.env.IMAGE_ROOT = savedRoot;
+    fs.rmSync(base, { recursive: true, force: true });
+  });
+
+  const rejects = (resolve, message) => {
+    let error;
+    try {
+      resolve();
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error?.status).toBe(400);
+    expect(error.message).toMatch(message);
+  };
+
+  describe('resolveRequestPath', () => {
+    test('resolves relative and absolute paths inside the root', () => {
+      expect(resolveRequestPath('shot.png')).toBe(path.join(root, 'shot.png'));
+      expect(resolveRequestPath(path.join(root, 'frames'))).toBe(path.join(root, 'frames'));
+      expect(resolveRequestPath('frames/../shot.png')).toBe(path.join(root, 'shot.png'));
+      expect(resolveRequestPath('shot-link.png')).toBe(path.join(root, 'shot.png'));
+      expect(resolveRequestPath('frames/missing.png')).toBe(path.join(root, 'frames', 'missing.png'));
+    });
+
+    test('rejects .. traversal out of the root', () => {
+      rejects(() => resolveRequestPath('../outside/secret.png'), 'Image path must be inside IMAGE_ROOT');
+      rejects(() => resolveRequestPath('frames/../../outside/secret.png'), 'Image path must be inside IMAGE_ROOT');
+    });
+
+    test('rejects absolute paths outside the root', () => {
+      rejects(() => resolveRequestPath(path.join(outside, 'secret.png')), 'Image path must be inside IMAGE_ROOT');
+      rejects(() => resolveRequestPath('/etc/passwd'), 'Image path must be inside IMAGE_ROOT');
+    });
+
+    test('rejects symlinks that lead out of the root, whether or not the target exists', () => {
+      rejects(() => resolveRequestPath('secret-link.png'), 'Image path must be inside IMAGE_ROOT');
+      rejects(() => resolveRequestPath('escape/secret.png'), 'Image path must be inside IMAGE_ROOT');
+      rejects(() => resolveRequestPath('escape/missing.png'), 'Image path must be inside IMAGE_ROOT');
+    });
+
+    test('rejects every path when IMAGE_ROOT is not set', () => {
+      delete process.env.IMAGE_ROOT;
+      rejects(() => resolveRequestPath('shot.png'), 'Image paths are disabled');
+    });
+
+    test('rejects empty and non-string paths', () => {
+      rejects(() => resolveRequestPath(''), 'non-empty string');
+      rejects(() => resolveRequestPath({ path: 'shot.png' }), 'non-empty string');
+    });
+  });
+
+  describe('resolveRequestCapture', () => {
+    test('resolves file and directory specs inside the root', () => {
+      expect(resolveRequestCapture({ provider: 'file', path: 'shot.png' }))
+        .toEqual({ provider: 'file', path: path.join(root, 'shot.png') });
+      expect(resolveRequestCapture({ provider: 'directory', path: 'frames', loop: false }))
+        .toEqual({ provider: 'directory', path: path.join(root, 'frames'), loop: false });
+    });
+
+    test('rejects directory and file specs outside the root', () => {
+      rejects(() => resolveRequestCapture({ provider: 'directory', path: outside }), 'Image path must be inside IMAGE_ROOT');
+      rejects(() => resolveRequestCapture({ provider: 'directory', path: 'escape' }), 'Image path must be inside IMAGE_ROOT');
+      rejects(() => resolveRequestCapture({ provider: 'file', path: '../outside/secret.png' }), 'Image path must be inside IMAGE_ROOT');
+      rejects(() => resolveRequestCapture({ provider: 'directory' }), 'non-empty string');
+    });
+
+    test('rejects buffer and unknown providers', () => {
+      rejects(() => resolveRequestCapture({ provider: 'buffer', buffer: Buffer.alloc(0) }), 'Unknown capture provider: buffer');
+      rejects(() => resolveRequestCapture('ftp'), 'Unknown capture provider: ftp');
+      rejects(() => resolveRequestCapture(null), 'Unknown capture provider');
+    });
+
+    test('passes live specs through', () => {
+      expect(resolveRequestCapture('live')).toBe('live');
+      expect(resolveRequestCapture({ provider: 'live', display: 1 })).toEqual({ provider: 'live', display: 1 });
+    });
+  });
+});
+
+describe('capture temp files', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'capture-temp-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const image = () => sharp({ create: { width: 40, height: 30, channels: 3, background: '#ffffff' } }).png().toBuffer();
+
+  test('cleanup() removes the file a capture was written to', async () => {
+    const provider = new BufferCaptureProvider({ buffer: await image(), tempDir });
+    const capture = await provider.capture();
+
+    expect(fs.readdirSync(tempDir)).toEqual([path.basename(capture.path)]);
+    await capture.cleanup();
+    expect(fs.readdirSync(tempDir)).toEqual([]);
+    await capture.cleanup(); // Already gone: no error
+  });
+
+  test('cleanup() of a crop removes the crop and the capture it was cut from', async () => {
+    const provider = new BufferCaptureProvider({ buffer: await image(), tempDir });
+    const capture = await provider.capture({ bounds: { x: 0, y: 0, width: 40, height: 30 } });
+    const cropped = await new CaptureService().cropCapture(capture, { x: 10, y: 5, width: 20, height: 20 });
+
+    expect(cropped).toMatchObject({ width: 20, height: 20 });
+    expect(fs.readdirSync(tempDir)).toHaveLength(2);
+    await cropped.cleanup();
+    expect(fs.readdirSync(tempDir)).toEqual([]);
+  });
+});
@@ -0,0 +1,139 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ClassificationRuleEngine, compilePack } from '../../src/services/classificationRules.js';
+
+const generic = {
+  name: 'generic',
+  rules: [
+    { id: 'button-word', type: 'button', clickable: true, priority: 100, confidence: 0.7, text: { vocabulary: 'buttons' } },
+    { id: 'short-text', type: 'label', priority: 10, text: { maxWords: 3 } },
+    { id: 'wide-bar', clickable: false, priority: 150, geometry: { minAspect: 10 } },
+    { id: 'left-column', type: 'menu-item', priority: 50, region: { maxX: 0.25 } }
+  ]
+};
+const mail = {
+  name: 'mail',
+  appliesTo: { apps: ['^Mail$'], urls: ['mail\\.example\\.com'] },
+  rules: [
+    { id: 'send', type: 'primary-button', priority: 100, confidence: 0.95, text: { pattern: '^send$', flags: 'i' } }
+  ]
+};
+
+describe('ClassificationRuleEngine', () => {
+  let dir;
+  let engine;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rule-packs-'));
+    fs.writeFileSync(path.join(dir, 'a-generic.json'), JSON.stringify(generic));
+    fs.writeFileSync(path.join(dir, 'b-mail.json'), JSON.stringify(mail));
+    engine = new ClassificationRuleEngine({ sources: [dir] });
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const element = (text, bbox = [100, 100, 160, 124], normalizedBbox = [0.5, 0.5, 0.6, 0.52]) => ({ text, bbox, normalizedBbox });
+
+  test('takes the type from the highest-priority rule that sets one', () => {
+    expect(engine.classify(element('Save'))).toEqual({
+      type: 'button',
+      clickable: true,
+      confidence: 0.7,
+      rulesFired: ['generic/button-word', 'generic/short-text']
+    });
+  });
+
+  test('decides type and clickability separately', () => {
+    const result = engine.classify(element('Save', [0, 0, 600, 24]));
+
+    expect(result.type).toBe('button');
+    expect(result.clickable).toBe(false);
+    expect(result.rulesFired[0]).toBe('generic/wide-bar');
+  });
+
+  test('falls back to unclickable text when no type rule fires', () => {
+    expect(engine.classify(element('A sentence that is long enough'))).toEqual({
+      type: 'text',
+      clickable: false,
+      confidence: 0.3,
+      rulesFired: []
+    });
+  });
+
+  test('checks the element center against region bounds', () => {
+    expect(engine.classify(element('Inbox 12', [10, 100, 80, 120], [0.01, 0.2, 0.1, 0.22])).type).toBe('menu-item');
+    expect(engine.classify(element('Inbox 12', [10, 100, 80, 120], [0.2, 0.2, 0.4, 0.22])).type).toBe('label');
+  });
+
+  test('uses the vocabulary of the OCR languages', () => {
+    expect(engine.classify(element('Speichern')).type).toBe('label');
+    expect(engine.classify(element('Speichern'), { languages: ['deu'] }).type).toBe('button');
+  });
+
+  test('applies app packs only to matching windows, winning priority ties', () => {
+    expect(engine.classify(element('Send')).type).toBe('button');
+
+    const inMail = engine.classify(element('Send'), { app: 'Mail' });
+    expect(inMail.type).toBe('primary-button');
+    expect(inMail.confidence).toBe(0.95);
+    expect(inMail.rulesFired.slice(0, 2)).toEqual(['mail/send', 'generic/button-word']);
+
+    expect(engine.classify(element('Send'), { app: 'Browser', url: 'https://mail.example.com/inbox' }).type).toBe('primary-button');
+  });
+
+  test('looks up fired rules as written', () => {
+    expect(engine.getRule('mail/send')).toEqual({ ...mail.rules[0], pack: 'mail' });
+    expect(engine.getRule('mail/missing')).toBeNull();
+  });
+
+  test('lets a later pack with the same name replace an earlier one', () => {
+    const override = path.join(dir, 'override.json');
+    fs.writeFileSync(override, JSON.stringify({ name: 'generic', rules: [{ id: 'everything', type: 'heading' }] }));
+    const overridden = new ClassificationRuleEngine({ sources: [dir, override] });
+
+    expect(overridden.listPacks().map(pack => pack.name)).toEqual(['mail', 'generic']);
+    expect(overridden.classify(element('Save')).type).toBe('heading');
+  });
+
+  test('skips invalid pack files', () => {
+    const broken = path.join(dir, 'broken.json');
+    fs.writeFileSync(broken, '{ "name": ');
+    const withBroken = new ClassificationRuleEngine({ sources: [broken, path.join(dir, 'b-mail.json')] });
+
+    expect(withBroken.listPacks().map(pack => pack.name)).toEqual(['mail']);
+  });
+});
+
+describe('compilePack', () => {
+  const rejects = (spec, message) => {
+    let error;
+    try {
+      compilePack(spec);
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error?.status).toBe(400);
+    expect(error.message).toMatch(message);
+  };
+
+  test('rejects invalid packs with status 400', () => {
+    rejects({ rules: [] }, /needs a name/);
+    rejects({ name: 'p', rules: {} }, /rules must be an array/);
+    rejects({ name: 'p', rules: [{ id: 'r' }] }, /set a type, clickable or both/);
+    rejects({ name: 'p', rules: [{ id: 'r', type: 'a' }, { id: 'r', type: 'b' }] }, /duplicate id/);
+    rejects({ name: 'p', rules: [{ id: 'r', type: 'a', confidence: 2 }] }, /confidence must be between 0 and 1/);
+    rejects({ name: 'p', rules: [{ id: 'r', type: 'a', text: { pattern: '(' } }] }, /invalid regex/);
+    rejects({ name: 'p', rules: [{ id: 'r', type: 'a', text: { vocabulary: 'verbs' } }] }, /vocabulary must be one of/);
+    rejects({ name: 'p', rules: [{ id: 'r', type: 'a', geometry: { minDepth: 1 } }] }, /unknown condition minDepth/);
+  });
+
+  test('defaults priority and confidence', () => {
+    const [rule] = compilePack({ name: 'p', rules: [{ id: 'r', clickable: true }] }).rules;
+
+    expect(rule.priority).toBe(0);
+    expect(rule.confidence).toBe(0.5);
+  });
+});
@@ -0,0 +1,89 @@
+import sharp from 'sharp';
+import { ControlStateDetector } from '../../src/services/controlStateDetector.js';
+
+/**
+ * White 400x220 PNG with the given SVG shapes drawn on it
+ */
+function render(shapes) {
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="400" height="220">
+    <rect width="400" height="220" fill="#fff"/>${shapes}</svg>`;
+  return sharp(Buffer.from(svg)).png().toBuffer();
+}
+
+/**
+ * An outlined button at x with a bar of "text", both in the ink color
+ */
+function button(x, ink) {
+  return `<rect x="${x + 0.5}" y="100.5" width="80" height="26" rx="4" fill="#fff" stroke="${ink}"/>` +
+    `<rect x="${x + 20}" y="110" width="40" height="6" fill="${ink}"/>`;
+}
+
+/**
+ * A tab at x with a bar of "text"; the selected one is highlighted
+ */
+function tab(x, selected) {
+  return `<rect x="${x}" y="20" width="80" height="28" fill="${selected ? '#dbe8ff' : '#fff'}"/>` +
+    `<rect x="${x + 20}" y="31" width="40" height="6" fill="#333"/>`;
+}
+
+describe('ControlStateDetector', () => {
+  const detector = new ControlStateDetector({ enabled: true });
+
+  test('tells a ticked checkbox from an empty one', async () => {
+    const image = await render(
+      '<rect x="20.5" y="20.5" width="16" height="16" fill="#fff" stroke="#555"/>' +
+      '<rect x="20.5" y="50.5" width="16" height="16" fill="#fff" stroke="#555"/>' +
+      '<polyline points="24,58 27,62 33,54" fill="none" stroke="#222" stroke-width="2"/>');
+    const states = await detector.detect(image, [
+      { type: 'checkbox', physicalBbox: [20, 20, 38, 38] },
+      { type: 'checkbox', physicalBbox: [20, 50, 38, 68] }
+    ]);
+
+    expect(states.map(state => state.checked)).toEqual([false, true]);
+    expect(states.map(state => state.disabled)).toEqual([false, false]);
+  });
+
+  test('marks the highlighted tab among its siblings as selected', async () => {
+    const image = await render(tab(20, false) + tab(100, true) + tab(180, false));
+    // Text boxes, sitting on the highlight
+    const states = await detector.detect(image, [20, 100, 180].map(x =>
+      ({ type: 'tab', parentId: 'tabs', physicalBbox: [x + 20, 31, x + 60, 37] })));
+
+    expect(states.map(state => state.selected)).toEqual([false, true, false]);
+  });
+
+  test('marks a tab whose box covers its highlight as selected', async () => {
+    const image = await render(tab(20, false) + tab(100, true) + tab(180, false));
+    const states = await detector.detect(image, [20, 100, 180].map(x =>
+      ({ type: 'tab', parentId: 'tabs', physicalBbox: [x, 20, x + 80, 48] })));
+
+    expect(states.map(state => state.selected)).toEqual([false, true, false]);
+  });
+
+  test('does not take a filled primary button for a selected one', async () => {
+    const image = await render(
+      '<rect x="20" y="100" width="80" height="26" rx="4" fill="#2f6fdf"/>' +
+      '<rect x="40" y="110" width="40" height="6" fill="#fff"/>' +
+      button(120, '#333') + button(220, '#333'));
+    const states = await detector.detect(image, [20, 120, 220].map(x =>
+      ({ type: 'button', parentId: 'toolbar', physicalBbox: [x, 100, x + 82, 128] })));
+
+    expect(states.map(state => state.selected)).toEqual([null, null, null]);
+  });
+
+  test('marks a greyed-out button as disabled', async () => {
+    const image = await render(button(20, '#333') + button(120, '#333') + button(220, '#ccc'));
+    const states = await detector.detect(image, [20, 120, 220].map(x =>
+      ({ type: 'button', physicalBbox: [x, 100, x + 82, 128] })));
+
+    expect(states.map(state => state.disabled)).toEqual([false, false, true]);
+    expect(states.map(state => state.checked)).toEqual([null, null, null]);
+  });
+
+  test('leaves states that do not apply as null', async () => {
+    const image = await render(button(20, '#333'));
+    const [state] = await detector.detect(image, [{ type: 'text', physicalBbox: [40, 110, 80, 116] }]);
+
+    expect(state).toMatchObject({ checked: null, selected: null, disabled: null });
+  });
+});
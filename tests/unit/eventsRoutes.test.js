@@ -0,0 +1,39 @@
+import express from 'express';
+import request from 'supertest';
+import eventsRoute from '../../src/routes/events.js';
+import { getScreenEventBus } from '../../src/services/screenEventBus.js';
+
+describe('GET /events/recent', () => {
+  const app = express();
+  app.use('/events', eventsRoute);
+  let firstId;
+
+  beforeAll(() => {
+    firstId = getScreenEventBus().publish('screen.changed', { app: 'Code' }).id;
+    getScreenEventBus().publish('text.appeared', { app: 'Slack' });
+    getScreenEventBus().publish('text.appeared', { app: 'Code' });
+  });
+
+  const ids = response => response.body.events.map(event => event.id - firstId);
+
+  test('returns buffered events filtered by the query', async () => {
+    const response = await request(app).get('/events/recent').query({ types: 'text.appeared', apps: 'code' });
+
+    expect(response.status).toBe(200);
+    expect(ids(response)).toEqual([2]);
+    expect(response.body.lastEventId).toBe(firstId + 2);
+  });
+
+  test('keeps the limit between 1 and 500', async () => {
+    expect(ids(await request(app).get('/events/recent').query({ limit: 2 }))).toEqual([1, 2]);
+    expect(ids(await request(app).get('/events/recent').query({ limit: -5 }))).toEqual([2]);
+    expect(ids(await request(app).get('/events/recent').query({ limit: 'all' }))).toEqual([0, 1, 2]);
+  });
+
+  test('rejects unknown event types with 400', async () => {
+    const response = await request(app).get('/events/recent').query({ types: 'mouse.moved' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.success).toBe(false);
+  });
+});
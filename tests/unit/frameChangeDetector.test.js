@@ -0,0 +1,134 @@
+import sharp from 'sharp';
+import { FrameChangeDetector, mergeRegionWords } from '../../src/services/frameChangeDetector.js';
+
+/**
+ * White greyscale PNG with black rectangles [x1, y1, x2, y2] (inclusive)
+ */
+async function drawFrame(width, height, rects = []) {
+  const pixels = Buffer.alloc(width * height, 255);
+  for (const [x1, y1, x2, y2] of rects) {
+    for (let y = y1; y <= y2; y++) pixels.fill(0, y * width + x1, y * width + x2 + 1);
+  }
+  return sharp(pixels, { raw: { width, height, channels: 1 } }).png().toBuffer();
+}
+
+describe('FrameChangeDetector', () => {
+  const key = 'Code|server.js||';
+  const text = [[10, 10, 120, 20], [10, 140, 200, 150]]; // Two "lines" of text
+  let detector;
+
+  beforeEach(() => {
+    detector = new FrameChangeDetector({ tileSize: 64, enabled: true });
+  });
+
+  /**
+   * Remember the first frame and compare the second against it
+   */
+  async function compareFrames(first, second) {
+    detector.remember(key, { signature: await detector.computeSignature(first), screenId: 'screen-1' });
+    return detector.compare(key, await detector.computeSignature(second));
+  }
+
+  test('splits a frame into tiles with fingerprints', async () => {
+    const signature = await detector.computeSignature(await drawFrame(200, 100));
+
+    expect(signature.width).toBe(200);
+    expect(signature.height).toBe(100);
+    expect(signature.tiles.map(tile => [tile.x, tile.y, tile.width, tile.height])).toEqual([
+      [0, 0, 64, 64], [64, 0, 64, 64], [128, 0, 64, 64], [192, 0, 8, 64],
+      [0, 64, 64, 36], [64, 64, 64, 36], [128, 64, 64, 36], [192, 64, 8, 36]
+    ]);
+    expect(signature.tiles[0].hash).toHaveLength(64); // 16 × 16 bits
+    expect(signature.tiles[0].means).toHaveLength(17 * 16);
+  });
+
+  test('reports a window seen for the first time as new', async () => {
+    const change = detector.compare(key, await detector.computeSignature(await drawFrame(256, 256, text)));
+
+    expect(change.status).toBe('new');
+    expect(change.previous).toBeNull();
+  });
+
+  test('reports an identical frame as unchanged', async () => {
+    const frame = await drawFrame(256, 256, text);
+    const change = await compareFrames(frame, frame);
+
+    expect(change).toMatchObject({ status: 'unchanged', dirtyRegions: [], dirtyRatio: 0 });
+    expect(change.previous.screenId).toBe('screen-1');
+  });
+
+  test('merges adjacent dirty tiles into regions of a partial change', async () => {
+    const change = await compareFrames(
+      await drawFrame(256, 256, text),
+      await drawFrame(256, 256, [...text, [80, 80, 180, 90], [200, 210, 230, 220]])
+    );
+
+    expect(change.status).toBe('partial');
+    expect(change.dirtyRegions).toEqual([
+      { x: 64, y: 64, width: 128, height: 64 },
+      { x: 192, y: 192, width: 64, height: 64 }
+    ]);
+    expect(change.dirtyRatio).toBeCloseTo(3 / 16);
+  });
+
+  test('notices a small change inside one tile', async () => {
+    const change = await compareFrames(
+      await drawFrame(256, 256, text),
+      await drawFrame(256, 256, [...text, [30, 30, 33, 35]])
+    );
+
+    expect(change.status).toBe('partial');
+    expect(change.dirtyRegions).toEqual([{ x: 0, y: 0, width: 64, height: 64 }]);
+  });
+
+  test('reports a frame that mostly changed as changed', async () => {
+    const change = await compareFrames(
+      await drawFrame(256, 256, text),
+      await drawFrame(256, 256, [[0, 0, 255, 200]])
+    );
+
+    expect(change.status).toBe('changed');
+    expect(change.dirtyRatio).toBeGreaterThan(0.5);
+    expect(change.dirtyRegions).toEqual([]);
+  });
+
+  test('reports a frame of another size as changed', async () => {
+    const change = await compareFrames(await drawFrame(256, 256, text), await drawFrame(256, 200, text));
+
+    expect(change.status).toBe('changed');
+  });
+
+  test('treats a remembered frame older than maxAge as new', async () => {
+    detector = new FrameChangeDetector({ tileSize: 64, maxAge: 1000, enabled: true });
+    const frame = await drawFrame(256, 256, text);
+    detector.remember(key, { signature: await detector.computeSignature(frame) });
+    detector.frames.get(key).timestamp -= 2000;
+
+    expect(detector.compare(key, await detector.computeSignature(frame)).status).toBe('new');
+    expect(detector.getStats()).toMatchObject({ windows: 1, new: 1, unchanged: 0 });
+  });
+
+  test('forgets the least recently used window past maxEntries', async () => {
+    detector = new FrameChangeDetector({ tileSize: 64, maxEntries: 2, enabled: true });
+    const signature = await detector.computeSignature(await drawFrame(64, 64));
+    detector.remember('a', { signature });
+    detector.remember('b', { signature });
+    detector.remember('a', { signature });
+    detector.remember('c', { signature });
+
+    expect([...detector.frames.keys()]).toEqual(['a', 'c']);
+  });
+});
+
+describe('mergeRegionWords', () => {
+  test('replaces cached words in re-read regions with the fresh ones', () => {
+    const cached = [
+      { text: 'Inbox', bbox: [0, 0, 40, 10] },
+      { text: '3', bbox: [70, 0, 80, 10] },
+      { text: 'Sent', bbox: [0, 20, 30, 30] }
+    ];
+    const fresh = [{ region: { x: 64, y: 0, width: 64, height: 16 }, words: [{ text: '4', bbox: [70, 0, 80, 10] }] }];
+
+    expect(mergeRegionWords(cached, fresh).map(word => word.text)).toEqual(['Inbox', '4', 'Sent']);
+  });
+});
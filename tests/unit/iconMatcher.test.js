@@ -0,0 +1,58 @@
+import fs from 'fs';
+import path from 'path';
+import sharp from 'sharp';
+import { fileURLToPath } from 'url';
+import { IconMatcher } from '../../src/services/iconMatcher.js';
+
+const LIBRARY = path.join(path.dirname(fileURLToPath(import.meta.url)), '../../src/services/iconLibrary');
+
+/**
+ * A library icon rendered at a size in a color, as a PNG
+ */
+function renderIcon(name, size, color) {
+  const svg = fs.readFileSync(path.join(LIBRARY, `${name}.svg`), 'utf8').replace(/currentColor/g, color);
+  return sharp(Buffer.from(svg)).resize(size, size).png().toBuffer();
+}
+
+/**
+ * Icons [{ name, left, top }] drawn on a plain background
+ */
+async function drawScreen(background, color, icons, size = 24) {
+  const composites = await Promise.all(icons.map(async ({ name, left, top }) =>
+    ({ input: await renderIcon(name, size, color), left, top })));
+  return sharp({ create: { width: 200, height: 80, channels: 3, background } })
+    .composite(composites).png().toBuffer();
+}
+
+describe('IconMatcher', () => {
+  const matcher = new IconMatcher({ enabled: true });
+
+  test('names rendered library icons after their entries', async () => {
+    const image = await drawScreen('#ffffff', '#333333', [
+      { name: 'settings', left: 30, top: 28 },
+      { name: 'trash', left: 110, top: 28 }
+    ]);
+    const [settings, trash] = await matcher.match(image, [
+      { box: [30, 28, 54, 52] },
+      { box: [110, 28, 134, 52] }
+    ]);
+
+    expect(settings).toMatchObject({ name: 'settings', label: 'settings gear', theme: 'light' });
+    expect(settings.keywords).toContain('gear');
+    expect(settings.score).toBeGreaterThanOrEqual(0.7);
+    expect(trash).toMatchObject({ name: 'trash', theme: 'light' });
+  });
+
+  test('matches light icons on a dark background', async () => {
+    const image = await drawScreen('#202020', '#eeeeee', [{ name: 'close', left: 40, top: 30 }], 20);
+    const [close] = await matcher.match(image, [{ box: [40, 30, 60, 50] }]);
+
+    expect(close).toMatchObject({ name: 'close', theme: 'dark' });
+  });
+
+  test('leaves a box without ink unnamed', async () => {
+    const image = await drawScreen('#ffffff', '#333333', [{ name: 'settings', left: 30, top: 28 }]);
+
+    expect(await matcher.match(image, [{ box: [150, 20, 180, 50] }])).toEqual([null]);
+  });
+});
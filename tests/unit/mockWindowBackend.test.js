@@ -0,0 +1,185 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { MockWindowBackend } from '../../src/utils/window-backends/index.js';
+import {
+  getAllWindows,
+  getFrontmostWindow,
+  getWindowAtPoint,
+  getWindowByApp,
+  findWindowStack,
+  focusWindow,
+  detectScreenContext,
+  findDisplayForBounds,
+  resolveDisplay,
+  getWindowBackend,
+  setWindowBackend
+} from '../../src/utils/window-detector.js';
+
+const slack = { appName: 'Slack', title: 'general', x: 0, y: 0, width: 1200, height: 800 };
+const code = { appName: 'Code', title: 'server.js', x: 100, y: 50, width: 1000, height: 700 };
+const chrome = { appName: 'Google Chrome', title: 'Docs', x: 1920, y: 0, width: 1280, height: 1000 };
+
+afterEach(() => {
+  setWindowBackend(null);
+});
+
+describe('MockWindowBackend via WINDOW_MOCK_SCRIPT', () => {
+  let dir;
+  const saved = {};
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'window-mock-'));
+    for (const key of ['WINDOW_BACKEND', 'WINDOW_MOCK_SCRIPT']) saved[key] = process.env[key];
+  });
+
+  afterAll(() => {
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('replays scripted frames one per enumeration', async () => {
+    const script = path.join(dir, 'windows.json');
+    fs.writeFileSync(script, JSON.stringify({ frames: [{ windows: [slack] }, [code, slack]], autoAdvance: true }));
+    process.env.WINDOW_BACKEND = 'mock';
+    process.env.WINDOW_MOCK_SCRIPT = script;
+    setWindowBackend(null);
+
+    expect(getWindowBackend().name).toBe('mock');
+    expect((await getAllWindows()).map(win => win.appName)).toEqual(['Slack']);
+    expect((await getAllWindows()).map(win => win.appName)).toEqual(['Code', 'Slack']);
+    expect((await getAllWindows()).map(win => win.appName)).toEqual(['Code', 'Slack']); // Stays on the last frame
+  });
+});
+
+describe('window detection on a mock backend', () => {
+  let backend;
+
+  beforeEach(() => {
+    backend = setWindowBackend(new MockWindowBackend({ windows: [code, slack, chrome] }));
+  });
+
+  test('fills in window defaults', async () => {
+    backend.setWindows([{ appName: 'Terminal' }]);
+
+    expect(await getFrontmostWindow()).toEqual({ id: 'mock-0', appName: 'Terminal', title: '', x: 0, y: 0, width: 0, height: 0 });
+  });
+
+  test('finds the frontmost window at a point', async () => {
+    expect((await getWindowAtPoint(150, 100)).appName).toBe('Code');
+    expect((await getWindowAtPoint(20, 20)).appName).toBe('Slack');
+    expect(await getWindowAtPoint(5000, 5000)).toBeNull();
+  });
+
+  test('finds a window and the windows stacked above it', async () => {
+    const stack = await findWindowStack({ appName: 'slack', title: 'general' });
+
+    expect(stack.window.title).toBe('general');
+    expect(stack.above.map(win => win.appName)).toEqual(['Code']);
+    expect(await findWindowStack({ appName: 'Mail' })).toBeNull();
+  });
+
+  test('raises focused windows and records the request', async () => {
+    expect(await focusWindow({ appName: 'Slack', title: 'general' })).toBe(true);
+
+    expect((await getFrontmostWindow()).appName).toBe('Slack');
+    expect((await getWindowByApp('chrome')).title).toBe('Docs');
+    expect(backend.focusCalls.map(call => call.appName)).toEqual(['Slack']);
+    expect(await focusWindow({ appName: 'Mail', title: 'Inbox' })).toBe(false);
+  });
+
+  test('steps, loops and jumps through frames', async () => {
+    backend = setWindowBackend(new MockWindowBackend({ frames: [[slack], [code]], loop: true }));
+
+    expect(backend.advance()).toBe(1);
+    expect((await getFrontmostWindow()).appName).toBe('Code');
+    expect(backend.advance()).toBe(0);
+    expect((await getFrontmostWindow()).appName).toBe('Slack');
+    expect(() => backend.setFrame(2)).toThrow('Mock window frame out of range: 2');
+  });
+
+  test('scripts displays per frame', async () => {
+    backend = new MockWindowBackend({
+      frames: [
+        { windows: [slack] },
+        { windows: [slack, chrome], displays: [{ id: 1 }, { id: 2, bounds: { x: 1920, width: 1280, height: 1024 }, scaleFactor: 2 }] }
+      ]
+    });
+
+    expect((await backend.getDisplays()).map(display => display.id)).toEqual(['mock-0']);
+    backend.advance();
+    const displays = await backend.getDisplays();
+    expect(displays[1]).toEqual({
+      id: 2,
+      name: 'Mock Display 2',
+      index: 1,
+      bounds: { x: 1920, y: 0, width: 1280, height: 1024 },
+      scaleFactor: 2,
+      primary: false,
+      captureId: 1
+    });
+    expect(findDisplayForBounds(chrome, displays).id).toBe(2);
+    expect(resolveDisplay('primary', displays).id).toBe(1);
+    expect(resolveDisplay('Mock Display 2', displays).id).toBe(2);
+  });
+});
+
+describe('detectScreenContext on a mock backend', () => {
+  const displays = [
+    { id: 1, bounds: { x: 0, y: 0, width: 1920, height: 1080 } },
+    { id: 2, bounds: { x: 1920, y: 0, width: 1280, height: 1024 } }
+  ];
+  const fullscreenCode = { ...code, x: 0, y: 25, width: 1920, height: 1055 };
+
+  test('returns all visible windows, frontmost first, when none is fullscreen', async () => {
+    setWindowBackend(new MockWindowBackend({ windows: [code, slack, chrome], displays }));
+    const context = await detectScreenContext();
+
+    expect(context.strategy).toBe('all_visible_windows');
+    expect(context.primary.appName).toBe('Code');
+    expect(context.windows.map(win => [win.appName, win.displayId])).toEqual([['Code', 1], ['Slack', 1], ['Google Chrome', 2]]);
+    expect(context.display.id).toBe(1);
+  });
+
+  test('picks a fullscreen window on the display of the frontmost window', async () => {
+    setWindowBackend(new MockWindowBackend({ windows: [fullscreenCode, slack, chrome], displays }));
+    const context = await detectScreenContext();
+
+    expect(context.strategy).toBe('fullscreen_app');
+    expect(context.windows.map(win => win.appName)).toEqual(['Code']);
+    expect(context.display.id).toBe(1);
+  });
+
+  test('looks only at the selected display', async () => {
+    setWindowBackend(new MockWindowBackend({ windows: [fullscreenCode, slack, chrome], displays }));
+    const context = await detectScreenContext({ display: 2 });
+
+    expect(context.strategy).toBe('fullscreen_app');
+    expect(context.primary).toMatchObject({ appName: 'Google Chrome', displayId: 2 });
+    expect(context.displays).toHaveLength(2);
+  });
+
+  test('takes the largest of Chrome\'s stacked fullscreen windows', async () => {
+    const toolbar = { appName: 'Google Chrome', title: '', x: 0, y: 0, width: 1920, height: 90 };
+    const page = { appName: 'Google Chrome', title: 'Docs', x: 0, y: 90, width: 1920, height: 900 };
+    setWindowBackend(new MockWindowBackend({ windows: [toolbar, page], displays }));
+    const context = await detectScreenContext({ display: 'primary' });
+
+    expect(context.strategy).toBe('fullscreen_app');
+    expect(context.primary.title).toBe('Docs');
+  });
+
+  test('reports an unknown display and a display without windows', async () => {
+    setWindowBackend(new MockWindowBackend({ windows: [code, slack], displays }));
+
+    expect(await detectScreenContext({ display: 'HDMI-9' })).toMatchObject({
+      type: 'error',
+      strategy: 'unknown_display',
+      error: 'Unknown display: HDMI-9'
+    });
+    expect(await detectScreenContext({ display: 2 })).toMatchObject({ type: 'none', strategy: 'no_windows', windows: [] });
+  });
+});
@@ -0,0 +1,86 @@
+import {
+  characterErrorRate,
+  wordErrorRate,
+  boxIoU,
+  matchBoxes,
+  evaluateElements
+} from '../../src/utils/ocrMetrics.js';
+
+describe('characterErrorRate', () => {
+  test('counts character edits per reference character', () => {
+    expect(characterErrorRate('hello world', 'hello world')).toBe(0);
+    expect(characterErrorRate('hello world', 'helo world')).toBeCloseTo(1 / 11);
+    expect(characterErrorRate('cat', 'dog')).toBe(1);
+  });
+
+  test('treats line breaks and runs of spaces as one space', () => {
+    expect(characterErrorRate('File  Edit\nView', 'File Edit View')).toBe(0);
+  });
+
+  test('handles an empty reference', () => {
+    expect(characterErrorRate('', '  ')).toBe(0);
+    expect(characterErrorRate('', 'noise')).toBe(1);
+  });
+});
+
+describe('wordErrorRate', () => {
+  test('counts word edits per reference word', () => {
+    expect(wordErrorRate('the quick fox', 'the quick brown fox')).toBeCloseTo(1 / 3);
+    expect(wordErrorRate('the quick fox', 'the quack fox')).toBeCloseTo(1 / 3);
+    expect(wordErrorRate('open file', 'file open')).toBe(1);
+  });
+
+  test('can exceed 1 when the hypothesis adds words', () => {
+    expect(wordErrorRate('ok', 'ok cancel apply')).toBe(2);
+  });
+});
+
+describe('boxIoU', () => {
+  test('divides the intersection by the union', () => {
+    expect(boxIoU([0, 0, 10, 10], [0, 0, 10, 10])).toBe(1);
+    expect(boxIoU([0, 0, 10, 10], [5, 0, 15, 10])).toBeCloseTo(1 / 3);
+    expect(boxIoU([0, 0, 10, 10], [2, 2, 4, 4])).toBeCloseTo(0.04);
+  });
+
+  test('is 0 for disjoint and edge-touching boxes', () => {
+    expect(boxIoU([0, 0, 10, 10], [20, 20, 30, 30])).toBe(0);
+    expect(boxIoU([0, 0, 10, 10], [10, 0, 20, 10])).toBe(0);
+  });
+});
+
+describe('matchBoxes', () => {
+  test('pairs boxes one to one, best overlap first', () => {
+    const truth = [{ id: 't1', bbox: [0, 0, 10, 10] }, { id: 't2', bbox: [100, 0, 110, 10] }];
+    const predicted = [{ id: 'p1', bbox: [1, 0, 11, 10] }, { id: 'p2', bbox: [0, 0, 10, 10] }];
+
+    const { matches, unmatchedTruth, unmatchedPredicted } = matchBoxes(truth, predicted);
+
+    expect(matches.map(match => [match.truth.id, match.predicted.id])).toEqual([['t1', 'p2']]);
+    expect(unmatchedTruth.map(box => box.id)).toEqual(['t2']);
+    expect(unmatchedPredicted.map(box => box.id)).toEqual(['p1']);
+  });
+});
+
+describe('evaluateElements', () => {
+  test('scores boxes and types separately', () => {
+    const truth = [
+      { type: 'button', bbox: [0, 0, 100, 30] },
+      { type: 'text', bbox: [0, 50, 200, 70] }
+    ];
+    const predicted = [
+      { type: 'button', bbox: [0, 0, 100, 30] },
+      { type: 'link', bbox: [0, 50, 200, 70] }
+    ];
+
+    const result = evaluateElements(truth, predicted);
+
+    expect(result.meanIoU).toBe(1);
+    expect(result.boxPrecision).toBe(1);
+    expect(result.boxRecall).toBe(1);
+    expect(result.types.button).toMatchObject({ truePositives: 1, precision: 1, recall: 1 });
+    expect(result.types.text).toMatchObject({ falseNegatives: 1, recall: 0 });
+    expect(result.types.link).toMatchObject({ falsePositives: 1, precision: 0 });
+    expect(result.typePrecision).toBe(0.5);
+    expect(result.typeRecall).toBe(0.5);
+  });
+});
@@ -0,0 +1,61 @@
+import { planTiles, placeTileWords, mergeTileWords } from '../../src/services/ocrTiling.js';
+
+describe('planTiles', () => {
+  test('covers a small image with one tile and no inner edges', () => {
+    expect(planTiles(500, 300)).toEqual([
+      { x: 0, y: 0, width: 500, height: 300, edges: { left: false, top: false, right: false, bottom: false } }
+    ]);
+  });
+
+  test('spreads overlapping tiles evenly across a wide image', () => {
+    const tiles = planTiles(2000, 800, { tileSize: 1024, overlap: 96 });
+
+    expect(tiles.map(tile => tile.x)).toEqual([0, 488, 976]);
+    expect(tiles.every(tile => tile.y === 0 && tile.height === 800 && tile.width === 1024)).toBe(true);
+    expect(tiles.map(tile => tile.edges)).toEqual([
+      { left: false, top: false, right: true, bottom: false },
+      { left: true, top: false, right: true, bottom: false },
+      { left: true, top: false, right: false, bottom: false }
+    ]);
+  });
+
+  test('caps the overlap at half a tile', () => {
+    const tiles = planTiles(300, 100, { tileSize: 100, overlap: 80 });
+    expect(tiles.map(tile => tile.x)).toEqual([0, 50, 100, 150, 200]);
+  });
+});
+
+describe('mergeTileWords', () => {
+  const [left, right] = planTiles(2000, 800, { tileSize: 1200, overlap: 400 });
+
+  test('keeps the whole copy of a word cut by a tile edge', () => {
+    const words = [
+      ...placeTileWords([{ text: 'Setti', bbox: [1160, 10, 1199, 30], confidence: 95 }], left),
+      ...placeTileWords([{ text: 'Settings', bbox: [360, 10, 430, 30], confidence: 80 }], right)
+    ];
+
+    expect(words.map(word => word.cut)).toEqual([true, false]);
+    expect(mergeTileWords(words)).toEqual([
+      { text: 'Settings', bbox: [1160, 10, 1230, 30], confidence: 80 }
+    ]);
+  });
+
+  test('keeps the more confident of two whole copies', () => {
+    const words = [
+      ...placeTileWords([{ text: 'Fi1e', bbox: [900, 100, 940, 120], confidence: 60 }], left),
+      ...placeTileWords([{ text: 'File', bbox: [100, 101, 140, 121], confidence: 90 }], right)
+    ];
+
+    expect(mergeTileWords(words).map(word => word.text)).toEqual(['File']);
+  });
+
+  test('returns distinct words in reading order', () => {
+    const words = [
+      { text: 'world', bbox: [60, 0, 100, 20], confidence: 90, cut: false },
+      { text: 'below', bbox: [0, 40, 40, 60], confidence: 90, cut: false },
+      { text: 'hello', bbox: [0, 2, 50, 22], confidence: 90, cut: false }
+    ];
+
+    expect(mergeTileWords(words).map(word => word.text)).toEqual(['hello', 'world', 'below']);
+  });
+});
@@ -0,0 +1,106 @@
+import { ScreenEventBus, parseEventFilter } from '../../src/services/screenEventBus.js';
+
+describe('ScreenEventBus', () => {
+  let bus;
+
+  beforeEach(() => {
+    bus = new ScreenEventBus({ historySize: 5 });
+  });
+
+  test('publishes typed events with ids and lifted context', () => {
+    const event = bus.publish('text.appeared', { screenId: 's1', app: 'Code', title: 'a.js', texts: [] });
+
+    expect(event).toMatchObject({ id: 1, type: 'text.appeared', screenId: 's1', app: 'Code', title: 'a.js', texts: [] });
+    expect(bus.publish('index.completed').id).toBe(2);
+    expect(() => bus.publish('mouse.moved')).toThrow('Unknown screen event type: mouse.moved');
+  });
+
+  test('delivers events to subscribers whose filter matches', () => {
+    const received = [];
+    const unsubscribe = bus.subscribe({ types: ['index.completed'], apps: ['code'] }, event => received.push(event.id));
+
+    bus.publish('index.completed', { app: 'Code' });
+    bus.publish('index.completed', { app: 'Slack' });
+    bus.publish('text.appeared', { app: 'Code' });
+    unsubscribe();
+    bus.publish('index.completed', { app: 'Code' });
+
+    expect(received).toEqual([1]);
+    expect(bus.getStats().subscribers).toBe(0);
+  });
+
+  test('keeps publishing when a subscriber throws', () => {
+    const received = [];
+    bus.subscribe({}, () => { throw new Error('broken client'); });
+    bus.subscribe({}, event => received.push(event.type));
+
+    expect(() => bus.publish('screen.changed')).not.toThrow();
+    expect(received).toEqual(['screen.changed']);
+  });
+
+  describe('getRecent', () => {
+    beforeEach(() => {
+      ['Code', 'Slack', 'Code', 'Slack', 'Code', 'Slack', 'Code'].forEach((app, i) =>
+        bus.publish(i % 2 === 0 ? 'text.appeared' : 'screen.changed', { app }));
+    });
+
+    test('replays the ring buffer oldest first', () => {
+      expect(bus.getRecent().map(event => event.id)).toEqual([3, 4, 5, 6, 7]);
+    });
+
+    test('returns events after a given id', () => {
+      expect(bus.getRecent({ since: 5 }).map(event => event.id)).toEqual([6, 7]);
+    });
+
+    test('filters by type and app, case-insensitively', () => {
+      expect(bus.getRecent({ types: ['screen.changed'] }).map(event => event.id)).toEqual([4, 6]);
+      expect(bus.getRecent({ apps: ['code'] }).map(event => event.id)).toEqual([3, 5, 7]);
+      expect(bus.getRecent({ types: ['text.appeared'], apps: ['Slack'] })).toEqual([]);
+    });
+
+    test('keeps the newest events up to the limit', () => {
+      expect(bus.getRecent({ limit: 2 }).map(event => event.id)).toEqual([6, 7]);
+    });
+  });
+
+  describe('observeWindows', () => {
+    const slack = { appName: 'Slack', title: 'general' };
+    const code = { appName: 'Code', title: 'server.js' };
+
+    test('compares against the previous snapshot', () => {
+      expect(bus.observeWindows([slack])).toEqual([]);
+
+      const events = bus.observeWindows([code, slack]);
+      expect(events.map(event => [event.type, event.app])).toEqual([['window.opened', 'Code'], ['focus.changed', 'Code']]);
+      expect(events[1].previous).toEqual({ app: 'Slack', title: 'general' });
+
+      expect(bus.observeWindows([slack]).map(event => event.type)).toEqual(['window.closed', 'focus.changed']);
+    });
+
+    test('treats a retitled window as the same window', () => {
+      bus.observeWindows([code, slack]);
+      const events = bus.observeWindows([{ appName: 'Code', title: 'client.js' }, slack]);
+
+      expect(events.map(event => [event.type, event.title])).toEqual([['focus.changed', 'client.js']]);
+    });
+
+    test('ignores an empty window list', () => {
+      bus.observeWindows([slack]);
+
+      expect(bus.observeWindows([])).toEqual([]);
+      expect(bus.observeWindows([slack])).toEqual([]);
+    });
+  });
+});
+
+describe('parseEventFilter', () => {
+  test('splits comma-separated query values', () => {
+    expect(parseEventFilter({ types: 'index.completed, text.appeared', app: 'Code' }))
+      .toEqual({ types: ['index.completed', 'text.appeared'], apps: ['Code'] });
+    expect(parseEventFilter({})).toEqual({ types: [], apps: [] });
+  });
+
+  test('rejects unknown types with status 400', () => {
+    expect(() => parseEventFilter({ types: 'index.completed,bogus' })).toThrow(expect.objectContaining({ status: 400 }));
+  });
+});
@@ -0,0 +1,83 @@
+import sharp from 'sharp';
+import { TableDetector, findRulings } from '../../src/services/tableDetector.js';
+
+/**
+ * White greyscale PNG with black rectangles [x1, y1, x2, y2] (inclusive)
+ */
+async function drawImage(width, height, rects) {
+  const pixels = Buffer.alloc(width * height, 255);
+  for (const [x1, y1, x2, y2] of rects) {
+    for (let y = y1; y <= y2; y++) pixels.fill(0, y * width + x1, y * width + x2 + 1);
+  }
+  return sharp(pixels, { raw: { width, height, channels: 1 } }).png().toBuffer();
+}
+
+describe('findRulings', () => {
+  test('finds thin horizontal and vertical lines', async () => {
+    const image = await drawImage(400, 200, [[20, 50, 379, 50], [200, 10, 200, 189]]);
+
+    expect(await findRulings(image)).toEqual({
+      horizontal: [{ y: 50, x1: 20, x2: 379 }],
+      vertical: [{ x: 200, y1: 10, y2: 189 }]
+    });
+  });
+
+  test('reports a line a few pixels thick once', async () => {
+    const image = await drawImage(400, 200, [[0, 100, 399, 101]]);
+
+    expect((await findRulings(image)).horizontal).toEqual([{ y: 100, x1: 0, x2: 399 }]);
+  });
+
+  test('ignores filled areas', async () => {
+    const image = await drawImage(400, 200, [[50, 50, 149, 79]]);
+
+    expect(await findRulings(image)).toEqual({ horizontal: [], vertical: [] });
+  });
+});
+
+describe('TableDetector', () => {
+  const rows = [
+    ['Name', 'Amount', 'Note'],
+    ['Smith, J', '12.50', 'said "hi"'],
+    ['Ada', '7', 'ok'],
+    ['Bo', '3', 'none']
+  ];
+  const columns = [[0, 80], [150, 230], [300, 400]];
+  const elements = rows.flatMap((cells, row) => cells.map((text, column) => ({
+    id: `el-${row}-${column}`,
+    text,
+    bbox: [columns[column][0], row * 30, columns[column][0] + text.length * 8, row * 30 + 20]
+  })));
+
+  test('builds a grid with a header from aligned text', async () => {
+    const [table] = await new TableDetector({ useRulings: false }).detect(elements);
+
+    expect(table.source).toBe('alignment');
+    expect(table.header.cells.map(cell => cell.text)).toEqual(['Name', 'Amount', 'Note']);
+    expect(table.columns.map(column => column.name)).toEqual(['Name', 'Amount', 'Note']);
+    expect(table.rows.map(row => row.text)).toEqual(['Smith, J | 12.50 | said "hi"', 'Ada | 7 | ok', 'Bo | 3 | none']);
+    expect(table.rows[1].cells[0].elementIds).toEqual(['el-2-0']);
+    expect(table.json[1]).toEqual({ Name: 'Ada', Amount: '7', Note: 'ok' });
+  });
+
+  test('quotes CSV fields with commas and quotes', async () => {
+    const [table] = await new TableDetector({ useRulings: false }).detect(elements);
+
+    expect(table.csv).toBe([
+      'Name,Amount,Note',
+      '"Smith, J",12.50,"said ""hi"""',
+      'Ada,7,ok',
+      'Bo,3,none'
+    ].join('\n'));
+  });
+
+  test('finds no table in a single column of text', async () => {
+    const lines = ['one', 'two', 'three', 'four', 'five', 'six'].map((text, i) => ({
+      id: `line-${i}`,
+      text,
+      bbox: [0, i * 30, 100, i * 30 + 20]
+    }));
+
+    expect(await new TableDetector({ useRulings: false }).detect(lines)).toEqual([]);
+  });
+});
@@ -0,0 +1,56 @@
+import { buildLayout, nestWords } from '../../src/utils/textLayout.js';
+
+const word = (text, x1, y1, x2, y2, confidence = 0.9) => ({ text, bbox: [x1, y1, x2, y2], confidence });
+
+describe('buildLayout', () => {
+  test('joins close words into lines and stacked lines into a paragraph', () => {
+    const blocks = buildLayout([
+      word('world', 60, 0, 110, 20),
+      word('Hello', 0, 0, 50, 20),
+      word('second', 0, 24, 60, 44),
+      word('line', 68, 24, 100, 44)
+    ]);
+
+    expect(blocks).toHaveLength(1);
+    expect(blocks[0].paragraphs).toHaveLength(1);
+    expect(blocks[0].paragraphs[0].lines.map(line => line.text)).toEqual(['Hello world', 'second line']);
+    expect(blocks[0].text).toBe('Hello world\nsecond line');
+    expect(blocks[0].bbox).toEqual([0, 0, 110, 44]);
+  });
+
+  test('keeps words across a wide gap on separate lines', () => {
+    const blocks = buildLayout([word('File', 0, 0, 40, 20), word('Edit', 300, 0, 340, 20)]);
+
+    expect(blocks.map(block => block.text)).toEqual(['File', 'Edit']);
+  });
+
+  test('starts a new block for distant paragraphs', () => {
+    const blocks = buildLayout([
+      word('Title', 0, 0, 100, 40),
+      word('Footer', 0, 400, 60, 420)
+    ]);
+
+    expect(blocks.map(block => block.text)).toEqual(['Title', 'Footer']);
+  });
+
+  test('ignores words without a usable box', () => {
+    expect(buildLayout([{ text: 'ghost', confidence: 0.9 }, word('flat', 0, 10, 40, 10)])).toEqual([]);
+  });
+});
+
+describe('nestWords', () => {
+  test('groups words by block, paragraph and line number', () => {
+    const blocks = nestWords([
+      { ...word('Name', 0, 0, 40, 10, 0.8), block: 1, paragraph: 1, line: 1 },
+      { ...word('Ada', 50, 0, 80, 10, 0.6), block: 1, paragraph: 1, line: 1 },
+      { ...word('Age', 0, 20, 30, 30, 0.9), block: 1, paragraph: 1, line: 2 },
+      { ...word('Notes', 0, 100, 50, 110, 1), block: 2, paragraph: 1, line: 1 }
+    ]);
+
+    expect(blocks.map(block => block.text)).toEqual(['Name Ada\nAge', 'Notes']);
+    const [line] = blocks[0].paragraphs[0].lines;
+    expect(line.bbox).toEqual([0, 0, 80, 10]);
+    expect(line.confidence).toBeCloseTo(0.7);
+    expect(line.words[0]).toEqual(word('Name', 0, 0, 40, 10, 0.8));
+  });
+});
@@ -0,0 +1,119 @@
+import sharp from 'sharp';
+import { UIDetector } from '../../src/services/uiDetector.js';
+
+const INPUT_SIZE = 64;
+
+class FakeTensor {
+  constructor(type, data, dims) {
+    this.type = type;
+    this.data = data;
+    this.dims = dims;
+  }
+}
+
+/**
+ * Detector with a stand-in ONNX session that records its input and returns a fixed output
+ * @param {Object} output - { dims, data }
+ */
+function detectorWith(labels, output, options = {}) {
+  const detector = new UIDetector({ modelPath: '/nonexistent/ui-detector.onnx', ...options });
+  detector.ort = { Tensor: FakeTensor };
+  detector.labels = labels;
+  detector.types = options.types || {};
+  detector.inputSize = INPUT_SIZE;
+  detector.inputs = [];
+  detector.session = {
+    inputNames: ['images'],
+    outputNames: ['output0'],
+    run: async feeds => {
+      detector.inputs.push(feeds.images);
+      return { output0: output };
+    }
+  };
+  return detector;
+}
+
+/**
+ * YOLOv8 output [1, 4 + classes, candidates] from [cx, cy, w, h, ...class scores] rows
+ */
+function channelsFirst(candidates) {
+  const channels = candidates[0].length;
+  const data = new Float32Array(channels * candidates.length);
+  candidates.forEach((values, i) => values.forEach((value, c) => { data[c * candidates.length + i] = value; }));
+  return new FakeTensor('float32', data, [1, channels, candidates.length]);
+}
+
+/**
+ * YOLOv5 output [1, candidates, 5 + classes] from [cx, cy, w, h, objectness, ...class scores] rows
+ */
+function channelsLast(candidates) {
+  return new FakeTensor('float32', Float32Array.from(candidates.flat()), [1, candidates.length, candidates[0].length]);
+}
+
+// 200 × 100 capture: scaled by 0.32 to 64 × 32, centered 16 px down in the 64 × 64 input
+const capture = () => sharp({ create: { width: 200, height: 100, channels: 3, background: '#ffffff' } }).png().toBuffer();
+
+describe('UIDetector', () => {
+  test('letterboxes the capture onto grey padding', async () => {
+    const detector = detectorWith(['Button'], channelsFirst([[0, 0, 1, 1, 0]]));
+    await detector.detect(await capture());
+
+    const [tensor] = detector.inputs;
+    expect(tensor.dims).toEqual([1, 3, INPUT_SIZE, INPUT_SIZE]);
+    const plane = INPUT_SIZE * INPUT_SIZE;
+    const pixel = (channel, x, y) => tensor.data[channel * plane + y * INPUT_SIZE + x];
+    expect(pixel(0, 10, 5)).toBeCloseTo(114 / 255);
+    expect(pixel(2, 10, 60)).toBeCloseTo(114 / 255);
+    expect(pixel(0, 10, 32)).toBe(1);
+    expect(pixel(1, 63, 16)).toBe(1);
+  });
+
+  test('decodes YOLOv8 output, suppresses overlaps per class and maps boxes back', async () => {
+    const detector = detectorWith(['Button', 'Text', 'CheckBox'], channelsFirst([
+      [32, 32, 20, 10, 0.9, 0, 0],
+      [33, 32, 20, 10, 0.8, 0, 0], // Same button, weaker
+      [33, 32, 20, 10, 0, 0, 0.6], // Overlaps the button, but another class
+      [10, 20, 10, 4, 0, 0.95, 0], // Text is left to OCR
+      [50, 40, 8, 8, 0.2, 0, 0] // Under the score threshold
+    ]));
+
+    const detections = await detector.detect(await capture(), {
+      toScreen: bbox => bbox.map(value => value / 2)
+    });
+
+    expect(detections).toEqual([
+      { type: 'button', label: 'Button', score: 0.9, bbox: [34.5, 17, 65.5, 33], physicalBbox: [69, 34, 131, 66], source: 'model' },
+      { type: 'checkbox', label: 'CheckBox', score: 0.6, bbox: [36, 17, 67, 33], physicalBbox: [72, 34, 134, 66], source: 'model' }
+    ]);
+  });
+
+  test('decodes YOLOv5 output with objectness', async () => {
+    const detector = detectorWith(['Button', 'Text', 'CheckBox'], channelsLast([
+      [32, 32, 20, 10, 0.8, 0.5, 0, 0.9],
+      [50, 40, 8, 8, 0.3, 1, 0, 0] // Objectness under the threshold
+    ]));
+
+    const detections = await detector.detect(await capture());
+
+    expect(detections).toHaveLength(1);
+    expect(detections[0]).toMatchObject({ type: 'checkbox', label: 'CheckBox', score: 0.72, physicalBbox: [69, 34, 131, 66] });
+  });
+
+  test('types classes by the labels file overrides, else as unknown', async () => {
+    const detector = detectorWith(['Toolbar', 'Widget'], channelsFirst([
+      [32, 20, 60, 8, 0.9, 0],
+      [32, 40, 10, 10, 0, 0.7]
+    ]), { types: { Toolbar: 'menu' } });
+
+    const detections = await detector.detect(await capture());
+
+    expect(detections.map(detection => [detection.type, detection.label])).toEqual([['menu', 'Toolbar'], ['unknown', 'Widget']]);
+  });
+
+  test('returns no detections without a model file', async () => {
+    const detector = new UIDetector({ modelPath: '/nonexistent/ui-detector.onnx' });
+
+    expect(await detector.detect(await capture())).toEqual([]);
+    expect(detector.status()).toMatchObject({ loaded: false, error: 'model file not found' });
+  });
+});
@@ -0,0 +1,51 @@
+import sharp from 'sharp';
+import { VisualElementDetector } from '../../src/services/visualElementDetector.js';
+
+/**
+ * White 400x220 PNG with the given SVG shapes drawn on it
+ */
+function render(shapes) {
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="400" height="220">
+    <rect width="400" height="220" fill="#fff"/>${shapes}</svg>`;
+  return sharp(Buffer.from(svg)).png().toBuffer();
+}
+
+const EMPTY_CHECKBOX = '<rect x="20.5" y="20.5" width="16" height="16" fill="#fff" stroke="#555"/>';
+const TICKED_CHECKBOX = '<rect x="20.5" y="50.5" width="16" height="16" fill="#fff" stroke="#555"/>' +
+  '<polyline points="24,58 27,62 33,54" fill="none" stroke="#222" stroke-width="2"/>';
+const BUTTON = '<rect x="120.5" y="100.5" width="80" height="26" rx="4" fill="#fff" stroke="#333"/>' +
+  '<rect x="140" y="110" width="40" height="6" fill="#333"/>';
+
+describe('VisualElementDetector', () => {
+  const detector = new VisualElementDetector({ enabled: true });
+
+  test('finds a drawn checkbox, empty and ticked', async () => {
+    const elements = await detector.detect(await render(EMPTY_CHECKBOX + TICKED_CHECKBOX));
+
+    const checkboxes = elements.filter(el => el.type === 'checkbox');
+    expect(checkboxes.map(el => el.bbox)).toEqual([[20, 20, 38, 38], [20, 50, 38, 68]]);
+    expect(checkboxes.every(el => el.shape === 'rectangle' && !el.filled)).toBe(true);
+  });
+
+  test('finds a button apart from the checkboxes', async () => {
+    const elements = await detector.detect(await render(EMPTY_CHECKBOX + BUTTON));
+
+    expect(elements.map(el => el.type).sort()).toEqual(['button', 'checkbox']);
+    expect(elements.find(el => el.type === 'button').bbox).toEqual([120, 100, 202, 128]);
+  });
+
+  test('maps boxes to points and screen coordinates', async () => {
+    const image = await render(TICKED_CHECKBOX);
+    const elements = await detector.detect(image, {
+      devicePixelRatio: 1,
+      toScreen: ([x1, y1, x2, y2]) => [x1 + 1000, y1, x2 + 1000, y2]
+    });
+
+    expect(elements[0].physicalBbox).toEqual([20, 50, 38, 68]);
+    expect(elements[0].bbox).toEqual([1020, 50, 1038, 68]);
+  });
+
+  test('finds nothing on a blank image', async () => {
+    expect(await detector.detect(await render(''))).toEqual([]);
+  });
+});
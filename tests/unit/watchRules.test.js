@@ -0,0 +1,208 @@
+import { jest } from '@jest/globals';
+
+// The engine gets a fake store and embedding service below; the real modules load
+// native DuckDB and model weights on import
+jest.unstable_mockModule('../../src/services/duckdbVectorStore.js', () => ({ getDuckDBVectorStore: () => null }));
+jest.unstable_mockModule('../../src/services/embeddingService.js', () => ({ getSearchEmbeddingService: () => null }));
+
+const { WatchRuleEngine } = await import('../../src/services/watchRules.js');
+const { getScreenEventBus } = await import('../../src/services/screenEventBus.js');
+
+function fakeStore() {
+  return {
+    fired: [],
+    initialize: async () => {},
+    listWatchRules: async () => [],
+    upsertWatchRule: async () => {},
+    deleteWatchRule: async () => {},
+    async recordWatchRuleFired(id, timestamp) {
+      this.fired.push({ id, timestamp });
+    }
+  };
+}
+
+// Two-dimensional "embeddings": the pattern points along x
+const fakeEmbeddings = {
+  initialize: async () => {},
+  embed: async () => [1, 0]
+};
+
+const node = (id, text, bbox, extra = {}) => ({
+  id,
+  type: 'text',
+  text,
+  bbox,
+  normalizedBbox: bbox.map((value, i) => value / (i % 2 === 0 ? 1000 : 500)),
+  ...extra
+});
+
+const screen = (nodes, app = 'Terminal', id = 'screen-1') => ({ id, app, windowTitle: 'build', nodes });
+
+describe('WatchRuleEngine', () => {
+  let store;
+  let engine;
+
+  beforeEach(() => {
+    store = fakeStore();
+    engine = new WatchRuleEngine({ store, embeddingService: fakeEmbeddings });
+  });
+
+  describe('create', () => {
+    const rejects = async (spec, message) => {
+      await expect(engine.create(spec)).rejects.toMatchObject({ status: 400, message: expect.stringMatching(message) });
+    };
+
+    test('fills in defaults', async () => {
+      const rule = await engine.create({ pattern: 'BUILD SUCCESS' });
+
+      expect(rule).toMatchObject({
+        name: 'BUILD SUCCESS',
+        matchType: 'regex',
+        action: 'event',
+        webhookUrl: null,
+        minScore: null,
+        cooldownMs: 0,
+        enabled: true,
+        fireCount: 0
+      });
+      expect((await engine.create({ matchType: 'semantic', pattern: 'error dialog' })).minScore).toBe(0.6);
+    });
+
+    test('rejects invalid rules with status 400', async () => {
+      await rejects({ pattern: '' }, /pattern is required/);
+      await rejects({ pattern: '(' }, /Invalid regex/);
+      await rejects({ pattern: 'x', matchType: 'fuzzy' }, /matchType must be one of/);
+      await rejects({ pattern: 'x', region: { minX: 0.5, maxX: 0.2 } }, /region must be/);
+      await rejects({ pattern: 'x', cooldownMs: -1 }, /cooldownMs/);
+      await rejects({ pattern: 'x', action: 'webhook' }, /webhookUrl is required/);
+    });
+
+    test('only accepts webhooks on localhost', async () => {
+      for (const webhookUrl of ['http://localhost:9000/hook', 'http://127.0.0.1/hook', 'https://[::1]:8443/hook']) {
+        expect((await engine.create({ pattern: 'x', action: 'webhook', webhookUrl })).webhookUrl).toBe(webhookUrl);
+      }
+      for (const webhookUrl of ['https://example.com/hook', 'http://localhost.example.com/hook', 'file:///tmp/hook', 'not a url']) {
+        await rejects({ pattern: 'x', action: 'both', webhookUrl }, /webhookUrl/);
+      }
+    });
+  });
+
+  describe('evaluate', () => {
+    test('matches regex patterns across the nodes of a line', async () => {
+      await engine.create({ pattern: 'BUILD SUCCESS', action: 'event' });
+      const fired = await engine.evaluate(screen([
+        node('n1', 'BUILD', [10, 100, 60, 112]),
+        node('n2', 'SUCCESS', [66, 101, 130, 113]),
+        node('n3', 'Total time: 4s', [10, 130, 120, 142])
+      ]));
+
+      expect(fired).toHaveLength(1);
+      expect(fired[0].matches).toEqual([{
+        text: 'BUILD SUCCESS',
+        bbox: [10, 100, 130, 113],
+        nodes: [
+          { id: 'n1', type: 'text', text: 'BUILD', bbox: [10, 100, 60, 112] },
+          { id: 'n2', type: 'text', text: 'SUCCESS', bbox: [66, 101, 130, 113] }
+        ]
+      }]);
+      expect(store.fired.map(entry => entry.id)).toEqual([fired[0].rule.id]);
+    });
+
+    test('fires once while the text stays on screen, again after it comes back', async () => {
+      await engine.create({ pattern: 'done' });
+      const done = screen([node('n1', 'done', [0, 0, 40, 10])]);
+
+      expect(await engine.evaluate(done)).toHaveLength(1);
+      expect(await engine.evaluate(done)).toHaveLength(0);
+      expect(await engine.evaluate(screen([]))).toHaveLength(0);
+      expect(await engine.evaluate(done)).toHaveLength(1);
+    });
+
+    test('stays quiet during the cooldown', async () => {
+      await engine.create({ pattern: 'done', cooldownMs: 60000 });
+      const done = screen([node('n1', 'done', [0, 0, 40, 10])]);
+
+      expect(await engine.evaluate(done)).toHaveLength(1);
+      await engine.evaluate(screen([]));
+      expect(await engine.evaluate(done)).toHaveLength(0);
+    });
+
+    test('limits rules to their app and region', async () => {
+      await engine.create({ pattern: 'error', flags: 'i', app: 'Xcode', name: 'xcode' });
+      await engine.create({ pattern: 'error', flags: 'i', region: { minX: 0.5, maxX: 1, minY: 0, maxY: 1 }, name: 'right half' });
+      const nodes = [node('left', 'Error', [10, 10, 60, 20]), node('right', 'ERROR', [600, 10, 660, 20])];
+
+      const fired = await engine.evaluate(screen(nodes, 'Terminal'));
+      expect(fired.map(firing => [firing.rule.name, firing.matches.map(match => match.text)])).toEqual([['right half', ['ERROR']]]);
+
+      const inXcode = await engine.evaluate(screen(nodes, 'xcode', 'screen-2'));
+      expect(inXcode.map(firing => [firing.rule.name, firing.matches.length])).toEqual([['xcode', 2], ['right half', 1]]);
+    });
+
+    test('matches semantic patterns by embedding similarity', async () => {
+      await engine.create({ matchType: 'semantic', pattern: 'error dialog', minScore: 0.8 });
+      const fired = await engine.evaluate(screen([
+        node('close', 'Build failed', [0, 0, 100, 20], { embedding: [0.9, 0.1] }),
+        node('far', 'Welcome', [0, 40, 100, 60], { embedding: [0, 1] }),
+        node('plain', 'Unindexed', [0, 80, 100, 100])
+      ]));
+
+      expect(fired).toHaveLength(1);
+      expect(fired[0].matches.map(match => [match.text, match.score])).toEqual([['Build failed', 0.994]]);
+    });
+
+    test('skips disabled rules and publishes rule.fired events', async () => {
+      await engine.create({ pattern: 'done', enabled: false });
+      const rule = await engine.create({ pattern: 'ready' });
+      const events = [];
+      const unsubscribe = getScreenEventBus().subscribe({ types: ['rule.fired'] }, event => events.push(event));
+
+      await engine.evaluate(screen([node('n1', 'done ready', [0, 0, 80, 10])]));
+      unsubscribe();
+
+      expect(events).toHaveLength(1);
+      expect(events[0]).toMatchObject({ screenId: 'screen-1', app: 'Terminal', title: 'build', rule: { id: rule.id, pattern: 'ready' } });
+    });
+  });
+
+  describe('webhooks', () => {
+    const realFetch = globalThis.fetch;
+
+    afterEach(() => {
+      globalThis.fetch = realFetch;
+    });
+
+    test('posts firings to the rule webhook with a timeout', async () => {
+      const calls = [];
+      globalThis.fetch = async (url, init) => {
+        calls.push({ url, init });
+        return { ok: true, status: 204 };
+      };
+      await engine.create({ pattern: 'deployed', action: 'webhook', webhookUrl: 'http://localhost:9000/hook' });
+
+      const fired = await engine.evaluate(screen([node('n1', 'deployed', [0, 0, 80, 10])]));
+
+      expect(fired).toHaveLength(1);
+      expect(calls).toHaveLength(1);
+      expect(calls[0].url).toBe('http://localhost:9000/hook');
+      expect(calls[0].init.method).toBe('POST');
+      expect(calls[0].init.signal).toBeInstanceOf(AbortSignal);
+      expect(JSON.parse(calls[0].init.body)).toMatchObject({
+        event: 'rule.fired',
+        screenId: 'screen-1',
+        app: 'Terminal',
+        matches: [{ text: 'deployed' }]
+      });
+    });
+
+    test('still counts a firing when the webhook is down', async () => {
+      globalThis.fetch = async () => {
+        throw new Error('connect ECONNREFUSED');
+      };
+      const rule = await engine.create({ pattern: 'deployed', action: 'webhook', webhookUrl: 'http://localhost:9000/hook' });
+
+      expect(await engine.evaluate(screen([node('n1', 'deployed', [0, 0, 80, 10])]))).toHaveLength(1);
+      expect((await engine.get(rule.id)).fireCount).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,73 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+import request from 'supertest';
+import { jest } from '@jest/globals';
+
+// The real watcher pulls in OCR and DuckDB; the routes only need its config calls
+const watcher = {
+  start: jest.fn(config => ({ running: true, config })),
+  updateConfig: jest.fn(config => config)
+};
+jest.unstable_mockModule('../../src/services/screenWatcher.js', () => ({
+  getScreenWatcher: () => watcher
+}));
+
+const { default: watcherRoute } = await import('../../src/routes/watcher.js');
+
+describe('/watcher capture specs', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/watcher', watcherRoute);
+
+  let root;
+  const savedRoot = process.env.IMAGE_ROOT;
+
+  beforeAll(() => {
+    root = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'watcher-root-')));
+    fs.mkdirSync(path.join(root, 'frames'));
+    process.env.IMAGE_ROOT = root;
+  });
+
+  beforeEach(() => {
+    watcher.start.mockClear();
+    watcher.updateConfig.mockClear();
+  });
+
+  afterAll(() => {
+    if (savedRoot === undefined) delete process.env.IMAGE_ROOT;
+    else process.env.IMAGE_ROOT = savedRoot;
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  test('resolves a directory spec under IMAGE_ROOT', async () => {
+    const response = await request(app).post('/watcher/config')
+      .send({ capture: { provider: 'directory', path: 'frames' } });
+
+    expect(response.status).toBe(200);
+    expect(watcher.updateConfig).toHaveBeenCalledWith({ capture: { provider: 'directory', path: path.join(root, 'frames') } });
+  });
+
+  test('passes live captures and other settings through', async () => {
+    const response = await request(app).post('/watcher/start').send({ interval: 3000, capture: 'live' });
+
+    expect(response.status).toBe(200);
+    expect(watcher.start).toHaveBeenCalledWith({ interval: 3000, capture: 'live' });
+  });
+
+  test.each([
+    ['/watcher/config', { provider: 'directory', path: '../../etc' }, 'Image path must be inside IMAGE_ROOT'],
+    ['/watcher/config', { provider: 'file', path: '/etc/passwd' }, 'Image path must be inside IMAGE_ROOT'],
+    ['/watcher/start', { provider: 'buffer' }, 'Unknown capture provider: buffer'],
+    ['/watcher/start', 'screenshot-everything', 'Unknown capture provider']
+  ])('rejects %s capture %j with 400', async (route, capture, message) => {
+    const response = await request(app).post(route).send({ capture });
+
+    expect(response.status).toBe(400);
+    expect(response.body.success).toBe(false);
+    expect(response.body.error).toContain(message);
+    expect(watcher.start).not.toHaveBeenCalled();
+    expect(watcher.updateConfig).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,78 @@
+import { parseWindowIds, parseStringList, parseAtoms, parseGeometry, parseXrandr } from '../../src/utils/window-backends/x11.js';
+
+const XPROP = [
+  'WM_CLASS(STRING) = "gnome-terminal-server", "Gnome-terminal"',
+  '_NET_WM_NAME(UTF8_STRING) = "vim \\"notes.md\\" - Terminal"',
+  '_NET_WM_STATE(ATOM) = _NET_WM_STATE_MAXIMIZED_VERT, _NET_WM_STATE_MAXIMIZED_HORZ',
+  '_NET_WM_WINDOW_TYPE(ATOM) = _NET_WM_WINDOW_TYPE_NORMAL',
+  'WM_NAME:  not found.'
+].join('\n');
+
+const XWININFO = `
+xwininfo: Window id: 0x3a00007 "vim notes.md - Terminal"
+
+  Absolute upper-left X:  1920
+  Absolute upper-left Y:  -12
+  Relative upper-left X:  0
+  Relative upper-left Y:  0
+  Width: 1280
+  Height: 1000
+  Depth: 24
+  Border width: 0
+`;
+
+describe('x11 output parsers', () => {
+  test('parseWindowIds reads window lists and single windows', () => {
+    expect(parseWindowIds('_NET_CLIENT_LIST(WINDOW): window id # 0x1e00003, 0x3a00007, 0x4400001'))
+      .toEqual(['0x1e00003', '0x3a00007', '0x4400001']);
+    expect(parseWindowIds('_NET_ACTIVE_WINDOW(WINDOW): window id # 0x3a00007')).toEqual(['0x3a00007']);
+  });
+
+  test('parseWindowIds returns nothing for unset properties and junk ids', () => {
+    expect(parseWindowIds('_NET_CLIENT_LIST:  not found.')).toEqual([]);
+    expect(parseWindowIds('_NET_CLIENT_LIST(WINDOW): window id # 0x1e00003, ; rm -rf')).toEqual(['0x1e00003']);
+    expect(parseWindowIds(undefined)).toEqual([]);
+  });
+
+  test('parseStringList reads quoted values and unescapes them', () => {
+    expect(parseStringList(XPROP, 'WM_CLASS')).toEqual(['gnome-terminal-server', 'Gnome-terminal']);
+    expect(parseStringList(XPROP, '_NET_WM_NAME')).toEqual(['vim "notes.md" - Terminal']);
+    expect(parseStringList(XPROP, 'WM_NAME')).toEqual([]);
+    expect(parseStringList(XPROP, 'WM_ICON_NAME')).toEqual([]);
+  });
+
+  test('parseAtoms reads atom lists', () => {
+    expect(parseAtoms(XPROP, '_NET_WM_STATE')).toEqual(['_NET_WM_STATE_MAXIMIZED_VERT', '_NET_WM_STATE_MAXIMIZED_HORZ']);
+    expect(parseAtoms(XPROP, '_NET_WM_WINDOW_TYPE')).toEqual(['_NET_WM_WINDOW_TYPE_NORMAL']);
+    expect(parseAtoms(XPROP, 'WM_CLASS')).toEqual([]);
+  });
+
+  test('parseGeometry reads absolute position and size', () => {
+    expect(parseGeometry(XWININFO)).toEqual({ x: 1920, y: -12, width: 1280, height: 1000 });
+    expect(parseGeometry('')).toEqual({ x: 0, y: 0, width: 0, height: 0 });
+  });
+
+  test('parseXrandr lists active outputs, primary first', () => {
+    const output = [
+      'Screen 0: minimum 320 x 200, current 3840 x 1080, maximum 16384 x 16384',
+      'eDP-1 connected 1920x1080+0+0 (normal left inverted right x axis y axis) 309mm x 174mm',
+      '   1920x1080     60.00*+',
+      'HDMI-1 connected primary 1920x1080+1920+0 (normal left inverted right x axis y axis) 476mm x 268mm',
+      'DP-1 disconnected (normal left inverted right x axis y axis)',
+      'DP-2 connected (normal left inverted right x axis y axis)'
+    ].join('\n');
+
+    expect(parseXrandr(output)).toEqual([
+      { id: 'HDMI-1', name: 'HDMI-1', bounds: { x: 1920, y: 0, width: 1920, height: 1080 }, scaleFactor: 1, primary: true, captureId: 'HDMI-1', index: 0 },
+      { id: 'eDP-1', name: 'eDP-1', bounds: { x: 0, y: 0, width: 1920, height: 1080 }, scaleFactor: 1, primary: false, captureId: 'eDP-1', index: 1 }
+    ]);
+  });
+
+  test('parseXrandr makes the first output primary when none is marked', () => {
+    const displays = parseXrandr('DP-1 connected 2560x1440+-2560+0 (normal) 597mm x 336mm');
+
+    expect(displays).toHaveLength(1);
+    expect(displays[0]).toMatchObject({ id: 'DP-1', primary: true, bounds: { x: -2560, y: 0 } });
+    expect(parseXrandr('')).toEqual([]);
+  });
+});